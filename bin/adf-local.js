@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+'use strict';
+// adf-local — validate, run and test pipelines without VS Code. See src/cli.js for the commands.
+
+const { main } = require('../src/cli');
+
+main(process.argv.slice(2)).then((code) => {
+    // Fire-and-forget ExecutePipeline children may still be running; the report is final
+    process.exit(code);
+});
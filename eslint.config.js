@@ -19,6 +19,7 @@ module.exports = [
 				suite: "readonly",
 				test: "readonly",
 				fetch: "readonly",
+				AbortController: "readonly",
 				window: "readonly",
 				JSON: "readonly",
 				Array: "readonly",
@@ -41,7 +42,8 @@ module.exports = [
 				beforeEach: "readonly",
 				afterEach: "readonly",
 				beforeAll: "readonly",
-				afterAll: "readonly"
+				afterAll: "readonly",
+				jest: "readonly"
 			}
 		},
 		rules: {
@@ -16,8 +16,8 @@
         pipelineName:       window.PIPELINE_NAME,
         runId:              window.RUN_ID,
         pipelineActivities: window.PIPELINE_ACTIVITIES || [],  // static structure for layout
-        pipelineStatus:     'Running',
-        activities:    {},   // { name: { name, type, status, output, error, input, startTime, endTime, durationMs } }
+        pipelineStatus:     window.HISTORY_MODE ? 'Loading' : 'Running',
+        activities:    {},   // { name: { name, type, status, output, error, input, startTime, endTime, durationMs, attempt, retries } }
         activityOrder: [],
         iterationRuns: [],   // ForEach/Until child runs: { parentActivity, iteration, name, type, status, ... }
         selectedName:  null, // selected top-level activity name, or null = show list view
@@ -27,6 +27,18 @@
         layout:        {},   // { name: { x, y } } -- computed once from pipelineActivities
         snapshots:     new Set(), // activityNames that have notebook snapshots available
         cancelConfirming: false,  // true while cancel confirmation prompt is shown
+        returnValue:   null, // pipelineReturnValue reported on pipelineEnd, if any
+        warnings:      [],   // runWarning messages, e.g. parallel ForEach variable races
+        detachedRuns:  {},   // { activityName: { runId, pipelineName, status } } -- fire-and-forget ExecutePipeline children
+        debug:         !!window.DEBUG_MODE,                // started with "Debug Pipeline Locally"
+        breakpoints:   new Set(window.BREAKPOINTS || []),  // activity names with a breakpoint in this pipeline
+        paused:        null, // { activityName, activityType, pipelineName, scope, variables, activityOutputs } while held
+        debugDrafts:   {},   // unapplied inspector edits: { 'variable:name' | 'output:name': text }
+        debugError:    null, // inspector JSON parse error
+        runScope:      window.RUN_SCOPE || null, // partial run label, e.g. 'until "Load"'
+        history:       !!window.HISTORY_MODE, // read-only view of a run saved in .adf-local-runs/
+        mocksFile:     window.MOCKS_FILE || null, // run with canned activity results from this mock file
+        pipelineChanged: null, // history: pipeline definition changed since the run (null = unknown)
     };
 
     // --- Config ---------------------------------------------------------------
@@ -149,12 +161,35 @@
                     state.snapshots.add(msg.activityName);
                     render();
                     break;
+                case 'runWarning':
+                    state.warnings.push(msg.message);
+                    render();
+                    break;
+                case 'detachedRun':
+                    state.detachedRuns[msg.activityName] = { runId: msg.runId, pipelineName: msg.pipelineName, status: msg.status };
+                    render();
+                    break;
+                case 'breakpoints':
+                    state.breakpoints = new Set(msg.names);
+                    render();
+                    break;
+                case 'debugPaused':
+                    state.paused = msg;
+                    render();
+                    break;
+                case 'historyRun':        handleHistoryRun(msg);     break;
+                case 'debugResumed':
+                    state.paused      = null;
+                    state.debugDrafts = {};
+                    state.debugError  = null;
+                    render();
+                    break;
             }
         });
     }
 
     function handleActivityUpdate(msg) {
-        const { name, status, output, error, type, input, parentActivity, iteration, branchLabel } = msg;
+        const { name, status, output, error, type, input, parentActivity, iteration, branchLabel, attempt, willRetry, seeded, mocked } = msg;
         const now = new Date();
 
         if (parentActivity != null) {
@@ -168,10 +203,14 @@
                 state.iterationRuns.push(ir);
             }
             if (status === 'Running' && !ir.startTime) ir.startTime = now;
+            if (status === 'Running' && attempt > 1) restartAttempt(ir, now);
             if (['Succeeded','Failed','Skipped','Cancelled'].includes(status)) {
                 ir.endTime    = now;
                 ir.durationMs = ir.startTime ? (now - new Date(ir.startTime)) : null;
             }
+            if (willRetry) recordRetry(ir, attempt, error);
+            if (attempt) ir.attempt = attempt;
+            if (mocked)  ir.mocked  = true;
             ir.status = status;
             if (output !== null && output !== undefined) ir.output = output;
             if (error  !== null && error  !== undefined) ir.error  = error;
@@ -186,22 +225,43 @@
             }
             const a = state.activities[name];
             if (status === 'Running' && !a.startTime) a.startTime = now;
+            if (status === 'Running' && attempt > 1) restartAttempt(a, now);
             if (['Succeeded','Failed','Skipped','Cancelled'].includes(status)) {
                 a.endTime   = now;
                 a.durationMs = a.startTime ? (now - new Date(a.startTime)) : null;
             }
+            if (willRetry) recordRetry(a, attempt, error);
+            if (attempt) a.attempt = attempt;
             a.status = status;
             a.output = output;
             a.error  = error;
+            a.seeded = !!seeded; // not run -- state carried over from the previous run (partial run)
+            a.mocked = !!mocked; // result came from the mock file, not the real handler
             if (type)  a.type  = type;
             if (input) a.input = input;
         }
         render();
     }
 
+    // Retries (activity policy.retry): each failed attempt is kept for the list view,
+    // and the next attempt restarts the timing of the live entry.
+    function recordRetry(entry, attempt, error) {
+        entry.retries = entry.retries || [];
+        entry.retries.push({ attempt, error, startTime: entry.startTime, durationMs: entry.durationMs });
+    }
+
+    function restartAttempt(entry, now) {
+        entry.startTime  = now;
+        entry.endTime    = null;
+        entry.durationMs = null;
+        entry.error      = null;
+    }
+
     function handlePipelineEnd(msg) {
         state.pipelineStatus   = msg.status;
         state.endTime          = new Date();
+        state.returnValue      = msg.pipelineReturnValue && Object.keys(msg.pipelineReturnValue).length
+            ? msg.pipelineReturnValue : null;
         state.cancelConfirming = false;
         // Any activity still showing Running when the pipeline ends as Cancelled
         // should reflect the Cancelled status (the runner already emits Cancelled for
@@ -213,6 +273,8 @@
         }
         if (Array.isArray(msg.activityRuns)) {
             for (const rec of msg.activityRuns) {
+                // Superseded attempts were already listed from live updates
+                if (rec.willRetry) continue;
                 // Any record with _parentActivity is a child run from a container activity
                 const parentActivity = rec._parentActivity;
                 const isChild = parentActivity != null;
@@ -233,6 +295,7 @@
                             endTime:    rec.activityRunEnd,
                             durationMs: rec.durationInMs,
                             input:      null,
+                            mocked:     !!rec.mocked,
                         });
                     } else {
                         if (rec.status)           exists.status     = rec.status;
@@ -244,7 +307,7 @@
                 }
                 if (!state.activities[rec.activityName]) {
                     state.activityOrder.push(rec.activityName);
-                    state.activities[rec.activityName] = { name: rec.activityName, type: rec.activityType, status: rec.status, output: rec.output, error: rec.error?.message ?? null, startTime: rec.activityRunStart, endTime: rec.activityRunEnd, durationMs: rec.durationInMs, input: null };
+                    state.activities[rec.activityName] = { name: rec.activityName, type: rec.activityType, status: rec.status, output: rec.output, error: rec.error?.message ?? null, startTime: rec.activityRunStart, endTime: rec.activityRunEnd, durationMs: rec.durationInMs, input: null, mocked: !!rec.mocked };
                     ensurePosition(rec.activityName);
                 } else {
                     const a = state.activities[rec.activityName];
@@ -260,6 +323,17 @@
         render();
     }
 
+    // A saved run replays as its pipelineEnd, with the recorded timing
+    function handleHistoryRun(msg) {
+        state.warnings        = (msg.warnings || []).map(w => w.message);
+        state.pipelineChanged = msg.pipelineChanged;
+        for (const name of msg.snapshotNames || []) state.snapshots.add(name);
+        handlePipelineEnd(msg);
+        state.startTime = new Date(msg.startTime);
+        state.endTime   = new Date(msg.endTime);
+        render();
+    }
+
     // --- Render ---------------------------------------------------------------
     function render() {
         const app       = document.getElementById('app');
@@ -267,6 +341,7 @@
         const elapsed   = state.endTime
             ? formatDuration(state.endTime - state.startTime)
             : formatDuration(Date.now() - state.startTime);
+        const returnJson = state.returnValue ? JSON.stringify(state.returnValue) : '';
 
         app.innerHTML = `
             <div class="header">
@@ -274,13 +349,21 @@
                 <span class="status-badge ${state.pipelineStatus.toLowerCase()}">${state.pipelineStatus}</span>
                 ${isRunning && !state.cancelConfirming ? `<button class="btn-cancel" id="btn-cancel">\u25a0 Cancel</button>` : ''}
                 ${state.cancelConfirming ? `<span class="cancel-confirm-prompt">Cancel this run?\u00a0<button class="btn-cancel" id="btn-cancel-yes">Yes</button>\u00a0<button class="btn-cancel-no" id="btn-cancel-no">No</button></span>` : ''}
+                ${state.history ? `<button class="btn-rerun" id="btn-rerun" title="Run the pipeline again with the parameters of this run">\u21bb Re-run</button>` : ''}
                 <span class="run-id-label">Run: ${state.runId.slice(0, 8)}</span>
             </div>
             <div class="run-summary">
+                ${state.history ? `<div class="run-summary-item"><span class="run-summary-label">Saved run:</span><span>${esc(state.startTime.toLocaleString())}</span></div>` : ''}
+                ${state.pipelineChanged ? `<div class="run-summary-item run-summary-warning">\u26a0 Pipeline has changed since this run</div>` : ''}
+                ${state.runScope ? `<div class="run-summary-item"><span class="run-summary-label">Partial run:</span><span>${esc(state.runScope)}</span></div>` : ''}
+                ${state.mocksFile ? `<div class="run-summary-item"><span class="run-summary-label">Mocks:</span><span>${esc(state.mocksFile)}</span></div>` : ''}
                 <div class="run-summary-item"><span class="run-summary-label">Activities:</span><span>${state.activityOrder.length}</span></div>
                 <div class="run-summary-item"><span class="run-summary-label">Elapsed:</span><span>${elapsed}</span></div>
                 ${!isRunning ? `<div class="run-summary-item"><span class="run-summary-label">Completed:</span><span>${state.endTime ? new Date(state.endTime).toLocaleTimeString() : '-'}</span></div>` : ''}
+                ${state.returnValue ? `<div class="run-summary-item"><span class="run-summary-label">Return value:</span><code title="${esc(JSON.stringify(state.returnValue, null, 2))}">${esc(returnJson.length > 120 ? returnJson.slice(0, 120) + '\u2026' : returnJson)}</code></div>` : ''}
             </div>
+            ${state.warnings.length > 0 ? `<div class="run-warnings">${state.warnings.map(w => `<div class="run-warning">\u26a0 ${esc(w)}</div>`).join('')}</div>` : ''}
+            ${renderDebugBar()}
             <div class="canvas-wrapper">
                 ${renderCanvas()}
             </div>
@@ -297,6 +380,7 @@
             state.cancelConfirming = false;
             vscode.postMessage({ command: 'cancel' });
         });
+        document.getElementById('btn-rerun')?.addEventListener('click', () => vscode.postMessage({ command: 'rerun' }));
         document.getElementById('btn-cancel-no')?.addEventListener('click', () => {
             state.cancelConfirming = false;
             render();
@@ -325,6 +409,51 @@
             });
         });
 
+        // Background run buttons (fire-and-forget ExecutePipeline) open the child's tab
+        document.querySelectorAll('.btn-view-run, #btn-view-bg-run').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                vscode.postMessage({ command: 'openRun', runId: btn.dataset.run });
+            });
+        });
+
+        // Debugger: breakpoint toggles and paused-activity controls
+        document.querySelectorAll('.bp-toggle').forEach(el => {
+            el.addEventListener('click', (e) => {
+                e.stopPropagation(); // don't select the activity
+                vscode.postMessage({ command: 'toggleBreakpoint', activityName: el.dataset.bp });
+            });
+        });
+        document.getElementById('btn-debug-continue')?.addEventListener('click', () => vscode.postMessage({ command: 'debugContinue' }));
+        document.getElementById('btn-debug-step')?.addEventListener('click', () => vscode.postMessage({ command: 'debugStep' }));
+        document.getElementById('btn-debug-skip')?.addEventListener('click', () => {
+            // An unapplied edit of the held activity's output is the output to skip with
+            const draft = state.debugDrafts[`output:${state.paused.activityName}`];
+            const msg   = { command: 'debugSkip' };
+            if (draft !== undefined) {
+                const parsed = parseDraft(state.paused.activityName, draft);
+                if (parsed === undefined) return;
+                msg.output = parsed;
+            }
+            vscode.postMessage(msg);
+        });
+        document.querySelectorAll('.debug-value').forEach(el => {
+            el.addEventListener('input', () => { state.debugDrafts[el.dataset.key] = el.value; });
+        });
+        document.querySelectorAll('.debug-apply').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const key   = `${btn.dataset.kind}:${btn.dataset.name}`;
+                const value = parseDraft(btn.dataset.name, btn.previousElementSibling.value);
+                if (value === undefined) return;
+                delete state.debugDrafts[key];
+                vscode.postMessage({
+                    command: btn.dataset.kind === 'variable' ? 'debugSetVariable' : 'debugSetOutput',
+                    name:    btn.dataset.name,
+                    value,
+                });
+            });
+        });
+
         // Iteration child output popover
         document.getElementById('btn-iter-output')?.addEventListener('click', () => {
             const ir = state.selectedIterRun;
@@ -404,14 +533,16 @@
         const statusRaw = hasLive ? (a.status || 'Queued') : 'waiting';
         const statusCss = statusRaw.toLowerCase().replace(/ /g, '');
         const isSelected  = state.selectedName === a.name;
+        const isPaused    = state.paused && state.paused.scope === state.pipelineName && state.paused.activityName === a.name;
         const spinnerHtml = a.status === 'Running' ? `<span class="spinner"></span>` : '';
         const statusLabel = hasLive ? (a.status || 'Queued') : '-';
         const pos = state.layout[a.name] || { x: 20, y: 20 };
 
-        return `<div class="activity-box status-${statusCss} ${isSelected ? 'selected' : ''}"
+        return `<div class="activity-box status-${statusCss} ${isSelected ? 'selected' : ''} ${isPaused ? 'paused-here' : ''} ${a.seeded ? 'seeded' : ''}"
                      style="left:${pos.x}px;top:${pos.y}px;"
                      data-name="${esc(a.name)}">
             <div class="activity-header">
+                ${renderBreakpointToggle(a.name)}
                 <span class="activity-type-label">${esc(a.type || '-')}</span>
             </div>
             <div class="activity-body">
@@ -548,14 +679,35 @@
             const snapshotBtn = state.snapshots.has(name)
                 ? `<button class="btn-view-snapshot" data-snap="${esc(name)}" title="Re-open notebook snapshot">View Notebook</button>`
                 : '';
+            const detached = state.detachedRuns[name];
+            const runBtn = detached
+                ? `<button class="btn-view-run" data-run="${esc(detached.runId)}" title="Background run of ${esc(detached.pipelineName)}: ${esc(detached.status)}">View Run (${esc(detached.status)})</button>`
+                : '';
+            const attemptLabel = (a?.attempt > 1 ? ` (attempt ${a.attempt})` : (a?.seeded ? ' (previous run)' : '')) + (a?.mocked ? ' (mocked)' : '');
             rows.push(`<tr class="list-row" data-name="${esc(name)}">
-                <td class="list-name">${esc(name)}${errorHint}</td>
+                <td class="list-name">${renderBreakpointToggle(name)}${esc(name)}${esc(attemptLabel)}${errorHint}</td>
                 <td>${esc(type)}</td>
                 <td><span class="status-dot status-dot-${statusCss}"></span> ${esc(status)}</td>
                 <td>${esc(start)}</td>
-                <td>${esc(dur)}${snapshotBtn}</td>
+                <td>${esc(dur)}${snapshotBtn}${runBtn}</td>
             </tr>`);
 
+            // Earlier failed attempts (policy.retry), most recent first as in Synapse monitoring
+            for (const r of [...(a?.retries ?? [])].reverse()) {
+                const rStart = r.startTime ? new Date(r.startTime).toLocaleTimeString() : '-';
+                const rDur   = r.durationMs != null ? formatDuration(r.durationMs) : '-';
+                const rError = r.error
+                    ? `<div class="list-error-hint">${esc(r.error.length > 72 ? r.error.slice(0, 72) + '\u2026' : r.error)}</div>`
+                    : '';
+                rows.push(`<tr class="list-row list-row-child">
+                    <td class="list-name list-name-child">\u21bb ${esc(name)} (attempt ${r.attempt})${rError}</td>
+                    <td>${esc(type)}</td>
+                    <td><span class="status-dot status-dot-failed"></span> Failed</td>
+                    <td>${esc(rStart)}</td>
+                    <td>${esc(rDur)}</td>
+                </tr>`);
+            }
+
             // ForEach / Until iteration sub-rows
             const iters = state.iterationRuns.filter(r => r.parentActivity === name);
             for (const ir of iters) {
@@ -570,7 +722,7 @@
                         data-name="${esc(ir.name)}"
                         data-iter-parent="${esc(ir.parentActivity)}"
                         data-iteration="${ir.iteration}">
-                    <td class="list-name list-name-child">\u21b3 ${esc(ir.name)} [${esc(ir.branchLabel ?? String(ir.iteration))}]${iErrorHint}</td>
+                    <td class="list-name list-name-child">\u21b3 ${esc(ir.name)} [${esc(ir.branchLabel ?? String(ir.iteration))}]${ir.mocked ? ' (mocked)' : ''}${iErrorHint}</td>
                     <td>${esc(ir.type ?? '-')}</td>
                     <td><span class="status-dot status-dot-${iStatusCss}"></span> ${esc(iStatus)}</td>
                     <td>${esc(iStart)}</td>
@@ -593,6 +745,64 @@
         </div>`;
     }
 
+    // --- Debugger -------------------------------------------------------------
+    // Breakpoint dots are only offered in debug runs; a plain run ignores breakpoints.
+    function renderBreakpointToggle(name) {
+        const on = state.breakpoints.has(name);
+        if (!state.debug && !on) return '';
+        return `<span class="bp-toggle ${on ? 'on' : ''}" data-bp="${esc(name)}"
+                      title="${on ? 'Remove breakpoint' : 'Add breakpoint'}">\u25cf</span>`;
+    }
+
+    function renderDebugBar() {
+        const p = state.paused;
+        if (!p) {
+            return state.debug && state.pipelineStatus === 'Running'
+                ? `<div class="debug-bar"><span class="debug-bar-label">\u25b6 Debugging \u2014 running to the next breakpoint</span></div>`
+                : '';
+        }
+        const where = p.scope !== state.pipelineName ? ` in ${esc(p.scope)}` : '';
+        const otherOutputs = Object.keys(p.activityOutputs || {}).filter(n => n !== p.activityName);
+        const variables    = Object.keys(p.variables || {});
+        return `<div class="debug-bar paused">
+                <span class="debug-bar-label">\u23f8 Paused before <b>${esc(p.activityName)}</b>${where}</span>
+                <button class="btn" id="btn-debug-continue" title="Run to the next breakpoint">\u25b6 Continue</button>
+                <button class="btn btn-secondary" id="btn-debug-step" title="Run this activity and pause before the next one">\u21b7 Step</button>
+                <button class="btn btn-secondary" id="btn-debug-skip" title="Don't run this activity; mark it Succeeded with the output set below">\u21e5 Skip</button>
+            </div>
+            <div class="debug-inspector">
+                ${state.debugError ? `<div class="debug-error">${esc(state.debugError)}</div>` : ''}
+                <div class="debug-section-title">Variables</div>
+                ${variables.map(n => renderDebugField('variable', n, p.variables[n])).join('') || `<div class="debug-empty">No variables</div>`}
+                <div class="debug-section-title">Activity outputs</div>
+                ${renderDebugField('output', p.activityName, p.activityOutputs?.[p.activityName] ?? null, 'used if skipped')}
+                ${otherOutputs.map(n => renderDebugField('output', n, p.activityOutputs[n])).join('')}
+            </div>`;
+    }
+
+    function renderDebugField(kind, name, value, hint) {
+        const key  = `${kind}:${name}`;
+        const text = state.debugDrafts[key] ?? JSON.stringify(value ?? null, null, 2);
+        return `<div class="debug-field">
+            <label class="debug-field-name" title="${esc(name)}">${esc(name)}${hint ? ` <span class="debug-field-hint">(${esc(hint)})</span>` : ''}</label>
+            <textarea class="debug-value" data-key="${esc(key)}" rows="${Math.min(6, text.split('\n').length)}" spellcheck="false">${esc(text)}</textarea>
+            <button class="btn btn-secondary debug-apply" data-kind="${kind}" data-name="${esc(name)}">Set</button>
+        </div>`;
+    }
+
+    // Inspector values are JSON; returns undefined (and shows the error) when the text doesn't parse
+    function parseDraft(name, text) {
+        try {
+            const value = JSON.parse(text);
+            state.debugError = null;
+            return value;
+        } catch (err) {
+            state.debugError = `${name}: not valid JSON (${err.message})`;
+            render();
+            return undefined;
+        }
+    }
+
     // --- Iteration child detail panel -----------------------------------------
     function renderIterRunPanel(ir) {
         const dur = ir.durationMs != null ? formatDuration(ir.durationMs) : (ir.status === 'Running' ? 'Running...' : '-');
@@ -633,6 +843,7 @@
             ['Ended',    a.endTime   ? new Date(a.endTime).toLocaleTimeString()   : '-'],
             ['Duration', dur],
         ];
+        if (a.attempt > 1) rows.push(['Attempt', String(a.attempt)]);
         let html = `<div class="property-grid">
             ${rows.map(([k, v]) => `<div class="property-label">${esc(k)}</div><div class="property-value">${esc(v)}</div>`).join('')}
         </div>`;
@@ -647,6 +858,7 @@
             ${a.error           ? `<button class="btn btn-secondary" id="btn-view-error">Error \u2191</button>`   : ''}
             <button class="btn btn-secondary" id="btn-view-details">Details \u2191</button>
             ${state.snapshots.has(a.name) ? `<button class="btn btn-primary" id="btn-view-snapshot" data-snap="${esc(a.name)}">View Notebook</button>` : ''}
+            ${state.detachedRuns[a.name] ? `<button class="btn btn-primary" id="btn-view-bg-run" data-run="${esc(state.detachedRuns[a.name].runId)}">View Background Run</button>` : ''}
         </div>`;
         return html;
     }
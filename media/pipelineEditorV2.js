@@ -28,6 +28,7 @@ let connections = [];
 let selectedActivity = null;
 let isDirty = false;
 let currentFilePath = null;
+let breakpointNames = new Set();  // activities with a local debug-run breakpoint (any nesting level)
 // Sub-canvas navigation stack. Each frame: { activities, connections, parentActivity, branchKey, caseIndex, breadcrumbLabel }
 let canvasStack = [];
 
@@ -463,6 +464,7 @@ class Activity {
         el.style.top = this.y + 'px';
         el.style.setProperty('--activity-color', this.color);
         el.dataset.activityId = this.id;
+        if (breakpointNames.has(this.name)) el.classList.add('has-breakpoint');
 
         // Header
         const header = document.createElement('div');
@@ -609,6 +611,7 @@ class Activity {
     refreshNameLabel() {
         const el = this.element?.querySelector('.activity-label');
         if (el) el.textContent = this.name;
+        this.element?.classList.toggle('has-breakpoint', breakpointNames.has(this.name));
     }
 
     refreshState() {
@@ -987,6 +990,15 @@ function setupContextMenu() {
                 showProperties(null);
                 markAsDirty();
                 draw();
+            } else if (action === 'toggleBreakpoint' && selectedActivity) {
+                // Breakpoints live in the extension (shared with the Local Run view); it echoes the new set back
+                vscode.postMessage({ type: 'toggleBreakpoint', activityName: selectedActivity.name });
+            } else if ((action === 'debugUntilHere' || action === 'runFromHere') && selectedActivity) {
+                if (canvasStack.length > 0) {
+                    vscode.postMessage({ type: 'error', text: 'Partial runs can only start or stop at a top-level activity.' });
+                    return;
+                }
+                vscode.postMessage({ type: 'partialRun', mode: action === 'debugUntilHere' ? 'until' : 'from', activityName: selectedActivity.name });
             }
         });
     });
@@ -1027,6 +1039,10 @@ function setupContextMenu() {
     });
 }
 
+function refreshBreakpointMarkers() {
+    for (const a of activities) a.element?.classList.toggle('has-breakpoint', breakpointNames.has(a.name));
+}
+
 function showContextMenu(x, y) {
     const menu = document.getElementById('contextMenu');
     menu.style.left = x + 'px';
@@ -3587,9 +3603,15 @@ window.addEventListener('message', event => {
 
     if (msg.type === 'loadPipeline') {
         currentFilePath = msg.filePath || null;
+        breakpointNames = new Set(msg.breakpoints || []);
         loadPipelineFromJson(msg.data, msg.flatActivities);
     }
 
+    if (msg.type === 'breakpoints') {
+        breakpointNames = new Set(msg.names || []);
+        refreshBreakpointMarkers();
+    }
+
     if (msg.type === 'saveResult') {
         const saveBtn = document.getElementById('saveBtn');
         saveBtn.disabled = false;
@@ -36,6 +36,8 @@
         const actErr   = result.activityErrors ?? {};
         const actNames = Object.keys(actErr);
         const totalActivityErrs = actNames.reduce((s, k) => s + actErr[k].length, 0);
+        const actWarn  = result.activityWarnings ?? {};
+        const totalWarnings = Object.values(actWarn).reduce((s, w) => s + w.length, 0);
 
         app.innerHTML = `
             <div class="header">
@@ -54,18 +56,33 @@
                     Activity error${totalActivityErrs !== 1 ? 's' : ''}
                     ${actNames.length > 0 ? `across ${actNames.length} activity${actNames.length !== 1 ? ' groups' : ''}` : ''}
                 </div>
+                ${totalWarnings > 0 ? `<div class="summary-stat">
+                    <span class="badge warn">${totalWarnings}</span>
+                    Warning${totalWarnings !== 1 ? 's' : ''}
+                </div>` : ''}
                 ${totalErrors === 0
                     ? `<div class="summary-stat" style="color:#4caf50; font-weight:600;">✔ All checks passed</div>`
                     : `<div class="summary-stat"><span class="badge error">${totalErrors}</span> total</div>`}
             </div>
 
-            <div class="content">${totalErrors === 0 ? renderValid() : renderErrors(pipeErr, actErr, actNames)}</div>
+            <div class="content">
+                ${totalErrors === 0 ? renderValid() : renderErrors(pipeErr, actErr, actNames)}
+                ${renderWarnings(actWarn)}
+            </div>
         `;
 
         document.getElementById('btn-revalidate').addEventListener('click', () => {
             vscode.postMessage({ command: 'revalidate' });
         });
 
+        // "Go to activity" links select the activity in the pipeline JSON
+        document.querySelectorAll('.goto-activity').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.stopPropagation(); // don't collapse the group
+                vscode.postMessage({ command: 'revealActivity', activityName: link.dataset.name });
+            });
+        });
+
         // Collapsible groups
         document.querySelectorAll('.error-group-header').forEach(header => {
             header.addEventListener('click', () => {
@@ -129,6 +146,27 @@
         return html;
     }
 
+    // Known-unsafe patterns: reported per activity but never block a run
+    function renderWarnings(actWarn) {
+        return Object.entries(actWarn).map(([name, warns]) => `<div class="error-group warning-group">
+            <div class="error-group-header">
+                <span class="warning-icon">⚠</span>
+                ${esc(name)} —
+                <span style="color:var(--vscode-descriptionForeground);font-weight:400">
+                    ${warns.length} warning${warns.length !== 1 ? 's' : ''}
+                </span>
+                <a class="goto-activity" data-name="${esc(name)}" title="Show in pipeline JSON">Go to activity</a>
+                <span class="chevron">▼</span>
+            </div>
+            <div class="error-group-body">
+                ${warns.map(msg => `<div class="error-row">
+                    <span class="error-bullet warning-icon">●</span>
+                    <span class="error-text">${esc(msg)}</span>
+                </div>`).join('')}
+            </div>
+        </div>`).join('');
+    }
+
     function esc(s) {
         return String(s)
             .replace(/&/g, '&amp;')
@@ -4,17 +4,29 @@
 //
 // Supported linked service types: AzureBlobFS (ADLS Gen2), AzureBlobStorage.
 // Returns null for SQL-based or unsupported linked service types.
+//
+// Custom endpoints (sovereign clouds, private endpoints, Azurite) and literal credentials
+// (accountKey, sasUri / sasToken, connectionString) are passed through for ADLSRestClient.
+// Key Vault secret references are not resolved here; those fall back to az login.
+//
+// Parameterized datasets and linked services: dataset() / linkedService() expressions are
+// evaluated with the reference's parameters over the declared defaults (see applyParameters).
 
 const fs   = require('fs');
 const path = require('path');
+const { parseConnectionString } = require('../adlsRestClient');
+const { evaluate, isExpression } = require('./expressionEvaluator');
 
 /**
  * @typedef {{
  *   isAdls: boolean,
+ *   linkedServiceName: string,
  *   storageAccount: string|null,
  *   container: string|null,
  *   folderPath: string|null,
  *   fileName: string|null,
+ *   endpoint: string|null,
+ *   auth: { connectionString?: string, accountKey?: string, sasToken?: string }|null,
  * }} DatasetLocation
  */
 
@@ -24,9 +36,11 @@ const path = require('path');
  * @param {string} datasetName
  * @param {string} workspaceRoot  absolute path to workspace Documents folder
  * @param {string} [extensionPath]  optional path to the extension folder (also searched for linkedService/)
+ * @param {object} [parameters]  dataset parameter values from the activity's dataset reference (already evaluated)
  * @returns {DatasetLocation|null}  null if unsupported, missing, or unparseable
+ * @throws {Error} when a dataset or linked service parameter has neither a value nor a default
  */
-function resolveDatasetToAdls(datasetName, workspaceRoot, extensionPath) {
+function resolveDatasetToAdls(datasetName, workspaceRoot, extensionPath, parameters = {}) {
     if (!datasetName || !workspaceRoot) return null;
 
     // ── Read dataset JSON ─────────────────────────────────────────────────────
@@ -36,6 +50,7 @@ function resolveDatasetToAdls(datasetName, workspaceRoot, extensionPath) {
     let dataset;
     try { dataset = JSON.parse(fs.readFileSync(dsFile, 'utf8')); }
     catch { return null; }
+    dataset = applyParameters(dataset, 'dataset', parameters);
 
     const dsProps  = dataset.properties   || {};
     const location = dsProps.typeProperties?.location || {};
@@ -51,47 +66,87 @@ function resolveDatasetToAdls(datasetName, workspaceRoot, extensionPath) {
         catch { /* try next location */ }
     }
     if (!ls) return null;
+    ls = applyParameters(ls, 'linkedService', dsProps.linkedServiceName.parameters);
 
     const lsType  = ls.properties?.type;
     const lsProps = ls.properties?.typeProperties || {};
 
     // ── ADLS Gen2 (AzureBlobFS) ───────────────────────────────────────────────
     if (lsType === 'AzureBlobFS') {
-        const url = lsProps.url || lsProps.endpoint || '';
-        const m   = url.match(/https?:\/\/([^.]+)\.dfs\.core\.windows\.net/);
+        const url  = lsProps.url || lsProps.endpoint || (_literal(lsProps.sasUri) ?? '').split('?')[0];
+        const auth = _literalAuth(lsProps);
         return {
             isAdls:         true,
-            storageAccount: m?.[1] ?? null,
+            linkedServiceName: lsName,
+            storageAccount: _accountFromUrl(url),
             container:      location.fileSystem  ?? null,
             folderPath:     location.folderPath  ?? null,
             fileName:       location.fileName    ?? null,
+            endpoint:       _customEndpoint(url, /^https:\/\/[^./]+\.dfs\.core\.windows\.net\/?$/i),
+            auth,
         };
     }
 
     // ── Azure Blob Storage ────────────────────────────────────────────────────
     if (lsType === 'AzureBlobStorage') {
-        let acct = null;
-        const rawConn = lsProps.connectionString?.value ?? lsProps.connectionString ?? '';
-        const m1 = String(rawConn).match(/AccountName=([^;]+)/i);
-        if (m1) {
-            acct = m1[1];
-        } else {
-            const svcUrl = lsProps.serviceEndpoint ?? '';
-            const m2 = svcUrl.match(/https?:\/\/([^.]+)\./);
-            if (m2) acct = m2[1];
-        }
+        const auth    = _literalAuth(lsProps);
+        const rawConn = _literal(lsProps.connectionString) ?? '';
+        const svcUrl  = lsProps.serviceEndpoint ?? (_literal(lsProps.sasUri) ?? '').split('?')[0];
+        const acct    = (rawConn && parseConnectionString(rawConn).accountName) || _accountFromUrl(svcUrl);
         return {
             isAdls:         false,
+            linkedServiceName: lsName,
             storageAccount: acct,
             container:      location.container  ?? location.fileSystem ?? null,
             folderPath:     location.folderPath ?? null,
             fileName:       location.fileName   ?? null,
+            endpoint:       _customEndpoint(svcUrl, /^https:\/\/[^./]+\.blob\.core\.windows\.net\/?$/i),
+            auth,
         };
     }
 
     return null; // Not an ADLS/Blob linked service (e.g., SQL, REST, etc.)
 }
 
+/**
+ * Resolve a dataset's or linked service's parameters: declared defaults overridden by the supplied
+ * values, then substituted into every dataset() / linkedService() expression of its typeProperties
+ * (and, for datasets, of the parameters passed on to the linked service).
+ * @param {object} resource  dataset or linked service JSON
+ * @param {'dataset'|'linkedService'} scope
+ * @param {object} [supplied]  { name: value } from the referencing activity / dataset, already evaluated
+ * @returns {object}  a copy of resource with the expressions replaced by their values
+ * @throws {Error} when a declared parameter has neither a supplied value nor a default
+ */
+function applyParameters(resource, scope, supplied = {}) {
+    const props  = resource?.properties ?? {};
+    const values = {};
+    for (const [name, def] of Object.entries(props.parameters ?? {})) {
+        if (supplied?.[name] !== undefined)  values[name] = supplied[name];
+        else if (def?.defaultValue !== undefined) values[name] = def.defaultValue;
+        else {
+            const kind = scope === 'dataset' ? 'Dataset' : 'Linked service';
+            throw new Error(`${kind} "${resource.name}" parameter "${name}" has no value: pass it in the ${scope} reference or give it a default value.`);
+        }
+    }
+    const context = { [scope]: values };
+    const resolved = { ...props, typeProperties: _evalDeep(props.typeProperties ?? {}, context) };
+    if (props.linkedServiceName) resolved.linkedServiceName = _evalDeep(props.linkedServiceName, context);
+    return { ...resource, properties: resolved };
+}
+
+// Expressions are strings starting with @ or { value, type: 'Expression' } objects; secrets are left alone
+function _evalDeep(value, context) {
+    if (typeof value === 'string') return isExpression(value) ? evaluate(value, context) : value;
+    if (Array.isArray(value)) return value.map(v => _evalDeep(v, context));
+    if (value && typeof value === 'object') {
+        if (value.type === 'Expression' && typeof value.value === 'string') return evaluate(value.value, context);
+        if (value.type === 'SecureString') return value;
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, _evalDeep(v, context)]));
+    }
+    return value;
+}
+
 /**
  * Builds the full ADLS path for an activity: folderPath/fileName (or just folderPath).
  * @param {DatasetLocation} loc
@@ -102,4 +157,36 @@ function buildAdlsPath(loc) {
     return parts.join('/');
 }
 
-module.exports = { resolveDatasetToAdls, buildAdlsPath };
+// Account name from https://<account>.dfs.<suffix> or path-style http://127.0.0.1:10000/<account>
+function _accountFromUrl(url) {
+    const m = String(url).match(/^https?:\/\/([^/:]+)(?::\d+)?(?:\/([^/?]+))?/i);
+    if (!m) return null;
+    const isLocalHost = /^(127\.0\.0\.1|localhost|\[::1\])$/i.test(m[1]) || /^\d+\.\d+\.\d+\.\d+$/.test(m[1]);
+    return isLocalHost ? (m[2] ?? null) : m[1].split('.')[0];
+}
+
+// The endpoint URL when it is not the public-cloud default (which ADLSRestClient derives itself)
+function _customEndpoint(url, publicDefault) {
+    if (!url || publicDefault.test(url)) return null;
+    return String(url).split('?')[0].replace(/\/+$/, '');
+}
+
+function _literal(value) {
+    if (typeof value === 'string') return value || null;
+    if (value?.type === 'SecureString' && typeof value.value === 'string') return value.value;
+    return null; // Key Vault references and expressions
+}
+
+function _literalAuth(lsProps) {
+    const auth = {};
+    const connectionString = _literal(lsProps.connectionString);
+    const accountKey       = _literal(lsProps.accountKey);
+    const sasUri           = _literal(lsProps.sasUri);
+    const sasToken         = _literal(lsProps.sasToken) ?? (sasUri?.includes('?') ? sasUri.slice(sasUri.indexOf('?') + 1) : null);
+    if (connectionString) auth.connectionString = connectionString;
+    if (accountKey)       auth.accountKey = accountKey;
+    if (sasToken)         auth.sasToken = sasToken;
+    return Object.keys(auth).length > 0 ? auth : null;
+}
+
+module.exports = { resolveDatasetToAdls, buildAdlsPath, applyParameters };
@@ -0,0 +1,359 @@
+'use strict';
+// dateTime.js — timestamp parsing, arithmetic and .NET-style formatting for the
+// ADF date/time expression functions (utcNow, formatDateTime, addDays, ...).
+//
+// ADF evaluates date functions with .NET semantics, so output must follow the
+// .NET custom and standard DateTime format strings with the invariant culture.
+//
+// A timestamp is represented as:
+//   {
+//     wallMs:        number  — wall-clock time encoded as a UTC epoch (read with getUTC*)
+//     subTicks:      number  — 100ns ticks below the millisecond (0..9999), keeps 7-digit precision
+//     kind:          'utc' | 'unspecified' | 'offset'
+//     offsetMinutes: number  — offset of wallMs from UTC (0 unless kind === 'offset')
+//   }
+// 'unspecified' mirrors .NET DateTimeKind.Unspecified: no zone suffix is written.
+// Zone conversions (convertFromUtc, convertTimeZone) yield 'unspecified' local wall-clock
+// times, exactly as ADF does.
+
+const { resolveTimeZone } = require('./timeZones');
+
+const DAY_NAMES   = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+                     'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Standard (single-character) format strings → equivalent custom pattern (invariant culture).
+// toUtc: the value is converted to UTC before formatting (as .NET does for r, u and U).
+const STANDARD_FORMATS = {
+    d: { pattern: 'MM/dd/yyyy' },
+    D: { pattern: 'dddd, dd MMMM yyyy' },
+    f: { pattern: 'dddd, dd MMMM yyyy HH:mm' },
+    F: { pattern: 'dddd, dd MMMM yyyy HH:mm:ss' },
+    g: { pattern: 'MM/dd/yyyy HH:mm' },
+    G: { pattern: 'MM/dd/yyyy HH:mm:ss' },
+    m: { pattern: 'MMMM dd' },
+    M: { pattern: 'MMMM dd' },
+    o: { pattern: "yyyy'-'MM'-'dd'T'HH':'mm':'ss'.'fffffffK" },
+    O: { pattern: "yyyy'-'MM'-'dd'T'HH':'mm':'ss'.'fffffffK" },
+    r: { pattern: "ddd, dd MMM yyyy HH':'mm':'ss 'GMT'", toUtc: true },
+    R: { pattern: "ddd, dd MMM yyyy HH':'mm':'ss 'GMT'", toUtc: true },
+    s: { pattern: "yyyy'-'MM'-'dd'T'HH':'mm':'ss" },
+    t: { pattern: 'HH:mm' },
+    T: { pattern: 'HH:mm:ss' },
+    u: { pattern: "yyyy'-'MM'-'dd HH':'mm':'ss'Z'", toUtc: true },
+    U: { pattern: 'dddd, dd MMMM yyyy HH:mm:ss', toUtc: true },
+    y: { pattern: 'yyyy MMMM' },
+    Y: { pattern: 'yyyy MMMM' },
+};
+
+const DEFAULT_FORMAT = 'o';
+
+// Time units accepted by addToTime / subtractFromTime / getFutureTime / getPastTime.
+const UNIT_MS = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour:   60 * 60 * 1000,
+    day:    24 * 60 * 60 * 1000,
+    week:   7 * 24 * 60 * 60 * 1000,
+};
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+const ISO_RE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+/**
+ * Parse an ADF timestamp string (ISO 8601 or any Date-parseable string).
+ * Offsets are normalised to UTC; strings without a zone keep kind 'unspecified'.
+ * @param {string|Date} value
+ * @returns {object} timestamp (see header)
+ */
+function parseTimestamp(value) {
+    if (value instanceof Date) {
+        if (isNaN(value)) throw new Error('Invalid timestamp');
+        return { wallMs: value.getTime(), subTicks: 0, kind: 'utc', offsetMinutes: 0 };
+    }
+    const s = String(value ?? '').trim();
+    const m = ISO_RE.exec(s);
+    if (m) {
+        const frac     = (m[7] || '').slice(0, 7).padEnd(7, '0');
+        const fracTick = parseInt(frac, 10);
+        let wallMs = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), Math.floor(fracTick / 10000));
+        if (isNaN(wallMs)) throw new Error(`Invalid timestamp "${s}"`);
+        const zone = m[8];
+        if (!zone) return { wallMs, subTicks: fracTick % 10000, kind: 'unspecified', offsetMinutes: 0 };
+        if (zone.toUpperCase() !== 'Z') {
+            const sign = zone[0] === '-' ? -1 : 1;
+            const digits = zone.slice(1).replace(':', '');
+            const offset = sign * (parseInt(digits.slice(0, 2), 10) * 60 + parseInt(digits.slice(2) || '0', 10));
+            wallMs -= offset * 60000;
+        }
+        return { wallMs, subTicks: fracTick % 10000, kind: 'utc', offsetMinutes: 0 };
+    }
+
+    // Fallback for formats like "03/15/2018 13:00" — interpret as UTC unless a zone is given
+    const d = new Date(s);
+    if (!s || isNaN(d)) throw new Error(`Invalid timestamp "${s}"`);
+    const hasZone = /(?:Z|GMT|UTC|[+-]\d{2}:?\d{2})\s*$/i.test(s);
+    const wallMs  = hasZone ? d.getTime() : Date.UTC(
+        d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds(), d.getMilliseconds()
+    );
+    return { wallMs, subTicks: 0, kind: hasZone ? 'utc' : 'unspecified', offsetMinutes: 0 };
+}
+
+/** Current UTC time as a timestamp. */
+function now() {
+    return { wallMs: Date.now(), subTicks: 0, kind: 'utc', offsetMinutes: 0 };
+}
+
+/** The UTC instant (epoch ms) a timestamp refers to. */
+function toEpochMs(ts) {
+    return ts.wallMs - ts.offsetMinutes * 60000;
+}
+
+/** Convert a timestamp to kind 'utc', preserving the instant. */
+function toUtc(ts) {
+    return { wallMs: toEpochMs(ts), subTicks: ts.subTicks, kind: 'utc', offsetMinutes: 0 };
+}
+
+// ─── Arithmetic ───────────────────────────────────────────────────────────────
+
+/**
+ * Add `amount` of `unit` (Second, Minute, Hour, Day, Week, Month, Year — case-insensitive,
+ * plural accepted) to a timestamp. Month/Year clamp the day like .NET AddMonths.
+ */
+function addUnits(ts, amount, unit) {
+    const n = Number(amount);
+    if (!Number.isFinite(n)) throw new Error(`Invalid interval "${amount}"`);
+    const u = String(unit || '').toLowerCase().replace(/s$/, '');
+    if (UNIT_MS[u] !== undefined) {
+        return { ...ts, wallMs: ts.wallMs + Math.round(n * UNIT_MS[u]) };
+    }
+    if (u === 'month' || u === 'year') {
+        if (!Number.isInteger(n)) throw new Error(`${unit} interval must be an integer (got ${amount})`);
+        return { ...ts, wallMs: _addMonths(ts.wallMs, u === 'year' ? n * 12 : n) };
+    }
+    throw new Error(`Unsupported time unit "${unit}". Use Second, Minute, Hour, Day, Week, Month or Year.`);
+}
+
+function _addMonths(wallMs, months) {
+    const d = new Date(wallMs);
+    const total   = d.getUTCFullYear() * 12 + d.getUTCMonth() + months;
+    const year    = Math.floor(total / 12);
+    const month   = total - year * 12;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const day     = Math.min(d.getUTCDate(), lastDay);
+    return Date.UTC(year, month, day, d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds());
+}
+
+// ─── Calendar helpers ─────────────────────────────────────────────────────────
+
+const START_OF = {
+    day:   d => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()),
+    hour:  d => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours()),
+    month: d => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1),
+};
+
+/** Truncate a timestamp to the start of its 'day', 'hour' or 'month' (wall clock, kind kept). */
+function startOf(ts, unit) {
+    return { ...ts, wallMs: START_OF[unit](new Date(ts.wallMs)), subTicks: 0 };
+}
+
+/** Day of week, 0 = Sunday (as .NET DayOfWeek). */
+function dayOfWeek(ts) {
+    return new Date(ts.wallMs).getUTCDay();
+}
+
+function dayOfMonth(ts) {
+    return new Date(ts.wallMs).getUTCDate();
+}
+
+/** Day of year, 1-based. */
+function dayOfYear(ts) {
+    const yearStart = Date.UTC(new Date(ts.wallMs).getUTCFullYear(), 0, 1);
+    return Math.floor((ts.wallMs - yearStart) / UNIT_MS.day) + 1;
+}
+
+// ─── Time zones ───────────────────────────────────────────────────────────────
+
+const _zoneFormatters = new Map();
+
+/** Offset (minutes east of UTC) of an IANA zone at a UTC instant. */
+function _zoneOffsetMinutes(iana, epochMs) {
+    let fmt = _zoneFormatters.get(iana);
+    if (!fmt) {
+        fmt = new Intl.DateTimeFormat('en-US', {
+            timeZone: iana, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric',
+        });
+        _zoneFormatters.set(iana, fmt);
+    }
+    const p = {};
+    for (const part of fmt.formatToParts(new Date(epochMs))) p[part.type] = part.value;
+    const wall = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    return Math.round((wall - Math.floor(epochMs / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a timestamp to local wall-clock time in `zoneName` (Windows or IANA name).
+ * Timestamps without a zone are taken to be UTC. Result kind is 'unspecified'.
+ */
+function fromUtc(ts, zoneName) {
+    const iana    = resolveTimeZone(zoneName);
+    const instant = toEpochMs(ts);
+    return { wallMs: instant + _zoneOffsetMinutes(iana, instant) * 60000, subTicks: ts.subTicks, kind: 'unspecified', offsetMinutes: 0 };
+}
+
+/**
+ * Interpret the timestamp's wall-clock time as local time in `zoneName` and convert it to UTC.
+ * Any zone already on the timestamp is ignored, matching ADF's convertToUtc.
+ */
+function toUtcFromZone(ts, zoneName) {
+    const iana = resolveTimeZone(zoneName);
+    // Two passes settle on the right offset on either side of a DST transition
+    let instant = ts.wallMs - _zoneOffsetMinutes(iana, ts.wallMs) * 60000;
+    instant     = ts.wallMs - _zoneOffsetMinutes(iana, instant) * 60000;
+    return { wallMs: instant, subTicks: ts.subTicks, kind: 'utc', offsetMinutes: 0 };
+}
+
+// ─── Formatting ───────────────────────────────────────────────────────────────
+
+/**
+ * Format a timestamp with a .NET standard ("o", "u", "D", ...) or custom
+ * ("yyyy/MM/dd HH:mm") format string. Defaults to "o" (round-trip ISO 8601).
+ * @throws {Error} when the format string is not valid .NET syntax
+ */
+function formatTimestamp(ts, format) {
+    let pattern = (format === undefined || format === null || format === '') ? DEFAULT_FORMAT : String(format);
+    if (pattern.length === 1) {
+        const std = STANDARD_FORMATS[pattern];
+        if (!std) throw new Error(`Invalid standard date/time format string "${pattern}"`);
+        if (std.toUtc) ts = toUtc(ts);
+        pattern = std.pattern;
+    }
+    return _formatCustom(ts, pattern);
+}
+
+function _formatCustom(ts, pattern) {
+    const d = new Date(ts.wallMs);
+    const fields = {
+        year:   d.getUTCFullYear(),
+        month:  d.getUTCMonth(),
+        day:    d.getUTCDate(),
+        dow:    d.getUTCDay(),
+        hour:   d.getUTCHours(),
+        minute: d.getUTCMinutes(),
+        second: d.getUTCSeconds(),
+        // 7-digit fraction of a second in 100ns ticks
+        ticks:  d.getUTCMilliseconds() * 10000 + (ts.subTicks || 0),
+    };
+
+    let out = '';
+    let i = 0;
+    while (i < pattern.length) {
+        const c = pattern[i];
+
+        // Quoted literal
+        if (c === "'" || c === '"') {
+            const end = pattern.indexOf(c, i + 1);
+            if (end < 0) throw new Error(`Unterminated quoted string in format "${pattern}"`);
+            out += pattern.slice(i + 1, end);
+            i = end + 1;
+            continue;
+        }
+        // Escaped character
+        if (c === '\\') {
+            if (i + 1 >= pattern.length) throw new Error(`Format "${pattern}" ends with an escape character`);
+            out += pattern[i + 1];
+            i += 2;
+            continue;
+        }
+        // %x — single custom specifier
+        if (c === '%') {
+            if (i + 1 >= pattern.length || pattern[i + 1] === '%') throw new Error(`Invalid "%" in format "${pattern}"`);
+            out += _formatSpecifier(pattern[i + 1], 1, fields, ts);
+            i += 2;
+            continue;
+        }
+
+        let count = 1;
+        while (pattern[i + count] === c) count++;
+        if ('dfFghHKmMstyz'.includes(c)) {
+            const piece = _formatSpecifier(c, count, fields, ts);
+            // .NET drops a '.' immediately before an all-zero F fraction
+            if (c === 'F' && piece === '' && out.endsWith('.')) out = out.slice(0, -1);
+            out += piece;
+        } else {
+            out += c.repeat(count);
+        }
+        i += count;
+    }
+    return out;
+}
+
+function _formatSpecifier(c, count, f, ts) {
+    switch (c) {
+        case 'd':
+            if (count === 1) return String(f.day);
+            if (count === 2) return _pad(f.day, 2);
+            if (count === 3) return DAY_NAMES[f.dow].slice(0, 3);
+            return DAY_NAMES[f.dow];
+        case 'f':
+        case 'F': {
+            if (count > 7) throw new Error('Too many fraction specifiers in format (max 7)');
+            const digits = _pad(f.ticks, 7).slice(0, count);
+            return c === 'f' ? digits : digits.replace(/0+$/, '');
+        }
+        case 'g':
+            return 'A.D.';
+        case 'h': {
+            const h12 = f.hour % 12 || 12;
+            return count === 1 ? String(h12) : _pad(h12, 2);
+        }
+        case 'H':
+            return count === 1 ? String(f.hour) : _pad(f.hour, 2);
+        case 'K':
+            if (ts.kind === 'utc') return 'Z';
+            if (ts.kind === 'offset') return _formatOffset(ts.offsetMinutes, 3);
+            return '';
+        case 'm':
+            return count === 1 ? String(f.minute) : _pad(f.minute, 2);
+        case 'M':
+            if (count === 1) return String(f.month + 1);
+            if (count === 2) return _pad(f.month + 1, 2);
+            if (count === 3) return MONTH_NAMES[f.month].slice(0, 3);
+            return MONTH_NAMES[f.month];
+        case 's':
+            return count === 1 ? String(f.second) : _pad(f.second, 2);
+        case 't': {
+            const ampm = f.hour < 12 ? 'AM' : 'PM';
+            return count === 1 ? ampm[0] : ampm;
+        }
+        case 'y':
+            if (count === 1) return String(f.year % 100);
+            if (count === 2) return _pad(f.year % 100, 2);
+            return _pad(f.year, count);
+        case 'z':
+            return _formatOffset(ts.offsetMinutes || 0, Math.min(count, 3));
+        default:
+            throw new Error(`Unsupported format specifier "${c}"`);
+    }
+}
+
+function _formatOffset(offsetMinutes, count) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const abs  = Math.abs(offsetMinutes);
+    const hh   = Math.floor(abs / 60);
+    if (count === 1) return sign + hh;
+    if (count === 2) return sign + _pad(hh, 2);
+    return `${sign}${_pad(hh, 2)}:${_pad(abs % 60, 2)}`;
+}
+
+function _pad(n, width) {
+    return String(n).padStart(width, '0');
+}
+
+module.exports = {
+    parseTimestamp, formatTimestamp, addUnits, now, toUtc, toEpochMs,
+    startOf, dayOfWeek, dayOfMonth, dayOfYear, fromUtc, toUtcFromZone,
+};
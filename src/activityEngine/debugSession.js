@@ -0,0 +1,140 @@
+'use strict';
+// debugSession.js — breakpoints and step-through control for a local pipeline run.
+//
+// A DebugSession is attached to a LocalPipelineRunner before run() (runner.debugSession) and
+// is shared with every nested scope (ForEach/If/Switch/Until bodies and ExecutePipeline
+// children that wait on completion). Before each activity executes the runner calls
+// checkpoint(); when the activity has a breakpoint — or the user is stepping — the session
+// emits 'paused' and holds the activity until continue(), step(), skip() or stop().
+//
+// Events:
+//   'paused'  { activityName, activityType, pipelineName, scope, variables, activityOutputs, activityStatuses }
+//   'resumed' { activityName, action }   action: 'run' | 'skip' | 'cancel'
+//
+// Breakpoints are kept per pipeline, so an ExecutePipeline child stops at the breakpoints set
+// on its own pipeline. Parallel branches that reach a checkpoint at the same time pause one
+// after another.
+
+const EventEmitter = require('events');
+
+class DebugSession extends EventEmitter {
+    /**
+     * @param {object}  [options]
+     * @param {object}  [options.breakpoints]  { pipelineName: [activityName, ...] } — activities at any
+     *                                         nesting level of that pipeline to pause before
+     * @param {boolean} [options.stepping]     pause before the very first activity
+     */
+    constructor({ breakpoints = {}, stepping = false } = {}) {
+        super();
+        this.breakpoints = new Map();         // pipelineName → Set<activityName>
+        for (const [pipelineName, names] of Object.entries(breakpoints)) this.setBreakpoints(pipelineName, names);
+        this.stepping    = stepping;
+        this._paused     = null;              // { runner, activity, resolve }
+        this._queue      = Promise.resolve(); // serialises concurrent pauses
+        this._stopped    = false;
+    }
+
+    /** Replace a pipeline's breakpoints (e.g. after the user toggles one mid-run). */
+    setBreakpoints(pipelineName, names) {
+        this.breakpoints.set(pipelineName, new Set(names));
+    }
+
+    /** Details of the activity currently held, or null when running. */
+    get paused() {
+        return this._paused ? this._snapshot(this._paused) : null;
+    }
+
+    /**
+     * Called by the runner before an activity executes.
+     * @returns {Promise<'run'|'skip'|'cancel'>}
+     */
+    checkpoint(runner, activity) {
+        if (this._stopped) return Promise.resolve('cancel');
+        if (!this._shouldPause(runner, activity)) return Promise.resolve('run');
+        const turn = this._queue.then(() => this._pause(runner, activity));
+        this._queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /** Resume and run to the next breakpoint. */
+    continue() {
+        this.stepping = false;
+        return this._resume('run');
+    }
+
+    /** Run the held activity, then pause before the next one. */
+    step() {
+        this.stepping = true;
+        return this._resume('run');
+    }
+
+    /**
+     * Don't execute the held activity: it is marked Succeeded with the output set through
+     * setActivityOutput() (if any), so downstream activities still run.
+     */
+    skip() {
+        return this._resume('skip');
+    }
+
+    /** End debugging: the held activity and every later checkpoint report 'cancel'. */
+    stop() {
+        this._stopped = true;
+        return this._resume('cancel');
+    }
+
+    /** Overwrite a pipeline variable while paused. */
+    setVariable(name, value) {
+        if (!this._paused) return false;
+        this._paused.runner.variables[name] = value;
+        return true;
+    }
+
+    /**
+     * Overwrite an activity's output while paused. Setting the held activity's own output
+     * and then calling skip() mocks that activity.
+     */
+    setActivityOutput(name, output) {
+        if (!this._paused) return false;
+        this._paused.runner.activityOutputs[name] = output;
+        return true;
+    }
+
+    _shouldPause(runner, activity) {
+        // Container scopes are named "ForEach1[2]" etc.; breakpoints belong to the enclosing pipeline
+        const pipelineName = runner._runContext?.pipeline?.Pipeline ?? runner.pipelineName;
+        return this.stepping || !!this.breakpoints.get(pipelineName)?.has(activity.name);
+    }
+
+    _pause(runner, activity) {
+        // State may have changed while this branch waited for another pause to end
+        if (this._stopped) return 'cancel';
+        if (!this._shouldPause(runner, activity)) return 'run';
+        return new Promise((resolve) => {
+            this._paused = { runner, activity, resolve };
+            this.emit('paused', this._snapshot(this._paused));
+        });
+    }
+
+    _resume(action) {
+        const held = this._paused;
+        if (!held) return false;
+        this._paused = null;
+        this.emit('resumed', { activityName: held.activity.name, action });
+        held.resolve(action);
+        return true;
+    }
+
+    _snapshot({ runner, activity }) {
+        return {
+            activityName:     activity.name,
+            activityType:     activity.type,
+            pipelineName:     runner._runContext?.pipeline?.Pipeline ?? runner.pipelineName,
+            scope:            runner.pipelineName,  // e.g. "ForEach1[2]" inside a ForEach iteration
+            variables:        runner.variables,
+            activityOutputs:  runner.activityOutputs,
+            activityStatuses: runner.activityStatuses,
+        };
+    }
+}
+
+module.exports = { DebugSession };
@@ -1167,10 +1167,13 @@ const TRANSFORMERS = {
 };
 // ─── Pipeline-level validate ──────────────────────────────────────────────────
 // Validates a raw pipeline JSON object (as read from disk or editor).
-// Returns { pipelineErrors: string[], activityErrors: { activityName: string[] } }
+// Returns { pipelineErrors: string[], activityErrors: { activityName: string[] },
+//           activityWarnings: { activityName: string[] } }
+// Warnings flag known-unsafe patterns; unlike errors they do not block a local run.
 // All checks are driven by config (local-run-config.json) and schemas — no hardcoded per-type logic here.
 
 const localRunConfig = require('../local-run-config.json');
+const { loadGlobalParameters, findGlobalParameterRefs } = require('./globalParameters');
 const path = require('path');
 const fs   = require('fs');
 
@@ -1178,6 +1181,7 @@ function validatePipeline(pipelineJson, workspaceRoot) {
 	const rules = localRunConfig.validationRules;
 	const pipelineErrors = [];
 	const activityErrors = {}; // { activityName: [string] }
+	const activityWarnings = {}; // { activityName: [string] }
 
 	const props = pipelineJson?.properties ?? {};
 	const pipelineName = pipelineJson?.name ?? '(unnamed)';
@@ -1229,13 +1233,26 @@ function validatePipeline(pipelineJson, workspaceRoot) {
 		_validateCrossRefs(rawActivities, workspaceRoot, activityErrors);
 	}
 
+	// ── Global parameter references ───────────────────────────────────────────
+	if (workspaceRoot) {
+		try {
+			const { definitions } = loadGlobalParameters(workspaceRoot);
+			_validateGlobalParameterRefs(rawActivities, definitions, activityErrors);
+		} catch (err) {
+			pipelineErrors.push(err.message);
+		}
+	}
+
 	// ── Nesting depth ─────────────────────────────────────────────────────────
 	const maxDepth = _maxNestingDepth(rawActivities);
 	if (maxDepth > rules.maxNestingDepth) {
 		pipelineErrors.push(`Pipeline activity nesting depth is ${maxDepth} (limit: ${rules.maxNestingDepth}).`);
 	}
 
-	return { pipelineErrors, activityErrors };
+	// ── Unsafe patterns (warnings) ────────────────────────────────────────────
+	_warnParallelVariableWrites(rawActivities, null, activityWarnings);
+
+	return { pipelineErrors, activityErrors, activityWarnings };
 }
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -1403,4 +1420,52 @@ function _validateCrossRefs(rawList, workspaceRoot, activityErrors) {
 	}
 
 	checkActivities(rawList);
-}
\ No newline at end of file
+}
+
+// Flags SetVariable/AppendVariable anywhere inside a parallel ForEach (isSequential not true —
+// parallel is the service default).
+// Pipeline variables are scoped to the pipeline run, so concurrent iterations overwrite each
+// other's values — the service gives no error, the result just depends on timing.
+function _warnParallelVariableWrites(rawList, parallelForEach, activityWarnings) {
+	for (const a of (rawList || [])) {
+		const tp = a.typeProperties || {};
+		if (parallelForEach && (a.type === 'SetVariable' || a.type === 'AppendVariable') && !tp.setSystemVariable) {
+			const varName = typeof tp.variableName === 'string' ? tp.variableName : '(expression)';
+			_addActivityError(activityWarnings, a.name,
+				`${a.type === 'SetVariable' ? 'Sets' : 'Appends to'} variable "${varName}" inside ForEach "${parallelForEach}", ` +
+				'which runs iterations in parallel (isSequential is not true). Iterations share pipeline variables, so concurrent ' +
+				'writes race and the final value depends on timing. Set isSequential: true or move the variable into a child pipeline.');
+		}
+
+		const scope = (a.type === 'ForEach' && tp.isSequential !== true) ? a.name : parallelForEach;
+		for (const key of ['activities', 'ifTrueActivities', 'ifFalseActivities', 'defaultActivities']) {
+			if (Array.isArray(tp[key])) _warnParallelVariableWrites(tp[key], scope, activityWarnings);
+		}
+		for (const c of (tp.cases || [])) _warnParallelVariableWrites(c.activities || [], scope, activityWarnings);
+	}
+}
+
+// Flags pipeline().globalParameters.X references to parameters that are not defined in
+// factory/*.json or global-parameters.json. Names match case-insensitively, as at runtime.
+function _validateGlobalParameterRefs(rawList, definitions, activityErrors) {
+	const defined = new Set(Object.keys(definitions).map(n => n.toLowerCase()));
+	const CONTAINER_KEYS = ['activities', 'ifTrueActivities', 'ifFalseActivities', 'defaultActivities', 'cases'];
+
+	for (const a of (rawList || [])) {
+		// Only this activity's own properties — nested activities are checked on recursion
+		const ownTypeProps = Object.fromEntries(
+			Object.entries(a.typeProperties || {}).filter(([k]) => !CONTAINER_KEYS.includes(k))
+		);
+		for (const name of findGlobalParameterRefs({ ...a, typeProperties: ownTypeProps })) {
+			if (!defined.has(name.toLowerCase())) {
+				_addActivityError(activityErrors, a.name,
+					`References global parameter "${name}" which is not defined in factory/*.json or global-parameters.json.`);
+			}
+		}
+
+		for (const key of ['activities', 'ifTrueActivities', 'ifFalseActivities', 'defaultActivities']) {
+			if (Array.isArray(a.typeProperties?.[key])) _validateGlobalParameterRefs(a.typeProperties[key], definitions, activityErrors);
+		}
+		for (const c of (a.typeProperties?.cases || [])) _validateGlobalParameterRefs(c.activities || [], definitions, activityErrors);
+	}
+}
@@ -3,19 +3,33 @@
 //
 // Accepts:
 //   value      : any (could be a literal, a string starting with @, or an interpolated @{} string)
-//   context    : { parameters, variables, activityOutputs, currentItem, currentItemIndex, runId, pipeline }
+//   context    : { parameters, variables, activityOutputs, activityStatuses, activityRunIds, activityErrors,
+//                  globalParameters, pipelineRun, trigger, currentItem, currentItemIndex, dataset, linkedService }
+//                pipelineRun holds the pipeline() system variables (RunId, Pipeline, TriggerTime, ...)
+//                dataset / linkedService hold the parameter values seen by dataset() / linkedService()
+//                while resolving a parameterized dataset or linked service
 //
 // Returns the evaluated JavaScript value, or the original string if evaluation is not possible.
 // Never throws — failures are surfaced as the string "[EVAL ERROR: <message>]" so the runner can continue.
 //
+// Pipeline: tokenize → parse (recursive descent, builds an AST) → evaluate (walks the AST).
+// Grammar (ADF expression language):
+//   expr       := primary accessor*
+//   primary    := literal | call | identifier
+//   call       := name '(' [expr (',' expr)*] ')'
+//   accessor   := '.' name | '?.' name | '[' expr ']' | '?[' expr ']' | '?.[' expr ']'
+//   literal    := 'string' (quote escaped as '') | number | true | false | null
+//
 // Design principle: evaluation logic is table-driven where possible.
 // Adding a new ADF function = add one entry to FUNCTIONS map.
 
 const runConfig = require('../local-run-config.json');
 const ENABLED_FUNCTIONS = new Set(runConfig.expressionEvaluator.enabledFunctions);
+const dt = require('./dateTime');
+const { parseTimestamp, formatTimestamp, addUnits } = dt;
 
 // ─── Public API ───────────────────────────────────────────────────────────────
-module.exports = { evaluate, isExpression };
+module.exports = { evaluate, isExpression, parse };
 
 /**
  * Returns true when a value is an ADF expression (starts with @ or contains @{}).
@@ -32,211 +46,330 @@ function isExpression(value) {
 function evaluate(value, context) {
     if (!isExpression(value)) return value;
     try {
-        if (value.startsWith('@{') || (!value.startsWith('@@') && value.includes('@{'))) {
-            return evaluateInterpolated(value, context);
-        }
         if (value.startsWith('@@')) {
             // Escaped @ — return literal @ + rest
             return '@' + value.slice(2);
         }
-        // Pure expression: @<expr>
-        return evalExpr(value.slice(1).trim(), context);
+        if (value.startsWith('@') && !value.startsWith('@{')) {
+            // Pure expression: @<expr>
+            return evalNode(parse(value.slice(1)), context || {});
+        }
+        return evaluateInterpolated(value, context || {});
     } catch (e) {
         return `[EVAL ERROR: ${e.message}]`;
     }
 }
 
+/**
+ * Parse a single ADF expression (without the leading @) into an AST.
+ * Throws a SyntaxError describing the first unexpected token.
+ *
+ * Node shapes:
+ *   { type: 'Literal',    value }
+ *   { type: 'Identifier', name }
+ *   { type: 'Call',       name, args: Node[] }
+ *   { type: 'Member',     object: Node, property: string, safe: boolean }
+ *   { type: 'Index',      object: Node, index: Node,      safe: boolean }
+ */
+function parse(expr) {
+    const parser = new Parser(tokenize(String(expr)), expr);
+    const node = parser.parseExpression();
+    parser.expect('eof');
+    return node;
+}
+
 // ─── Interpolated strings ─────────────────────────────────────────────────────
-// Handles strings like "prefix @{expr1} middle @{expr2} suffix"
+// Handles strings like "prefix @{expr1} middle @{expr2} suffix".
+// The closing brace is located by scanning tokens, so '}' inside string
+// literals (e.g. @{concat('{', '}')}) does not end the segment early.
 function evaluateInterpolated(str, context) {
-    return str.replace(/@{([^}]*)}/g, (_, inner) => {
+    let out = '';
+    let i = 0;
+    while (i < str.length) {
+        const start = str.indexOf('@{', i);
+        if (start < 0) { out += str.slice(i); break; }
+        // '@@{' is an escaped literal '@{'
+        if (start > 0 && str[start - 1] === '@') {
+            out += str.slice(i, start - 1) + '@{';
+            i = start + 2;
+            continue;
+        }
+        out += str.slice(i, start);
+        const end = findInterpolationEnd(str, start + 2);
+        if (end < 0) throw new SyntaxError(`Unterminated "@{" at position ${start}`);
+        const inner = str.slice(start + 2, end);
         try {
-            const result = evalExpr(inner.trim(), context);
-            return result === null || result === undefined ? '' : String(result);
+            out += stringify(evalNode(parse(inner), context));
         } catch (e) {
-            return `[EVAL ERROR: ${e.message}]`;
+            out += `[EVAL ERROR: ${e.message}]`;
         }
-    });
+        i = end + 1;
+    }
+    return out;
 }
 
-// ─── Core expression evaluator ────────────────────────────────────────────────
-// Parses and evaluates a single ADF expression (without leading @).
-function evalExpr(expr, context) {
-    expr = expr.trim();
-
-    // ── String literals ────────────────────────────────────────────────────────
-    if ((expr.startsWith("'") && expr.endsWith("'")) ||
-        (expr.startsWith('"') && expr.endsWith('"'))) {
-        return expr.slice(1, -1);
+function findInterpolationEnd(str, from) {
+    let depth = 0;
+    for (let i = from; i < str.length; i++) {
+        const c = str[i];
+        if (c === "'") {
+            // Skip string literal, honouring '' escapes
+            for (i++; i < str.length; i++) {
+                if (str[i] !== "'") continue;
+                if (str[i + 1] !== "'") break;
+                i++;
+            }
+            continue;
+        }
+        if (c === '{') depth++;
+        else if (c === '}') {
+            if (depth === 0) return i;
+            depth--;
+        }
     }
+    return -1;
+}
 
-    // ── Numeric literals ──────────────────────────────────────────────────────
-    if (!isNaN(Number(expr)) && expr !== '') {
-        return Number(expr);
-    }
+function stringify(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
 
-    // ── Boolean / null literals ────────────────────────────────────────────────
-    if (expr === 'true')  return true;
-    if (expr === 'false') return false;
-    if (expr === 'null')  return null;
+// ─── Tokenizer ────────────────────────────────────────────────────────────────
+// Token kinds: string, number, name, punct ( ( ) [ ] , . ?. ?[ ), eof
 
-    // ── pipeline().parameters.X ───────────────────────────────────────────────
-    {
-        const m = /^pipeline\(\)\.parameters\.(\w+)$/.exec(expr);
-        if (m) {
-            const params = context.parameters || {};
-            return params.hasOwnProperty(m[1]) ? params[m[1]] : null;
+function tokenize(src) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+        const c = src[i];
+        if (/\s/.test(c)) { i++; continue; }
+
+        // String literal — quote escaped by doubling ('It''s')
+        if (c === "'" || c === '"') {
+            let value = '';
+            let j = i + 1;
+            for (;;) {
+                if (j >= src.length) throw new SyntaxError(`Unterminated string literal at position ${i}`);
+                if (src[j] === c) {
+                    if (src[j + 1] === c) { value += c; j += 2; continue; }
+                    break;
+                }
+                value += src[j++];
+            }
+            tokens.push({ kind: 'string', value, pos: i });
+            i = j + 1;
+            continue;
         }
-    }
-    // pipeline().parameters['X'] (bracket notation)
-    {
-        const m = /^pipeline\(\)\.parameters\['([^']+)'\]$/.exec(expr);
-        if (m) {
-            const params = context.parameters || {};
-            return params.hasOwnProperty(m[1]) ? params[m[1]] : null;
+
+        // Number literal (optionally negative; ADF has no arithmetic operators)
+        const num = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(src.slice(i));
+        if (num && (c !== '-' || /\d/.test(src[i + 1] || ''))) {
+            tokens.push({ kind: 'number', value: Number(num[0]), pos: i });
+            i += num[0].length;
+            continue;
         }
-    }
 
-    // ── pipeline().globalParameters.X ─────────────────────────────────────────
-    {
-        const m = /^pipeline\(\)\.globalParameters\.(\w+)$/.exec(expr);
-        if (m) {
-            const gp = context.globalParameters || {};
-            return gp.hasOwnProperty(m[1]) ? gp[m[1]] : null;
+        const name = /^[A-Za-z_$][\w$]*/.exec(src.slice(i));
+        if (name) {
+            tokens.push({ kind: 'name', value: name[0], pos: i });
+            i += name[0].length;
+            continue;
         }
+
+        if (c === '?' && src[i + 1] === '.') { tokens.push({ kind: 'punct', value: '?.', pos: i }); i += 2; continue; }
+        if (c === '?' && src[i + 1] === '[') { tokens.push({ kind: 'punct', value: '?[', pos: i }); i += 2; continue; }
+        if ('()[],.'.includes(c)) { tokens.push({ kind: 'punct', value: c, pos: i }); i++; continue; }
+
+        throw new SyntaxError(`Unexpected character "${c}" at position ${i}`);
     }
+    tokens.push({ kind: 'eof', value: null, pos: src.length });
+    return tokens;
+}
 
-    // ── variables('X') ────────────────────────────────────────────────────────
-    {
-        const m = /^variables\('([^']+)'\)$/.exec(expr);
-        if (m) {
-            const vars = context.variables || {};
-            return vars.hasOwnProperty(m[1]) ? vars[m[1]] : null;
-        }
+// ─── Parser ───────────────────────────────────────────────────────────────────
+
+class Parser {
+    constructor(tokens, source) {
+        this.tokens = tokens;
+        this.source = source;
+        this.pos    = 0;
     }
 
-    // ── activity('X').output[.path...] ────────────────────────────────────────
-    {
-        const m = /^activity\('([^']+)'\)\.output(.*)$/.exec(expr);
-        if (m) {
-            const outputs = context.activityOutputs || {};
-            const out = outputs[m[1]];
-            if (out === undefined) return null;
-            if (!m[2]) return out;
-            return getNestedField(out, m[2].replace(/^\./, ''));
-        }
+    peek()  { return this.tokens[this.pos]; }
+    next()  { return this.tokens[this.pos++]; }
+
+    isPunct(value) {
+        const t = this.peek();
+        return t.kind === 'punct' && t.value === value;
     }
 
-    // ── activity('X').status ──────────────────────────────────────────────────
-    {
-        const m = /^activity\('([^']+)'\)\.status$/.exec(expr);
-        if (m) {
-            const statuses = context.activityStatuses || {};
-            return statuses[m[1]] ?? null;
+    expect(kind, value) {
+        const t = this.next();
+        if (t.kind !== kind || (value !== undefined && t.value !== value)) {
+            const want = value !== undefined ? `"${value}"` : kind === 'eof' ? 'end of expression' : kind;
+            const got  = t.kind === 'eof' ? 'end of expression' : `"${t.value}"`;
+            throw new SyntaxError(`Expected ${want} but found ${got} at position ${t.pos} in "${this.source}"`);
         }
+        return t;
     }
 
-    // ── @item() / @iterationItem() ────────────────────────────────────────────
-    if (expr === 'item()' || expr === 'iterationItem()') {
-        return context.currentItem !== undefined ? context.currentItem : null;
-    }
-    {
-        const m = /^(?:item|iterationItem)\(\)\.(.+)$/.exec(expr);
-        if (m) {
-            if (context.currentItem !== null && typeof context.currentItem === 'object') {
-                return getNestedField(context.currentItem, m[1]);
+    parseExpression() {
+        let node = this.parsePrimary();
+        for (;;) {
+            if (this.isPunct('.')) {
+                this.next();
+                node = { type: 'Member', object: node, property: this.expect('name').value, safe: false };
+            } else if (this.isPunct('?.')) {
+                this.next();
+                if (this.isPunct('[')) {
+                    this.next();
+                    node = { type: 'Index', object: node, index: this.parseIndexBody(), safe: true };
+                } else {
+                    node = { type: 'Member', object: node, property: this.expect('name').value, safe: true };
+                }
+            } else if (this.isPunct('[') || this.isPunct('?[')) {
+                const safe = this.next().value === '?[';
+                node = { type: 'Index', object: node, index: this.parseIndexBody(), safe };
+            } else {
+                return node;
             }
-            return null;
         }
     }
 
-    // ── @range(start, count) ─────────────────────────────────────────────────
-    {
-        const m = /^range\((.+),\s*(.+)\)$/.exec(expr);
-        if (m) {
-            const start = evalExpr(m[1].trim(), context);
-            const count = evalExpr(m[2].trim(), context);
-            if (typeof start === 'number' && typeof count === 'number') {
-                return Array.from({ length: count }, (_, i) => start + i);
-            }
-        }
+    parseIndexBody() {
+        const index = this.parseExpression();
+        this.expect('punct', ']');
+        return index;
     }
 
-    // ── Function calls ────────────────────────────────────────────────────────
-    {
-        const funcMatch = /^(\w+)\((.*)?\)$/.exec(expr);
-        if (funcMatch) {
-            const fnName = funcMatch[1];
-            if (ENABLED_FUNCTIONS.has(fnName) && FUNCTIONS[fnName]) {
-                const argsRaw = funcMatch[2] ? parseArgs(funcMatch[2]) : [];
-                const args = argsRaw.map(a => evalExpr(a.trim(), context));
-                return FUNCTIONS[fnName](args, context);
+    parsePrimary() {
+        const t = this.next();
+        if (t.kind === 'string' || t.kind === 'number') return { type: 'Literal', value: t.value };
+        if (t.kind === 'name') {
+            if (this.isPunct('(')) {
+                this.next();
+                const args = [];
+                if (!this.isPunct(')')) {
+                    args.push(this.parseExpression());
+                    while (this.isPunct(',')) {
+                        this.next();
+                        args.push(this.parseExpression());
+                    }
+                }
+                this.expect('punct', ')');
+                return { type: 'Call', name: t.value, args };
             }
+            if (t.value === 'true')  return { type: 'Literal', value: true };
+            if (t.value === 'false') return { type: 'Literal', value: false };
+            if (t.value === 'null')  return { type: 'Literal', value: null };
+            return { type: 'Identifier', name: t.value };
         }
+        const got = t.kind === 'eof' ? 'end of expression' : `"${t.value}"`;
+        throw new SyntaxError(`Unexpected ${got} at position ${t.pos} in "${this.source}"`);
     }
+}
 
-    // ── Bare identifier: @varName shorthand for @variables('varName') ─────────
-    // ADF allows `@myVar` as a shorthand when it matches a pipeline variable.
-    // We also check parameters as a fallback (useful for `@param` shorthand).
-    {
-        const identMatch = /^[A-Za-z_]\w*$/.exec(expr);
-        if (identMatch) {
-            const vars   = context.variables   || {};
-            const params = context.parameters  || {};
-            if (vars.hasOwnProperty(expr))   return vars[expr];
-            if (params.hasOwnProperty(expr)) return params[expr];
+// ─── AST evaluator ────────────────────────────────────────────────────────────
+
+function evalNode(node, context) {
+    switch (node.type) {
+        case 'Literal':
+            return node.value;
+
+        case 'Identifier': {
+            // ADF allows `@myVar` as a shorthand when it matches a pipeline variable.
+            // We also check parameters as a fallback (useful for `@param` shorthand).
+            const vars   = context.variables  || {};
+            const params = context.parameters || {};
+            if (_has(vars, node.name))   return vars[node.name];
+            if (_has(params, node.name)) return params[node.name];
+            throw new Error(`Unsupported expression: "${node.name}"`);
         }
-    }
 
-    throw new Error(`Unsupported expression: "${expr}"`);
+        case 'Call': {
+            const args = node.args.map(a => evalNode(a, context));
+            if (ACCESSORS[node.name]) return ACCESSORS[node.name](args, context);
+            if (ENABLED_FUNCTIONS.has(node.name) && FUNCTIONS[node.name]) {
+                return FUNCTIONS[node.name](args, context);
+            }
+            throw new Error(`Unsupported function: "${node.name}()"`);
+        }
+
+        case 'Member':
+            return accessProperty(evalNode(node.object, context), node.property, node.safe);
+
+        case 'Index':
+            return accessProperty(evalNode(node.object, context), evalNode(node.index, context), node.safe);
+
+        default:
+            throw new Error(`Unknown expression node "${node.type}"`);
+    }
 }
 
-// ─── Nested field path resolver ───────────────────────────────────────────────
-// Handles paths like "firstRow.columnA" or "['key with spaces']"
-function getNestedField(obj, path) {
-    if (!path || obj == null) return obj;
-    const parts = [];
-    let remaining = path;
-    while (remaining) {
-        const bracketMatch = /^\['([^']+)'\]\.?(.*)$/.exec(remaining);
-        const dotMatch = /^([^.[]+)\.?(.*)$/.exec(remaining);
-        if (bracketMatch) {
-            parts.push(bracketMatch[1]);
-            remaining = bracketMatch[2];
-        } else if (dotMatch) {
-            parts.push(dotMatch[1]);
-            remaining = dotMatch[2];
-        } else {
-            break;
+// Property / indexer access. Selecting from null throws (as in ADF) unless
+// the safe-navigation form (?. / ?[]) is used; a missing key yields null.
+function accessProperty(obj, key, safe) {
+    if (obj === null || obj === undefined) {
+        if (safe) return null;
+        throw new Error(`Cannot select property "${key}" of null. Use "?." for optional properties.`);
+    }
+    if (Array.isArray(obj) || typeof obj === 'string') {
+        if (typeof key === 'number') {
+            if (!Number.isInteger(key) || key < 0 || key >= obj.length) {
+                if (safe) return null;
+                throw new Error(`Index ${key} is out of range (length ${obj.length})`);
+            }
+            return obj[key];
         }
+        if (key === 'length') return obj.length;
+        return null;
     }
-    let cur = obj;
-    for (const p of parts) {
-        if (cur == null) return null;
-        cur = cur[p];
+    if (typeof obj === 'object') {
+        // Property names are case-insensitive in ADF; prefer an exact match
+        if (_has(obj, key)) return obj[key] ?? null;
+        const lower = String(key).toLowerCase();
+        const match = Object.keys(obj).find(k => k.toLowerCase() === lower);
+        return match !== undefined ? (obj[match] ?? null) : null;
     }
-    return cur ?? null;
+    return null;
 }
 
-// ─── Function argument parser ─────────────────────────────────────────────────
-// Splits top-level comma-separated args, respecting quotes, parentheses and brackets.
-function parseArgs(raw) {
-    const args = [];
-    let depth = 0, inSingle = false, inDouble = false, cur = '';
-    for (let i = 0; i < raw.length; i++) {
-        const c = raw[i];
-        if (c === "'" && !inDouble) { inSingle = !inSingle; cur += c; continue; }
-        if (c === '"' && !inSingle)  { inDouble = !inDouble; cur += c; continue; }
-        if (inSingle || inDouble)    { cur += c; continue; }
-        if (c === '(' || c === '[')  { depth++; cur += c; continue; }
-        if (c === ')' || c === ']')  { depth--; cur += c; continue; }
-        if (c === ',' && depth === 0) { args.push(cur.trim()); cur = ''; continue; }
-        cur += c;
-    }
-    if (cur.trim()) args.push(cur.trim());
-    return args;
+function _has(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
 }
 
+// ─── Context accessors ────────────────────────────────────────────────────────
+// Functions that read from the run context rather than computing from their
+// arguments. Always available (not gated by enabledFunctions).
+const ACCESSORS = {
+    pipeline: (a, ctx) => ({
+        ...(ctx.pipelineRun || {}),
+        parameters:       ctx.parameters       || {},
+        globalParameters: ctx.globalParameters || {},
+    }),
+    trigger: (a, ctx) => ctx.trigger || {},
+    variables: (a, ctx) => {
+        const vars = ctx.variables || {};
+        return _has(vars, a[0]) ? vars[a[0]] : null;
+    },
+    activity: (a, ctx) => {
+        const outputs  = ctx.activityOutputs  || {};
+        const statuses = ctx.activityStatuses || {};
+        return {
+            output:        outputs[a[0]] ?? null,
+            status:        statuses[a[0]] ?? null,
+            error:         ctx.activityErrors?.[a[0]] ?? null,
+            ActivityRunId: ctx.activityRunIds?.[a[0]] ?? null,
+        };
+    },
+    item:          (a, ctx) => ctx.currentItem !== undefined ? ctx.currentItem : null,
+    iterationItem: (a, ctx) => ctx.currentItem !== undefined ? ctx.currentItem : null,
+    dataset:       (a, ctx) => ctx.dataset || {},
+    linkedService: (a, ctx) => ctx.linkedService || {},
+};
+
 // ─── ADF function implementations ─────────────────────────────────────────────
 // Each function receives (evaluatedArgs[], context) and returns a value.
 const FUNCTIONS = {
@@ -261,6 +394,10 @@ const FUNCTIONS = {
     decodeUriComponent: (a) => (typeof a[0] === 'string') ? decodeURIComponent(a[0]) : a[0],
     base64:         (a) => (typeof a[0] === 'string') ? Buffer.from(a[0]).toString('base64') : a[0],
     base64ToString: (a) => (typeof a[0] === 'string') ? Buffer.from(a[0], 'base64').toString('utf8') : a[0],
+    // Binary values are rendered as a bit string, as the ADF expression builder shows them
+    base64ToBinary: (a) => (typeof a[0] === 'string')
+        ? [...Buffer.from(a[0], 'base64')].map(b => b.toString(2).padStart(8, '0')).join('')
+        : a[0],
 
     // Numeric
     int:   (a) => parseInt(String(a[0]), 10),
@@ -323,47 +460,35 @@ const FUNCTIONS = {
         }
         return Object.assign({}, ...a);
     },
+    range:        (a) => Array.from({ length: Math.max(0, Number(a[1])) }, (_, i) => Number(a[0]) + i),
     intersection: (a) => {
         if (!Array.isArray(a[0])) return {};
         return a[0].filter(item => a.slice(1).every(arr => Array.isArray(arr) && arr.some(x => JSON.stringify(x) === JSON.stringify(item))));
     },
 
-    // Date/time (basic)
-    utcNow: (a) => {
-        const fmt = a[0];
-        const now = new Date().toISOString();
-        if (!fmt) return now.replace('Z', '0000000Z').replace('T', ' ');
-        // Return ISO string; custom format not fully implemented
-        return now;
-    },
-    formatDateTime: (a) => {
-        // a[0] = datetime string, a[1] = format (limited support)
-        try {
-            const d = new Date(String(a[0]));
-            if (isNaN(d)) return String(a[0]);
-            return d.toISOString();
-        } catch { return String(a[0]); }
-    },
-    addSeconds: (a) => {
-        const d = new Date(String(a[0]));
-        d.setSeconds(d.getSeconds() + Number(a[1]));
-        return d.toISOString();
-    },
-    addMinutes: (a) => {
-        const d = new Date(String(a[0]));
-        d.setMinutes(d.getMinutes() + Number(a[1]));
-        return d.toISOString();
-    },
-    addHours: (a) => {
-        const d = new Date(String(a[0]));
-        d.setHours(d.getHours() + Number(a[1]));
-        return d.toISOString();
-    },
-    addDays: (a) => {
-        const d = new Date(String(a[0]));
-        d.setDate(d.getDate() + Number(a[1]));
-        return d.toISOString();
-    },
+    // Date/time — .NET format strings; output defaults to "o" (yyyy-MM-ddTHH:mm:ss.fffffffK)
+    utcNow:           (a) => formatTimestamp(dt.now(), a[0]),
+    formatDateTime:   (a) => formatTimestamp(parseTimestamp(a[0]), a[1]),
+    addSeconds:       (a) => formatTimestamp(addUnits(parseTimestamp(a[0]), a[1], 'Second'), a[2]),
+    addMinutes:       (a) => formatTimestamp(addUnits(parseTimestamp(a[0]), a[1], 'Minute'), a[2]),
+    addHours:         (a) => formatTimestamp(addUnits(parseTimestamp(a[0]), a[1], 'Hour'), a[2]),
+    addDays:          (a) => formatTimestamp(addUnits(parseTimestamp(a[0]), a[1], 'Day'), a[2]),
+    subtractFromTime: (a) => formatTimestamp(addUnits(parseTimestamp(a[0]), -Number(a[1]), a[2]), a[3]),
+    getFutureTime:    (a) => formatTimestamp(addUnits(dt.now(), a[0], a[1]), a[2]),
+    getPastTime:      (a) => formatTimestamp(addUnits(dt.now(), -Number(a[0]), a[1]), a[2]),
+    addToTime:        (a) => formatTimestamp(addUnits(parseTimestamp(a[0]), a[1], a[2]), a[3]),
+    // dateAdd(timestamp, interval, timeUnit, format?) — alias of addToTime
+    dateAdd:          (a) => formatTimestamp(addUnits(parseTimestamp(a[0]), a[1], a[2]), a[3]),
+    startOfDay:       (a) => formatTimestamp(dt.startOf(parseTimestamp(a[0]), 'day'), a[1]),
+    startOfHour:      (a) => formatTimestamp(dt.startOf(parseTimestamp(a[0]), 'hour'), a[1]),
+    startOfMonth:     (a) => formatTimestamp(dt.startOf(parseTimestamp(a[0]), 'month'), a[1]),
+    dayOfWeek:        (a) => dt.dayOfWeek(parseTimestamp(a[0])),
+    dayOfMonth:       (a) => dt.dayOfMonth(parseTimestamp(a[0])),
+    dayOfYear:        (a) => dt.dayOfYear(parseTimestamp(a[0])),
+    // Time zone arguments take Windows IDs ("Singapore Standard Time") or IANA names
+    convertFromUtc:   (a) => formatTimestamp(dt.fromUtc(parseTimestamp(a[0]), a[1]), a[2]),
+    convertToUtc:     (a) => formatTimestamp(dt.toUtcFromZone(parseTimestamp(a[0]), a[1]), a[2]),
+    convertTimeZone:  (a) => formatTimestamp(dt.fromUtc(dt.toUtcFromZone(parseTimestamp(a[0]), a[1]), a[2]), a[3]),
     ticks: (a) => {
         // Windows FILETIME ticks: 100-nanosecond intervals since 1601-01-01
         const EPOCH_DIFF = 116444736000000000n;
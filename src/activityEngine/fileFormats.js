@@ -0,0 +1,611 @@
+'use strict';
+// fileFormats.js — in-process readers and writers for the binary and hierarchical dataset formats
+// of local runs (DelimitedText and Json stay in localRunner.js).
+//
+//   Parquet  read + write   hyparquet / hyparquet-writer (ES modules, loaded on first use)
+//   Excel    read           exceljs (.xlsx)
+//   Xml      read           fast-xml-parser: rowTag, namespaces, namespacePrefixes, attributes
+//   Avro     read + write   avsc, codecs null / deflate / snappy
+//
+// ORC is not covered: there is no JavaScript ORC library to build on, so Orc datasets fail like
+// any other format without a local reader or writer. Adding it means writing an ORC codec here.
+//
+// Nothing streams: a file is read whole into a Buffer and decoded to rows in memory, and written
+// by encoding every row into one Buffer, so a file and its rows must fit in memory (no temp files
+// are involved either). Local runs copy development-sized data; larger files belong in the service.
+//
+// Rows are plain JSON values: Int64 outside the safe integer range becomes a string, timestamps
+// become ISO 8601 strings and binary values base64. Alongside the rows, readers return the column
+// types as ADF interim types ({ name, type: 'Int64' | 'DateTime' | ... }); writers take that schema
+// to keep the source types and otherwise infer them from the values. Decimal is written as a
+// decimal (the schema's precision and scale, else decimal(38,18)) and Guid as a UUID;
+// DateTimeOffset (written as a UTC timestamp) and TimeSpan (written as a string) lose their type,
+// which writers report through options.warn.
+
+const zlib = require('zlib');
+const snappy = require('snappyjs');
+const avro = require('avsc');
+const ExcelJS = require('exceljs');
+const { XMLParser } = require('fast-xml-parser');
+
+const READ_FORMATS  = ['Parquet', 'Excel', 'Xml', 'Avro'];
+const WRITE_FORMATS = ['Parquet', 'Avro'];
+
+/**
+ * Decode a file into rows.
+ * @param {string} format   dataset type: Parquet | Excel | Xml | Avro
+ * @param {Buffer} buffer
+ * @param {object} [options]  Excel: sheetName, sheetIndex, range, firstRowAsHeader, nullValue;
+ *        Xml: rowTag, nullValue, namespaces, namespacePrefixes, detectDataType
+ * @returns {Promise<{ rows: object[], columns: string[], schema: { name: string, type: string }[] }>}
+ * @throws {Error} for formats without a reader (Orc among them)
+ */
+async function readFormat(format, buffer, options = {}) {
+    switch (format) {
+        case 'Parquet': return _readParquet(buffer);
+        case 'Excel':   return _readExcel(buffer, options);
+        case 'Xml':     return _readXml(buffer, options);
+        case 'Avro':    return _readAvro(buffer);
+        default:
+            throw new Error(`No local reader for format "${format}" (supported: ${READ_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * Encode rows as a file.
+ * @param {string} format   Parquet | Avro
+ * @param {object[]} rows
+ * @param {string[]} columns
+ * @param {{ schema?: { name: string, type: string, precision?: number, scale?: number }[], compressionCodec?: string, warn?: Function }} [options]
+ *        schema: column types from the source (missing columns are inferred);
+ *        compressionCodec: the sink dataset's compressionCodec / avroCompressionCodec;
+ *        warn: called with { code, format, columns, message } when columns cannot keep their type
+ * @returns {Promise<Buffer>}
+ */
+async function writeFormat(format, rows, columns, options = {}) {
+    const types = _columnTypes(rows, columns, options.schema);
+    const decimals = _decimalTypes(columns, types, options.schema);
+    if (WRITE_FORMATS.includes(format)) _warnDowngrades(format, columns, types, options.warn);
+    switch (format) {
+        case 'Parquet': return _writeParquet(rows, columns, types, decimals, options.compressionCodec);
+        case 'Avro':    return _writeAvro(rows, columns, types, decimals, options.compressionCodec);
+        default:
+            throw new Error(`No local writer for format "${format}" (supported: ${WRITE_FORMATS.join(', ')})`);
+    }
+}
+
+// ─── Parquet ──────────────────────────────────────────────────────────────────
+
+const PARQUET_DECOMPRESSORS = {
+    GZIP:   (input) => new Uint8Array(zlib.gunzipSync(input)),
+    BROTLI: (input) => new Uint8Array(zlib.brotliDecompressSync(input)),
+};
+const PARQUET_CODECS = {
+    none:   { codec: 'UNCOMPRESSED' },
+    snappy: { codec: 'SNAPPY' },
+    gzip:   { codec: 'GZIP',   compress: (input) => new Uint8Array(zlib.gzipSync(input)) },
+    brotli: { codec: 'BROTLI', compress: (input) => new Uint8Array(zlib.brotliCompressSync(input)) },
+};
+// interim type → hyparquet-writer basic type (Decimal columns get a DECIMAL schema element instead)
+const PARQUET_WRITE_TYPES = {
+    String: 'STRING', Int16: 'INT32', Int32: 'INT32', Byte: 'INT32', Int64: 'INT64', Boolean: 'BOOLEAN',
+    Single: 'FLOAT', Double: 'DOUBLE', DateTime: 'TIMESTAMP', DateTimeOffset: 'TIMESTAMP', Guid: 'UUID', 'Byte[]': 'BYTE_ARRAY',
+};
+
+async function _readParquet(buffer) {
+    const { parquetMetadata, parquetSchema, parquetReadObjects } = await import('hyparquet');
+    const file = _arrayBuffer(buffer);
+    const metadata = parquetMetadata(file);
+    const schema = parquetSchema(metadata).children.map(child => ({ name: child.element.name, type: _parquetInterimType(child) }));
+    const columns = schema.map(c => c.name);
+    // utf8: false keeps unannotated BYTE_ARRAY columns (Byte[]) binary; strings are annotated UTF8
+    const objects = await parquetReadObjects({ file, metadata, compressors: PARQUET_DECOMPRESSORS, utf8: false });
+    return { rows: objects.map(_jsonRow), columns, schema };
+}
+
+function _parquetInterimType({ element, children }) {
+    if (children?.length) return 'String';  // lists / structs / maps come through as JSON values
+    const logical = element.logical_type?.type;
+    const converted = element.converted_type;
+    if (logical === 'TIMESTAMP' || logical === 'DATE' || ['TIMESTAMP_MILLIS', 'TIMESTAMP_MICROS', 'DATE'].includes(converted)) return 'DateTime';
+    if (logical === 'DECIMAL' || converted === 'DECIMAL') return 'Decimal';
+    if (logical === 'UUID') return 'Guid';
+    switch (element.type) {
+        case 'BOOLEAN': return 'Boolean';
+        case 'INT32':   return ['INT_8', 'UINT_8'].includes(converted) ? 'Byte' : ['INT_16', 'UINT_16'].includes(converted) ? 'Int16' : 'Int32';
+        case 'INT64':   return 'Int64';
+        case 'INT96':   return 'DateTime';
+        case 'FLOAT':   return 'Single';
+        case 'DOUBLE':  return 'Double';
+        default:        return ['UTF8', 'JSON', 'ENUM'].includes(converted) || logical === 'STRING' || logical === 'JSON' ? 'String' : 'Byte[]';
+    }
+}
+
+async function _writeParquet(rows, columns, types, decimals, compressionCodec = 'snappy') {
+    const { parquetWriteBuffer, schemaFromColumnData } = await import('hyparquet-writer');
+    const codec = PARQUET_CODECS[String(compressionCodec).toLowerCase()];
+    if (!codec) {
+        throw new Error(`Parquet compressionCodec "${compressionCodec}" is not supported in local run mode (use ${Object.keys(PARQUET_CODECS).join(', ')})`);
+    }
+    const schemaOverrides = {};
+    const columnData = columns.map((name, i) => {
+        const decimal = decimals[i];
+        if (decimal) {
+            // Unscaled values in a fixed-length two's complement, as Spark and ADF write decimals
+            schemaOverrides[name] = {
+                name, type: 'FIXED_LEN_BYTE_ARRAY', type_length: _decimalByteLength(decimal.precision), repetition_type: 'OPTIONAL',
+                converted_type: 'DECIMAL', precision: decimal.precision, scale: decimal.scale,
+                logical_type: { type: 'DECIMAL', precision: decimal.precision, scale: decimal.scale },
+            };
+            return { name, data: rows.map(row => _isBlank(row[name]) ? null : _toUnscaled(row[name], decimal)) };
+        }
+        const type = PARQUET_WRITE_TYPES[types[i]] ?? 'STRING';
+        return { name, type, data: rows.map(row => _parquetValue(row[name], type)) };
+    });
+    const arrayBuffer = parquetWriteBuffer({
+        schema:     schemaFromColumnData({ columnData, schemaOverrides }),
+        columnData: columnData.map(({ name, data }) => ({ name, data })),  // types are in the schema
+        codec: codec.codec,
+        ...(codec.compress ? { compressors: { [codec.codec]: codec.compress } } : {}),
+    });
+    return Buffer.from(arrayBuffer);
+}
+
+function _parquetValue(value, type) {
+    if (value === null || value === undefined || value === '') return type === 'STRING' && value === '' ? '' : null;
+    switch (type) {
+        case 'INT64':      return _toBigInt(value);
+        case 'INT32':      return _toNumber(value, true);
+        case 'FLOAT':
+        case 'DOUBLE':     return _toNumber(value, false);
+        case 'BOOLEAN':    return _toBoolean(value);
+        case 'TIMESTAMP':  return _toDate(value);
+        case 'BYTE_ARRAY': return new Uint8Array(_toBytes(value));
+        default:           return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+// ─── Excel ────────────────────────────────────────────────────────────────────
+
+async function _readExcel(buffer, options) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (err) {
+        throw new Error(`Excel: cannot read the workbook (only .xlsx is supported in local run mode): ${err.message}`);
+    }
+    const sheet = options.sheetName != null
+        ? workbook.getWorksheet(String(options.sheetName))
+        : workbook.worksheets[Number(options.sheetIndex ?? 0)];
+    if (!sheet) {
+        const wanted = options.sheetName != null ? `sheet "${options.sheetName}"` : `sheet index ${options.sheetIndex}`;
+        throw new Error(`Excel: ${wanted} not found (sheets: ${workbook.worksheets.map(ws => ws.name).join(', ')})`);
+    }
+
+    const range = _parseRange(options.range);
+    const nullValue = options.nullValue ?? '';
+    const lastRow = range.endRow ?? sheet.rowCount;
+    const lastCol = range.endCol ?? sheet.columnCount;
+    const grid = [];
+    for (let r = range.startRow; r <= lastRow; r++) {
+        const cells = [];
+        for (let c = range.startCol; c <= lastCol; c++) cells.push(_excelCellValue(sheet.getRow(r).getCell(c).value));
+        if (cells.some(v => v !== null)) grid.push(cells);
+    }
+    if (grid.length === 0) return { rows: [], columns: [], schema: [] };
+
+    const firstRowAsHeader = options.firstRowAsHeader !== false;
+    const columns = firstRowAsHeader
+        ? grid[0].map((h, i) => (h === null || h === '' ? `col${i}` : String(h)))
+        : grid[0].map((_, i) => `col${i}`);
+    const rows = (firstRowAsHeader ? grid.slice(1) : grid).map(cells => {
+        const row = {};
+        columns.forEach((col, i) => {
+            const v = cells[i] ?? null;
+            row[col] = v === nullValue ? null : v;
+        });
+        return row;
+    });
+    return { rows, columns, schema: _inferSchema(rows, columns) };
+}
+
+function _excelCellValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value !== 'object') return value;
+    if ('result' in value) return _excelCellValue(value.result);               // formula
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('');
+    if ('text' in value) return String(value.text);                            // hyperlink
+    if ('error' in value) return String(value.error);
+    return JSON.stringify(value);
+}
+
+// "B3" / "B3:F20" → 1-based bounds; no range = the whole sheet
+function _parseRange(range) {
+    if (!range) return { startRow: 1, startCol: 1 };
+    const m = String(range).trim().toUpperCase().match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+    if (!m) throw new Error(`Excel: invalid range "${range}" (expected e.g. A1 or A1:F20)`);
+    const col = (letters) => [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+    return {
+        startRow: Number(m[2]), startCol: col(m[1]),
+        endRow: m[4] ? Number(m[4]) : undefined, endCol: m[3] ? col(m[3]) : undefined,
+    };
+}
+
+// ─── XML ──────────────────────────────────────────────────────────────────────
+
+function _readXml(buffer, options) {
+    const detect = options.detectDataType !== false;
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '@',
+        textNodeName: '#text',
+        ignoreDeclaration: true,
+        ignorePiTags: true,
+        removeNSPrefix: options.namespaces === false,
+        parseTagValue: detect,
+        parseAttributeValue: detect,
+        numberParseOptions: { leadingZeros: false, hex: false },
+    });
+    let doc;
+    try {
+        doc = parser.parse(Buffer.isBuffer(buffer) ? buffer.toString('utf8') : String(buffer), true);
+    } catch (err) {
+        throw new Error(`XML parse error: ${err.message}`);
+    }
+    const rename = _namespaceRenames(doc, options.namespacePrefixes);
+    const nullValue = options.nullValue ?? '';
+
+    let elements;
+    if (options.rowTag) {
+        elements = [];
+        _collectElements(doc, String(options.rowTag), rename, elements);
+    } else {
+        const root = Object.values(doc).find(v => v && typeof v === 'object') ?? {};
+        elements = Object.entries(root).filter(([k]) => !k.startsWith('@') && k !== '#text').flatMap(([, v]) => [].concat(v));
+    }
+    elements = elements.filter(el => el !== null && typeof el === 'object');
+
+    const columnSet = new Set();
+    const rows = elements.map(el => {
+        const row = {};
+        // attributes first, then child elements, as they appear in the document
+        const entries = Object.entries(el).filter(([k]) => !k.startsWith('@xmlns'));
+        for (const [key, value] of [...entries.filter(([k]) => k.startsWith('@')), ...entries.filter(([k]) => !k.startsWith('@'))]) {
+            const name = rename(key);
+            columnSet.add(name);
+            row[name] = _xmlValue(value, rename, nullValue);
+        }
+        return row;
+    });
+    const columns = [...columnSet];
+    for (const row of rows) for (const c of columns) if (!(c in row)) row[c] = null;
+    return { rows, columns, schema: _inferSchema(rows, columns) };
+}
+
+// namespacePrefixes maps namespace URI → prefix; returns a renamer for "docPrefix:local" names
+function _namespaceRenames(doc, namespacePrefixes) {
+    const byDocPrefix = {};
+    if (namespacePrefixes && typeof namespacePrefixes === 'object') {
+        const walk = (node) => {
+            if (!node || typeof node !== 'object') return;
+            for (const [k, v] of Object.entries(node)) {
+                const m = k.match(/^@xmlns:(.+)$/);
+                if (m && namespacePrefixes[v] !== undefined) byDocPrefix[m[1]] = namespacePrefixes[v];
+                else walk(v);
+            }
+        };
+        walk(doc);
+    }
+    return (name) => {
+        const m = name.match(/^(@?)([^:@]+):(.+)$/);
+        return m && byDocPrefix[m[2]] !== undefined ? `${m[1]}${byDocPrefix[m[2]]}:${m[3]}` : name;
+    };
+}
+
+function _collectElements(node, rowTag, rename, out) {
+    if (!node || typeof node !== 'object') return;
+    for (const [key, value] of Object.entries(node)) {
+        if (key.startsWith('@') || key === '#text') continue;
+        const qualified = rename(key);
+        if (qualified === rowTag || qualified.split(':').pop() === rowTag) out.push(...[].concat(value));
+        else for (const child of [].concat(value)) _collectElements(child, rowTag, rename, out);
+    }
+}
+
+function _xmlValue(value, rename, nullValue) {
+    if (Array.isArray(value)) return value.map(v => _xmlValue(v, rename, nullValue));
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value).filter(k => !k.startsWith('@xmlns'));
+        if (keys.length === 1 && keys[0] === '#text') return _xmlValue(value['#text'], rename, nullValue);
+        return Object.fromEntries(keys.map(k => [rename(k), _xmlValue(value[k], rename, nullValue)]));
+    }
+    return value === nullValue || value === undefined ? null : value;
+}
+
+// ─── Avro ─────────────────────────────────────────────────────────────────────
+
+// Avro snappy blocks carry a big-endian CRC-32 of the uncompressed data after the compressed bytes
+const AVRO_DECODE_CODECS = {
+    ...avro.streams.BlockDecoder.getDefaultCodecs(),
+    snappy: (buf, cb) => {
+        try { cb(null, Buffer.from(snappy.uncompress(buf.subarray(0, buf.length - 4)))); } catch (err) { cb(err); }
+    },
+};
+const AVRO_ENCODE_CODECS = {
+    ...avro.streams.BlockEncoder.getDefaultCodecs(),
+    snappy: (buf, cb) => {
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(zlib.crc32(buf));
+        cb(null, Buffer.concat([Buffer.from(snappy.compress(buf)), crc]));
+    },
+};
+// Avro logical types → ISO 8601 strings (the other way round on write)
+class AvroTimestampType extends avro.types.LogicalType {
+    _fromValue(v) { return new Date(this._micros ? Number(v) / 1000 : Number(v)).toISOString(); }
+    _toValue(v)   { const ms = _toDate(v)?.getTime(); return ms === undefined ? v : (this._micros ? ms * 1000 : ms); }
+}
+class AvroTimestampMillis extends AvroTimestampType {}
+class AvroTimestampMicros extends AvroTimestampType { get _micros() { return true; } }
+class AvroDate extends avro.types.LogicalType {
+    _fromValue(v) { return new Date(Number(v) * 86400000).toISOString().slice(0, 10); }
+    _toValue(v)   { const d = _toDate(v); return d ? Math.floor(d.getTime() / 86400000) : v; }
+}
+// bytes / fixed decimals hold the unscaled value as big-endian two's complement; _writeAvro
+// hands over the unscaled BigInt so an invalid value fails with its own message
+class AvroDecimal extends avro.types.LogicalType {
+    constructor(schema, opts) {
+        super(schema, opts);
+        this._decimal = { precision: schema.precision, scale: schema.scale ?? 0 };
+    }
+    _fromValue(buf) { return Number(_fromTwosComplement(buf)) / 10 ** this._decimal.scale; }
+    _toValue(v)     { return typeof v === 'bigint' ? _toTwosComplement(v) : v; }
+    _export(attrs)  { Object.assign(attrs, this._decimal); }
+}
+class AvroUuid extends avro.types.LogicalType {
+    _fromValue(v) { return v; }
+    _toValue(v)   { return v === null || v === undefined ? v : String(v); }
+}
+const AVRO_LOGICAL_TYPES = {
+    'timestamp-millis': AvroTimestampMillis, 'timestamp-micros': AvroTimestampMicros, date: AvroDate, decimal: AvroDecimal, uuid: AvroUuid,
+};
+// avsc's long is limited to safe JS integers; decode and encode the full 64-bit range as BigInt
+const AVRO_BIGINT_LONG = avro.types.LongType.__with({
+    fromBuffer: (buf) => buf.readBigInt64LE(),
+    toBuffer:   (n) => { const buf = Buffer.alloc(8); buf.writeBigInt64LE(BigInt(n)); return buf; },
+    fromJSON:   BigInt,
+    toJSON:     Number,
+    isValid:    (n) => typeof n === 'bigint' || Number.isInteger(n),
+    compare:    (a, b) => (a < b ? -1 : a > b ? 1 : 0),
+});
+const AVRO_TYPE_OPTIONS = { logicalTypes: AVRO_LOGICAL_TYPES, wrapUnions: false, registry: { long: AVRO_BIGINT_LONG } };
+// interim type → Avro type (Decimal columns get a bytes decimal of their precision and scale)
+const AVRO_TIMESTAMP = { type: 'long', logicalType: 'timestamp-millis' };
+const AVRO_WRITE_TYPES = {
+    String: 'string', Int16: 'int', Int32: 'int', Byte: 'int', Int64: 'long', Boolean: 'boolean',
+    Single: 'float', Double: 'double', DateTime: AVRO_TIMESTAMP, DateTimeOffset: AVRO_TIMESTAMP,
+    Guid: { type: 'string', logicalType: 'uuid' }, 'Byte[]': 'bytes',
+};
+
+function _readAvro(buffer) {
+    return new Promise((resolve, reject) => {
+        const decoder = new avro.streams.BlockDecoder({ codecs: AVRO_DECODE_CODECS, parseHook: (schema) => avro.Type.forSchema(schema, { ...AVRO_TYPE_OPTIONS, registry: { ...AVRO_TYPE_OPTIONS.registry } }) });
+        let type = null;
+        const rows = [];
+        decoder.on('metadata', (t) => { type = t; });
+        decoder.on('data', (record) => rows.push(_jsonRow(record)));
+        decoder.on('error', (err) => reject(new Error(`Avro: ${err.message}`)));
+        decoder.on('end', () => {
+            const fields = type?.fields ?? [];
+            const columns = fields.length ? fields.map(f => f.name) : Object.keys(rows[0] ?? {});
+            const schema = fields.length ? fields.map(f => ({ name: f.name, type: _avroInterimType(f.type) })) : _inferSchema(rows, columns);
+            resolve({ rows, columns, schema });
+        });
+        decoder.end(buffer);
+    });
+}
+
+function _avroInterimType(type) {
+    if (type.typeName === 'union:unwrapped' || type.typeName === 'union:wrapped') {
+        const branch = type.types.find(t => t.typeName !== 'null');
+        return branch ? _avroInterimType(branch) : 'String';
+    }
+    if (type instanceof AvroTimestampType || type instanceof AvroDate) return 'DateTime';
+    if (type instanceof AvroDecimal) return 'Decimal';
+    if (type instanceof AvroUuid) return 'Guid';
+    if (type instanceof avro.types.LongType) return 'Int64';
+    return { int: 'Int32', boolean: 'Boolean', float: 'Single', double: 'Double', bytes: 'Byte[]', fixed: 'Byte[]' }[type.typeName] ?? 'String';
+}
+
+function _writeAvro(rows, columns, types, decimals, compressionCodec = 'none') {
+    const codec = { none: 'null', null: 'null', deflate: 'deflate', snappy: 'snappy' }[String(compressionCodec).toLowerCase()];
+    if (!codec) throw new Error(`Avro compression codec "${compressionCodec}" is not supported in local run mode (use none, deflate or snappy)`);
+
+    // Avro names allow [A-Za-z0-9_] only and must not start with a digit
+    const names = columns.map(c => String(c).replace(/[^A-Za-z0-9_]/g, '_').replace(/^(\d)/, '_$1'));
+    const type = avro.Type.forSchema({
+        type: 'record', name: 'topLevelRecord',
+        fields: columns.map((_, i) => {
+            const type = decimals[i] ? { type: 'bytes', logicalType: 'decimal', ...decimals[i] } : AVRO_WRITE_TYPES[types[i]] ?? 'string';
+            return { name: names[i], type: ['null', type], default: null };
+        }),
+    }, { ...AVRO_TYPE_OPTIONS, registry: { ...AVRO_TYPE_OPTIONS.registry } });
+
+    return new Promise((resolve, reject) => {
+        const encoder = new avro.streams.BlockEncoder(type, { codec, codecs: AVRO_ENCODE_CODECS });
+        const chunks = [];
+        encoder.on('data', (chunk) => chunks.push(chunk));
+        encoder.on('error', reject);
+        encoder.on('end', () => resolve(Buffer.concat(chunks)));
+        for (const row of rows) {
+            const record = {};
+            columns.forEach((c, i) => {
+                const value = row[c];
+                record[names[i]] = !decimals[i] ? _avroValue(value, types[i]) : _isBlank(value) ? null : _toUnscaled(value, decimals[i]);
+            });
+            encoder.write(record);
+        }
+        encoder.end();
+    });
+}
+
+function _avroValue(value, type) {
+    if (value === null || value === undefined) return null;
+    switch (AVRO_WRITE_TYPES[type] ?? 'string') {
+        case 'int':     return _toNumber(value, true);
+        case 'long':    return _toBigInt(value);
+        case 'float':
+        case 'double':  return _toNumber(value, false);
+        case 'boolean': return _toBoolean(value);
+        case 'bytes':   return _toBytes(value);
+        case 'string':  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        default:        return value;  // timestamp-millis: converted by the logical type
+    }
+}
+
+// ─── Values and types ─────────────────────────────────────────────────────────
+
+function _jsonRow(record) {
+    const row = {};
+    for (const [k, v] of Object.entries(record)) row[k] = _jsonValue(v);
+    return row;
+}
+
+function _jsonValue(v) {
+    if (v === null || v === undefined) return null;
+    if (typeof v === 'bigint') return Number.isSafeInteger(Number(v)) ? Number(v) : v.toString();
+    if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v.toISOString();
+    if (Buffer.isBuffer(v) || v instanceof Uint8Array) return Buffer.from(v).toString('base64');
+    if (Array.isArray(v)) return v.map(_jsonValue);
+    if (typeof v === 'object') return _jsonRow(v);
+    return v;
+}
+
+// Column types from the source schema where it names the column, else inferred from the values
+function _columnTypes(rows, columns, schema) {
+    const known = new Map((schema ?? []).filter(f => f.type).map(f => [f.name, f.type]));
+    const inferred = _inferSchema(rows, columns.filter(c => !known.has(c)));
+    const byName = new Map(inferred.map(f => [f.name, f.type]));
+    return columns.map(c => known.get(c) ?? byName.get(c));
+}
+
+// decimal(38,18) is what the service writes for a Decimal without precision and scale
+const DEFAULT_DECIMAL = { precision: 38, scale: 18 };
+
+// { precision, scale } per Decimal column (from the schema when it has them), null for other columns
+function _decimalTypes(columns, types, schema) {
+    const fields = new Map((schema ?? []).map(f => [f.name, f]));
+    return columns.map((name, i) => {
+        if (types[i] !== 'Decimal') return null;
+        const { precision, scale } = fields.get(name) ?? {};
+        return Number.isInteger(precision) && precision > 0 ? { precision, scale: Number.isInteger(scale) ? scale : 0 } : DEFAULT_DECIMAL;
+    });
+}
+
+// Interim types neither Parquet nor Avro can hold, and what the writers make of them
+const DOWNGRADED_TYPES = {
+    DateTimeOffset: 'a UTC timestamp (the offset is not kept)',
+    TimeSpan:       'a string',
+};
+
+function _warnDowngrades(format, columns, types, warn) {
+    const downgraded = columns.map((name, i) => ({ name, type: types[i] })).filter(c => DOWNGRADED_TYPES[c.type]);
+    if (!downgraded.length || !warn) return;
+    warn({
+        code: 'FileFormatTypeDowngraded',
+        format,
+        columns: downgraded,
+        message: `${format}: ${downgraded.map(c => `column "${c.name}" (${c.type}) is written as ${DOWNGRADED_TYPES[c.type]}`).join('; ')}.`,
+    });
+}
+
+function _inferSchema(rows, columns) {
+    return columns.map(name => {
+        const values = rows.map(r => r[name]).filter(v => v !== null && v !== undefined);
+        let type = 'String';
+        if (values.length && values.every(v => typeof v === 'boolean')) type = 'Boolean';
+        else if (values.length && values.every(v => Number.isInteger(v))) type = 'Int64';
+        else if (values.length && values.every(v => typeof v === 'number')) type = 'Double';
+        return { name, type };
+    });
+}
+
+function _toNumber(value, integer) {
+    const n = typeof value === 'number' ? value : Number(String(value).trim());
+    if (Number.isNaN(n)) throw new Error(`"${value}" is not a number`);
+    return integer ? Math.trunc(n) : n;
+}
+
+function _toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'number') return BigInt(Math.trunc(value));
+    try { return BigInt(String(value).trim()); } catch { throw new Error(`"${value}" is not an integer`); }
+}
+
+// A decimal (number, BigInt or decimal string, exponent allowed) as its unscaled BigInt,
+// rounded half away from zero to `scale` digits
+function _toUnscaled(value, { precision, scale }) {
+    const m = String(value).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+    if (!m || !(m[2] || m[3])) throw new Error(`"${value}" is not a decimal`);
+    const digits = BigInt((m[2] || '') + (m[3] || ''));
+    const shift = Number(m[4] ?? 0) - (m[3] ?? '').length + scale;
+    let unscaled = digits * 10n ** BigInt(Math.max(shift, 0));
+    if (shift < 0) {
+        const divisor = 10n ** BigInt(-shift);
+        unscaled = digits / divisor + (2n * (digits % divisor) >= divisor ? 1n : 0n);
+    }
+    if (unscaled >= 10n ** BigInt(precision)) throw new Error(`"${value}" does not fit decimal(${precision},${scale})`);
+    return m[1] === '-' ? -unscaled : unscaled;
+}
+
+// Bytes for a fixed-length decimal of `precision` digits (16 for decimal(38, s))
+function _decimalByteLength(precision) {
+    return Math.ceil((precision * Math.log2(10) + 1) / 8);
+}
+
+function _toTwosComplement(n) {
+    const bytes = [];
+    do {
+        bytes.unshift(Number(n & 0xffn));
+        n >>= 8n;
+    } while (!((n === 0n && !(bytes[0] & 0x80)) || (n === -1n && bytes[0] & 0x80)));
+    return Buffer.from(bytes);
+}
+
+function _fromTwosComplement(buf) {
+    if (!buf.length) return 0n;
+    const n = BigInt(`0x${Buffer.from(buf).toString('hex')}`);
+    return buf[0] & 0x80 ? n - (1n << BigInt(buf.length * 8)) : n;
+}
+
+function _toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const s = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(s)) return true;
+    if (['false', '0', 'no'].includes(s)) return false;
+    throw new Error(`"${value}" is not a boolean`);
+}
+
+function _toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const d = value instanceof Date ? value : new Date(typeof value === 'number' ? value : String(value));
+    if (Number.isNaN(d.getTime())) throw new Error(`"${value}" is not a date/time`);
+    return d;
+}
+
+// binary values arrive as base64 (file sources) or 0x-prefixed hex (SQL sources)
+function _toBytes(value) {
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) return Buffer.from(value);
+    const s = String(value);
+    return /^0x[0-9a-f]*$/i.test(s) ? Buffer.from(s.slice(2), 'hex') : Buffer.from(s, 'base64');
+}
+
+function _isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function _arrayBuffer(buffer) {
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+module.exports = { READ_FORMATS, WRITE_FORMATS, readFormat, writeFormat };
@@ -0,0 +1,91 @@
+'use strict';
+// globalParameters.js — loads global parameters for local runs and pipeline validation.
+//
+// Sources, later entries override earlier ones:
+//   1. factory/*.json          — ADF factory resource, properties.globalParameters
+//   2. global-parameters.json  — workspace-level file (Synapse workspaces have no factory resource)
+//   3. a profile from global-parameters.json — per-environment value overrides
+//
+// global-parameters.json:
+//   {
+//     "globalParameters": { "env": { "type": "String", "value": "dev" } },
+//     "profiles":         { "test": { "env": "test" }, "prod": { "env": "prod" } },
+//     "defaultProfile":   "test"
+//   }
+//
+// Profiles only override values of parameters defined by (1) or (2); they cannot add new ones,
+// so a pipeline that validates against one profile validates against all of them.
+
+const path = require('path');
+const fs   = require('fs');
+
+const WORKSPACE_FILE = 'global-parameters.json';
+
+// @pipeline().globalParameters.name, ?.name and ['name'] forms
+const REF_PATTERNS = [
+    /pipeline\(\)\s*\??\.\s*globalParameters\s*\??\.\s*([A-Za-z_][\w]*)/gi,
+    /pipeline\(\)\s*\??\.\s*globalParameters\s*\??\.?\[\s*'([^']+)'\s*\]/gi,
+];
+
+/**
+ * Load global parameter definitions for a workspace.
+ * @param {string}  workspaceRoot
+ * @param {string} [profile]  profile name; defaults to the file's defaultProfile
+ * @returns {{ definitions: object, profiles: string[], profile: string|null }}
+ *          definitions: { name: { type, value } }
+ * @throws {Error} when `profile` names a profile that is not defined
+ */
+function loadGlobalParameters(workspaceRoot, profile) {
+    const definitions = {};
+    if (!workspaceRoot) return { definitions, profiles: [], profile: null };
+
+    const factoryDir = path.join(workspaceRoot, 'factory');
+    if (fs.existsSync(factoryDir)) {
+        for (const file of fs.readdirSync(factoryDir).filter(f => f.endsWith('.json')).sort()) {
+            const factory = _readJson(path.join(factoryDir, file));
+            Object.assign(definitions, factory?.properties?.globalParameters ?? {});
+        }
+    }
+
+    const wsFile   = _readJson(path.join(workspaceRoot, WORKSPACE_FILE)) ?? {};
+    Object.assign(definitions, wsFile.globalParameters ?? {});
+
+    const profiles = wsFile.profiles ?? {};
+    const active   = profile ?? wsFile.defaultProfile ?? null;
+    if (active) {
+        if (!profiles[active]) {
+            throw new Error(`Unknown global parameter profile "${active}". Defined profiles: ${Object.keys(profiles).join(', ') || '(none)'}`);
+        }
+        for (const [name, value] of Object.entries(profiles[active])) {
+            if (definitions[name]) definitions[name] = { ...definitions[name], value };
+        }
+    }
+    return { definitions, profiles: Object.keys(profiles), profile: active };
+}
+
+/** Flatten definitions to the { name: value } map exposed as pipeline().globalParameters. */
+function globalParameterValues(definitions) {
+    return Object.fromEntries(Object.entries(definitions || {}).map(([name, def]) => [name, def?.value ?? null]));
+}
+
+/**
+ * Names of global parameters referenced by expressions anywhere inside `value`
+ * (typically an activity or list of activities).
+ * @returns {string[]}
+ */
+function findGlobalParameterRefs(value) {
+    const text  = JSON.stringify(value ?? null);
+    const names = new Set();
+    for (const re of REF_PATTERNS) {
+        for (const m of text.matchAll(re)) names.add(m[1]);
+    }
+    return [...names];
+}
+
+function _readJson(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    try { return JSON.parse(fs.readFileSync(filePath, 'utf8')); }
+    catch { return null; /* corrupt file — treat as absent */ }
+}
+
+module.exports = { loadGlobalParameters, globalParameterValues, findGlobalParameterRefs };
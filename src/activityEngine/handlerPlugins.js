@@ -0,0 +1,97 @@
+'use strict';
+// handlerPlugins.js — workspace-provided activity handlers for local runs.
+//
+// Every .js file in <workspace>/.adf-local/handlers/ exports one definition or an array of them:
+//
+//   // .adf-local/handlers/azureFunction.js
+//   module.exports = {
+//       activityType: 'AzureFunctionActivity',   // or an array of types
+//       external: true,                          // optional: strict mock mode will not call it
+//       description: 'Calls the function app on localhost',
+//       async handler(activity) {
+//           const name = this._eval(activity.typeProperties.functionName, {});
+//           const res  = await fetch(`http://localhost:7071/api/${name}`);
+//           return { statusCode: res.status, response: await res.text() };
+//       },
+//   };
+//
+// Handlers run exactly like the built-in ones in localRunner.js: called with `this` bound to the
+// LocalPipelineRunner (this._eval, this.emit, this.workspaceRoot, this.pipelineName, ...), the
+// resolved output is the activity output and a thrown error fails the activity (retries apply).
+// The second argument is an AbortSignal that is aborted when policy.timeout gives up on the attempt.
+// A plugin replaces the local-run-config.json entry for its type, built-in types included.
+
+const path = require('path');
+const fs   = require('fs');
+
+const HANDLERS_DIR = path.join('.adf-local', 'handlers');
+
+class HandlerPlugins {
+    constructor() {
+        this._byType = new Map(); // activity type → { handler, external, description, file }
+    }
+
+    /** The plugin definition for an activity type, shaped like a local-run-config.json runner entry. */
+    get(activityType) {
+        return this._byType.get(activityType) ?? null;
+    }
+
+    /** Activity types provided by plugins. */
+    types() {
+        return [...this._byType.keys()];
+    }
+
+    /**
+     * Register the definitions exported by one plugin module.
+     * @throws {Error} for malformed definitions and types already registered by another file
+     */
+    add(exported, file) {
+        const where = path.basename(file);
+        const definitions = Array.isArray(exported) ? exported : [exported];
+        for (const def of definitions) {
+            const types = [].concat(def?.activityType ?? []);
+            if (types.length === 0 || types.some(t => typeof t !== 'string' || !t)) {
+                throw new Error(`Invalid handler plugin ${where}: "activityType" must be an activity type name or an array of them`);
+            }
+            if (typeof def.handler !== 'function') {
+                throw new Error(`Invalid handler plugin ${where}: "handler" for ${types.join(', ')} must be a function`);
+            }
+            for (const type of types) {
+                const existing = this._byType.get(type);
+                if (existing) {
+                    throw new Error(`Handler plugin ${where} registers "${type}", already registered by ${path.basename(existing.file)}`);
+                }
+                this._byType.set(type, { handler: def.handler, external: def.external === true, description: def.description ?? null, file });
+            }
+        }
+    }
+}
+
+/**
+ * Load the workspace's handler plugins. Modules are re-read on every call, so edits apply to the
+ * next run without reloading VS Code.
+ * @param {string} workspaceRoot
+ * @returns {HandlerPlugins|null}  null when the workspace has no .adf-local/handlers folder
+ * @throws {Error} when a plugin cannot be loaded or is malformed
+ */
+function loadHandlerPlugins(workspaceRoot) {
+    const dir = path.join(workspaceRoot || '', HANDLERS_DIR);
+    if (!workspaceRoot || !fs.existsSync(dir)) return null;
+
+    const plugins = new HandlerPlugins();
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+    for (const name of files) {
+        const file = path.join(dir, name);
+        let exported;
+        try {
+            delete require.cache[require.resolve(file)];
+            exported = require(file);
+        } catch (err) {
+            throw new Error(`Handler plugin ${name} failed to load: ${err.message}`);
+        }
+        plugins.add(exported, file);
+    }
+    return plugins;
+}
+
+module.exports = { HANDLERS_DIR, HandlerPlugins, loadHandlerPlugins };
@@ -0,0 +1,78 @@
+'use strict';
+// keyVaultClient.js — resolves AzureKeyVaultSecret references for local runs.
+//
+// A reference looks like:
+//   { type: 'AzureKeyVaultSecret', store: { referenceName: 'MyVault', type: 'LinkedServiceReference' },
+//     secretName: 'db-password', secretVersion?: '...' }
+// The store is an AzureKeyVault linked service in linkedService/<name>.json whose
+// typeProperties.baseUrl is the vault URL.
+//
+// Auth: DefaultAzureCredential (az login / env / managed identity)
+// Scope: https://vault.azure.net/.default
+
+const { DefaultAzureCredential } = require('@azure/identity');
+const https = require('https');
+const path  = require('path');
+const fs    = require('fs');
+const { URL: NodeURL } = require('url');
+
+const KEY_VAULT_SCOPE       = 'https://vault.azure.net/.default';
+const KEY_VAULT_API_VERSION = '7.4';
+
+class KeyVaultClient {
+    constructor(vaultUrl) {
+        this.vaultUrl   = vaultUrl.replace(/\/$/, '');
+        this.credential = new DefaultAzureCredential();
+    }
+
+    /** Fetch a secret value. `version` may be omitted for the latest version. */
+    async getSecret(name, version) {
+        const { token } = await this.credential.getToken(KEY_VAULT_SCOPE);
+        const url = new NodeURL(
+            `${this.vaultUrl}/secrets/${encodeURIComponent(name)}${version ? `/${encodeURIComponent(version)}` : ''}` +
+            `?api-version=${KEY_VAULT_API_VERSION}`
+        );
+
+        const data = await new Promise((resolve, reject) => {
+            const req = https.request({
+                hostname: url.hostname,
+                port:     url.port || 443,
+                path:     url.pathname + url.search,
+                method:   'GET',
+                headers:  { 'Authorization': `Bearer ${token}` },
+            }, (res) => {
+                let body = '';
+                res.on('data', c => { body += c; });
+                res.on('end', () => {
+                    // Never include the response body in errors — it may carry the secret
+                    if (res.statusCode >= 400) reject(new Error(`Key Vault ${res.statusCode} reading secret "${name}" from ${this.vaultUrl}`));
+                    else resolve(body);
+                });
+            });
+            req.on('error', reject);
+            req.end();
+        });
+        return JSON.parse(data).value;
+    }
+}
+
+/** True when `value` is an AzureKeyVaultSecret reference object. */
+function isKeyVaultReference(value) {
+    return !!value && typeof value === 'object' && value.type === 'AzureKeyVaultSecret';
+}
+
+/**
+ * Look up the vault URL of an AzureKeyVault linked service in the workspace.
+ * @throws {Error} when the linked service is missing or has no baseUrl
+ */
+function resolveVaultUrl(storeName, workspaceRoot) {
+    const lsFile = path.join(workspaceRoot || '', 'linkedService', `${storeName}.json`);
+    if (!workspaceRoot || !fs.existsSync(lsFile)) {
+        throw new Error(`Key Vault linked service "${storeName}" not found in the workspace linkedService/ folder`);
+    }
+    const baseUrl = JSON.parse(fs.readFileSync(lsFile, 'utf8'))?.properties?.typeProperties?.baseUrl;
+    if (!baseUrl) throw new Error(`Key Vault linked service "${storeName}" has no typeProperties.baseUrl`);
+    return baseUrl;
+}
+
+module.exports = { KeyVaultClient, isKeyVaultReference, resolveVaultUrl };
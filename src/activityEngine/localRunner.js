@@ -7,26 +7,43 @@
 // Usage:
 //   const runner = new LocalPipelineRunner(pipelineJson, parameters, workspaceRoot);
 //   runner.on('activityUpdate', ({name, status, output, error}) => ...);
-//   runner.on('pipelineEnd',    ({status, error}) => ...);
+//   runner.on('pipelineEnd',    ({status, error, pipelineReturnValue}) => ...);  // secrets redacted
+//   runner.triggerInfo = { type: 'ScheduleTrigger', scheduledTime: '...' };  // optional, before run()
+//   runner.globalParameters = { env: 'test' };  // optional — defaults to the workspace's global parameters
+//   runner.on('detachedRun', ({runId, pipelineName, runner}) => ...);  // ExecutePipeline with waitOnCompletion: false
+//   runner.on('runWarning',  ({code, activityName, message}) => ...);    // e.g. parallel ForEach variable races
+//   runner.stopActivities  = ['Load'];        // partial run: only 'Load' and what it depends on
+//   runner.startActivities = ['Transform'];   // partial run: 'Transform' and everything downstream of it
+//   runner.seed({ activityOutputs, activityStatuses });  // upstream context for startActivities
+//   runner.mocks = loadMocks(workspaceRoot);  // optional — canned outputs instead of live handlers (see mocks.js)
+//   runner.handlerPlugins = plugins;          // optional — defaults to <workspace>/.adf-local/handlers (see handlerPlugins.js)
+//   runner.sqlPools = pools;                  // optional — SQL connection pools (see sqlClient.js); default: opened and closed by run()
 //   await runner.run();
-//   runner.cancel();  // graceful cancellation
+//   runner.cancel();  // graceful cancellation; cancel({ includeDetached: true }) also stops background children
 
 const EventEmitter = require('events');
 const path = require('path');
 const fs   = require('fs');
-const os   = require('os');
 const { evaluate } = require('./expressionEvaluator');
+const { loadGlobalParameters, globalParameterValues } = require('./globalParameters');
+const { KeyVaultClient, isKeyVaultReference, resolveVaultUrl } = require('./keyVaultClient');
 const runConfig = require('../local-run-config.json');
 const { SynapseClient, NOTEBOOK_LANG_TO_KIND } = require('./synapseClient');
-const { ADLSRestClient } = require('../adlsRestClient');
+const { createStorageClient } = require('./storageBackends');
+const { HANDLERS_DIR, loadHandlerPlugins } = require('./handlerPlugins');
+const { loadSynapseWorkspaceConfig } = require('./workspaceConfig');
 const { resolveDatasetToAdls, buildAdlsPath } = require('./datasetResolver');
 const { resolveSqlLinkedService, resolveSqlDataset } = require('./sqlResolver');
-const { SqlClient, readParquetFile, writeParquetFile, readExcelFile, readXmlFile } = require('./sqlClient');
+const { SqlClient, SqlPools } = require('./sqlClient');
+const { readFormat, writeFormat } = require('./fileFormats');
 const copyConfig = require('../copyActivityConfig.json');
 
 const RUNNERS     = runConfig.activityRunners;
 const RUN_LIMITS  = runConfig.runLimits;
 
+// Shown in place of payloads hidden by policy.secureInput / secureOutput and of redacted secrets
+const SECURE_MASK = '********';
+
 /**
  * Parse an ADF TimeSpan string to total seconds.
  * Supported formats:
@@ -76,6 +93,24 @@ class LocalPipelineRunner extends EventEmitter {
         this.activityOutputs  = {};  // { activityName: outputObject }
         this.activityStatuses = {};  // { activityName: 'Succeeded' | 'Failed' | 'Skipped' }
         this.activityRuns     = [];  // array of activity run result records (for viewer)
+        this.activityRunIds   = {};  // { activityName: activityRunId } — for activity('X').ActivityRunId
+        this.activityErrors   = {};  // { activityName: { message } }   — for activity('X').error
+        this.triggerInfo  = null;    // simulated trigger metadata (see _buildRunContext)
+        this.parentRun    = null;    // { runId, pipelineName } when started by ExecutePipeline
+        this.globalParameters = null; // { name: value }; null = load from workspace on run()
+        this.secretValues = null;    // Set of resolved secrets to redact; shared with ExecutePipeline children
+        this.debugSession = null;    // DebugSession (breakpoints / stepping); shared with nested scopes
+        this.mocks        = null;    // ActivityMocks: mocked activities skip their handler; shared with nested scopes
+        this.handlerPlugins = null;  // HandlerPlugins; null = load the workspace's .adf-local/handlers on run()
+        this.sqlPools     = null;    // SqlPools shared with a waiting ExecutePipeline parent; null = run() owns its pools
+        this.detachedRunOwner = null; // runner tracking fire-and-forget children started in this run; null = this runner
+        this.startActivities = null; // top-level activity names a partial run starts from (see _applyRunScope)
+        this.stopActivities  = null; // top-level activity names a partial run stops after
+        this._seededOnly  = new Set(); // seeded activities left out of a partial run
+        this._runContext  = null;    // pipeline()/trigger() system variables, shared with nested scopes
+        this.detachedRuns = [];      // fire-and-forget ExecutePipeline children: { runId, pipelineName, parentActivity, status, runner }
+        this.warnings     = [];      // runWarning events reported during this run
+        this._forEachScope = null;   // { activityName, iteration, activeWrites, warned } inside a parallel ForEach iteration
         this._cancelled   = false;
         this._startTime   = null;
     }
@@ -93,23 +128,166 @@ class LocalPipelineRunner extends EventEmitter {
         }, RUN_LIMITS.maxRunDurationMs);
 
         try {
-            const activities = this.pipelineJson?.properties?.activities ?? [];
-            await this._executeActivityList(activities);
+            // Container scopes (ForEach, If, ...) inherit the run context of the pipeline they belong to
+            const ownsSqlPools = !this._runContext && !this.sqlPools;
+            if (!this._runContext) this._runContext = _buildRunContext(this);
+            const activities = this._applyRunScope(this.pipelineJson?.properties?.activities ?? []);
+            try {
+                await this._executeActivityList(activities);
+            } finally {
+                if (ownsSqlPools) await this._runContext.sqlPools.closeAll();
+            }
             clearTimeout(timeoutHandle);
-            const hasFailed  = Object.values(this.activityStatuses).some(s => s === 'Failed');
+            const hasFailed  = Object.entries(this.activityStatuses).some(([name, s]) => s === 'Failed' && !this._seededOnly.has(name));
             const finalStatus = this._cancelled ? 'Cancelled' : (hasFailed ? 'Failed' : 'Succeeded');
-            this.emit('pipelineEnd', { runId: this.runId, status: finalStatus, activityRuns: this.activityRuns });
+            this._endTime = new Date();
+            // Return values are reported redacted; a waiting ExecutePipeline reads the real ones
+            // from _runContext.returnValues
+            this.emit('pipelineEnd', {
+                runId: this.runId, status: finalStatus, activityRuns: this.activityRuns,
+                pipelineReturnValue: this._mask(this._runContext.returnValues, false),
+            });
         } catch (err) {
             clearTimeout(timeoutHandle);
-            this.emit('pipelineEnd', { runId: this.runId, status: 'Failed', error: err.message, activityRuns: this.activityRuns });
+            this._endTime = new Date();
+            this.emit('pipelineEnd', {
+                runId: this.runId, status: 'Failed', error: this._mask(err.message, false), activityRuns: this.activityRuns,
+                pipelineReturnValue: this._mask(this._runContext?.returnValues ?? {}, false),
+            });
         }
     }
 
+    /**
+     * Seed activity state captured from a previous run, before run(). With startActivities this
+     * gives activity('Upstream').output expressions the values the skipped upstream produced.
+     * @param {{ activityOutputs?: object, activityStatuses?: object }} previous
+     */
+    seed({ activityOutputs = {}, activityStatuses = {} } = {}) {
+        Object.assign(this.activityOutputs, activityOutputs);
+        Object.assign(this.activityStatuses, activityStatuses);
+    }
+
     /**
      * Request cancellation of the current run.
+     * @param {{ includeDetached?: boolean }} [options]  includeDetached — also cancel fire-and-forget
+     *        ExecutePipeline children that are still running (they are left running by default)
      */
-    cancel() {
+    cancel({ includeDetached = false } = {}) {
         this._cancelled = true;
+        // Release an activity held at a breakpoint so the run can wind down. Nested scopes and
+        // ExecutePipeline children (cancelled when their activity times out) share the session
+        // with the rest of the run and leave it alone.
+        if (!this.parentRun && this._runContext?.owner === this) this._runContext.debug?.stop();
+        if (!includeDetached) return;
+        for (const d of this.detachedRuns) {
+            if (d.status === 'Running') d.runner.cancel({ includeDetached: true });
+        }
+    }
+
+    /**
+     * Report a non-fatal problem as a 'runWarning' event on the pipeline-level runner
+     * (container scopes have no listeners of their own).
+     * @param {{ code: string, activityName: string, message: string }} warning  plus code-specific fields
+     */
+    _warn(warning) {
+        const owner = this._runContext?.owner ?? this;
+        owner.warnings.push(warning);
+        owner.emit('runWarning', warning);
+    }
+
+    /**
+     * Track a SetVariable/AppendVariable write made inside a parallel ForEach iteration and
+     * warn, once per variable and ForEach, when another in-flight iteration has written it too.
+     */
+    _noteVariableWrite(varName) {
+        const scope = this._forEachScope;
+        if (!scope) return;
+        const writers = scope.activeWrites.get(varName) ?? new Set();
+        writers.add(scope.iteration);
+        scope.activeWrites.set(varName, writers);
+        if (writers.size < 2 || scope.warned.has(varName)) return;
+        scope.warned.add(varName);
+        const iterations = [...writers];
+        this._warn({
+            code: 'ParallelVariableWrite',
+            activityName: scope.activityName,
+            variableName: varName,
+            iterations,
+            message: `Variable "${varName}" is written by iterations ${iterations.join(' and ')} of parallel ForEach ` +
+                     `"${scope.activityName}" — the final value depends on timing. Set isSequential: true to avoid the race.`,
+        });
+    }
+
+    /**
+     * Start a fire-and-forget ExecutePipeline child in the background. It is tracked by the
+     * pipeline-level runner (also when started inside a ForEach/If/...), or by the top-level run
+     * when this pipeline is itself a waited-on ExecutePipeline child: 'detachedRun' fires before
+     * the child starts so listeners can subscribe to its events, and when it ends its records are
+     * appended to the owner's activityRuns and 'detachedRunEnd' fires.
+     */
+    _startDetachedRun(child, parentActivity, pipelineName) {
+        const owner = this._runContext.detachedOwner;
+        const entry = { runId: child.runId, pipelineName, parentActivity, status: 'Running', runner: child };
+        owner.detachedRuns.push(entry);
+
+        child.on('pipelineEnd', (e) => {
+            entry.status = e.status;
+            for (const rec of child.activityRuns) {
+                owner.activityRuns.push({ ...rec, _subPipeline: pipelineName, _parentActivity: parentActivity, _detachedRunId: child.runId });
+            }
+            owner.emit('detachedRunEnd', { runId: child.runId, pipelineName, parentActivity, status: e.status });
+        });
+        owner.emit('detachedRun', { runId: child.runId, pipelineName, parentActivity, runner: child });
+        child.run().catch(() => {});
+    }
+
+    /**
+     * Partial runs: keep the top-level activities downstream of startActivities (inclusive) and
+     * upstream of stopActivities (inclusive); with both, their intersection. Dependencies on
+     * activities left out count as satisfied. Left-out activities with a seeded status report it
+     * (flagged `seeded`) so the viewer shows the context the run started from.
+     * @throws {Error} when a start/stop activity is not a top-level activity of the pipeline
+     */
+    _applyRunScope(activities) {
+        if (!this.startActivities?.length && !this.stopActivities?.length) return activities;
+
+        const byName = new Map(activities.map(a => [a.name, a]));
+        for (const name of [...(this.startActivities ?? []), ...(this.stopActivities ?? [])]) {
+            if (!byName.has(name)) throw new Error(`Activity "${name}" is not a top-level activity of pipeline "${this.pipelineName}"`);
+        }
+        const reach = (roots, next) => {
+            const seen  = new Set();
+            const stack = [...roots];
+            while (stack.length > 0) {
+                const name = stack.pop();
+                if (seen.has(name) || !byName.has(name)) continue;
+                seen.add(name);
+                stack.push(...next(name));
+            }
+            return seen;
+        };
+        const upstream   = (name) => (byName.get(name).dependsOn || []).map(d => d.activity);
+        const downstream = (name) => activities.filter(a => (a.dependsOn || []).some(d => d.activity === name)).map(a => a.name);
+
+        let inScope = new Set(byName.keys());
+        if (this.startActivities?.length) inScope = reach(this.startActivities, downstream);
+        if (this.stopActivities?.length) {
+            const needed = reach(this.stopActivities, upstream);
+            inScope = new Set([...inScope].filter(n => needed.has(n)));
+        }
+
+        for (const a of activities) {
+            const status = this.activityStatuses[a.name];
+            if (inScope.has(a.name) || !status) continue;
+            this._seededOnly.add(a.name);
+            this.emit('activityUpdate', {
+                name: a.name, type: a.type, status, output: this._mask(this.activityOutputs[a.name] ?? null, this._activityPolicy(a).secureOutput),
+                error: null, input: null, seeded: true,
+            });
+        }
+        return activities
+            .filter(a => inScope.has(a.name))
+            .map(a => ({ ...a, dependsOn: (a.dependsOn || []).filter(d => inScope.has(d.activity)) }));
     }
 
     // â”€â”€â”€ Core execution engine â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
@@ -193,27 +371,182 @@ class LocalPipelineRunner extends EventEmitter {
             return;
         }
 
-        const runnerConf = RUNNERS[activity.type];
+        const debug = this._runContext.debug;
+        if (debug) {
+            const action = await debug.checkpoint(this, activity);
+            if (action === 'cancel' || this._cancelled) { this._emitSkipped(activity, 'Run cancelled'); return; }
+            if (action === 'skip') {
+                // Skipped in the debugger: succeed with whatever output was set while paused
+                const output = this.activityOutputs[activity.name] ?? { skippedReason: 'Skipped in debugger' };
+                const shown  = this._mask(output, this._activityPolicy(activity).secureOutput);
+                this.activityOutputs[activity.name]  = output;
+                this.activityStatuses[activity.name] = 'Succeeded';
+                this._recordRun(activity, 'Succeeded', null, null, shown);
+                this.emit('activityUpdate', { name: activity.name, type: activity.type, status: 'Succeeded', output: shown, error: null, input: null });
+                return;
+            }
+        }
+
+        // Workspace plugins take precedence over local-run-config.json
+        const runnerConf = this._runContext.handlers?.get(activity.type) ?? RUNNERS[activity.type];
         const handler = runnerConf?.handler ?? 'notSupportedHandler';
-        const startTime = new Date();
-        this.emit('activityUpdate', { name: activity.name, type: activity.type, status: 'Running', output: null, error: null, input: activity.typeProperties || {} });
+        const policy  = this._activityPolicy(activity);
+        // Events and activityRuns only ever see masked payloads; activityOutputs keeps the real
+        // output so downstream expressions still evaluate.
+        const input   = this._mask(activity.typeProperties || {}, policy.secureInput);
+        const mock    = this._runContext?.mocks?.find(this._runContext.pipeline.Pipeline, activity) ?? null;
+        const mocked  = mock ? { mocked: true } : {};
+
+        // Each attempt is a separate activity run, as in Synapse monitoring
+        for (let attempt = 1; ; attempt++) {
+            const startTime = new Date();
+            this.emit('activityUpdate', { name: activity.name, type: activity.type, status: 'Running', output: null, error: null, input, attempt, ...mocked });
+
+            // Aborted when policy.timeout gives up on this attempt, so handlers can stop their work
+            const controller = new AbortController();
+            try {
+                const output = await this._withTimeout(this._runHandler(activity, runnerConf, handler, mock, controller.signal), activity, policy, controller);
+                const endTime = new Date();
+                const shown   = this._mask(output, policy.secureOutput);
+                this.activityOutputs[activity.name]  = output ?? {};
+                this.activityStatuses[activity.name] = 'Succeeded';
+                this._recordRun(activity, 'Succeeded', startTime, endTime, shown, null, { attempt, ...mocked });
+                this.emit('activityUpdate', { name: activity.name, type: activity.type, status: 'Succeeded', output: shown, error: null, input, attempt, ...mocked });
+                return;
+            } catch (err) {
+                const endTime = new Date();
+                // If cancelled mid-activity, mark as Cancelled rather than Failed
+                let status = (err.isCancelled || this._cancelled) ? 'Cancelled' : 'Failed';
+                if (err.isPipelineFail) status = 'Failed';
+                // Fail activities, unsupported types and cancellations are final; other failures retry per policy.retry
+                const willRetry = status === 'Failed' && !err.isPipelineFail && !err.notSupported && attempt <= policy.retry;
+                const errorMsg  = this._mask(err.message, false);
+                // Handlers may attach a partial output to the error (e.g. ForEach iteration results)
+                const errOutput = err.activityOutput != null ? this._mask(err.activityOutput, policy.secureOutput) : null;
+                this._recordRun(activity, status, startTime, endTime, errOutput, errorMsg, { attempt, willRetry, ...mocked });
+                this.emit('activityUpdate', { name: activity.name, type: activity.type, status, output: errOutput, error: errorMsg, input, attempt, willRetry, ...mocked });
+
+                if (willRetry) {
+                    await this._waitRetryInterval(policy.retryIntervalInSeconds);
+                    if (!this._cancelled) continue;
+                    status = 'Cancelled';
+                    this.emit('activityUpdate', { name: activity.name, type: activity.type, status, output: null, error: 'Run cancelled', input, attempt });
+                }
+                this.activityStatuses[activity.name] = status;
+                if (err.isPipelineFail) throw err;
+                return;
+            }
+        }
+    }
 
-        try {
-            const output = await HANDLER_REGISTRY[handler].call(this, activity);
-            const endTime = new Date();
-            this.activityOutputs[activity.name]  = output ?? {};
-            this.activityStatuses[activity.name] = 'Succeeded';
-            this._recordRun(activity, 'Succeeded', startTime, endTime, output);
-            this.emit('activityUpdate', { name: activity.name, type: activity.type, status: 'Succeeded', output, error: null, input: activity.typeProperties || {} });
-        } catch (err) {
-            const endTime = new Date();
-            // If cancelled mid-activity, mark as Cancelled rather than Failed
-            let status = (err.isCancelled || this._cancelled) ? 'Cancelled' : 'Failed';
-            if (err.isPipelineFail) status = 'Failed';
-            this.activityStatuses[activity.name] = status;
-            this._recordRun(activity, status, startTime, endTime, null, err.message);
-            this.emit('activityUpdate', { name: activity.name, type: activity.type, status, output: null, error: err.message, input: activity.typeProperties || {} });
-            if (err.isPipelineFail) throw err;
+    /**
+     * Run an activity's handler, or its mock entry (see mocks.js) when mock mode has one.
+     * Strict mock mode refuses to call the handler of an unmocked external activity.
+     * @param {string|Function} handler  HANDLER_REGISTRY name, or a plugin's function
+     * @param {AbortSignal} [signal]  aborted when the attempt times out; passed to the handler
+     */
+    async _runHandler(activity, runnerConf, handler, mock, signal) {
+        const mocks = this._runContext?.mocks;
+        if (mock) return mocks.invoke(this, activity, mock);
+        if (mocks?.blocks(activity, runnerConf)) {
+            const err = new Error(`No mock defined for ${activity.type} activity "${activity.name}" — strict mock mode does not call live resources.`);
+            err.notSupported = true;  // final: a retry would fail the same way
+            throw err;
+        }
+        if (typeof handler === 'function') return handler.call(this, activity, signal);
+        return HANDLER_REGISTRY[handler].call(this, activity, signal);
+    }
+
+    /**
+     * Resolve an activity's retry/timeout/secure policy. Defaults match the service:
+     * no retries, 30 s between attempts, 12 h timeout, input and output visible.
+     */
+    _activityPolicy(activity) {
+        const p = activity.policy || {};
+        const retry    = parseInt(this._eval(p.retry ?? 0, {}), 10);
+        const interval = parseInt(this._eval(p.retryIntervalInSeconds ?? 30, {}), 10);
+        return {
+            retry:                  Number.isFinite(retry) && retry > 0 ? retry : 0,
+            retryIntervalInSeconds: Number.isFinite(interval) && interval >= 0 ? interval : 30,
+            timeout:                p.timeout ?? '0.12:00:00',
+            timeoutSeconds:         parseAdfTimespan(p.timeout, 12 * 3600),
+            secureInput:            p.secureInput === true,
+            secureOutput:           p.secureOutput === true,
+        };
+    }
+
+    /**
+     * A payload as reported to the UI and activityRuns: SECURE_MASK when `secure` is set,
+     * otherwise the value with every secret resolved during this run redacted.
+     */
+    _mask(value, secure) {
+        if (secure && value !== null && value !== undefined) return SECURE_MASK;
+        return _redactSecrets(value, this._runContext?.secrets);
+    }
+
+    /**
+     * Activity outputs as the UI and run history show them: each masked per its own activity's
+     * secureOutput policy, including activities nested in ForEach, Until, IfCondition and Switch.
+     */
+    _maskedActivityOutputs(outputs = this.activityOutputs) {
+        const byName = new Map();
+        const walk = (activities) => {
+            for (const a of activities ?? []) {
+                byName.set(a.name, a);
+                const tp = a.typeProperties ?? {};
+                for (const key of ['activities', 'ifTrueActivities', 'ifFalseActivities', 'defaultActivities']) walk(tp[key]);
+                for (const c of tp.cases ?? []) walk(c.activities);
+            }
+        };
+        walk(this.pipelineJson?.properties?.activities);
+        const masked = {};
+        for (const [name, output] of Object.entries(outputs ?? {})) {
+            const activity = byName.get(name);
+            masked[name] = this._mask(output, activity ? this._activityPolicy(activity).secureOutput : false);
+        }
+        return masked;
+    }
+
+    /**
+     * Resolve a secret-typed property: a SecureString, an AzureKeyVaultSecret reference
+     * (fetched with DefaultAzureCredential) or a plain value/expression.
+     * Resolved secret values are redacted from all events and run records from then on.
+     */
+    async _resolveSecureValue(value) {
+        let resolved;
+        if (isKeyVaultReference(value)) {
+            const vaultUrl = resolveVaultUrl(value.store?.referenceName, this.workspaceRoot);
+            resolved = await new KeyVaultClient(vaultUrl).getSecret(String(this._eval(value.secretName, {})), value.secretVersion);
+        } else if (value?.type === 'SecureString') {
+            resolved = value.value;
+        } else {
+            return this._eval(value, {});
+        }
+        if (resolved) this._runContext.secrets.add(String(resolved));
+        return resolved;
+    }
+
+    /**
+     * Reject when the handler outlives policy.timeout and abort the attempt's controller.
+     * Handlers that watch the signal (Wait, WebActivity, and the containers, which cancel their
+     * child runs) stop; others keep running in the background, but their result is ignored.
+     */
+    _withTimeout(handlerPromise, activity, policy, controller) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                controller?.abort();
+                reject(new Error(`Activity "${activity.name}" timed out after ${policy.timeout} (policy.timeout).`));
+            }, policy.timeoutSeconds * 1000);
+        });
+        return Promise.race([handlerPromise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /** Sleep between retry attempts; returns early when the run is cancelled. */
+    async _waitRetryInterval(seconds) {
+        const deadline = Date.now() + seconds * 1000;
+        while (!this._cancelled && Date.now() < deadline) {
+            await _sleepMs(Math.min(100, deadline - Date.now()));
         }
     }
 
@@ -223,11 +556,15 @@ class LocalPipelineRunner extends EventEmitter {
         this.emit('activityUpdate', { name: activity.name, type: activity.type, status: 'Skipped', output: null, error: reason, input: null });
     }
 
-    _recordRun(activity, status, startTime, endTime, output, errorMsg) {
+    _recordRun(activity, status, startTime, endTime, output, errorMsg, extra) {
+        const activityRunId = _randomId();
+        this.activityRunIds[activity.name] = activityRunId;
+        if (status === 'Failed') this.activityErrors[activity.name] = { message: errorMsg ?? '' };
+        else delete this.activityErrors[activity.name];
         this.activityRuns.push({
             activityName:    activity.name,
             activityType:    activity.type,
-            activityRunId:   _randomId(),
+            activityRunId,
             status,
             activityRunStart: startTime ? startTime.toISOString() : null,
             activityRunEnd:   endTime   ? endTime.toISOString()   : null,
@@ -235,6 +572,7 @@ class LocalPipelineRunner extends EventEmitter {
             output: output ?? null,
             error:  errorMsg ? { message: errorMsg } : null,
             input: null,
+            ...extra,
         });
     }
 
@@ -246,7 +584,11 @@ class LocalPipelineRunner extends EventEmitter {
             variables:        this.variables,
             activityOutputs:  this.activityOutputs,
             activityStatuses: this.activityStatuses,
-            globalParameters: {},
+            activityRunIds:   this.activityRunIds,
+            activityErrors:   this.activityErrors,
+            globalParameters: this._runContext?.globalParameters ?? {},
+            pipelineRun:      this._runContext?.pipeline ?? null,
+            trigger:          this._runContext?.trigger  ?? null,
             ...extra,
         };
     }
@@ -259,6 +601,24 @@ class LocalPipelineRunner extends EventEmitter {
         return evaluate(value, this._context(extra));
     }
 
+    // Parameter values of a dataset / linked service reference, evaluated in the activity's scope
+    // (item(), pipeline parameters, upstream outputs) before dataset() / linkedService() see them
+    _referenceParameters(ref) {
+        return Object.fromEntries(Object.entries(ref?.parameters ?? {}).map(([name, value]) => [name, this._eval(value, {})]));
+    }
+
+    // Storage client for a dataset location: live ADLS, or the local folder configured for its
+    // linked service under "storage" in synapse-local-run.json (see storageBackends.js).
+    _storageClient(loc) {
+        const wsConfig = loadSynapseWorkspaceConfig(this.workspaceRoot, this.extensionPath);
+        return createStorageClient(loc, wsConfig.storage, this.workspaceRoot);
+    }
+
+    // SQL client on the run's connection pools (sqlClient.js)
+    _sqlClient(conn) {
+        return new SqlClient(conn.server, conn.database, { pools: this._runContext?.sqlPools });
+    }
+
     _enforceRunDuration() {
         if (this._startTime && ((Date.now() - this._startTime) > RUN_LIMITS.maxRunDurationMs)) {
             this._cancelled = true;
@@ -267,25 +627,28 @@ class LocalPipelineRunner extends EventEmitter {
 }
 
 // â”€â”€â”€ Handler registry â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-// All handlers are functions(activity) called with `this` bound to the LocalPipelineRunner.
-// Add new activity type support by adding an entry here AND in local-run-config.json.
+// All handlers are functions(activity, signal) called with `this` bound to the LocalPipelineRunner;
+// signal is the attempt's AbortSignal, aborted when policy.timeout gives up on it.
+// Add new activity type support by adding an entry here AND in local-run-config.json, or from a
+// workspace with a handler plugin (handlerPlugins.js).
 
 const HANDLER_REGISTRY = {
 
     // â”€â”€ Wait â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-    async waitHandler(activity) {
+    async waitHandler(activity, signal) {
         const tp = activity.typeProperties || {};
         let seconds = parseFloat(this._eval(tp.waitTimeInSeconds ?? tp.waitInSeconds ?? 1, {}));
         if (isNaN(seconds) || seconds < 0) seconds = 0;
         seconds = Math.min(seconds, RUN_LIMITS.waitMaxSeconds);
 
         await new Promise((resolve, reject) => {
-            const t = setTimeout(resolve, seconds * 1000);
-            // Poll for cancellation every 100 ms
+            const done = (err) => { clearTimeout(t); clearInterval(poll); if (err) reject(err); else resolve(); };
+            const t = setTimeout(() => done(), seconds * 1000);
+            // Poll every 100 ms for cancellation, or for policy.timeout abandoning this attempt
             const poll = setInterval(() => {
-                if (this._cancelled) { clearTimeout(t); clearInterval(poll); reject(Object.assign(new Error('Run cancelled'), { isCancelled: true })); }
+                if (this._cancelled) done(Object.assign(new Error('Run cancelled'), { isCancelled: true }));
+                else if (signal?.aborted) done(new Error('Wait abandoned after policy.timeout'));
             }, 100);
-            setTimeout(() => clearInterval(poll), seconds * 1000 + 200);
         });
         return { waitTimeInSeconds: seconds };
     },
@@ -304,6 +667,14 @@ const HANDLER_REGISTRY = {
     async setVariableHandler(activity) {
         const tp = activity.typeProperties || {};
         const varName = String(this._eval(tp.variableName, {}));
+        if (tp.setSystemVariable && varName === 'pipelineReturnValue') {
+            // Pipeline return value: [{ key, value: { type, content } }] — collected for pipelineEnd
+            // and the calling ExecutePipeline's output.pipelineReturnValue
+            const entries = Array.isArray(tp.value) ? tp.value : [];
+            const value = Object.fromEntries(entries.map(e => [e.key, _evalReturnValue(this, e.value)]));
+            Object.assign(this._runContext.returnValues, value);
+            return { variableName: varName, value };
+        }
         let value     = this._eval(tp.value, {});
         if (tp.setSystemVariable) {
             return { variableName: varName, value };
@@ -313,6 +684,7 @@ const HANDLER_REGISTRY = {
         if (typeof value === 'string' && varDef?.type && ['Array', 'Object'].includes(varDef.type)) {
             try { value = JSON.parse(value); } catch { /* keep as string */ }
         }
+        this._noteVariableWrite(varName);
         this.variables[varName] = value;
         return { variableName: varName, value };
     },
@@ -322,6 +694,7 @@ const HANDLER_REGISTRY = {
         const tp = activity.typeProperties || {};
         const varName = String(this._eval(tp.variableName, {}));
         const value   = this._eval(tp.value, {});
+        this._noteVariableWrite(varName);
         if (!Array.isArray(this.variables[varName])) this.variables[varName] = [];
         this.variables[varName].push(value);
         return { variableName: varName, value: this.variables[varName] };
@@ -342,89 +715,110 @@ const HANDLER_REGISTRY = {
     },
 
     // â”€â”€ ForEach â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-    async forEachHandler(activity) {
+    async forEachHandler(activity, signal) {
         const tp = activity.typeProperties || {};
-        const items     = this._eval(tp.items, {});
-        const isSequential = tp.isSequential !== false; // default true
-        const batchCount   = tp.batchCount ? parseInt(this._eval(tp.batchCount, {})) : 20;
+        const items        = this._eval(tp.items, {});
+        const isSequential = tp.isSequential === true; // the service runs iterations in parallel by default
+        // batchCount: default 20, maximum 50 concurrent iterations (as in the service)
+        const batchCount   = Math.min(Math.max(parseInt(this._eval(tp.batchCount ?? 20, {}), 10) || 20, 1), 50);
 
         if (!Array.isArray(items)) throw new Error(`ForEach: "items" did not evaluate to an array (got ${typeof items})`);
 
-        const limited = items.slice(0, RUN_LIMITS.maxForEachItems);
+        const limit = RUN_LIMITS.maxForEachItems;
+        if (items.length > limit) {
+            this._warn({
+                code: 'ForEachItemsTruncated',
+                activityName: activity.name,
+                itemCount: items.length,
+                limit,
+                message: `ForEach "${activity.name}" received ${items.length} items; only the first ${limit} run locally (runLimits.maxForEachItems).`,
+            });
+        }
+        const limited  = items.slice(0, limit);
         const children = tp.activities || [];
+        const results  = [];             // per-iteration { iteration, status, error? }, in item order
+        const racedVariables = new Set(); // variables already reported as raced by this ForEach
+        const activeWrites   = new Map(); // variableName → Set of in-flight iterations that wrote it
 
-        if (isSequential) {
-            for (let i = 0; i < limited.length; i++) {
-                if (this._cancelled) break;
-                const child = new LocalPipelineRunner(
-                    { name: `${activity.name}[${i}]`, properties: { activities: children } },
-                    this.parameters, this.workspaceRoot
-                );
-                // Share variables & outputs with parent (ForEach writes to parent scope)
-                child.variables        = this.variables;
-                child.activityOutputs  = {};
-                child.activityStatuses = {};
-                child._startTime       = this._startTime;
-                // Override eval context with currentItem
-                child._forEachItem      = limited[i];
-                child._forEachItemIndex = i;
-                _patchForEachContext(child, limited[i]);
-
-                // Forward child activity events to parent with iteration context
-                child.on('activityUpdate', (update) => {
-                    this.emit('activityUpdate', { ...update, parentActivity: activity.name, iteration: i });
-                });
+        const runIteration = async (i) => {
+            const child = new LocalPipelineRunner(
+                { name: `${activity.name}[${i}]`, properties: { activities: children } },
+                this.parameters, this.workspaceRoot
+            );
+            // Share variables with the parent (ForEach writes to pipeline scope); outputs are per iteration
+            child.variables        = this.variables;
+            child.activityOutputs  = {};
+            child.activityStatuses = {};
+            child._startTime       = this._startTime;
+            child._runContext      = this._runContext;
+            child._forEachScope    = isSequential
+                ? this._forEachScope
+                : { activityName: activity.name, iteration: i, activeWrites, warned: racedVariables };
+            _patchForEachContext(child, limited[i]);
+            signal?.addEventListener('abort', () => child.cancel(), { once: true });
 
-                await new Promise((resolve, reject) => {
-                    child.on('pipelineEnd', (e) => e.status !== 'Failed' ? resolve() : reject(new Error(`ForEach iteration ${i} failed`)));
-                    child.run().catch(reject);
-                });
-                // Propagate run records to parent
-                for (const rec of child.activityRuns) this.activityRuns.push({ ...rec, _forEachIteration: i, _parentActivity: activity.name });
-            }
+            // Forward child activity events to parent with iteration context
+            child.on('activityUpdate', (update) => {
+                this.emit('activityUpdate', { ...update, parentActivity: activity.name, iteration: i });
+            });
+
+            const end = await new Promise((resolve) => {
+                child.on('pipelineEnd', resolve);
+                child.run().catch((err) => resolve({ status: 'Failed', error: err.message }));
+            });
+            for (const writers of activeWrites.values()) writers.delete(i);
+
+            // Propagate run records to parent
+            for (const rec of child.activityRuns) this.activityRuns.push({ ...rec, _forEachIteration: i, _parentActivity: activity.name });
+            const error = end.error ?? child.activityRuns.find(r => r.status === 'Failed')?.error?.message;
+            results[i] = { iteration: i, status: end.status, ...(error ? { error } : {}) };
+        };
+
+        if (isSequential) {
+            for (let i = 0; i < limited.length && !this._cancelled && !signal?.aborted; i++) await runIteration(i);
         } else {
-            // Parallel â€” run up to batchCount at a time
-            for (let start = 0; start < limited.length; start += batchCount) {
-                if (this._cancelled) break;
-                const batch = limited.slice(start, start + batchCount);
-                await Promise.all(batch.map((item, bIdx) => {
-                    const i = start + bIdx;
-                    const child = new LocalPipelineRunner(
-                        { name: `${activity.name}[${i}]`, properties: { activities: children } },
-                        this.parameters, this.workspaceRoot
-                    );
-                    child.variables        = this.variables;
-                    child.activityOutputs  = {};
-                    child.activityStatuses = {};
-                    child._startTime       = this._startTime;
-                    _patchForEachContext(child, item);
-
-                    // Forward child activity events to parent with iteration context
-                    child.on('activityUpdate', (update) => {
-                        this.emit('activityUpdate', { ...update, parentActivity: activity.name, iteration: i });
-                    });
-
-                    return new Promise((resolve) => {
-                        child.on('pipelineEnd', () => resolve());
-                        child.run().catch(() => resolve());
-                    }).then(() => {
-                        for (const rec of child.activityRuns) this.activityRuns.push({ ...rec, _forEachIteration: i, _parentActivity: activity.name });
-                    });
-                }));
-            }
+            // Up to batchCount iterations in flight; each worker picks up the next item as soon as it is free
+            let next = 0;
+            const worker = async () => {
+                while (!this._cancelled && !signal?.aborted && next < limited.length) await runIteration(next++);
+            };
+            await Promise.all(Array.from({ length: Math.min(batchCount, limited.length) }, worker));
+        }
+
+        // Like the service, every iteration runs even after a failure; the ForEach then fails
+        const iterations = results.filter(Boolean);
+        const failed     = iterations.filter(r => r.status === 'Failed');
+        const output = {
+            count:           limited.length,
+            succeededCount:  iterations.filter(r => r.status === 'Succeeded').length,
+            failedCount:     failed.length,
+            iterations,
+        };
+        // A cancelled run stops handing out items; the partial results must not pass for success
+        if (this._cancelled) {
+            throw Object.assign(new Error(`ForEach "${activity.name}" cancelled after ${iterations.length} of ${limited.length} iterations`),
+                { isCancelled: true, activityOutput: output });
+        }
+        if (failed.length > 0) {
+            const err = new Error(
+                `ForEach "${activity.name}": ${failed.length} of ${limited.length} iteration${limited.length !== 1 ? 's' : ''} failed ` +
+                `(${failed.map(r => r.iteration).join(', ')}). First error: ${failed[0].error ?? 'unknown error'}`
+            );
+            err.activityOutput = output;
+            throw err;
         }
-        return { count: limited.length };
+        return output;
     },
 
     // â”€â”€ Until â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-    async untilHandler(activity) {
+    async untilHandler(activity, signal) {
         const tp = activity.typeProperties || {};
         const expression = tp.expression;
         const children   = tp.activities || [];
 
         let iterations = 0;
         while (iterations < RUN_LIMITS.maxUntilIterations) {
-            if (this._cancelled) break;
+            if (this._cancelled || signal?.aborted) break;
             this._enforceRunDuration();
 
             const child = new LocalPipelineRunner(
@@ -434,7 +828,13 @@ const HANDLER_REGISTRY = {
             child.variables        = this.variables;
             child.activityOutputs  = this.activityOutputs;
             child.activityStatuses = {};
+            child.activityRunIds   = this.activityRunIds;
+            child.activityErrors   = this.activityErrors;
             child._startTime       = this._startTime;
+            child._runContext      = this._runContext;
+            child._forEachScope    = this._forEachScope;
+
+            signal?.addEventListener('abort', () => child.cancel(), { once: true });
 
             // Forward child activity events to parent with iteration context
             child.on('activityUpdate', (update) => {
@@ -455,7 +855,7 @@ const HANDLER_REGISTRY = {
     },
 
     // â”€â”€ IfCondition â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-    async ifConditionHandler(activity) {
+    async ifConditionHandler(activity, signal) {
         const tp = activity.typeProperties || {};
         const condValue = tp.expression?.value ?? tp.expression;
         const result    = this._eval(condValue, {});
@@ -469,7 +869,12 @@ const HANDLER_REGISTRY = {
         child.variables        = this.variables;
         child.activityOutputs  = this.activityOutputs;
         child.activityStatuses = {};
+        child.activityRunIds   = this.activityRunIds;
+        child.activityErrors   = this.activityErrors;
         child._startTime       = this._startTime;
+        child._runContext      = this._runContext;
+        child._forEachScope    = this._forEachScope;
+        signal?.addEventListener('abort', () => child.cancel(), { once: true });
 
         // Forward child activity events to parent
         child.on('activityUpdate', (update) => {
@@ -485,7 +890,7 @@ const HANDLER_REGISTRY = {
     },
 
     // â”€â”€ Switch â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-    async switchHandler(activity) {
+    async switchHandler(activity, signal) {
         const tp = activity.typeProperties || {};
         const onValue   = String(this._eval(tp.on?.value ?? tp.on, {}));
         const cases     = tp.cases || [];
@@ -500,7 +905,12 @@ const HANDLER_REGISTRY = {
         child.variables        = this.variables;
         child.activityOutputs  = this.activityOutputs;
         child.activityStatuses = {};
+        child.activityRunIds   = this.activityRunIds;
+        child.activityErrors   = this.activityErrors;
         child._startTime       = this._startTime;
+        child._runContext      = this._runContext;
+        child._forEachScope    = this._forEachScope;
+        signal?.addEventListener('abort', () => child.cancel(), { once: true });
 
         // Forward child activity events to parent
         child.on('activityUpdate', (update) => {
@@ -516,15 +926,11 @@ const HANDLER_REGISTRY = {
     },
 
     // â”€â”€ ExecutePipeline â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-    async executePipelineHandler(activity) {
+    async executePipelineHandler(activity, signal) {
         const tp = activity.typeProperties || {};
         const refName  = tp.pipeline?.referenceName;
         const waitOnCompletion = tp.waitOnCompletion !== false;
 
-        if (!waitOnCompletion) {
-            return { referencedPipeline: refName, waitOnCompletion: false, note: 'Fired and forgotten â€” sub-pipeline not tracked in local run mode.' };
-        }
-
         // Resolve the referenced pipeline JSON from the workspace
         if (!this.workspaceRoot || !refName) {
             throw new Error(`ExecutePipeline: cannot resolve pipeline "${refName}" â€” workspaceRoot is not set`);
@@ -543,15 +949,39 @@ const HANDLER_REGISTRY = {
 
         const child = new LocalPipelineRunner(subJson, subParams, this.workspaceRoot);
         child._startTime = this._startTime;
+        child.parentRun  = { runId: this._runContext.pipeline.RunId, pipelineName: this._runContext.pipeline.Pipeline };
+        child.globalParameters = this._runContext.globalParameters;
+        child.secretValues     = this._runContext.secrets;
+        child.mocks            = this._runContext.mocks;
+        child.handlerPlugins   = this._runContext.handlers;
+
+        if (!waitOnCompletion) {
+            // Fire and forget: the child becomes a separate background run; as in the service
+            // this activity succeeds as soon as the child has been started
+            this._startDetachedRun(child, activity.name, refName);
+            return { referencedPipeline: refName, waitOnCompletion: false, pipelineRunId: child.runId };
+        }
+        // Breakpoints apply inside the child too; background runs are not debugged
+        child.debugSession = this._runContext.debug;
+        // A waited-on child reuses this run's SQL connections; background runs outlive them
+        child.sqlPools     = this._runContext.sqlPools;
+        // Background runs the child starts are listed, cancelled and recorded with the top-level run
+        child.detachedRunOwner = this._runContext.detachedOwner;
+        signal?.addEventListener('abort', () => child.cancel(), { once: true });
 
         // Forward child activity events to parent
         child.on('activityUpdate', (update) => {
             this.emit('activityUpdate', { ...update, parentActivity: activity.name, iteration: 0, branchLabel: refName });
         });
+        child.on('runWarning', (warning) => this._warn(warning));
 
-        let childStatus = 'Succeeded', childError = null;
+        let childStatus = 'Succeeded', childError = null, childReturnValue = {};
         await new Promise((resolve) => {
-            child.on('pipelineEnd', (e) => { childStatus = e.status; childError = e.error; resolve(); });
+            child.on('pipelineEnd', (e) => {
+                // Unredacted, as the parent's expressions see the child's return values
+                childStatus = e.status; childError = e.error; childReturnValue = child._runContext?.returnValues ?? {};
+                resolve();
+            });
             child.run().catch(() => resolve());
         });
         for (const rec of child.activityRuns) this.activityRuns.push({ ...rec, _subPipeline: refName, _parentActivity: activity.name });
@@ -559,11 +989,11 @@ const HANDLER_REGISTRY = {
         if (childStatus === 'Failed') {
             throw new Error(`Sub-pipeline "${refName}" failed: ${childError}`);
         }
-        return { referencedPipeline: refName, status: childStatus };
+        return { referencedPipeline: refName, status: childStatus, pipelineRunId: child.runId, pipelineReturnValue: childReturnValue };
     },
 
     // â”€â”€ WebActivity â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-    async webActivityHandler(activity) {
+    async webActivityHandler(activity, signal) {
         const tp = activity.typeProperties || {};
         const url    = String(this._eval(tp.url, {}));
         const method = (tp.method || 'GET').toUpperCase();
@@ -576,6 +1006,7 @@ const HANDLER_REGISTRY = {
                 headers[k] = String(this._eval(v?.value ?? v, {}));
             }
         }
+        Object.assign(headers, await _webAuthHeaders(this, tp.authentication));
         if (!headers['Content-Type'] && body) headers['Content-Type'] = 'application/json';
 
         const https = require('https');
@@ -593,6 +1024,7 @@ const HANDLER_REGISTRY = {
                 path:     parsed.pathname + parsed.search,
                 method,
                 headers: { ...headers, ...(bodyStr ? { 'Content-Length': Buffer.byteLength(bodyStr) } : {}) },
+                signal,  // aborted when policy.timeout gives up on the attempt
             };
             const req = lib.request(opts, (res) => {
                 let data = '';
@@ -621,7 +1053,7 @@ const HANDLER_REGISTRY = {
         const notebookName = tp.notebook?.referenceName ?? tp.notebookPath;
         const sparkPool    = tp.sparkPool?.referenceName
             ?? tp.sparkPool
-            ?? _loadSynapseWorkspaceConfig(this.workspaceRoot, this.extensionPath).defaultSparkPool;
+            ?? loadSynapseWorkspaceConfig(this.workspaceRoot, this.extensionPath).defaultSparkPool;
 
         if (!notebookName) throw new Error('SynapseNotebook: missing notebook.referenceName in typeProperties');
         if (!sparkPool)    throw new Error(
@@ -629,7 +1061,7 @@ const HANDLER_REGISTRY = {
             '"defaultSparkPool" in synapse-local-run.json.'
         );
 
-        const wsConfig = _loadSynapseWorkspaceConfig(this.workspaceRoot, this.extensionPath);
+        const wsConfig = loadSynapseWorkspaceConfig(this.workspaceRoot, this.extensionPath);
         if (!wsConfig.synapseEndpoint) {
             throw new Error(
                 'SynapseNotebook: set "synapseEndpoint" in synapse-local-run.json in your workspace root or extension folder.\n' +
@@ -750,11 +1182,17 @@ const HANDLER_REGISTRY = {
             }
 
             // Build evaluated parameter map for display (show resolved values, not raw ADF structures)
+            const { secureInput, secureOutput } = this._activityPolicy(activity);
             const evaluatedParams = Object.fromEntries(
                 Object.entries(params).map(([k, v]) => {
-                    try { return [k, this._eval(v?.value ?? v, {})]; } catch { return [k, String(v)]; }
+                    let value;
+                    try { value = this._eval(v?.value ?? v, {}); } catch { value = String(v); }
+                    return [k, this._mask(value, secureInput)];
                 })
             );
+            const snapshotCells = _mergeSnapshotCells(cells, cellResults).map(c => (c.output
+                ? { ...c, output: secureOutput ? { status: 'ok', data: { 'text/plain': SECURE_MASK } } : this._mask(c.output, false) }
+                : c));
 
             // Emit snapshot event so the UI can open a notebook viewer panel
             this.emit('notebookSnapshot', {
@@ -762,7 +1200,7 @@ const HANDLER_REGISTRY = {
                 notebookName,
                 generatedAt: new Date().toISOString(),
                 evaluatedParams,
-                cells: _mergeSnapshotCells(cells, cellResults),
+                cells: snapshotCells,
             });
 
             return {
@@ -787,7 +1225,7 @@ const HANDLER_REGISTRY = {
         if (!jobRef)    throw new Error('SparkJob: missing sparkJob.referenceName in typeProperties');
         if (!sparkPool) throw new Error('SparkJob: missing sparkPool.referenceName in typeProperties');
 
-        const wsConfig = _loadSynapseWorkspaceConfig(this.workspaceRoot, this.extensionPath);
+        const wsConfig = loadSynapseWorkspaceConfig(this.workspaceRoot, this.extensionPath);
         if (!wsConfig.synapseEndpoint) {
             throw new Error(
                 'SparkJob: set "synapseEndpoint" in synapse-local-run.json in your workspace root or extension folder.'
@@ -867,6 +1305,7 @@ const HANDLER_REGISTRY = {
                 headers[k] = String(this._eval(v?.value ?? v, {}));
             }
         }
+        Object.assign(headers, await _webAuthHeaders(this, tp.authentication));
         if (!headers['Content-Type'] && body) headers['Content-Type'] = 'application/json';
 
         const https2 = require('https');
@@ -910,47 +1349,51 @@ const HANDLER_REGISTRY = {
         try { return JSON.parse(responseText); } catch { return { response: responseText }; }
     },
 
-    // â”€â”€ Lookup (ADLS/Blob only) â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+    // â”€â”€ Lookup (ADLS/Blob or SQL table) â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
     async lookupHandler(activity) {
         const tp          = activity.typeProperties || {};
-        const dsName      = tp.source?.dataset?.referenceName ?? tp.dataset?.referenceName;
+        const dsRef       = tp.source?.dataset ?? tp.dataset;
+        const dsName      = dsRef?.referenceName;
         const firstRowOnly = tp.firstRowOnly !== false;
 
         if (!dsName) throw new Error('Lookup: missing dataset reference in typeProperties');
 
-        const loc = resolveDatasetToAdls(dsName, this.workspaceRoot, this.extensionPath);
+        const dsParams = this._referenceParameters(dsRef);
+        const sqlDs    = resolveSqlDataset(dsName, this.workspaceRoot, this.extensionPath, dsParams);
+        if (sqlDs) {
+            const { rows, count } = await _lookupSqlRows(this, tp.source ?? {}, dsName, sqlDs, firstRowOnly);
+            return _lookupOutput(this, activity, rows, firstRowOnly, count);
+        }
+
+        const loc = resolveDatasetToAdls(dsName, this.workspaceRoot, this.extensionPath, dsParams);
         if (!loc || !loc.storageAccount) {
             throw new Error(
-                `Lookup: dataset "${dsName}" does not resolve to an ADLS Gen2 / Blob location. ` +
-                'Only AzureBlobFS and AzureBlobStorage linked services are supported in local run Lookup.'
+                `Lookup: dataset "${dsName}" does not resolve to an ADLS Gen2 / Blob location or a SQL table. ` +
+                'Only AzureBlobFS, AzureBlobStorage and Azure SQL linked services are supported in local run Lookup.'
             );
         }
 
-        const adls     = new ADLSRestClient(loc.storageAccount);
-        const filePath = buildAdlsPath(loc);
-        const rawText  = await adls.readFile(loc.container, filePath);
+        // storeSettings.wildcardFolderPath / wildcardFileName take precedence over the dataset location
+        const store = tp.source?.storeSettings ?? {};
+        if (store.wildcardFileName) {
+            loc.fileName = String(this._eval(store.wildcardFileName, {}));
+            if (store.wildcardFolderPath) loc.folderPath = String(this._eval(store.wildcardFolderPath, {}));
+        }
 
-        const dsFile = path.join(this.workspaceRoot, 'dataset', `${dsName}.json`);
-        const ds     = JSON.parse(fs.readFileSync(dsFile, 'utf8'));
-        const dsType = ds.properties?.type ?? '';
+        const adls   = this._storageClient(loc);
+        const ds     = _readDatasetFile(dsName, this.workspaceRoot);
+        const dsType = ds?.properties?.type ?? '';
 
         let rows = [];
-        if (dsType.includes('Json') || filePath.endsWith('.json')) {
-            const parsed = JSON.parse(rawText);
-            rows = Array.isArray(parsed) ? parsed : (parsed.value ?? [parsed]);
-        } else if (dsType.includes('DelimitedText') || dsType.includes('Csv') || filePath.endsWith('.csv')) {
-            rows = _parseCsv(rawText, _getCsvConfig(ds)).rows;
-        } else {
-            rows = [{ value: rawText }];
-        }
-
-        if (firstRowOnly) {
-            return { firstRow: rows[0] ?? null, count: rows.length };
+        for (const filePath of await _expandWildcard(adls, loc.container, loc, 'Lookup')) {
+            const format = _lookupFormat(dsType, filePath);
+            const file   = format && await _readFormatFile(adls, loc.container, filePath, format, ds, tp.source?.formatSettings);
+            rows = rows.concat(file ? file.rows : [{ value: await adls.readFile(loc.container, filePath) }]);
         }
-        return { value: rows, count: rows.length };
+        return _lookupOutput(this, activity, rows, firstRowOnly);
     },
 
-    // â”€â”€ GetMetadata (ADLS/Blob only) â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+    // â”€â”€ GetMetadata (ADLS/Blob or SQL table) â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
     async getMetadataHandler(activity) {
         const tp        = activity.typeProperties || {};
         const dsName    = tp.dataset?.referenceName;
@@ -958,15 +1401,19 @@ const HANDLER_REGISTRY = {
 
         if (!dsName) throw new Error('GetMetadata: missing dataset reference in typeProperties');
 
-        const loc = resolveDatasetToAdls(dsName, this.workspaceRoot, this.extensionPath);
+        const dsParams = this._referenceParameters(tp.dataset);
+        const sqlDs    = resolveSqlDataset(dsName, this.workspaceRoot, this.extensionPath, dsParams);
+        if (sqlDs) return _sqlTableMetadata(this, dsName, sqlDs, fieldList);
+
+        const loc = resolveDatasetToAdls(dsName, this.workspaceRoot, this.extensionPath, dsParams);
         if (!loc || !loc.storageAccount) {
             throw new Error(
-                `GetMetadata: dataset "${dsName}" does not resolve to an ADLS Gen2 / Blob location. ` +
-                'Only AzureBlobFS and AzureBlobStorage linked services are supported in local run GetMetadata.'
+                `GetMetadata: dataset "${dsName}" does not resolve to an ADLS Gen2 / Blob location or a SQL table. ` +
+                'Only AzureBlobFS, AzureBlobStorage and Azure SQL linked services are supported in local run GetMetadata.'
             );
         }
 
-        const adls     = new ADLSRestClient(loc.storageAccount);
+        const adls     = this._storageClient(loc);
         const filePath = buildAdlsPath(loc);
         const output   = {};
 
@@ -1039,7 +1486,7 @@ const HANDLER_REGISTRY = {
 
         if (!dsName) throw new Error('Delete: missing dataset reference in typeProperties');
 
-        const loc = resolveDatasetToAdls(dsName, this.workspaceRoot, this.extensionPath);
+        const loc = resolveDatasetToAdls(dsName, this.workspaceRoot, this.extensionPath, this._referenceParameters(tp.dataset));
         if (!loc || !loc.storageAccount) {
             throw new Error(
                 `Delete: dataset "${dsName}" does not resolve to an ADLS Gen2 / Blob location. ` +
@@ -1048,7 +1495,7 @@ const HANDLER_REGISTRY = {
         }
 
         const filePath = buildAdlsPath(loc);
-        const adls     = new ADLSRestClient(loc.storageAccount);
+        const adls     = this._storageClient(loc);
         await adls.deleteFile(loc.container, filePath);
         return { datasetName: dsName, deletedPath: `${loc.container}/${filePath}`, status: 'Succeeded' };
     },
@@ -1063,7 +1510,7 @@ const HANDLER_REGISTRY = {
 
         if (!dsName) throw new Error('Validation: missing dataset reference in typeProperties');
 
-        const loc = resolveDatasetToAdls(dsName, this.workspaceRoot, this.extensionPath);
+        const loc = resolveDatasetToAdls(dsName, this.workspaceRoot, this.extensionPath, this._referenceParameters(tp.dataset));
         if (!loc || !loc.storageAccount) {
             throw new Error(
                 `Validation: dataset "${dsName}" does not resolve to an ADLS Gen2 / Blob location. ` +
@@ -1072,7 +1519,7 @@ const HANDLER_REGISTRY = {
         }
 
         const filePath = buildAdlsPath(loc);
-        const adls     = new ADLSRestClient(loc.storageAccount);
+        const adls     = this._storageClient(loc);
         const start    = Date.now();
         const timeoutMs = timeoutSec * 1000;
 
@@ -1103,36 +1550,38 @@ const HANDLER_REGISTRY = {
     // -- Copy (ADLS/Blob -> ADLS/Blob, or ADLS CSV/JSON -> Azure SQL) --
     async copyHandler(activity) {
         const tp = activity.typeProperties || {};
-        const srcName  = tp.source?.dataset?.referenceName ?? (activity.inputs?.[0]?.referenceName);
-        const sinkName = tp.sink?.dataset?.referenceName   ?? (activity.outputs?.[0]?.referenceName);
+        const srcRef   = tp.source?.dataset ?? activity.inputs?.[0];
+        const sinkRef  = tp.sink?.dataset   ?? activity.outputs?.[0];
+        const srcName  = srcRef?.referenceName;
+        const sinkName = sinkRef?.referenceName;
         if (!srcName)  throw new Error('Copy: cannot determine source dataset reference');
         if (!sinkName) throw new Error('Copy: cannot determine sink dataset reference');
+        const srcParams  = this._referenceParameters(srcRef);
+        const sinkParams = this._referenceParameters(sinkRef);
         // Source resolution: try SQL table first, then ADLS/Blob
-        const srcSql = resolveSqlDataset(srcName, this.workspaceRoot, this.extensionPath);
-        const srcLoc = srcSql ? null : resolveDatasetToAdls(srcName, this.workspaceRoot, this.extensionPath);
+        const srcSql = resolveSqlDataset(srcName, this.workspaceRoot, this.extensionPath, srcParams);
+        const srcLoc = srcSql ? null : resolveDatasetToAdls(srcName, this.workspaceRoot, this.extensionPath, srcParams);
         if (!srcSql && (!srcLoc || !srcLoc.storageAccount))
             throw new Error(`Copy: source dataset "${srcName}" does not resolve to ADLS Gen2 / Blob or Azure SQL.`);
-        const sinkSql = resolveSqlDataset(sinkName, this.workspaceRoot, this.extensionPath);
+        const sinkSql = resolveSqlDataset(sinkName, this.workspaceRoot, this.extensionPath, sinkParams);
 
         // ── SQL → SQL ──────────────────────────────────────────────────────────
         if (srcSql && sinkSql) {
-            const srcConn  = resolveSqlLinkedService(srcSql.linkedServiceName,  this.workspaceRoot, this.extensionPath);
-            const sinkConn = resolveSqlLinkedService(sinkSql.linkedServiceName, this.workspaceRoot, this.extensionPath);
+            const srcConn  = resolveSqlLinkedService(srcSql.linkedServiceName,  this.workspaceRoot, this.extensionPath, srcSql.linkedServiceParameters);
+            const sinkConn = resolveSqlLinkedService(sinkSql.linkedServiceName, this.workspaceRoot, this.extensionPath, sinkSql.linkedServiceParameters);
             if (!srcConn)  throw new Error(`Copy: cannot resolve SQL linked service for source "${srcName}"`);
             if (!sinkConn) throw new Error(`Copy: cannot resolve SQL linked service for sink "${sinkName}"`);
-            const srcClient = new SqlClient(srcConn.server, srcConn.database);
+            const srcClient = this._sqlClient(srcConn);
             // Check for sqlReaderQuery in the Copy source typeProperties
             const sqlQuery = tp.source?.sqlReaderQuery;
-            let rows, columns;
-            if (sqlQuery) {
-                ({ rows, columns } = await srcClient.executeQuery(sqlQuery));
-            } else {
-                ({ rows, columns } = await srcClient.readTable(srcSql.schema, srcSql.table));
-            }
-            // Apply schema mapping if present
-            ({ rows, columns } = _applySchemaMapping(rows, columns, tp.translator?.mappings));
-            const sinkClient = new SqlClient(sinkConn.server, sinkConn.database);
-            const result = await sinkClient.bulkInsert(sinkSql.schema, sinkSql.table, rows, columns);
+            const mappings = tp.translator?.mappings;
+            const sinkClient = this._sqlClient(sinkConn);
+            // Rows go from the source stream into batched INSERTs (schema mapping applied per row),
+            // so the table is never held in memory
+            const result = await sinkClient.bulkInsertStream(sinkSql.schema, sinkSql.table, null, (write) => {
+                const onRow = (row) => write(_applySchemaMapping([row], null, mappings).rows[0]);
+                return sqlQuery ? srcClient.streamQuery(sqlQuery, onRow) : srcClient.streamTable(srcSql.schema, srcSql.table, onRow);
+            });
             return {
                 source: sqlQuery ? `${srcConn.server}/${srcConn.database} (custom query)` : `${srcConn.server}/${srcConn.database}/${srcSql.schema}.${srcSql.table}`,
                 sink:   `${sinkConn.server}/${sinkConn.database}/${sinkSql.schema}.${sinkSql.table}`,
@@ -1142,45 +1591,36 @@ const HANDLER_REGISTRY = {
 
         // ── SQL → ADLS/Blob ────────────────────────────────────────────────────
         if (srcSql) {
-            const sinkLoc = resolveDatasetToAdls(sinkName, this.workspaceRoot, this.extensionPath);
+            const sinkLoc = resolveDatasetToAdls(sinkName, this.workspaceRoot, this.extensionPath, sinkParams);
             if (!sinkLoc || !sinkLoc.storageAccount)
                 throw new Error(`Copy: sink dataset "${sinkName}" does not resolve to ADLS Gen2 / Blob.`);
-            const srcConn = resolveSqlLinkedService(srcSql.linkedServiceName, this.workspaceRoot, this.extensionPath);
+            const srcConn = resolveSqlLinkedService(srcSql.linkedServiceName, this.workspaceRoot, this.extensionPath, srcSql.linkedServiceParameters);
             if (!srcConn) throw new Error(`Copy: cannot resolve SQL linked service for source "${srcName}"`);
-            const srcClient = new SqlClient(srcConn.server, srcConn.database);
+            const srcClient = this._sqlClient(srcConn);
             // Check for sqlReaderQuery
             const sqlQuery = tp.source?.sqlReaderQuery;
-            let rows, columns;
+            let rows, columns, types;
             if (sqlQuery) {
-                ({ rows, columns } = await srcClient.executeQuery(sqlQuery));
+                ({ rows, columns, types } = await srcClient.executeQuery(sqlQuery));
             } else {
-                ({ rows, columns } = await srcClient.readTable(srcSql.schema, srcSql.table));
+                ({ rows, columns, types } = await srcClient.readTable(srcSql.schema, srcSql.table));
             }
-            // Apply schema mapping
-            ({ rows, columns } = _applySchemaMapping(rows, columns, tp.translator?.mappings));
+            // Column types from the result set, so Parquet / Avro sinks keep them; then schema mapping
+            let schema = columns.map((name, i) => ({ name, type: SQL_INTERIM_TYPES[types?.[i]] ?? 'String' }));
+            ({ rows, columns, schema } = _applySchemaMapping(rows, columns, tp.translator?.mappings, schema));
             const sinkDs     = _readDatasetFile(sinkName, this.workspaceRoot);
             const sinkDsType = sinkDs?.properties?.type || 'DelimitedText';
-            const sinkAdls   = new ADLSRestClient(sinkLoc.storageAccount);
+            const sinkAdls   = this._storageClient(sinkLoc);
             const sinkPath   = buildAdlsPath(sinkLoc);
-            if (sinkDsType === 'DelimitedText' || !sinkDsType) {
-                const content = _serializeCsv(rows, columns, _getCsvConfig(sinkDs));
-                await sinkAdls.writeFile(sinkLoc.container, sinkPath, content);
-            } else if (sinkDsType === 'Json') {
-                const content = JSON.stringify(rows, null, 2);
-                await sinkAdls.writeFile(sinkLoc.container, sinkPath, content);
-            } else if (sinkDsType === 'Parquet') {
-                const tmpPath = path.join(os.tmpdir(), `adf-parquet-out-${Date.now()}.parquet`);
-                try {
-                    await writeParquetFile(tmpPath, rows, columns);
-                    const parquetBuf = fs.readFileSync(tmpPath);
-                    await sinkAdls.writeFile(sinkLoc.container, sinkPath, parquetBuf);
-                } finally { try { fs.unlinkSync(tmpPath); } catch (_) {} }
-            } else {
+            const warn       = (w) => this._warn({ ...w, activityName: activity.name, message: `Copy "${activity.name}": ${w.message}` });
+            const content    = await _formatFileContent(sinkDsType, rows, columns, sinkDs, schema, warn);
+            if (content === null) {
                 throw new Error(
                     `Copy: sink format "${sinkDsType}" is not supported for SQL→file local run.\n` +
-                    `Supported sink formats for SQL source: DelimitedText, Json, Parquet.`
+                    `Supported sink formats for SQL source: ${WRITE_FILE_FORMATS.join(', ')}.`
                 );
             }
+            await sinkAdls.writeFile(sinkLoc.container, sinkPath, content);
             return {
                 source: sqlQuery ? `${srcConn.server}/${srcConn.database} (custom query)` : `${srcConn.server}/${srcConn.database}/${srcSql.schema}.${srcSql.table}`,
                 sink:   `${sinkLoc.storageAccount}/${sinkLoc.container}/${sinkPath}`,
@@ -1190,72 +1630,32 @@ const HANDLER_REGISTRY = {
 
         // ── ADLS/Blob → SQL ────────────────────────────────────────────────────
         if (sinkSql) {
-            const sqlConn = resolveSqlLinkedService(sinkSql.linkedServiceName, this.workspaceRoot, this.extensionPath);
+            const sqlConn = resolveSqlLinkedService(sinkSql.linkedServiceName, this.workspaceRoot, this.extensionPath, sinkSql.linkedServiceParameters);
             if (!sqlConn) throw new Error(`Copy: cannot resolve SQL linked service for sink "${sinkName}"`);
-            const srcAdls  = new ADLSRestClient(srcLoc.storageAccount);
+            const srcAdls  = this._storageClient(srcLoc);
             const srcDs    = _readDatasetFile(srcName, this.workspaceRoot);
             const srcDsType = srcDs?.properties?.type || '';
-            const csvCfg   = _getCsvConfig(srcDs);
 
             // Expand wildcard patterns in fileName (e.g. *.csv → list of matching files)
             const srcPaths = await _expandWildcard(srcAdls, srcLoc.container, srcLoc);
 
             let rows = [], columns = [];
             for (const srcPath of srcPaths) {
-                let fileRows = [], fileColumns = [];
-                if (!srcDsType || srcDsType === 'DelimitedText') {
-                    const rawText = await srcAdls.readFile(srcLoc.container, srcPath);
-                    ({ rows: fileRows, columns: fileColumns } = _parseCsv(rawText, csvCfg));
-                } else if (srcDsType === 'Json') {
-                    const rawText = await srcAdls.readFile(srcLoc.container, srcPath);
-                    const parsed  = JSON.parse(rawText);
-                    const arr     = Array.isArray(parsed) ? parsed : (parsed.value ?? [parsed]);
-                    fileColumns = arr.length ? Object.keys(arr[0]) : [];
-                    fileRows    = arr;
-                } else if (srcDsType === 'Parquet') {
-                    const rawBuf  = await srcAdls.readFileBuffer(srcLoc.container, srcPath);
-                    const tmpPath = path.join(os.tmpdir(), `adf-parquet-${Date.now()}.parquet`);
-                    fs.writeFileSync(tmpPath, rawBuf);
-                    try {
-                        ({ rows: fileRows, columns: fileColumns } = await readParquetFile(tmpPath));
-                    } finally { try { fs.unlinkSync(tmpPath); } catch (_) {} }
-                } else if (srcDsType === 'Excel') {
-                    const rawBuf  = await srcAdls.readFileBuffer(srcLoc.container, srcPath);
-                    const tmpPath = path.join(os.tmpdir(), `adf-excel-${Date.now()}.xlsx`);
-                    fs.writeFileSync(tmpPath, rawBuf);
-                    const excelTp = srcDs?.properties?.typeProperties ?? {};
-                    try {
-                        ({ rows: fileRows, columns: fileColumns } = await readExcelFile(tmpPath, {
-                            sheetName:        excelTp.sheetName        ?? null,
-                            firstRowAsHeader: excelTp.firstRowAsHeader !== false,
-                            nullValue:        excelTp.nullValue         ?? '',
-                        }));
-                    } finally { try { fs.unlinkSync(tmpPath); } catch (_) {} }
-                } else if (srcDsType === 'Xml') {
-                    const rawBuf  = await srcAdls.readFileBuffer(srcLoc.container, srcPath);
-                    const tmpPath = path.join(os.tmpdir(), `adf-xml-${Date.now()}.xml`);
-                    fs.writeFileSync(tmpPath, rawBuf);
-                    const xmlTp  = srcDs?.properties?.typeProperties ?? {};
-                    try {
-                        ({ rows: fileRows, columns: fileColumns } = await readXmlFile(tmpPath, {
-                            rowTag:    xmlTp.rowTag    ?? xmlTp.rowNodeName ?? null,
-                            nullValue: xmlTp.nullValue ?? '',
-                        }));
-                    } finally { try { fs.unlinkSync(tmpPath); } catch (_) {} }
-                } else {
-                    const supported = 'DelimitedText, Json, Parquet, Excel, Xml';
+                const file = await _readFormatFile(srcAdls, srcLoc.container, srcPath, srcDsType || 'DelimitedText', srcDs, tp.source?.formatSettings);
+                if (!file) {
                     throw new Error(
                         `Copy: source format "${srcDsType}" is not supported for local run with a SQL sink.\n` +
-                        `Supported source formats: ${supported}.\n` +
-                        `Formats such as Avro, Orc, and Binary require a Synapse/ADF Spark engine.`
+                        `Supported source formats: ${READ_FILE_FORMATS.join(', ')}.\n` +
+                        `Binary datasets have no rows to insert; copy them between storage datasets instead.`
                     );
                 }
+                const { rows: fileRows, columns: fileColumns } = file;
                 if (!columns.length) columns = fileColumns;
                 rows = rows.concat(fileRows);
             }
             // Apply schema mapping if present
             ({ rows, columns } = _applySchemaMapping(rows, columns, tp.translator?.mappings));
-            const client = new SqlClient(sqlConn.server, sqlConn.database);
+            const client = this._sqlClient(sqlConn);
             const result = await client.bulkInsert(sinkSql.schema, sinkSql.table, rows, columns);
             const isWildcard = srcPaths.length > 1;
             return {
@@ -1267,7 +1667,7 @@ const HANDLER_REGISTRY = {
             };
         }
         // -- ADLS/Blob -> ADLS/Blob path --
-        const sinkLoc = resolveDatasetToAdls(sinkName, this.workspaceRoot, this.extensionPath);
+        const sinkLoc = resolveDatasetToAdls(sinkName, this.workspaceRoot, this.extensionPath, sinkParams);
         if (!sinkLoc || !sinkLoc.storageAccount)
             throw new Error(`Copy: sink dataset "${sinkName}" does not resolve to ADLS Gen2 / Blob or Azure SQL.`);
         const srcType  = srcLoc.isAdls  ? 'adls' : 'blob';
@@ -1281,94 +1681,37 @@ const HANDLER_REGISTRY = {
         const sinkDs2 = _readDatasetFile(sinkName, this.workspaceRoot);
         const srcDsType  = srcDs2?.properties?.type  || '';
         const sinkDsType = sinkDs2?.properties?.type || '';
-        const srcAdls  = new ADLSRestClient(srcLoc.storageAccount);
-        const sinkAdls = new ADLSRestClient(sinkLoc.storageAccount);
+        const srcAdls  = this._storageClient(srcLoc);
+        const sinkAdls = this._storageClient(sinkLoc);
         const srcPath  = buildAdlsPath(srcLoc);
         const sinkPath = buildAdlsPath(sinkLoc);
 
-        // Cross-format conversion: CSV ↔ Parquet, JSON ↔ Parquet
-        const CROSS_PAIRS = new Set([
-            'DelimitedText->Parquet', 'Parquet->DelimitedText',
-            'Json->Parquet',          'Parquet->Json',
-        ]);
-        const formatPair = srcDsType && sinkDsType ? `${srcDsType}->${sinkDsType}` : '';
-
-        if (CROSS_PAIRS.has(formatPair)) {
-            // CSV → Parquet
-            if (formatPair === 'DelimitedText->Parquet') {
-                const rawText = await srcAdls.readFile(srcLoc.container, srcPath);
-                const csvCfg  = _getCsvConfig(srcDs2);
-                const { rows, columns } = _parseCsv(rawText, csvCfg);
-                const tmpPath = path.join(os.tmpdir(), `adf-parquet-out-${Date.now()}.parquet`);
-                try {
-                    await writeParquetFile(tmpPath, rows, columns);
-                    const parquetBuf = fs.readFileSync(tmpPath);
-                    await sinkAdls.writeFile(sinkLoc.container, sinkPath, parquetBuf);
-                    return {
-                        source: `${srcLoc.storageAccount}/${srcLoc.container}/${srcPath}`,
-                        sink:   `${sinkLoc.storageAccount}/${sinkLoc.container}/${sinkPath}`,
-                        rowsCopied: rows.length, format: 'DelimitedText→Parquet',
-                    };
-                } finally { try { fs.unlinkSync(tmpPath); } catch (_) {} }
-            }
-            // JSON → Parquet
-            if (formatPair === 'Json->Parquet') {
-                const rawText = await srcAdls.readFile(srcLoc.container, srcPath);
-                const parsed  = JSON.parse(rawText);
-                const arr     = Array.isArray(parsed) ? parsed : (parsed.value ?? [parsed]);
-                const columns = arr.length ? Object.keys(arr[0]) : [];
-                const tmpPath = path.join(os.tmpdir(), `adf-parquet-out-${Date.now()}.parquet`);
-                try {
-                    await writeParquetFile(tmpPath, arr, columns);
-                    const parquetBuf = fs.readFileSync(tmpPath);
-                    await sinkAdls.writeFile(sinkLoc.container, sinkPath, parquetBuf);
-                    return {
-                        source: `${srcLoc.storageAccount}/${srcLoc.container}/${srcPath}`,
-                        sink:   `${sinkLoc.storageAccount}/${sinkLoc.container}/${sinkPath}`,
-                        rowsCopied: arr.length, format: 'Json→Parquet',
-                    };
-                } finally { try { fs.unlinkSync(tmpPath); } catch (_) {} }
-            }
-            // Parquet → JSON
-            if (formatPair === 'Parquet->Json') {
-                const rawBuf  = await srcAdls.readFileBuffer(srcLoc.container, srcPath);
-                const tmpPath = path.join(os.tmpdir(), `adf-parquet-${Date.now()}.parquet`);
-                fs.writeFileSync(tmpPath, rawBuf);
-                try {
-                    const { rows } = await readParquetFile(tmpPath);
-                    const content = JSON.stringify(rows, null, 2);
-                    await sinkAdls.writeFile(sinkLoc.container, sinkPath, content);
-                    return {
-                        source: `${srcLoc.storageAccount}/${srcLoc.container}/${srcPath}`,
-                        sink:   `${sinkLoc.storageAccount}/${sinkLoc.container}/${sinkPath}`,
-                        rowsCopied: rows.length, format: 'Parquet→Json',
-                    };
-                } finally { try { fs.unlinkSync(tmpPath); } catch (_) {} }
-            }
-            // Parquet → CSV
-            if (formatPair === 'Parquet->DelimitedText') {
-                const rawBuf  = await srcAdls.readFileBuffer(srcLoc.container, srcPath);
-                const tmpPath = path.join(os.tmpdir(), `adf-parquet-${Date.now()}.parquet`);
-                fs.writeFileSync(tmpPath, rawBuf);
-                try {
-                    const { rows, columns } = await readParquetFile(tmpPath);
-                    const csvCfg  = _getCsvConfig(sinkDs2);
-                    const content = _serializeCsv(rows, columns, csvCfg);
-                    await sinkAdls.writeFile(sinkLoc.container, sinkPath, content);
-                    return {
-                        source: `${srcLoc.storageAccount}/${srcLoc.container}/${srcPath}`,
-                        sink:   `${sinkLoc.storageAccount}/${sinkLoc.container}/${sinkPath}`,
-                        rowsCopied: rows.length, format: 'Parquet→DelimitedText',
-                    };
-                } finally { try { fs.unlinkSync(tmpPath); } catch (_) {} }
-            }
-        }
-
+        // Cross-format conversion: decode the source files into rows, encode them in the sink format
         if (srcDsType && sinkDsType && srcDsType !== sinkDsType) {
-            throw new Error(
+            const unsupported = () => new Error(
                 `Copy: format conversion from "${srcDsType}" to "${sinkDsType}" is not supported in local run mode.\n` +
-                `Supported cross-format conversions: CSV↔Parquet, JSON↔Parquet.`
+                `Supported source formats: ${READ_FILE_FORMATS.join(', ')}. Supported sink formats: ${WRITE_FILE_FORMATS.join(', ')}.`
             );
+            // Expand wildcard patterns in fileName; the matching files are merged into the one sink file
+            const srcPaths = await _expandWildcard(srcAdls, srcLoc.container, srcLoc);
+            let rows = [], columns = [], schema;
+            for (const filePath of srcPaths) {
+                const file = await _readFormatFile(srcAdls, srcLoc.container, filePath, srcDsType, srcDs2, tp.source?.formatSettings);
+                if (!file) throw unsupported();
+                if (!columns.length) ({ columns, schema } = file);
+                rows = rows.concat(file.rows);
+            }
+            const warn    = (w) => this._warn({ ...w, activityName: activity.name, message: `Copy "${activity.name}": ${w.message}` });
+            const content = await _formatFileContent(sinkDsType, rows, columns, sinkDs2, schema, warn);
+            if (content === null) throw unsupported();
+            await sinkAdls.writeFile(sinkLoc.container, sinkPath, content);
+            return {
+                source: srcPaths.length > 1
+                    ? `${srcLoc.storageAccount}/${srcLoc.container}/${srcLoc.folderPath}/${srcLoc.fileName} (${srcPaths.length} files)`
+                    : `${srcLoc.storageAccount}/${srcLoc.container}/${srcPaths[0]}`,
+                sink:   `${sinkLoc.storageAccount}/${sinkLoc.container}/${sinkPath}`,
+                rowsCopied: rows.length, format: `${srcDsType}→${sinkDsType}`,
+            };
         }
 
         // Binary-like formats use buffer copy; text formats use text copy
@@ -1386,22 +1729,22 @@ const HANDLER_REGISTRY = {
         return { source: `${srcLoc.storageAccount}/${srcLoc.container}/${srcPath}`, sink: `${sinkLoc.storageAccount}/${sinkLoc.container}/${sinkPath}`, bytes: bytesCopied, format: srcDsType || 'unknown' };
     },
 
-    // -- Script (Azure SQL via Python subprocess) --
+    // -- Script (Azure SQL over TDS, see sqlClient.js) --
     async scriptHandler(activity) {
         const lsName = activity.linkedServiceName?.referenceName;
         if (!lsName) throw new Error('Script: missing linkedServiceName');
         const tp = activity.typeProperties || {};
         const scripts = (tp.scripts || []).map(s => ({ type: s.type || 'Query', text: String(this._eval(s.text || '', {}) || '') }));
         if (!scripts.length) throw new Error('Script: no scripts in typeProperties.scripts');
-        const sqlConn = resolveSqlLinkedService(lsName, this.workspaceRoot, this.extensionPath);
+        const sqlConn = resolveSqlLinkedService(lsName, this.workspaceRoot, this.extensionPath, this._referenceParameters(activity.linkedServiceName));
         if (!sqlConn) throw new Error(`Script: cannot resolve linked service "${lsName}" to a SQL connection.`);
-        const client = new SqlClient(sqlConn.server, sqlConn.database);
+        const client = this._sqlClient(sqlConn);
         const results = await client.executeScripts(scripts);
         const last = results[results.length - 1] || {};
         return { resultSetCount: results.length, recordsetCount: results.reduce((n, r) => n + (r.recordset?.length || 0), 0), recordset: last.recordset || [], rowsAffected: last.rowsAffected || 0 };
     },
 
-    // -- SqlServerStoredProcedure (Azure SQL via Python subprocess) --
+    // -- SqlServerStoredProcedure (Azure SQL over TDS, see sqlClient.js) --
     async storedProcedureHandler(activity) {
         const lsName = activity.linkedServiceName?.referenceName;
         if (!lsName) throw new Error('SqlServerStoredProcedure: missing linkedServiceName');
@@ -1412,15 +1755,16 @@ const HANDLER_REGISTRY = {
         const params = {};
         for (const [name, def] of Object.entries(rawParams))
             params[name] = { type: def.type, value: this._eval(def.value, {}) };
-        const sqlConn = resolveSqlLinkedService(lsName, this.workspaceRoot, this.extensionPath);
+        const sqlConn = resolveSqlLinkedService(lsName, this.workspaceRoot, this.extensionPath, this._referenceParameters(activity.linkedServiceName));
         if (!sqlConn) throw new Error(`SqlServerStoredProcedure: cannot resolve linked service "${lsName}".`);
-        const client = new SqlClient(sqlConn.server, sqlConn.database);
+        const client = this._sqlClient(sqlConn);
         const result = await client.executeStoredProcedure(procName, params);
         return { storedProcedureName: procName, rowsAffected: result.rowsAffected, recordset: result.recordset || [] };
     },
     async notSupportedHandler(activity) {
         const conf   = RUNNERS[activity.type];
-        const reason = conf?.notSupportedReason ?? `"${activity.type}" is not supported in local run mode.`;
+        const reason = conf?.notSupportedReason
+            ?? `"${activity.type}" is not supported in local run mode. Add a handler plugin in ${HANDLERS_DIR} to run it locally.`;
         const err    = new Error(reason);
         err.notSupported = true;
         throw err;
@@ -1433,6 +1777,117 @@ function _randomId() {
     return Math.random().toString(36).slice(2, 10) + Math.random().toString(36).slice(2, 10);
 }
 
+/**
+ * Build the system variables exposed through pipeline() and trigger() for a run,
+ * plus the global parameters it sees.
+ * Without triggerInfo the run looks like an ADF debug run (TriggerType "Manual",
+ * TriggerName "Sandbox"); ExecutePipeline children report TriggerType "PipelineActivity".
+ *
+ * triggerInfo (all optional):
+ *   { type, name, scheduledTime, windowStartTime, windowEndTime, folderPath, fileName }
+ */
+function _buildRunContext(runner) {
+    const info      = runner.triggerInfo || {};
+    const parent    = runner.parentRun;
+    const startTime = runner._startTime.toISOString();
+    const triggerName = parent ? parent.pipelineName : (info.name || 'Sandbox');
+
+    const outputs = {};
+    if (info.windowStartTime) outputs.windowStartTime = info.windowStartTime;
+    if (info.windowEndTime)   outputs.windowEndTime   = info.windowEndTime;
+    if (info.folderPath || info.fileName) {
+        outputs.body = { folderPath: info.folderPath ?? '', fileName: info.fileName ?? '' };
+    }
+
+    return {
+        pipeline: {
+            DataFactory:              runner.workspaceRoot ? path.basename(runner.workspaceRoot) : null,
+            Pipeline:                 runner.pipelineName,
+            RunId:                    runner.runId,
+            GroupId:                  runner.runId,
+            TriggerType:              parent ? 'PipelineActivity' : (info.type || 'Manual'),
+            TriggerId:                parent ? parent.runId : _randomId(),
+            TriggerName:              triggerName,
+            TriggerTime:              startTime,
+            TriggeredByPipelineName:  parent ? parent.pipelineName : null,
+            TriggeredByPipelineRunId: parent ? parent.runId : null,
+        },
+        trigger: {
+            name:          triggerName,
+            startTime,
+            scheduledTime: info.scheduledTime || startTime,
+            outputs,
+        },
+        globalParameters: runner.globalParameters
+            ?? globalParameterValues(loadGlobalParameters(runner.workspaceRoot).definitions),
+        secrets: runner.secretValues ?? new Set(),
+        debug:   runner.debugSession,
+        mocks:   runner.mocks,
+        handlers: runner.handlerPlugins ?? loadHandlerPlugins(runner.workspaceRoot),
+        sqlPools: runner.sqlPools ?? new SqlPools(),
+        owner: runner,     // pipeline-level runner; container scopes report run-level events through it
+        detachedOwner: runner.detachedRunOwner ?? runner,  // tracks background children (see _startDetachedRun)
+        returnValues: {},  // pipeline return values set by SetVariable (setSystemVariable)
+    };
+}
+
+/**
+ * Evaluate one typed pipeline return value { type, content }. Array and Object content is
+ * either nested typed entries (the service's format) or JSON text typed into the editor.
+ */
+function _evalReturnValue(runner, typed) {
+    const { type, content } = typed || {};
+    const parseJson = (text) => {
+        if (typeof text !== 'string') return text ?? null;
+        try { return JSON.parse(text); } catch { return text; }
+    };
+    switch (type) {
+        case 'Null':       return null;
+        case 'Expression': return runner._eval(content ?? '', {});
+        case 'Int':        return parseInt(content, 10) || 0;
+        case 'Float':      return parseFloat(content) || 0;
+        case 'Boolean':    return content === true || content === 'true';
+        case 'Array':
+            return Array.isArray(content) && content.every(c => c && typeof c === 'object' && 'type' in c)
+                ? content.map(c => _evalReturnValue(runner, c))
+                : parseJson(content);
+        case 'Object':
+            return Array.isArray(content) && content.every(e => e && typeof e === 'object' && 'key' in e)
+                ? Object.fromEntries(content.map(e => [e.key, _evalReturnValue(runner, e.value)]))
+                : parseJson(content);
+        default:           return content ?? '';
+    }
+}
+
+/** Deep copy of `value` with every occurrence of a known secret string replaced by SECURE_MASK. */
+function _redactSecrets(value, secrets) {
+    if (!secrets || secrets.size === 0 || value === null || value === undefined) return value;
+    if (typeof value === 'string') {
+        let out = value;
+        for (const secret of secrets) out = out.split(secret).join(SECURE_MASK);
+        return out;
+    }
+    if (Array.isArray(value)) return value.map(v => _redactSecrets(v, secrets));
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, _redactSecrets(v, secrets)]));
+    }
+    return value;
+}
+
+/**
+ * Headers for a Web/WebHook activity's `authentication` block. Only Basic is applied
+ * locally (password as SecureString or AzureKeyVaultSecret); other types are sent
+ * without credentials, as before.
+ */
+async function _webAuthHeaders(runner, auth) {
+    if (auth?.type !== 'Basic') return {};
+    const username = String(runner._eval(auth.username ?? '', {}));
+    const password = String((await runner._resolveSecureValue(auth.password)) ?? '');
+    const token    = Buffer.from(`${username}:${password}`).toString('base64');
+    runner._runContext.secrets.add(token);
+    return { Authorization: `Basic ${token}` };
+}
+
 function _initVariables(variableDefs) {
     const vars = {};
     for (const [name, def] of Object.entries(variableDefs)) {
@@ -1450,20 +1905,6 @@ function _patchForEachContext(childRunner, currentItem) {
     childRunner._eval = (value, extra) => origEval(value, { ...extra, currentItem });
 }
 
-// â”€â”€ Synapse workspace config â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-// Reads synapse-local-run.json from the workspace root. Returns {} if absent.
-function _loadSynapseWorkspaceConfig(workspaceRoot, extensionPath) {
-    // Prefer the extension folder (developer convenience), fall back to workspace root.
-    for (const dir of [extensionPath, workspaceRoot].filter(Boolean)) {
-        const cfgFile = path.join(dir, 'synapse-local-run.json');
-        if (fs.existsSync(cfgFile)) {
-            try { return JSON.parse(fs.readFileSync(cfgFile, 'utf8')); }
-            catch { /* corrupt file â€” try next location */ }
-        }
-    }
-    return {};
-}
-
 function _sleepMs(ms) { return new Promise(r => setTimeout(r, ms)); }
 
 // Merges all notebook cells (markdown + code) with per-code-cell execution results.
@@ -1496,15 +1937,15 @@ function _readDatasetFile(dsName, workspaceRoot) {
 
 /**
  * Apply column schema mapping (rename/reorder) from the Copy activity's translator.mappings.
- * Mappings format: [{source: {name}, sink: {name}}]
- * Returns the transformed {rows, columns}.
+ * Mappings format: [{source: {name, type?}, sink: {name, type?}}]
+ * Returns the transformed {rows, columns, schema}; schema ([{name, type}], optional) follows the renames.
  */
-function _applySchemaMapping(rows, columns, mappings) {
+function _applySchemaMapping(rows, columns, mappings, schema) {
     if (!mappings || !Array.isArray(mappings) || mappings.length === 0) {
-        return { rows, columns };
+        return { rows, columns, schema };
     }
     const validMappings = mappings.filter(m => m.source?.name && m.sink?.name);
-    if (validMappings.length === 0) return { rows, columns };
+    if (validMappings.length === 0) return { rows, columns, schema };
 
     const newColumns = validMappings.map(m => m.sink.name);
     const newRows = rows.map(row => {
@@ -1514,7 +1955,10 @@ function _applySchemaMapping(rows, columns, mappings) {
         }
         return out;
     });
-    return { rows: newRows, columns: newColumns };
+    // a mapping's sink.type wins over the source column's type
+    const sourceTypes = new Map((schema ?? []).map(f => [f.name, f.type]));
+    const newSchema = validMappings.map(m => ({ name: m.sink.name, type: m.sink.type ?? sourceTypes.get(m.source.name) ?? m.source.type }));
+    return { rows: newRows, columns: newColumns, schema: newSchema };
 }
 
 /**
@@ -1526,11 +1970,98 @@ function _matchWildcard(pattern, name) {
     return re.test(name);
 }
 
+/**
+ * Rows of a Lookup against a SQL table dataset: the source's sqlReaderQuery, else its
+ * sqlReaderStoredProcedureName (with storedProcedureParameters), else the whole table.
+ * Queries and tables are streamed: firstRowOnly keeps the first row and counts the rest, otherwise
+ * the read is cancelled one row past runLimits.lookupMaxRows, enough to know the output is cut.
+ * @returns {Promise<{ rows: object[], count: number | null }>}  count: rows in the result, null
+ *          when the read was cancelled
+ */
+async function _lookupSqlRows(runner, source, dsName, sqlDs, firstRowOnly) {
+    const client   = _sqlDatasetClient(runner, 'Lookup', dsName, sqlDs);
+    const query    = runner._eval(source.sqlReaderQuery ?? '', {});
+    const procName = runner._eval(source.sqlReaderStoredProcedureName ?? '', {});
+    if (!query && procName) {
+        const params = {};
+        for (const [name, def] of Object.entries(source.storedProcedureParameters ?? {}))
+            params[name] = { type: def?.type, value: runner._eval(def?.value, {}) };
+        const rows = (await client.executeStoredProcedure(String(procName), params)).recordset ?? [];
+        return { rows, count: rows.length };
+    }
+    if (!query && !sqlDs.table) {
+        throw new Error(`Lookup: dataset "${dsName}" has no table; set sqlReaderQuery or sqlReaderStoredProcedureName on the source.`);
+    }
+    const keep = firstRowOnly ? 1 : RUN_LIMITS.lookupMaxRows + 1;
+    const rows = [];
+    const onRow = (row) => {
+        if (rows.length < keep) rows.push(row);
+        return firstRowOnly || rows.length < keep;
+    };
+    const { rowCount } = query
+        ? await client.streamQuery(String(query), onRow)
+        : await client.streamTable(sqlDs.schema, sqlDs.table, onRow);
+    return { rows, count: firstRowOnly || rows.length < keep ? rowCount : null };
+}
+
+// SQL Server data types → the interim types GetMetadata reports in structure
+const SQL_INTERIM_TYPES = {
+    bigint: 'Int64', int: 'Int32', smallint: 'Int16', tinyint: 'Byte', bit: 'Boolean',
+    decimal: 'Decimal', numeric: 'Decimal', money: 'Decimal', smallmoney: 'Decimal',
+    float: 'Double', real: 'Single',
+    date: 'DateTime', datetime: 'DateTime', datetime2: 'DateTime', smalldatetime: 'DateTime',
+    datetimeoffset: 'DateTimeOffset', time: 'TimeSpan', uniqueidentifier: 'Guid',
+    binary: 'Byte[]', varbinary: 'Byte[]', image: 'Byte[]', timestamp: 'Byte[]', rowversion: 'Byte[]',
+};
+
+/**
+ * GetMetadata for a SQL table dataset: structure, columnCount and exists, read from
+ * INFORMATION_SCHEMA.COLUMNS. As in the service, a missing table fails the activity unless
+ * exists is requested, and then the output is just { exists: false }.
+ */
+async function _sqlTableMetadata(runner, dsName, sqlDs, fieldList) {
+    const client  = _sqlDatasetClient(runner, 'GetMetadata', dsName, sqlDs);
+    const literal = (v) => `N'${String(v ?? '').replace(/'/g, "''")}'`;
+    const { rows = [] } = await client.executeQuery(
+        'SELECT COLUMN_NAME, DATA_TYPE FROM INFORMATION_SCHEMA.COLUMNS ' +
+        `WHERE TABLE_SCHEMA = ${literal(sqlDs.schema)} AND TABLE_NAME = ${literal(sqlDs.table)} ORDER BY ORDINAL_POSITION`
+    );
+    const fields = fieldList.map(f => typeof f === 'object' ? (f.value ?? f.field) : f);
+    if (rows.length === 0) {
+        if (fields.includes('exists')) return { exists: false };
+        throw new Error(`GetMetadata: table [${sqlDs.schema}].[${sqlDs.table}] of dataset "${dsName}" does not exist.`);
+    }
+
+    const output = {};
+    for (const field of fields) {
+        switch (field) {
+            case 'structure':
+                output.structure = rows.map(r => ({ name: r.COLUMN_NAME, type: SQL_INTERIM_TYPES[String(r.DATA_TYPE).toLowerCase()] ?? 'String' }));
+                break;
+            case 'columnCount':
+                output.columnCount = rows.length;
+                break;
+            case 'exists':
+                output.exists = true;
+                break;
+            default:
+                output[field] = null;
+        }
+    }
+    return output;
+}
+
+function _sqlDatasetClient(runner, activityType, dsName, sqlDs) {
+    const conn = resolveSqlLinkedService(sqlDs.linkedServiceName, runner.workspaceRoot, runner.extensionPath, sqlDs.linkedServiceParameters);
+    if (!conn) throw new Error(`${activityType}: cannot resolve SQL linked service "${sqlDs.linkedServiceName}" of dataset "${dsName}".`);
+    return runner._sqlClient(conn);
+}
+
 /**
  * If fileName contains a wildcard (* or ?), list matching files in folder path
  * and return an array of individual file paths; otherwise return [srcPath].
  */
-async function _expandWildcard(adls, container, loc) {
+async function _expandWildcard(adls, container, loc, activityType = 'Copy') {
     const { folderPath, fileName } = loc;
     if (!fileName || !/[*?]/.test(fileName)) {
         return [buildAdlsPath(loc)];
@@ -1541,7 +2072,7 @@ async function _expandWildcard(adls, container, loc) {
         .filter(item => _matchWildcard(fileName, item.name.split('/').pop()))
         .map(item => item.name);
     if (matched.length === 0) throw new Error(
-        `Copy: no files matched wildcard pattern "${fileName}" in folder "${folderPath || '(root)'}".`
+        `${activityType}: no files matched wildcard pattern "${fileName}" in folder "${folderPath || '(root)'}".`
     );
     return matched;
 }
@@ -1558,6 +2089,108 @@ function _getCsvConfig(dsJson) {
     };
 }
 
+const READ_FILE_FORMATS  = ['DelimitedText', 'Json', 'Parquet', 'Excel', 'Xml', 'Avro'];
+const WRITE_FILE_FORMATS = ['DelimitedText', 'Json', 'Parquet', 'Avro'];
+
+/**
+ * Read one file of a DelimitedText / Json / Parquet / Excel / Xml / Avro dataset into
+ * { rows, columns, schema? }. The file is downloaded and decoded whole, in memory. Binary and XML
+ * formats are decoded in process by fileFormats.js, which also reports their column types as schema.
+ * formatSettings: the activity source's formatSettings (Xml: namespaces, namespacePrefixes,
+ * detectDataType).
+ * @returns {Promise<{ rows: object[], columns: string[], schema?: { name: string, type: string }[] } | null>}
+ *          null for other formats
+ */
+async function _readFormatFile(adls, container, filePath, format, ds, formatSettings = {}) {
+    const dsTp = ds?.properties?.typeProperties ?? {};
+    switch (format) {
+        case 'DelimitedText':
+            return _parseCsv(await adls.readFile(container, filePath), _getCsvConfig(ds));
+        case 'Json': {
+            const parsed = JSON.parse(await adls.readFile(container, filePath));
+            const rows   = Array.isArray(parsed) ? parsed : (parsed.value ?? [parsed]);
+            return { rows, columns: rows.length ? Object.keys(rows[0]) : [] };
+        }
+        case 'Parquet':
+        case 'Avro':
+            return readFormat(format, await adls.readFileBuffer(container, filePath));
+        case 'Excel':
+            return readFormat('Excel', await adls.readFileBuffer(container, filePath), {
+                sheetName:        dsTp.sheetName,
+                sheetIndex:       dsTp.sheetIndex,
+                range:            dsTp.range,
+                firstRowAsHeader: dsTp.firstRowAsHeader !== false,
+                nullValue:        dsTp.nullValue ?? '',
+            });
+        case 'Xml':
+            return readFormat('Xml', await adls.readFileBuffer(container, filePath), {
+                rowTag:            dsTp.rowTag ?? dsTp.rowNodeName ?? null,
+                nullValue:         dsTp.nullValue ?? '',
+                namespaces:        formatSettings?.namespaces !== false,
+                namespacePrefixes: formatSettings?.namespacePrefixes,
+                detectDataType:    formatSettings?.detectDataType !== false,
+            });
+        default:
+            return null;
+    }
+}
+
+/**
+ * Encode rows in a sink dataset's format: text for DelimitedText / Json, bytes for Parquet / Avro
+ * (schema: the source column types, kept where the format can carry them; warn: reports the
+ * columns whose type the format cannot carry).
+ * @returns {Promise<string | Buffer | null>}  null for formats without a local writer
+ */
+async function _formatFileContent(format, rows, columns, ds, schema, warn) {
+    const dsTp = ds?.properties?.typeProperties ?? {};
+    switch (format) {
+        case 'DelimitedText':
+            return _serializeCsv(rows, columns, _getCsvConfig(ds));
+        case 'Json':
+            return JSON.stringify(rows, null, 2);
+        case 'Parquet':
+            return writeFormat('Parquet', rows, columns, { schema, compressionCodec: dsTp.compressionCodec, warn });
+        case 'Avro':
+            return writeFormat('Avro', rows, columns, { schema, compressionCodec: dsTp.avroCompressionCodec, warn });
+        default:
+            return null;
+    }
+}
+
+/** The _readFormatFile format for a Lookup dataset type, or null to return the raw text. */
+function _lookupFormat(dsType, filePath) {
+    if (dsType.includes('Json') || /\.json$/i.test(filePath)) return 'Json';
+    if (dsType.includes('DelimitedText') || dsType.includes('Csv') || /\.csv$/i.test(filePath)) return 'DelimitedText';
+    return ['Parquet', 'Excel', 'Xml', 'Avro'].includes(dsType) ? dsType : null;
+}
+
+/**
+ * Lookup output with the service's limits: like the service, only the first
+ * runLimits.lookupMaxRows rows are returned (reported as a run warning here), and an output
+ * larger than runLimits.lookupMaxOutputBytes fails the activity with the service's message.
+ * count: rows in the whole result when the source read only part of it, null if unknown.
+ */
+function _lookupOutput(runner, activity, rows, firstRowOnly, count = rows.length) {
+    const maxRows = RUN_LIMITS.lookupMaxRows;
+    if (!firstRowOnly && rows.length > maxRows) {
+        runner._warn({
+            code: 'LookupRowsTruncated',
+            activityName: activity.name,
+            ...(count != null ? { rowCount: count } : {}),
+            limit: maxRows,
+            message: `Lookup "${activity.name}" returned ${count ?? `more than ${maxRows}`} rows; the service returns only the first ${maxRows}. ` +
+                     'Page through the data (e.g. ForEach over ranges) or use a Copy activity instead.',
+        });
+        rows = rows.slice(0, maxRows);
+    }
+    const output = firstRowOnly ? { firstRow: rows[0] ?? null, count } : { value: rows, count: rows.length };
+    const maxBytes = RUN_LIMITS.lookupMaxOutputBytes;
+    if (Buffer.byteLength(JSON.stringify(output), 'utf8') > maxBytes) {
+        throw new Error(`The size of lookup activity result exceeds the limitation ${maxBytes}.`);
+    }
+    return output;
+}
+
 // ─── CSV parser ────────────────────────────────────────────────────────────────
 // Handles configurable delimiter, quoteChar, escapeChar, nullValue.
 
@@ -1653,7 +2286,7 @@ function _serializeCsv(rows, columns, opts = {}) {
     const firstRowAsHeader = opts.firstRowAsHeader !== false;
 
     function quoteField(val) {
-        const s = (val === null || val === undefined) ? nullValue : String(val);
+        const s = (val === null || val === undefined) ? nullValue : typeof val === 'object' ? JSON.stringify(val) : String(val);
         if (s.includes(delimiter) || s.includes(q) || s.includes('\n') || s.includes('\r')) {
             return q + s.replace(new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), q + q) + q;
         }
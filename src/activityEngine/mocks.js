@@ -0,0 +1,146 @@
+'use strict';
+// mocks.js — canned activity results for local runs that must not touch live resources
+// (offline development, CI).
+//
+// local-run-mocks.json (workspace root, or any file passed to loadMocks):
+//   {
+//     "strict": true,
+//     "types":      { "WebActivity": { "output": { "statusCode": 200 } } },
+//     "activities": { "LookupConfig": { "fixture": "mocks/config.json" } },
+//     "pipelines": {
+//       "PL_Load": {
+//         "activities": { "CopyRaw":  { "fail": { "message": "Source unavailable", "errorCode": "2200" } },
+//                         "GetFiles": { "sequence": [ { "output": { "childItems": [] } }, { "output": { "childItems": [{ "name": "a.csv" }] } } ] } }
+//       }
+//     }
+//   }
+//
+// An activity uses the first entry found in: pipelines[<pipeline>].activities[<name>],
+// pipelines[<pipeline>].types[<type>], activities[<name>], types[<type>]. <pipeline> is the
+// pipeline the activity is defined in, so ForEach bodies and ExecutePipeline children match too.
+//
+// Entries:
+//   { "output": any }           — the activity's output; string values are evaluated as expressions
+//   { "fixture": "path.json" }  — output read from a JSON file (relative to the mock file)
+//   { "rows": [ ... ] }         — Lookup rows, shaped as { firstRow } or { count, value } per firstRowOnly
+//   { "fail": { "message", "errorCode" } } or { "fail": "message" } — the activity fails (retries apply)
+//   { "sequence": [ entry, ... ] } — one entry per call (retries, iterations); the last one repeats
+//
+// With "strict": true, external activities (activityRunners entries flagged "external" in
+// local-run-config.json, or handler plugins declaring it) that have no mock fail instead of
+// calling their real handler.
+
+const path = require('path');
+const fs   = require('fs');
+const runConfig = require('../local-run-config.json');
+
+const MOCKS_FILE = 'local-run-mocks.json';
+
+class ActivityMocks {
+    /**
+     * @param {object} config   parsed mock file (see above)
+     * @param {object} [options]
+     * @param {string} [options.baseDir]  folder fixtures are resolved against
+     * @param {string} [options.source]   file the config was read from, for messages
+     */
+    constructor(config = {}, { baseDir = null, source = null } = {}) {
+        this.config  = config ?? {};
+        this.strict  = this.config.strict === true;
+        this.baseDir = baseDir;
+        this.source  = source;
+        this._calls  = new Map(); // "pipeline/activity" → calls so far, for sequences
+    }
+
+    /** The mock entry for `activity` in `pipelineName`, or null when it runs for real. */
+    find(pipelineName, activity) {
+        const scoped = this.config.pipelines?.[pipelineName] ?? {};
+        return scoped.activities?.[activity.name]
+            ?? scoped.types?.[activity.type]
+            ?? this.config.activities?.[activity.name]
+            ?? this.config.types?.[activity.type]
+            ?? null;
+    }
+
+    /**
+     * True when strict mode stops `activity` from calling its real handler.
+     * @param {object} [runnerConf]  the handler entry in use (a plugin's replaces local-run-config.json's)
+     */
+    blocks(activity, runnerConf = runConfig.activityRunners[activity.type]) {
+        return this.strict && runnerConf?.external === true;
+    }
+
+    /**
+     * Produce the mocked result of one activity execution.
+     * @param {import('./localRunner').LocalPipelineRunner} runner  scope the activity runs in
+     * @param {object} entry  from find()
+     * @throws {Error} for fail entries, unreadable fixtures and malformed entries
+     */
+    invoke(runner, activity, entry) {
+        const pipelineName = runner._runContext?.pipeline?.Pipeline ?? runner.pipelineName;
+        const key   = `${pipelineName}/${activity.name}`;
+        const calls = this._calls.get(key) ?? 0;
+        this._calls.set(key, calls + 1);
+
+        if (Array.isArray(entry.sequence)) {
+            if (entry.sequence.length === 0) throw new Error(`Mock for "${activity.name}" has an empty sequence`);
+            entry = entry.sequence[Math.min(calls, entry.sequence.length - 1)];
+        }
+        if (entry.fail !== undefined) {
+            const fail = typeof entry.fail === 'object' && entry.fail !== null ? entry.fail : { message: entry.fail };
+            const message = String(_evalDeep(runner, fail.message ?? 'Mocked failure'));
+            throw new Error(fail.errorCode != null ? `${message} (errorCode: ${fail.errorCode})` : message);
+        }
+        if (entry.fixture !== undefined) return this._readFixture(activity, entry.fixture);
+        if (entry.rows !== undefined) {
+            const rows = _evalDeep(runner, Array.isArray(entry.rows) ? entry.rows : []);
+            const firstRowOnly = runner._eval(activity.typeProperties?.firstRowOnly ?? true, {});
+            return firstRowOnly === false || firstRowOnly === 'false'
+                ? { count: rows.length, value: rows }
+                : (rows.length > 0 ? { firstRow: rows[0] } : {});
+        }
+        if (entry.output !== undefined) return _evalDeep(runner, entry.output);
+        throw new Error(`Mock for "${activity.name}" needs one of output, fixture, rows, fail or sequence`);
+    }
+
+    _readFixture(activity, fixture) {
+        const file = path.resolve(this.baseDir ?? '', String(fixture));
+        if (!fs.existsSync(file)) throw new Error(`Mock fixture "${fixture}" for "${activity.name}" not found (${file})`);
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`Mock fixture "${fixture}" for "${activity.name}" is not valid JSON: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Load the mock configuration for a workspace.
+ * @param {string}  workspaceRoot
+ * @param {string} [filePath]  mock file to use instead of the workspace's local-run-mocks.json;
+ *                             relative paths resolve against workspaceRoot
+ * @returns {ActivityMocks|null}  null when the file does not exist
+ * @throws {Error} when the file is not valid JSON
+ */
+function loadMocks(workspaceRoot, filePath) {
+    const file = path.resolve(workspaceRoot || '', filePath ?? MOCKS_FILE);
+    if (!fs.existsSync(file)) return null;
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Invalid mock file ${path.basename(file)}: ${err.message}`);
+    }
+    return new ActivityMocks(config, { baseDir: path.dirname(file), source: file });
+}
+
+// Canned outputs may reference parameters, items and upstream outputs: "@item().name"
+function _evalDeep(runner, value) {
+    if (typeof value === 'string') return runner._eval(value, {});
+    if (Array.isArray(value)) return value.map(v => _evalDeep(runner, v));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, _evalDeep(runner, v)]));
+    }
+    return value;
+}
+
+module.exports = { MOCKS_FILE, ActivityMocks, loadMocks };
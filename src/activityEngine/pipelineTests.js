@@ -0,0 +1,290 @@
+'use strict';
+// pipelineTests.js — declarative tests for workspace pipelines, run with LocalPipelineRunner.
+//
+// pipeline-tests/<anything>.test.json:
+//   {
+//     "pipeline":   "PL_Orders",                 // pipeline/<name>.json
+//     "parameters": { "region": "eu" },          // defaults for every test (over the pipeline's defaults)
+//     "globalParameters": { "env": "test" },     // over the workspace's global parameters
+//     "mocks":      "mocks/orders.json",         // mock file (see mocks.js), or the config inline
+//     "tests": [
+//       {
+//         "name":       "routes large orders to review",
+//         "parameters": { "threshold": 100 },
+//         "trigger":    { "type": "ScheduleTrigger", "scheduledTime": "2024-01-01T00:00:00Z" },
+//         "mocks":      { "activities": { "GetOrders": { "rows": [{ "total": 250 }] } } },
+//         "expect": {
+//           "status":      "Succeeded",               // the default when omitted
+//           "error":       "substring of the pipeline error",
+//           "variables":   { "route": "review" },
+//           "activities":  { "GetOrders": "Succeeded", "SendMail": "NotRun" },
+//           "branches":    { "IfLarge": true, "SwitchRegion": "eu" },
+//           "outputs":     { "GetOrders": { "firstRow": { "total": 250 } } },
+//           "returnValue": { "route": "review" }
+//         }
+//       }
+//     ]
+//   }
+//
+// Tests are hermetic: mocks are strict unless they set "strict": false, so an external
+// activity without a mock fails instead of reaching live resources. Mock fixtures resolve
+// against the folder of the file that declares them. A test's mocks override the file's per
+// activity, type and pipeline.
+//
+// Expectations are partial: objects match when every expected key matches, arrays and scalars
+// must be equal. Activity statuses and branches cover nested activities too (the last execution
+// wins); "NotRun" expects an activity that never started. Outputs of nested activities are the
+// ones shown in the run viewer, i.e. after secureOutput masking.
+
+const path = require('path');
+const fs   = require('fs');
+const { LocalPipelineRunner } = require('./localRunner');
+const { ActivityMocks, loadMocks } = require('./mocks');
+const { loadGlobalParameters, globalParameterValues } = require('./globalParameters');
+
+const TESTS_DIR        = 'pipeline-tests';
+const TEST_FILE_SUFFIX = '.test.json';
+const TERMINAL         = new Set(['Succeeded', 'Failed', 'Skipped', 'Cancelled']);
+
+/** Test spec files under the workspace's pipeline-tests/ folder, sorted. */
+function findTestFiles(workspaceRoot) {
+    const root = path.join(workspaceRoot || '', TESTS_DIR);
+    if (!workspaceRoot || !fs.existsSync(root)) return [];
+    const files = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) walk(full);
+            else if (entry.name.endsWith(TEST_FILE_SUFFIX)) files.push(full);
+        }
+    };
+    walk(root);
+    return files.sort();
+}
+
+/**
+ * Read and check a test spec file.
+ * @returns {{ pipeline: string, tests: object[], ... }}
+ * @throws {Error} when the file is not valid JSON or misses required fields
+ */
+function loadTestSpec(filePath) {
+    let spec;
+    try {
+        spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new Error(`${path.basename(filePath)}: ${err.message}`);
+    }
+    if (!spec || typeof spec.pipeline !== 'string' || !spec.pipeline) {
+        throw new Error(`${path.basename(filePath)}: "pipeline" must name a pipeline in the workspace pipeline/ folder`);
+    }
+    if (!Array.isArray(spec.tests) || spec.tests.length === 0) {
+        throw new Error(`${path.basename(filePath)}: "tests" must be a non-empty array`);
+    }
+    const seen = new Set();
+    spec.tests.forEach((test, i) => {
+        if (!test?.name) throw new Error(`${path.basename(filePath)}: tests[${i}] has no "name"`);
+        if (seen.has(test.name)) throw new Error(`${path.basename(filePath)}: duplicate test name "${test.name}"`);
+        seen.add(test.name);
+    });
+    return spec;
+}
+
+/**
+ * Run one test of a spec.
+ * @param {string} workspaceRoot
+ * @param {object} spec      from loadTestSpec()
+ * @param {object} test      one of spec.tests
+ * @param {object} [options]
+ * @param {string} [options.specFile]  path of the spec file — mock paths and fixtures resolve against it
+ * @param {(runner: LocalPipelineRunner) => void} [options.onRunner]  called before run(), e.g. to
+ *                                     subscribe to events or wire cancellation
+ * @returns {Promise<{ name, passed, failures: { message, expected?, actual? }[], status, error, errors, durationMs, runId }>}
+ *          error: the pipeline's own error; errors: { activityName: message } of failed activities
+ */
+async function runPipelineTest(workspaceRoot, spec, test, { specFile = null, onRunner } = {}) {
+    const started  = Date.now();
+    const result   = (fields) => ({ name: test.name, status: null, error: null, errors: {}, runId: null, ...fields, durationMs: Date.now() - started });
+    const baseDir  = specFile ? path.dirname(specFile) : workspaceRoot;
+
+    let pipelineJson, mocks, globalParameters;
+    try {
+        const pipelineFile = path.join(workspaceRoot, 'pipeline', `${spec.pipeline}.json`);
+        if (!fs.existsSync(pipelineFile)) throw new Error(`Pipeline "${spec.pipeline}" not found in the workspace pipeline/ folder`);
+        pipelineJson = JSON.parse(fs.readFileSync(pipelineFile, 'utf8'));
+        mocks = new ActivityMocks(
+            _mergeMocks({ strict: true }, _mockConfig(baseDir, spec.mocks), _mockConfig(baseDir, test.mocks)),
+            { baseDir, source: specFile }
+        );
+        if (spec.globalParameters || test.globalParameters) {
+            globalParameters = {
+                ...globalParameterValues(loadGlobalParameters(workspaceRoot).definitions),
+                ...spec.globalParameters,
+                ...test.globalParameters,
+            };
+        }
+    } catch (err) {
+        return result({ passed: false, failures: [{ message: err.message }] });
+    }
+
+    const defaults = Object.fromEntries(Object.entries(pipelineJson?.properties?.parameters ?? {})
+        .filter(([, def]) => def?.defaultValue !== undefined)
+        .map(([name, def]) => [name, def.defaultValue]));
+    const runner = new LocalPipelineRunner(pipelineJson, { ...defaults, ...spec.parameters, ...test.parameters }, workspaceRoot);
+    runner.mocks            = mocks;
+    runner.triggerInfo      = test.trigger ?? spec.trigger ?? null;
+    runner.globalParameters = globalParameters ?? null;
+
+    const observed = _observe(runner, pipelineJson);
+    onRunner?.(runner);
+    await runner.run();
+
+    const failures = checkExpectations(test.expect ?? {}, observed);
+    return result({
+        passed: failures.length === 0, failures,
+        status: observed.end?.status ?? null, error: observed.end?.error ?? null, errors: observed.errors, runId: runner.runId,
+    });
+}
+
+/**
+ * Compare a test's "expect" block with what a run produced.
+ * @param {object} expect
+ * @param {{ end, variables, statuses, outputs, branches }} observed
+ * @returns {{ message, expected, actual }[]}  empty when every expectation holds
+ */
+function checkExpectations(expect, observed) {
+    const failures = [];
+    const check = (label, expected, actual) => {
+        if (!_matches(expected, actual)) {
+            failures.push({ message: `${label}: expected ${_show(expected)}, got ${_show(actual)}`, expected, actual });
+        }
+    };
+
+    check('Pipeline status', expect.status ?? 'Succeeded', observed.end?.status ?? null);
+    if (expect.error !== undefined) {
+        const actual = observed.end?.error ?? null;
+        if (!String(actual ?? '').includes(String(expect.error))) {
+            failures.push({ message: `Pipeline error: expected to contain ${_show(expect.error)}, got ${_show(actual)}`, expected: expect.error, actual });
+        }
+    }
+    for (const [name, expected] of Object.entries(expect.variables ?? {})) {
+        check(`Variable "${name}"`, expected, observed.variables[name]);
+    }
+    for (const [name, expected] of Object.entries(expect.activities ?? {})) {
+        check(`Activity "${name}" status`, expected, observed.statuses[name] ?? 'NotRun');
+    }
+    for (const [name, expected] of Object.entries(expect.branches ?? {})) {
+        const actual = observed.branches[name];
+        if (actual === undefined) {
+            failures.push({ message: `Branch of "${name}": expected ${_show(expected)}, but "${name}" did not run (or is not an IfCondition/Switch)`, expected, actual: null });
+        } else if (_branchValue(expected) !== _branchValue(actual)) {
+            failures.push({ message: `Branch of "${name}": expected ${_show(expected)}, got ${_show(actual)}`, expected, actual });
+        }
+    }
+    for (const [name, expected] of Object.entries(expect.outputs ?? {})) {
+        check(`Output of "${name}"`, expected, observed.outputs[name]);
+    }
+    if (expect.returnValue !== undefined) {
+        check('Pipeline return value', expect.returnValue, observed.end?.pipelineReturnValue ?? {});
+    }
+    return failures;
+}
+
+// Collect what assertions look at: nested activities only surface through events
+function _observe(runner, pipelineJson) {
+    const branchTypes = new Map();  // IfCondition / Switch activity name → type
+    _walkActivities(pipelineJson?.properties?.activities ?? [], (a) => {
+        if (a.type === 'IfCondition' || a.type === 'Switch') branchTypes.set(a.name, a.type);
+    });
+
+    const observed = { end: null, variables: runner.variables, statuses: {}, outputs: {}, branches: {}, errors: {} };
+    runner.on('activityUpdate', (u) => {
+        if (u.seeded || u.willRetry || !TERMINAL.has(u.status)) {
+            // A branch is known as soon as one of its activities starts — even when it later fails
+            if (u.parentActivity != null && branchTypes.has(u.parentActivity)) observed.branches[u.parentActivity] = u.branchLabel;
+            return;
+        }
+        observed.statuses[u.name] = u.status;
+        if (u.status === 'Failed') observed.errors[u.name] = u.error;
+        else delete observed.errors[u.name];
+        if (u.output != null) observed.outputs[u.name] = u.output;
+        if (u.parentActivity != null && branchTypes.has(u.parentActivity)) observed.branches[u.parentActivity] = u.branchLabel;
+        // The container's own output names the branch, including one with no activities
+        if (branchTypes.has(u.name) && u.output?.branch !== undefined) observed.branches[u.name] = u.output.branch;
+    });
+    runner.on('pipelineEnd', (e) => {
+        // The return value unredacted too, as a calling ExecutePipeline sees it
+        observed.end = { ...e, pipelineReturnValue: runner._runContext?.returnValues ?? {} };
+        // Top-level outputs unmasked, as expressions downstream saw them
+        Object.assign(observed.outputs, runner.activityOutputs);
+    });
+    return observed;
+}
+
+function _walkActivities(activities, visit) {
+    for (const a of activities ?? []) {
+        visit(a);
+        const tp = a.typeProperties ?? {};
+        _walkActivities(tp.activities, visit);
+        _walkActivities(tp.ifTrueActivities, visit);
+        _walkActivities(tp.ifFalseActivities, visit);
+        _walkActivities(tp.defaultActivities, visit);
+        for (const c of tp.cases ?? []) _walkActivities(c.activities, visit);
+    }
+}
+
+// IfCondition branches are True/False, Switch branches "case:<value>" or "default";
+// expectations may say true / "false" / "<value>" / "default"
+function _branchValue(branch) {
+    const s = String(branch);
+    return (s.startsWith('case:') ? s.slice('case:'.length) : s).toLowerCase();
+}
+
+function _mockConfig(baseDir, mocks) {
+    if (mocks == null) return {};
+    if (typeof mocks !== 'string') return mocks;
+    const loaded = loadMocks(baseDir, mocks);
+    if (!loaded) throw new Error(`Mock file "${mocks}" not found`);
+    // Fixtures stay relative to the mock file once merged with the spec's inline mocks
+    const entry = (e) => e?.fixture !== undefined ? { ...e, fixture: path.resolve(loaded.baseDir, String(e.fixture)) }
+        : Array.isArray(e?.sequence) ? { ...e, sequence: e.sequence.map(entry) } : e;
+    const section = (entries) => Object.fromEntries(Object.entries(entries ?? {}).map(([k, e]) => [k, entry(e)]));
+    const { config } = loaded;
+    return {
+        ...config,
+        activities: section(config.activities),
+        types:      section(config.types),
+        pipelines:  Object.fromEntries(Object.entries(config.pipelines ?? {}).map(([name, scoped]) =>
+            [name, { activities: section(scoped.activities), types: section(scoped.types) }])),
+    };
+}
+
+// Later configs override earlier ones per activity, type and pipeline
+function _mergeMocks(...configs) {
+    const merged = { activities: {}, types: {}, pipelines: {} };
+    for (const config of configs) {
+        if (config.strict !== undefined) merged.strict = config.strict;
+        Object.assign(merged.activities, config.activities);
+        Object.assign(merged.types, config.types);
+        for (const [name, scoped] of Object.entries(config.pipelines ?? {})) {
+            const into = merged.pipelines[name] ??= { activities: {}, types: {} };
+            Object.assign(into.activities, scoped.activities);
+            Object.assign(into.types, scoped.types);
+        }
+    }
+    return merged;
+}
+
+function _matches(expected, actual) {
+    if (expected === null || typeof expected !== 'object') return Object.is(expected, actual);
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && actual.length === expected.length && expected.every((e, i) => _matches(e, actual[i]));
+    }
+    if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) return false;
+    return Object.entries(expected).every(([k, v]) => _matches(v, actual[k]));
+}
+
+function _show(value) {
+    return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+module.exports = { TESTS_DIR, TEST_FILE_SUFFIX, findTestFiles, loadTestSpec, runPipelineTest, checkExpectations };
@@ -0,0 +1,161 @@
+'use strict';
+// runHistory.js — persists local pipeline runs so they can be reopened and replayed.
+//
+// Layout (one folder per run, newest MAX_RUNS kept):
+//   .adf-local-runs/
+//     .gitignore                       — "*": run history stays out of source control
+//     <runId>/run.json                 — record built by recordFromRunner()
+//     <runId>/snapshots/<activity>.json — notebook snapshots captured during the run
+//
+// Records hold what the run viewer showed: activity outputs are masked per the activity's
+// secureOutput policy, known secrets are redacted and SecureString parameters are not stored
+// (a re-run prompts for them again). Fire-and-forget ExecutePipeline children are saved as runs
+// of their own; the parent's record links them in detachedRuns and is saved again when one ends,
+// so it also holds their activity records.
+
+const crypto = require('crypto');
+const path   = require('path');
+const fs     = require('fs');
+
+const HISTORY_DIR    = '.adf-local-runs';
+const RECORD_VERSION = 1;
+const MAX_RUNS       = 100;
+
+/** Stable hash of a pipeline definition — tells whether a pipeline changed since a run. */
+function pipelineHash(pipelineJson) {
+    return crypto.createHash('sha256').update(JSON.stringify(pipelineJson ?? null)).digest('hex');
+}
+
+/**
+ * Build the persisted record of a finished run.
+ * @param {import('./localRunner').LocalPipelineRunner} runner
+ * @param {object} end    the runner's pipelineEnd event
+ * @param {object} [extra]  { pipelineFile, activities } — workspace-relative pipeline path and
+ *                          the activity summary the viewer lays out
+ */
+function recordFromRunner(runner, end, extra = {}) {
+    const paramDefs = runner.pipelineJson?.properties?.parameters ?? {};
+    const secureParameters = Object.keys(runner.parameters)
+        .filter(name => (paramDefs[name]?.type ?? '').toLowerCase() === 'securestring');
+    const parameters = {};
+    for (const [name, value] of Object.entries(runner.parameters)) {
+        parameters[name] = secureParameters.includes(name) ? null : runner._mask(value, false);
+    }
+
+    const startTime = runner._startTime ?? new Date();
+    const endTime   = runner._endTime ?? new Date();
+    return {
+        version:          RECORD_VERSION,
+        runId:            runner.runId,
+        pipelineName:     runner.pipelineName,
+        pipelineFile:     extra.pipelineFile ?? null,
+        pipelineHash:     pipelineHash(runner.pipelineJson),
+        parentRun:        runner.parentRun,
+        status:           end.status,
+        error:            end.error ?? null,
+        startTime:        startTime.toISOString(),
+        endTime:          endTime.toISOString(),
+        durationMs:       endTime - startTime,
+        parameters,
+        secureParameters,
+        globalParameters: runner._mask(runner._runContext?.globalParameters ?? runner.globalParameters ?? {}, false),
+        triggerInfo:      runner.triggerInfo,
+        startActivities:  runner.startActivities,
+        stopActivities:   runner.stopActivities,
+        mocksFile:        runner.mocks?.source && runner.workspaceRoot ? path.relative(runner.workspaceRoot, runner.mocks.source) : null,
+        activities:       extra.activities ?? [],
+        activityRuns:     end.activityRuns ?? [],
+        activityOutputs:  runner._maskedActivityOutputs(),
+        activityStatuses: { ...runner.activityStatuses },
+        detachedRuns:     (runner.detachedRuns ?? []).map(({ runId, pipelineName, parentActivity, status }) => ({ runId, pipelineName, parentActivity, status })),
+        pipelineReturnValue: runner._mask(end.pipelineReturnValue ?? {}, false),
+        warnings:         runner.warnings,
+    };
+}
+
+/**
+ * Write a run record (and its notebook snapshots) and prune the oldest runs.
+ * @param {string} workspaceRoot
+ * @param {object} record     from recordFromRunner()
+ * @param {Map<string, object>|object} [snapshots]  activityName → snapshot
+ */
+function saveRun(workspaceRoot, record, snapshots = {}) {
+    const root = path.join(workspaceRoot, HISTORY_DIR);
+    if (!fs.existsSync(root)) {
+        fs.mkdirSync(root, { recursive: true });
+        fs.writeFileSync(path.join(root, '.gitignore'), '*\n', 'utf8');
+    }
+    const runDir = path.join(root, record.runId);
+    fs.mkdirSync(path.join(runDir, 'snapshots'), { recursive: true });
+    fs.writeFileSync(path.join(runDir, 'run.json'), JSON.stringify(record, null, 2), 'utf8');
+
+    const entries = snapshots instanceof Map ? [...snapshots] : Object.entries(snapshots);
+    for (const [activityName, snapshot] of entries) {
+        fs.writeFileSync(path.join(runDir, 'snapshots', `${encodeURIComponent(activityName)}.json`), JSON.stringify(snapshot), 'utf8');
+    }
+
+    for (const old of listRuns(workspaceRoot).slice(MAX_RUNS)) deleteRun(workspaceRoot, old.runId);
+    return runDir;
+}
+
+/**
+ * Summaries of the saved runs, newest first.
+ * @returns {{ runId, pipelineName, status, startTime, durationMs, parentRun }[]}
+ */
+function listRuns(workspaceRoot) {
+    const root = path.join(workspaceRoot || '', HISTORY_DIR);
+    if (!workspaceRoot || !fs.existsSync(root)) return [];
+    const runs = [];
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        const record = _readJson(path.join(root, entry.name, 'run.json'));
+        if (!record) continue;
+        const { runId, pipelineName, status, startTime, durationMs, parentRun } = record;
+        runs.push({ runId, pipelineName, status, startTime, durationMs, parentRun });
+    }
+    return runs.sort((a, b) => String(b.startTime).localeCompare(String(a.startTime)));
+}
+
+/**
+ * Load a saved run, with its notebook snapshots as `snapshots: { activityName: snapshot }`.
+ * @returns {object|null}  null when the run does not exist (or its record is unreadable)
+ */
+function loadRun(workspaceRoot, runId) {
+    const runDir = path.join(workspaceRoot, HISTORY_DIR, runId);
+    const record = _readJson(path.join(runDir, 'run.json'));
+    if (!record) return null;
+    record.snapshots = {};
+    const snapDir = path.join(runDir, 'snapshots');
+    if (fs.existsSync(snapDir)) {
+        for (const file of fs.readdirSync(snapDir).filter(f => f.endsWith('.json'))) {
+            const snapshot = _readJson(path.join(snapDir, file));
+            if (snapshot) record.snapshots[decodeURIComponent(file.slice(0, -'.json'.length))] = snapshot;
+        }
+    }
+    return record;
+}
+
+/**
+ * The newest saved run of a pipeline, loaded as by loadRun().
+ * @param {string} [hash]  only a run of this pipelineHash() — the same pipeline definition
+ * @returns {object|null}
+ */
+function latestRun(workspaceRoot, pipelineName, hash) {
+    for (const { runId } of listRuns(workspaceRoot).filter(r => r.pipelineName === pipelineName)) {
+        const record = loadRun(workspaceRoot, runId);
+        if (record && (!hash || record.pipelineHash === hash)) return record;
+    }
+    return null;
+}
+
+function deleteRun(workspaceRoot, runId) {
+    fs.rmSync(path.join(workspaceRoot, HISTORY_DIR, runId), { recursive: true, force: true });
+}
+
+function _readJson(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    try { return JSON.parse(fs.readFileSync(filePath, 'utf8')); }
+    catch { return null; /* corrupt file — treat as absent */ }
+}
+
+module.exports = { HISTORY_DIR, pipelineHash, recordFromRunner, saveRun, listRuns, loadRun, latestRun, deleteRun };
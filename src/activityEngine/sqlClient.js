@@ -1,80 +1,320 @@
 'use strict';
-const { spawn } = require('child_process');
-const path = require('path');
-const RUNNER_PY = path.join(__dirname, 'sql_runner.py');
-function _pythonExe() { return process.env.PYTHON_PATH || 'python'; }
-function _runPython(cmd) {
-    return new Promise((resolve, reject) => {
-        const py = spawn(_pythonExe(), [RUNNER_PY], { stdio: ['pipe','pipe','pipe'] });
-        let stdout = '', stderr = '';
-        py.stdout.on('data', d => { stdout += d.toString(); });
-        py.stderr.on('data', d => { stderr += d.toString(); });
-        py.on('error', err => {
-            if (err.code === 'ENOENT') {
-                reject(new Error('Python not found. Set PYTHON_PATH env var. Required: pip install pyodbc azure-identity'));
-            } else { reject(err); }
-        });
-        py.on('close', () => {
-            let result;
-            try { result = JSON.parse(stdout); } catch {
-                reject(new Error('sql_runner.py returned non-JSON. stdout: ' + stdout + ' stderr: ' + stderr));
-                return;
-            }
-            if (!result.ok) { reject(new Error(result.error || 'sql_runner.py error')); return; }
-            resolve(result);
-        });
-        py.stdin.write(JSON.stringify(cmd));
-        py.stdin.end();
-    });
+// sqlClient.js — Azure SQL / SQL Server access for local runs over TDS (mssql + tedious).
+//
+// Auth: Microsoft Entra tokens from DefaultAzureCredential (az login / env / managed identity),
+// requested by tedious for every new connection so long runs outlive a single token.
+//
+// Connections are pooled per server/database in a SqlPools registry. A pipeline run owns one
+// (shared with ExecutePipeline children) and closes it when the run ends; a SqlClient created
+// without one opens a private pool that close() releases.
+//
+// Result values are returned as strings (null stays null), as the pyodbc bridge this replaces did;
+// query results also carry each column's SQL type name so file sinks can keep the types.
+// streamQuery / streamTable hand rows over one at a time and bulkInsertStream inserts them as they
+// come, so a Lookup or a SQL → SQL Copy never holds a whole result set; executeQuery, readTable
+// and executeStoredProcedure collect theirs.
+
+const sql  = require('mssql');
+const { DefaultAzureCredential } = require('@azure/identity');
+
+// Transient SQL errors that warrant a connect retry (Azure SQL serverless auto-pause,
+// throttling, brief unavailability, etc.)
+const TRANSIENT_SQL_ERRORS = new Set([40613, 40197, 40501, 49918, 49919, 49920, 4221, 233, 64]);
+const MAX_CONNECT_RETRIES  = 5;
+const RETRY_BASE_DELAY_MS  = 5000;  // doubles each attempt
+const MAX_PARAMS_PER_BATCH = 2000;  // SQL Server accepts at most 2100 parameters per request
+const MAX_ROWS_PER_INSERT  = 1000;  // ... and at most 1000 rows per VALUES list
+const STREAM_HIGH_WATER    = 500;   // rows queued for a slow onRow before the stream is paused
+
+// ADF stored procedure parameter types → SQL Server parameter types
+const PARAM_TYPES = {
+    String: sql.NVarChar(sql.MAX), Int16: sql.SmallInt, Int32: sql.Int, Int64: sql.BigInt,
+    Boolean: sql.Bit, Byte: sql.TinyInt, Decimal: sql.Decimal(38, 18), Double: sql.Float, Single: sql.Real,
+    DateTime: sql.DateTime2, Datetimeoffset: sql.DateTimeOffset, DateTimeOffset: sql.DateTimeOffset,
+    Guid: sql.UniqueIdentifier, Timespan: sql.Time, TimeSpan: sql.Time, 'Byte[]': sql.VarBinary(sql.MAX),
+};
+
+/** Connection pools of one pipeline run, one per server/database, opened on first use. */
+class SqlPools {
+    /**
+     * @param {{ credential?: import('@azure/core-auth').TokenCredential }} [options]
+     *        credential defaults to DefaultAzureCredential
+     */
+    constructor(options = {}) {
+        this._credential = options.credential ?? null;
+        this._pools = new Map(); // "server/database" → Promise<sql.ConnectionPool>
+    }
+
+    /** @returns {Promise<sql.ConnectionPool>} */
+    get(server, database) {
+        const key = `${server}/${database}`.toLowerCase();
+        if (!this._pools.has(key)) {
+            this._credential ??= new DefaultAzureCredential();
+            const opening = _connect(server, database, this._credential);
+            opening.catch(() => this._pools.delete(key));  // a failed connect is retried by the next call
+            this._pools.set(key, opening);
+        }
+        return this._pools.get(key);
+    }
+
+    /** Close every pool; later calls to get() open new ones. */
+    async closeAll() {
+        const opening = [...this._pools.values()];
+        this._pools.clear();
+        await Promise.allSettled(opening.map(p => p.then(pool => pool.close())));
+    }
 }
+
 class SqlClient {
-    constructor(server, database) { this.server = server; this.database = database; }
-    async connect() { return this; }
-    async close() {}
+    /**
+     * @param {string} server    host name, optionally "tcp:host,port"
+     * @param {string} database
+     * @param {{ pools?: SqlPools }} [options]  the run's pools; default: a private pool released by close()
+     */
+    constructor(server, database, options = {}) {
+        this.server   = server;
+        this.database = database;
+        this._pools   = options.pools ?? null;
+        this._ownPools = null;
+    }
+
+    async connect() {
+        await this._pool();
+        return this;
+    }
+
+    async close() {
+        if (!this._ownPools) return;
+        await this._ownPools.closeAll();
+        this._ownPools = null;
+    }
+
+    /**
+     * Run script blocks in one transaction.
+     * @param {{ type?: string, text: string }[]} scripts
+     * @returns {Promise<[{ rowsAffected: number, recordset: object[] }]>}  recordset of the last script
+     */
     async executeScripts(scripts) {
-        const r = await _runPython({ server: this.server, database: this.database, operation: 'scripts', scripts });
-        return [{ rowsAffected: r.rowsAffected, recordset: r.recordset || [] }];
+        let rowsAffected = 0, recordset = [];
+        await this._inTransaction(async (transaction) => {
+            for (const script of scripts) {
+                const text = String(script?.text ?? '').trim();
+                if (!text) continue;
+                const result = await new sql.Request(transaction).batch(text);
+                rowsAffected += _sum(result.rowsAffected);
+                recordset = _stringifyRows(result.recordset);
+            }
+        });
+        return [{ rowsAffected, recordset }];
     }
-    async executeStoredProcedure(procName, params) {
-        const r = await _runPython({ server: this.server, database: this.database, operation: 'storedProcedure', procName, params });
-        return { rowsAffected: r.rowsAffected, recordset: r.recordset || [] };
+
+    /**
+     * @param {string} procName  e.g. "[dbo].[usp_Load]"
+     * @param {{ [name: string]: { type?: string, value: any } }} [params]  ADF-typed, passed by name
+     * @returns {Promise<{ rowsAffected: number, recordset: object[] }>}
+     */
+    async executeStoredProcedure(procName, params = {}) {
+        const request = (await this._pool()).request();
+        for (const [name, { type, value } = {}] of Object.entries(params ?? {})) {
+            const sqlType = PARAM_TYPES[type];
+            if (sqlType) request.input(name, sqlType, value ?? null);
+            else request.input(name, value ?? null);
+        }
+        const result = await request.execute(procName);
+        return { rowsAffected: _sum(result.rowsAffected), recordset: _stringifyRows(result.recordset) };
     }
+
+    /**
+     * Insert rows in one transaction: either every row is written or none is.
+     * Values are sent as strings and converted by SQL Server to the column types.
+     * @returns {Promise<{ rowsAffected: number }>}
+     */
     async bulkInsert(schema, table, rows, columns) {
         if (!rows || !rows.length) return { rowsAffected: 0 };
-        const cols = columns || Object.keys(rows[0]);
-        const r = await _runPython({ server: this.server, database: this.database, operation: 'bulkInsert', schema, table, columns: cols, rows });
-        return { rowsAffected: r.rowsAffected };
+        return this.bulkInsertStream(schema, table, columns, async (write) => {
+            for (const row of rows) await write(row);
+        });
+    }
+
+    /**
+     * bulkInsert for rows produced one at a time: produce(write) calls `await write(row)` for each
+     * row, and a batch is inserted whenever one is full, so only one batch is held at a time.
+     * Still one transaction: if produce or an insert fails, nothing is written.
+     * @param {string[]} [columns]  default: the first row's keys
+     * @param {(write: (row: object) => Promise<void>) => Promise<any>} produce
+     * @returns {Promise<{ rowsAffected: number }>}
+     */
+    async bulkInsertStream(schema, table, columns, produce) {
+        const target = `${_quoteName(schema || 'dbo')}.${_quoteName(table)}`;
+        let cols = columns, batchSize, batch = [], rowsAffected = 0;
+        await this._inTransaction(async (transaction) => {
+            const flush = async () => {
+                if (!batch.length) return;
+                const request = new sql.Request(transaction);
+                const values = batch.map((row, r) => '(' + cols.map((c, i) => {
+                    request.input(`p${r}_${i}`, sql.NVarChar(sql.MAX), _insertValue(row[c]));
+                    return `@p${r}_${i}`;
+                }).join(', ') + ')');
+                batch = [];
+                const result = await request.query(`INSERT INTO ${target} (${cols.map(_quoteName).join(', ')}) VALUES ${values.join(', ')}`);
+                rowsAffected += _sum(result.rowsAffected);
+            };
+            await produce(async (row) => {
+                cols ??= Object.keys(row);
+                batchSize ??= Math.max(1, Math.min(MAX_ROWS_PER_INSERT, Math.floor(MAX_PARAMS_PER_BATCH / Math.max(cols.length, 1))));
+                batch.push(row);
+                if (batch.length >= batchSize) await flush();
+            });
+            await flush();
+        });
+        return { rowsAffected };
     }
+
+    /** @returns {Promise<{ rows: object[], columns: string[], types: string[] }>} */
     async readTable(schema, table) {
-        const r = await _runPython({ server: this.server, database: this.database, operation: 'selectTable', schema, table });
-        return { rows: r.rows, columns: r.columns };
+        return this.executeQuery(_selectAll(schema, table));
+    }
+
+    /** readTable, streamed: see streamQuery. */
+    async streamTable(schema, table, onRow) {
+        return this.streamQuery(_selectAll(schema, table), onRow);
     }
+
+    /** Rows of the query's first result set. @returns {Promise<{ rows: object[], columns: string[], types: string[] }>} */
     async executeQuery(query) {
-        const r = await _runPython({ server: this.server, database: this.database, operation: 'selectQuery', query });
-        return { rows: r.rows, columns: r.columns };
+        const rows = [];
+        const { columns, types } = await this.streamQuery(query, (row) => { rows.push(row); });
+        return { rows, columns, types };
+    }
+
+    /**
+     * Stream the query's first result set row by row instead of buffering it. The stream is paused
+     * while a promise returned by onRow is pending; a rejected promise cancels the query. onRow
+     * returning (or resolving to) false stops reading: the query is cancelled and streamQuery
+     * resolves with the rows handed over so far.
+     * @param {string} query
+     * @param {(row: object) => void | boolean | Promise<void | boolean>} onRow
+     * @returns {Promise<{ columns: string[], types: string[], rowCount: number }>}  types: SQL type
+     *          names such as 'int' or 'nvarchar', null where the driver reports none; rowCount:
+     *          rows handed to onRow
+     */
+    async streamQuery(query, onRow) {
+        const request = (await this._pool()).request();
+        request.stream = true;
+        return new Promise((resolve, reject) => {
+            let columns = [], types = [], rowCount = 0, resultSets = 0, queued = 0, failed = null, stopped = false;
+            let chain = Promise.resolve();
+            request.on('recordset', (meta) => {
+                if (++resultSets !== 1) return;
+                columns = Object.keys(meta);
+                types   = columns.map(c => meta[c].type?.declaration ?? null);
+            });
+            request.on('row', (row) => {
+                if (resultSets !== 1 || failed || stopped) return;
+                if (++queued >= STREAM_HIGH_WATER) request.pause();
+                chain = chain
+                    .then(() => {
+                        if (stopped) return;
+                        rowCount++;
+                        return onRow(_stringifyRow(row));
+                    })
+                    .then((more) => {
+                        if (more === false && !stopped) { stopped = true; request.cancel(); }
+                        if (--queued === 0) request.resume();
+                    })
+                    .catch((err) => { failed ??= err; request.cancel(); });
+            });
+            // Cancelling after onRow asked to stop is not a failure
+            request.on('error', (err) => { if (!stopped) failed ??= err; });
+            request.on('done', () => {
+                chain.then(() => failed ? reject(failed) : resolve({ columns, types, rowCount }));
+            });
+            request.query(query);
+        });
+    }
+
+    _pool() {
+        const pools = this._pools ?? (this._ownPools ??= new SqlPools());
+        return pools.get(this.server, this.database);
+    }
+
+    async _inTransaction(work) {
+        const transaction = new sql.Transaction(await this._pool());
+        await transaction.begin();
+        try {
+            await work(transaction);
+            await transaction.commit();
+        } catch (err) {
+            await transaction.rollback().catch(() => {});  // already rolled back by a severe error
+            throw err;
+        }
     }
 }
-async function readParquetFile(filePath) {
-    const r = await _runPython({ operation: 'readParquet', server: '', database: '', filePath });
-    return { rows: r.rows, columns: r.columns };
+
+/** "tcp:host,1433" / "host,1433" / "host" → { host, port } */
+function parseServer(server) {
+    const [host, port] = String(server ?? '').trim().replace(/^tcp:/i, '').split(',');
+    return { host: host.trim(), port: port ? parseInt(port, 10) : 1433 };
 }
-async function writeParquetFile(filePath, rows, columns) {
-    const r = await _runPython({ operation: 'writeParquet', server: '', database: '', filePath, rows, columns });
-    return { rowsWritten: r.rows };
+
+async function _connect(server, database, credential) {
+    const { host, port } = parseServer(server);
+    const config = {
+        server: host, port, database,
+        authentication: { type: 'token-credential', options: { credential } },
+        options: { encrypt: true, trustServerCertificate: false, appName: 'adf-local-run' },
+        connectionTimeout: 60000,
+        requestTimeout: 0,  // no per-query limit; the run duration limit applies
+        pool: { min: 0, max: 10, idleTimeoutMillis: 30000 },
+    };
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await new sql.ConnectionPool(config).connect();
+        } catch (err) {
+            if (attempt >= MAX_CONNECT_RETRIES || !_isTransient(err)) throw err;
+            await new Promise(r => setTimeout(r, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)));  // 5, 10, 20, 40 s
+        }
+    }
+}
+
+function _isTransient(err) {
+    const numbers = [err?.number, err?.originalError?.number, ...(err?.originalError?.errors ?? []).map(e => e?.number)];
+    return numbers.some(n => TRANSIENT_SQL_ERRORS.has(n))
+        || [...TRANSIENT_SQL_ERRORS].some(code => String(err?.message ?? '').includes(`(${code})`));
+}
+
+function _selectAll(schema, table) {
+    return `SELECT * FROM ${_quoteName(schema || 'dbo')}.${_quoteName(table)}`;
+}
+
+function _quoteName(name) {
+    return `[${String(name).replace(/]/g, ']]')}]`;
+}
+
+// Lone surrogates cannot be encoded as UTF-16 for SQL Server; strip them before insert
+function _insertValue(v) {
+    if (v === null || v === undefined) return null;
+    const s = v instanceof Date ? v.toISOString() : typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return s.replace(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '');
+}
+
+function _stringifyRow(row) {
+    const out = {};
+    for (const [k, v] of Object.entries(row)) {
+        if (v === null || v === undefined) out[k] = null;
+        else if (v instanceof Date) out[k] = v.toISOString();
+        else if (Buffer.isBuffer(v)) out[k] = '0x' + v.toString('hex').toUpperCase();
+        else out[k] = String(v);
+    }
+    return out;
 }
-async function readExcelFile(filePath, opts = {}) {
-    const r = await _runPython({ operation: 'readExcel', server: '', database: '', filePath,
-        sheetName:          opts.sheetName          ?? null,
-        firstRowAsHeader:   opts.firstRowAsHeader   !== false,
-        nullValue:          opts.nullValue           ?? '',
-    });
-    return { rows: r.rows, columns: r.columns };
+
+function _stringifyRows(rows) {
+    return (rows ?? []).map(_stringifyRow);
 }
-async function readXmlFile(filePath, opts = {}) {
-    const r = await _runPython({ operation: 'readXml', server: '', database: '', filePath,
-        rowTag:    opts.rowTag    ?? null,
-        nullValue: opts.nullValue ?? '',
-    });
-    return { rows: r.rows, columns: r.columns };
+
+function _sum(counts) {
+    return (counts ?? []).reduce((a, b) => a + b, 0);
 }
-module.exports = { SqlClient, readParquetFile, writeParquetFile, readExcelFile, readXmlFile };
\ No newline at end of file
+
+module.exports = { SqlClient, SqlPools, parseServer };
@@ -8,62 +8,72 @@
  *
  * Authentication is always delegated to DefaultAzureCredential in local run;
  * the JSON's authenticationType / encryptedCredential are intentionally ignored.
+ *
+ * Parameterized datasets / linked services (@dataset().table, @linkedService().dbName) are
+ * resolved with datasetResolver.applyParameters.
  */
 
 const path = require('path');
 const fs   = require('fs');
+const { applyParameters } = require('./datasetResolver');
 
 /**
  * @param {string} lsName       — linkedServiceName.referenceName
  * @param {string} workspaceRoot
  * @param {string} [extensionPath]
+ * @param {object} [parameters]  linked service parameter values from the reference (already evaluated)
  * @returns {{ server: string, database: string } | null}
+ * @throws {Error} when a linked service parameter has neither a value nor a default
  */
-function resolveSqlLinkedService(lsName, workspaceRoot, extensionPath) {
+function resolveSqlLinkedService(lsName, workspaceRoot, extensionPath, parameters = {}) {
     for (const dir of [workspaceRoot, extensionPath].filter(Boolean)) {
         const lsFile = path.join(dir, 'linkedService', `${lsName}.json`);
         if (!fs.existsSync(lsFile)) continue;
-        try {
-            const ls = JSON.parse(fs.readFileSync(lsFile, 'utf8'));
-            const tp = ls.properties?.typeProperties ?? {};
+        let ls;
+        try { ls = JSON.parse(fs.readFileSync(lsFile, 'utf8')); }
+        catch { continue; }
+        ls = applyParameters(ls, 'linkedService', parameters);
+        const tp = ls.properties?.typeProperties ?? {};
 
-            // Format 1: separate server + database fields
-            if (tp.server && tp.database) {
-                return { server: tp.server, database: tp.database };
-            }
+        // Format 1: separate server + database fields
+        if (tp.server && tp.database) {
+            return { server: tp.server, database: tp.database };
+        }
 
-            // Format 2: connectionString  "Server=...;Database=...;"
-            const cs = tp.connectionString;
-            if (typeof cs === 'string') {
-                const server   = cs.match(/(?:Server|Data Source)=([^;]+)/i)?.[1]?.trim();
-                const database = cs.match(/(?:Database|Initial Catalog)=([^;]+)/i)?.[1]?.trim();
-                if (server && database) return { server, database };
-            }
-        } catch { /* try next dir */ }
+        // Format 2: connectionString  "Server=...;Database=...;"
+        const cs = tp.connectionString;
+        if (typeof cs === 'string') {
+            const server   = cs.match(/(?:Server|Data Source)=([^;]+)/i)?.[1]?.trim();
+            const database = cs.match(/(?:Database|Initial Catalog)=([^;]+)/i)?.[1]?.trim();
+            if (server && database) return { server, database };
+        }
     }
     return null;
 }
 
 /**
- * Resolves an AzureSqlTable / AzureSqlDatabaseTable / AzureSQLDWTableDataset
- * dataset to its { server, database, schema, table, linkedServiceName } or null.
+ * Resolves an AzureSqlTable / AzureSqlDatabaseTable / AzureSqlDWTable / SqlServerTable
+ * dataset to its { schema, table, linkedServiceName, linkedServiceParameters } or null.
+ * @param {object} [parameters]  dataset parameter values from the activity's dataset reference (already evaluated)
+ * @throws {Error} when a dataset parameter has neither a value nor a default
  */
-function resolveSqlDataset(datasetName, workspaceRoot, extensionPath) {
+function resolveSqlDataset(datasetName, workspaceRoot, extensionPath, parameters = {}) {
+    const sqlTypes = new Set(['AzureSqlTable', 'AzureSqlDatabaseTable', 'AzureSqlDWTable', 'AzureSQLDWTable', 'SqlServerTable']);
     for (const dir of [workspaceRoot, extensionPath].filter(Boolean)) {
         const dsFile = path.join(dir, 'dataset', `${datasetName}.json`);
         if (!fs.existsSync(dsFile)) continue;
-        try {
-            const ds = JSON.parse(fs.readFileSync(dsFile, 'utf8'));
-            const tp = ds.properties?.typeProperties ?? {};
-            const lsName = ds.properties?.linkedServiceName?.referenceName;
-            const sqlTypes = new Set(['AzureSqlTable', 'AzureSqlDatabaseTable', 'AzureSQLDWTable', 'SqlServerTable']);
-            if (!sqlTypes.has(ds.properties?.type)) return null;
-            return {
-                linkedServiceName: lsName,
-                schema: tp.schema ?? 'dbo',
-                table:  tp.table  ?? tp.tableName,
-            };
-        } catch { /* try next dir */ }
+        let ds;
+        try { ds = JSON.parse(fs.readFileSync(dsFile, 'utf8')); }
+        catch { continue; }
+        if (!sqlTypes.has(ds.properties?.type)) return null;
+        ds = applyParameters(ds, 'dataset', parameters);
+        const tp = ds.properties?.typeProperties ?? {};
+        return {
+            linkedServiceName:       ds.properties?.linkedServiceName?.referenceName,
+            linkedServiceParameters: ds.properties?.linkedServiceName?.parameters ?? {},
+            schema: tp.schema ?? 'dbo',
+            table:  tp.table  ?? tp.tableName,
+        };
     }
     return null;
 }
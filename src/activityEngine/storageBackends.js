@@ -0,0 +1,172 @@
+'use strict';
+// storageBackends.js — where ADLS Gen2 / Blob datasets are read from and written to in local runs.
+//
+// Backends share the subset of the ADLSRestClient interface the activity handlers use:
+//   listPaths(container, directory, recursive) → [{ name, isDirectory, contentLength, lastModified }]
+//   readFile / readFileBuffer(container, path), writeFile(container, path, content),
+//   deleteFile(container, path), getFileProperties(container, path) (throws when missing)
+//
+//   adls   — ADLSRestClient against the linked service's endpoint and credentials (the default)
+//   local  — LocalFolderStorage: files under <localRoot>/<account>/<container>/..., for offline runs
+//
+// Selected per linked service in synapse-local-run.json:
+//   "storage": {
+//     "backend":   "adls",                    // default for every linked service
+//     "localRoot": ".adf-local-storage",      // relative to the workspace root
+//     "linkedServices": {
+//       "LS_DataLake": "local",
+//       "LS_Landing":  { "backend": "local", "localRoot": "test-data/landing" },
+//       "LS_Staging":  { "connectionString": "UseDevelopmentStorage=true" }
+//     },
+//     "accounts": {
+//       "mylogsaccount": { "endpoint": "http://127.0.0.1:10000/devstoreaccount1", "accountKey": "..." }
+//     }
+//   }
+//
+// Connection overrides (endpoint, blobEndpoint, connectionString, accountKey, sasToken, api) replace
+// the endpoint and credentials of the linked service JSON; "accounts" entries apply to every linked
+// service on that storage account and to the pipeline run / request views.
+
+const crypto = require('crypto');
+const path   = require('path');
+const fs     = require('fs');
+const { ADLSRestClient } = require('../adlsRestClient');
+const { loadSynapseWorkspaceConfig } = require('./workspaceConfig');
+
+const LOCAL_STORAGE_DIR = '.adf-local-storage';
+const BACKENDS = ['adls', 'local'];
+const CONNECTION_KEYS = ['endpoint', 'blobEndpoint', 'connectionString', 'accountKey', 'sasToken', 'api'];
+
+/** Files of a storage account kept in a local folder: <root>/<container>/<path>. */
+class LocalFolderStorage {
+    /**
+     * @param {string} storageAccountName
+     * @param {string} root  folder holding one subfolder per storage account
+     */
+    constructor(storageAccountName, root) {
+        this.storageAccountName = storageAccountName;
+        this.root = path.resolve(root, storageAccountName);
+    }
+
+    async listPaths(containerName, directory = '', recursive = false) {
+        const base = this._resolve(containerName, directory);
+        if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) {
+            throw new Error(`Local storage: folder "${containerName}/${directory}" not found (${base})`);
+        }
+        const containerRoot = this._resolve(containerName, '');
+        const paths = [];
+        const walk = (dir) => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+                const full = path.join(dir, entry.name);
+                const stat = fs.statSync(full);
+                paths.push({
+                    name:          path.relative(containerRoot, full).split(path.sep).join('/'),
+                    isDirectory:   entry.isDirectory(),
+                    contentLength: entry.isDirectory() ? 0 : stat.size,
+                    lastModified:  stat.mtime.toUTCString(),
+                });
+                if (recursive && entry.isDirectory()) walk(full);
+            }
+        };
+        walk(base);
+        return paths;
+    }
+
+    async readFile(containerName, filePath) {
+        return (await this.readFileBuffer(containerName, filePath)).toString('utf8');
+    }
+
+    async readFileBuffer(containerName, filePath) {
+        const file = this._resolve(containerName, filePath);
+        if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            throw new Error(`Local storage: file "${containerName}/${filePath}" not found (${file})`);
+        }
+        return fs.readFileSync(file);
+    }
+
+    async getFileProperties(containerName, filePath) {
+        const file = this._resolve(containerName, filePath);
+        if (!fs.existsSync(file)) throw new Error(`Local storage: "${containerName}/${filePath}" not found (${file})`);
+        const stat = fs.statSync(file);
+        const content = stat.isFile() ? fs.readFileSync(file) : null;
+        return {
+            lastModified:  stat.mtime.toUTCString(),
+            contentLength: String(stat.isFile() ? stat.size : 0),
+            contentType:   stat.isFile() ? 'application/octet-stream' : null,
+            etag:          `"${stat.mtimeMs.toString(16)}"`,
+            contentMD5:    content ? crypto.createHash('md5').update(content).digest('base64') : null,
+        };
+    }
+
+    async writeFile(containerName, filePath, content) {
+        const file = this._resolve(containerName, filePath);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+    }
+
+    async deleteFile(containerName, filePath) {
+        const file = this._resolve(containerName, filePath);
+        if (!fs.existsSync(file)) throw new Error(`Local storage: "${containerName}/${filePath}" not found (${file})`);
+        fs.rmSync(file, { recursive: true });
+    }
+
+    // Keep dataset paths ("../x", absolute folderPath) inside the account folder
+    _resolve(containerName, relPath) {
+        const full = path.resolve(this.root, String(containerName ?? ''), String(relPath ?? '').replace(/^\/+/, ''));
+        if (full !== this.root && !full.startsWith(this.root + path.sep)) {
+            throw new Error(`Local storage: path "${containerName}/${relPath}" is outside ${this.root}`);
+        }
+        return full;
+    }
+}
+
+/**
+ * The backend settings that apply to a linked service.
+ * @param {object} [storageConfig]   the "storage" section of synapse-local-run.json
+ * @param {string} [storageAccount]  for "accounts" overrides
+ * @returns {{ backend: 'adls'|'local', localRoot: string, connection: object|undefined }}
+ *          connection: ADLSRestClient options overriding the linked service JSON
+ * @throws {Error} for an unknown backend name
+ */
+function storageBackendFor(linkedServiceName, storageConfig = {}, storageAccount) {
+    const entry = storageConfig?.linkedServices?.[linkedServiceName];
+    const own   = typeof entry === 'string' ? { backend: entry } : (entry ?? {});
+    const backend   = own.backend ?? storageConfig?.backend ?? 'adls';
+    const localRoot = own.localRoot ?? storageConfig?.localRoot ?? LOCAL_STORAGE_DIR;
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown storage backend "${backend}" for linked service "${linkedServiceName}" in synapse-local-run.json (use ${BACKENDS.join(' or ')})`);
+    }
+    const connection = _connection(own) ?? _connection(storageConfig?.accounts?.[storageAccount]);
+    return { backend, localRoot, connection };
+}
+
+/**
+ * Storage client for a resolved dataset location (see datasetResolver.js).
+ * @param {import('./datasetResolver').DatasetLocation} loc
+ * @param {object} [storageConfig]  the "storage" section of synapse-local-run.json
+ * @param {string} [workspaceRoot]  base of relative localRoot folders
+ * @returns {ADLSRestClient|LocalFolderStorage}
+ */
+function createStorageClient(loc, storageConfig, workspaceRoot) {
+    const { backend, localRoot, connection } = storageBackendFor(loc.linkedServiceName, storageConfig, loc.storageAccount);
+    if (backend === 'local') return new LocalFolderStorage(loc.storageAccount, path.resolve(workspaceRoot || '', localRoot));
+    return new ADLSRestClient(loc.storageAccount, connection ?? { endpoint: loc.endpoint, ...loc.auth });
+}
+
+/**
+ * ADLSRestClient for a storage account outside any dataset (pipeline run and request views),
+ * honouring storage.accounts.<account> in synapse-local-run.json.
+ * @returns {ADLSRestClient}
+ */
+function adlsClientForAccount(storageAccountName, workspaceRoot, extensionPath) {
+    const storageConfig = loadSynapseWorkspaceConfig(workspaceRoot, extensionPath).storage;
+    return new ADLSRestClient(storageAccountName, _connection(storageConfig?.accounts?.[storageAccountName]) ?? {});
+}
+
+function _connection(entry) {
+    if (!entry || typeof entry !== 'object') return undefined;
+    const picked = Object.fromEntries(CONNECTION_KEYS.filter(k => entry[k] != null).map(k => [k, entry[k]]));
+    return Object.keys(picked).length > 0 ? picked : undefined;
+}
+
+module.exports = { LOCAL_STORAGE_DIR, LocalFolderStorage, storageBackendFor, createStorageClient, adlsClientForAccount };
@@ -0,0 +1,28 @@
+'use strict';
+// workspaceConfig.js — reads synapse-local-run.json, the developer-local settings for local runs
+// (Synapse endpoint, Spark session sizing, storage backends and endpoints).
+
+const path = require('path');
+const fs   = require('fs');
+
+const SYNAPSE_CONFIG_FILE = 'synapse-local-run.json';
+
+/**
+ * Load synapse-local-run.json. The extension folder wins over the workspace root (developer
+ * convenience); a corrupt file is skipped.
+ * @param {string} [workspaceRoot]
+ * @param {string} [extensionPath]
+ * @returns {object}  {} when no file is found
+ */
+function loadSynapseWorkspaceConfig(workspaceRoot, extensionPath) {
+    for (const dir of [extensionPath, workspaceRoot].filter(Boolean)) {
+        const cfgFile = path.join(dir, SYNAPSE_CONFIG_FILE);
+        if (fs.existsSync(cfgFile)) {
+            try { return JSON.parse(fs.readFileSync(cfgFile, 'utf8')); }
+            catch { /* corrupt file — try next location */ }
+        }
+    }
+    return {};
+}
+
+module.exports = { SYNAPSE_CONFIG_FILE, loadSynapseWorkspaceConfig };
@@ -1,15 +1,80 @@
 /**
  * ADLS Gen2 REST API Client
- * Uses Azure Identity for authentication and REST API for file operations
+ * Uses the DFS REST API for file operations (Blob API on emulators and blob-only accounts).
+ *
+ * Endpoints: https://<account>.dfs.core.windows.net by default; pass `endpoint` for sovereign
+ * clouds, private endpoints or Azurite (http://127.0.0.1:10000/devstoreaccount1).
+ * Auth, first match wins: SAS token, shared account key, Azure AD token (az login).
  */
 
+const crypto = require('crypto');
+const { URL } = require('url');
 const { AzureCliCredential } = require('@azure/identity');
 
+const API_VERSION = '2020-02-10';
+
+// Azurite / storage emulator well-known account
+const DEV_STORE_ACCOUNT = 'devstoreaccount1';
+const DEV_STORE_KEY     = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+
+/**
+ * Parse an Azure Storage connection string.
+ * @param {string} connectionString  "AccountName=...;AccountKey=...;BlobEndpoint=...", or "UseDevelopmentStorage=true"
+ * @returns {{ accountName: string|null, accountKey: string|null, sasToken: string|null,
+ *             endpoint: string|null, blobEndpoint: string|null }}
+ */
+function parseConnectionString(connectionString) {
+    const parts = {};
+    for (const pair of String(connectionString ?? '').split(';')) {
+        const eq = pair.indexOf('=');
+        if (eq > 0) parts[pair.slice(0, eq).trim().toLowerCase()] = pair.slice(eq + 1).trim();
+    }
+    if (/^true$/i.test(parts.usedevelopmentstorage ?? '')) {
+        const blobEndpoint = `${parts.developmentstorageproxyuri ?? 'http://127.0.0.1:10000'}/${DEV_STORE_ACCOUNT}`;
+        return { accountName: DEV_STORE_ACCOUNT, accountKey: DEV_STORE_KEY, sasToken: null, endpoint: null, blobEndpoint };
+    }
+    const accountName = parts.accountname ?? null;
+    const protocol    = parts.defaultendpointsprotocol ?? 'https';
+    const suffix      = parts.endpointsuffix ?? 'core.windows.net';
+    return {
+        accountName,
+        accountKey:   parts.accountkey ?? null,
+        sasToken:     parts.sharedaccesssignature ?? null,
+        endpoint:     parts.dfsendpoint ?? (accountName && !parts.blobendpoint ? `${protocol}://${accountName}.dfs.${suffix}` : null),
+        blobEndpoint: parts.blobendpoint ?? (accountName ? `${protocol}://${accountName}.blob.${suffix}` : null),
+    };
+}
+
 class ADLSRestClient {
-    constructor(storageAccountName) {
-        this.storageAccountName = storageAccountName;
-        this.baseUrl = `https://${storageAccountName}.dfs.core.windows.net`;
-        this.credential = new AzureCliCredential();
+    /**
+     * @param {string} storageAccountName
+     * @param {object} [options]
+     * @param {string} [options.endpoint]          DFS endpoint (or blob endpoint for blob-only targets)
+     * @param {string} [options.blobEndpoint]      defaults to the DFS endpoint with .dfs. → .blob.
+     * @param {string} [options.connectionString]  endpoints and credentials; explicit options win
+     * @param {string} [options.accountKey]        shared key (base64)
+     * @param {string} [options.sasToken]          SAS query string, with or without the leading "?"
+     * @param {'dfs'|'blob'} [options.api]         defaults to 'blob' for emulators and blob endpoints
+     * @param {import('@azure/core-auth').TokenCredential} [options.credential]  defaults to AzureCliCredential
+     */
+    constructor(storageAccountName, options = {}) {
+        const conn = options.connectionString ? parseConnectionString(options.connectionString) : {};
+        // The key belongs to the connection string's account (devstoreaccount1 on Azurite)
+        this.storageAccountName = conn.accountName ?? storageAccountName;
+
+        const endpoint     = _trimSlash(options.endpoint ?? conn.endpoint);
+        const blobEndpoint = _trimSlash(options.blobEndpoint ?? conn.blobEndpoint);
+        this.api = options.api
+            ?? (!endpoint && blobEndpoint ? 'blob' : null)
+            ?? (endpoint && _isBlobOnlyEndpoint(endpoint) ? 'blob' : 'dfs');
+        this.baseUrl = endpoint ?? blobEndpoint ?? `https://${this.storageAccountName}.dfs.core.windows.net`;
+        this.blobUrl = blobEndpoint
+            ?? (endpoint ? (this.api === 'blob' ? endpoint : endpoint.replace('.dfs.', '.blob.')) : `https://${this.storageAccountName}.blob.core.windows.net`);
+
+        this.sasToken   = (options.sasToken ?? conn.sasToken ?? '').replace(/^\?/, '') || null;
+        this.accountKey = options.accountKey ?? conn.accountKey ?? null;
+        this.authMode   = this.sasToken ? 'sas' : this.accountKey ? 'sharedKey' : 'token';
+        this.credential = this.authMode === 'token' ? (options.credential ?? new AzureCliCredential()) : null;
         this.scope = 'https://storage.azure.com/.default';
     }
 
@@ -33,20 +98,14 @@ class ADLSRestClient {
      * @param {boolean} recursive - Whether to list recursively
      */
     async listPaths(containerName, directory = '', recursive = false) {
-        const token = await this.getAccessToken();
-        
+        if (this.api === 'blob') return this._listBlobs(containerName, directory, recursive);
+
         let url = `${this.baseUrl}/${containerName}?resource=filesystem&recursive=${recursive}`;
         if (directory) {
             url += `&directory=${encodeURIComponent(directory)}`;
         }
 
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'x-ms-version': '2020-02-10'
-            }
-        });
+        const response = await this._fetch(url, { method: 'GET' });
 
         if (!response.ok) {
             const errorText = await response.text();
@@ -66,25 +125,7 @@ class ADLSRestClient {
      * @param {string} filePath - Path to the file
      */
     async readFile(containerName, filePath) {
-        const token = await this.getAccessToken();
-        const encodedPath = filePath.split('/').map(segment => encodeURIComponent(segment)).join('/');
-        const headers = { 'Authorization': `Bearer ${token}`, 'x-ms-version': '2020-02-10' };
-
-        // Try DFS endpoint first
-        const dfsUrl = `${this.baseUrl}/${containerName}/${encodedPath}`;
-        const dfsResp = await fetch(dfsUrl, { method: 'GET', headers });
-        if (dfsResp.ok) return await dfsResp.text();
-
-        const errorText = await dfsResp.text();
-        // Fall back to Blob endpoint on 409 EndpointUnsupportedAccountFeatures
-        if (dfsResp.status === 409 && errorText.includes('EndpointUnsupportedAccountFeatures')) {
-            const blobUrl = `https://${this.storageAccountName}.blob.core.windows.net/${containerName}/${encodedPath}`;
-            const blobResp = await fetch(blobUrl, { method: 'GET', headers });
-            if (blobResp.ok) return await blobResp.text();
-            const blobErr = await blobResp.text();
-            throw new Error(`Failed to read file (blob fallback): ${blobResp.status} ${blobResp.statusText}\n${blobErr}`);
-        }
-        throw new Error(`Failed to read file: ${dfsResp.status} ${dfsResp.statusText}\n${errorText}`);
+        return (await this._get(containerName, filePath, 'Failed to read file')).text();
     }
 
     /**
@@ -92,23 +133,8 @@ class ADLSRestClient {
      * Same DFS→Blob fallback logic as readFile.
      */
     async readFileBuffer(containerName, filePath) {
-        const token = await this.getAccessToken();
-        const encodedPath = filePath.split('/').map(segment => encodeURIComponent(segment)).join('/');
-        const headers = { 'Authorization': `Bearer ${token}`, 'x-ms-version': '2020-02-10' };
-
-        const dfsUrl = `${this.baseUrl}/${containerName}/${encodedPath}`;
-        const dfsResp = await fetch(dfsUrl, { method: 'GET', headers });
-        if (dfsResp.ok) return Buffer.from(await dfsResp.arrayBuffer());
-
-        const errorText = await dfsResp.text();
-        if (dfsResp.status === 409 && errorText.includes('EndpointUnsupportedAccountFeatures')) {
-            const blobUrl = `https://${this.storageAccountName}.blob.core.windows.net/${containerName}/${encodedPath}`;
-            const blobResp = await fetch(blobUrl, { method: 'GET', headers });
-            if (blobResp.ok) return Buffer.from(await blobResp.arrayBuffer());
-            const blobErr = await blobResp.text();
-            throw new Error(`Failed to read file buffer (blob fallback): ${blobResp.status} ${blobResp.statusText}\n${blobErr}`);
-        }
-        throw new Error(`Failed to read file buffer: ${dfsResp.status} ${dfsResp.statusText}\n${errorText}`);
+        const response = await this._get(containerName, filePath, 'Failed to read file buffer');
+        return Buffer.from(await response.arrayBuffer());
     }
 
     /**
@@ -117,17 +143,8 @@ class ADLSRestClient {
      * @param {string} filePath - Path to the file
      */
     async getFileProperties(containerName, filePath) {
-        const token = await this.getAccessToken();
-        
-        const url = `${this.baseUrl}/${containerName}/${encodeURIComponent(filePath)}`;
-
-        const response = await fetch(url, {
-            method: 'HEAD',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'x-ms-version': '2020-02-10'
-            }
-        });
+        const base = this.api === 'blob' ? this.blobUrl : this.baseUrl;
+        const response = await this._fetch(`${base}/${containerName}/${_encodePath(filePath)}`, { method: 'HEAD' });
 
         if (!response.ok) {
             throw new Error(`Failed to get file properties: ${response.status} ${response.statusText}`);
@@ -137,7 +154,8 @@ class ADLSRestClient {
             lastModified: response.headers.get('last-modified'),
             contentLength: response.headers.get('content-length'),
             contentType: response.headers.get('content-type'),
-            etag: response.headers.get('etag')
+            etag: response.headers.get('etag'),
+            contentMD5: response.headers.get('content-md5')
         };
     }
 
@@ -187,46 +205,37 @@ class ADLSRestClient {
      * 1. Create (or overwrite) the path
      * 2. Append the data
      * 3. Flush
+     * Blob-API targets get a single block blob PUT.
      * @param {string} containerName - The container name
      * @param {string} filePath - Destination path inside the container
-     * @param {string} content - UTF-8 text content to write
+     * @param {string|Buffer} content - UTF-8 text or raw bytes to write
      */
     async writeFile(containerName, filePath, content) {
-        const token = await this.getAccessToken();
-        const encodedPath = filePath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+        const encodedPath = _encodePath(filePath);
         const dfsBase = `${this.baseUrl}/${containerName}/${encodedPath}`;
-        const data = Buffer.from(content, 'utf-8');
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
         const contentLength = data.length;
-        const authHeaders = { 'Authorization': `Bearer ${token}`, 'x-ms-version': '2020-02-10' };
+
+        if (this.api === 'blob') return this._putBlob(containerName, encodedPath, data, 'ADLS write failed');
 
         // Step 1: Create (overwrite if exists)
-        const createResponse = await fetch(`${dfsBase}?resource=file&overwrite=true`, {
+        const createResponse = await this._fetch(`${dfsBase}?resource=file&overwrite=true`, {
             method: 'PUT',
-            headers: { ...authHeaders, 'Content-Length': '0' }
+            headers: { 'Content-Length': '0' }
         });
         // DFS not supported on this account — fall back to Blob single-PUT
         if (!createResponse.ok) {
             const createErr = await createResponse.text();
             if (createResponse.status === 409 && createErr.includes('EndpointUnsupportedAccountFeatures')) {
-                const blobUrl = `https://${this.storageAccountName}.blob.core.windows.net/${containerName}/${encodedPath}`;
-                const blobResp = await fetch(blobUrl, {
-                    method: 'PUT',
-                    headers: { ...authHeaders, 'x-ms-blob-type': 'BlockBlob', 'Content-Length': String(contentLength), 'Content-Type': 'application/octet-stream' },
-                    body: data
-                });
-                if (!blobResp.ok) {
-                    const blobErr = await blobResp.text();
-                    throw new Error(`ADLS write failed (blob fallback): ${blobResp.status} ${blobResp.statusText}\n${blobErr}`);
-                }
-                return;
+                return this._putBlob(containerName, encodedPath, data, 'ADLS write failed (blob fallback)');
             }
             throw new Error(`ADLS create failed: ${createResponse.status} ${createResponse.statusText}\n${createErr}`);
         }
 
         // Step 2: Append data
-        const appendResponse = await fetch(`${dfsBase}?action=append&position=0`, {
+        const appendResponse = await this._fetch(`${dfsBase}?action=append&position=0`, {
             method: 'PATCH',
-            headers: { ...authHeaders, 'Content-Length': String(contentLength), 'Content-Type': 'application/octet-stream' },
+            headers: { 'Content-Length': String(contentLength), 'Content-Type': 'application/octet-stream' },
             body: data
         });
         if (!appendResponse.ok) {
@@ -235,9 +244,9 @@ class ADLSRestClient {
         }
 
         // Step 3: Flush
-        const flushResponse = await fetch(`${dfsBase}?action=flush&position=${contentLength}`, {
+        const flushResponse = await this._fetch(`${dfsBase}?action=flush&position=${contentLength}`, {
             method: 'PATCH',
-            headers: { ...authHeaders, 'Content-Length': '0' }
+            headers: { 'Content-Length': '0' }
         });
         if (!flushResponse.ok) {
             const err = await flushResponse.text();
@@ -251,17 +260,8 @@ class ADLSRestClient {
      * @param {string} filePath - Path to the file to delete
      */
     async deleteFile(containerName, filePath) {
-        const token = await this.getAccessToken();
-        const encodedPath = filePath.split('/').map(segment => encodeURIComponent(segment)).join('/');
-        const url = `${this.baseUrl}/${containerName}/${encodedPath}`;
-
-        const response = await fetch(url, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'x-ms-version': '2020-02-10'
-            }
-        });
+        const base = this.api === 'blob' ? this.blobUrl : this.baseUrl;
+        const response = await this._fetch(`${base}/${containerName}/${_encodePath(filePath)}`, { method: 'DELETE' });
 
         if (!response.ok) {
             const err = await response.text();
@@ -309,6 +309,135 @@ class ADLSRestClient {
             throw error;
         }
     }
+
+    // GET a file: DFS first, Blob endpoint on 409 EndpointUnsupportedAccountFeatures
+    async _get(containerName, filePath, failure) {
+        const encodedPath = _encodePath(filePath);
+        if (this.api !== 'blob') {
+            const dfsResp = await this._fetch(`${this.baseUrl}/${containerName}/${encodedPath}`, { method: 'GET' });
+            if (dfsResp.ok) return dfsResp;
+            const errorText = await dfsResp.text();
+            if (!(dfsResp.status === 409 && errorText.includes('EndpointUnsupportedAccountFeatures'))) {
+                throw new Error(`${failure}: ${dfsResp.status} ${dfsResp.statusText}\n${errorText}`);
+            }
+            failure += ' (blob fallback)';
+        }
+        const blobResp = await this._fetch(`${this.blobUrl}/${containerName}/${encodedPath}`, { method: 'GET' });
+        if (blobResp.ok) return blobResp;
+        const blobErr = await blobResp.text();
+        throw new Error(`${failure}: ${blobResp.status} ${blobResp.statusText}\n${blobErr}`);
+    }
+
+    async _putBlob(containerName, encodedPath, data, failure) {
+        const blobResp = await this._fetch(`${this.blobUrl}/${containerName}/${encodedPath}`, {
+            method: 'PUT',
+            headers: { 'x-ms-blob-type': 'BlockBlob', 'Content-Length': String(data.length), 'Content-Type': 'application/octet-stream' },
+            body: data
+        });
+        if (!blobResp.ok) {
+            const blobErr = await blobResp.text();
+            throw new Error(`${failure}: ${blobResp.status} ${blobResp.statusText}\n${blobErr}`);
+        }
+    }
+
+    // List Blobs, shaped like the DFS listing ({ name, isDirectory, contentLength, lastModified }).
+    // Folders are virtual: the "/" delimiter yields them one level at a time; recursive listings
+    // derive them from blob names.
+    async _listBlobs(containerName, directory, recursive) {
+        const prefix = directory ? `${directory.replace(/\/+$/, '')}/` : '';
+        const paths = [];
+        const folders = new Set();
+        let marker = '';
+        do {
+            let url = `${this.blobUrl}/${containerName}?restype=container&comp=list&prefix=${encodeURIComponent(prefix)}`;
+            if (!recursive) url += '&delimiter=%2F';
+            if (marker) url += `&marker=${encodeURIComponent(marker)}`;
+            const response = await this._fetch(url, { method: 'GET' });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Failed to list paths: ${response.status} ${response.statusText}\n${errorText}`);
+            }
+            const xml = await response.text();
+            for (const m of xml.matchAll(/<BlobPrefix>\s*<Name>([^<]*)<\/Name>/g)) {
+                folders.add(_xmlText(m[1]).replace(/\/$/, ''));
+            }
+            for (const m of xml.matchAll(/<Blob>([\s\S]*?)<\/Blob>/g)) {
+                const field = (tag) => m[1].match(new RegExp(`<${tag}>([^<]*)</${tag}>`))?.[1];
+                const name = _xmlText(field('Name') ?? '');
+                if (recursive) {
+                    const segments = name.slice(prefix.length).split('/');
+                    for (let i = 1; i < segments.length; i++) folders.add(prefix + segments.slice(0, i).join('/'));
+                }
+                paths.push({
+                    name,
+                    isDirectory: false,
+                    contentLength: parseInt(field('Content-Length') ?? '0', 10),
+                    lastModified: field('Last-Modified') ?? null
+                });
+            }
+            marker = xml.match(/<NextMarker>([^<]+)<\/NextMarker>/)?.[1] ?? '';
+        } while (marker);
+        return [...[...folders].map(name => ({ name, isDirectory: true, contentLength: 0, lastModified: null })), ...paths];
+    }
+
+    // fetch with the client's credentials applied
+    async _fetch(url, { method = 'GET', headers = {}, body } = {}) {
+        headers = { 'x-ms-version': API_VERSION, ...headers };
+        if (this.authMode === 'sas') {
+            url += `${url.includes('?') ? '&' : '?'}${this.sasToken}`;
+        } else if (this.authMode === 'sharedKey') {
+            headers['x-ms-date'] = new Date().toUTCString();
+            headers['Authorization'] = this._sharedKeyAuthorization(method, url, headers);
+        } else {
+            headers['Authorization'] = `Bearer ${await this.getAccessToken()}`;
+        }
+        return fetch(url, { method, headers, body });
+    }
+
+    // Shared Key signature (Blob / Data Lake services, version 2015-02-21 and later)
+    _sharedKeyAuthorization(method, url, headers) {
+        const h = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+        const { pathname, searchParams } = new URL(url);
+        const canonicalHeaders = Object.keys(h).filter(k => k.startsWith('x-ms-')).sort()
+            .map(k => `${k}:${h[k].trim()}\n`).join('');
+        const query = {};
+        for (const [k, v] of searchParams) (query[k.toLowerCase()] ??= []).push(v);
+        const canonicalResource = `/${this.storageAccountName}${pathname}`
+            + Object.keys(query).sort().map(k => `\n${k}:${query[k].sort().join(',')}`).join('');
+        const stringToSign = [
+            method,
+            h['content-encoding'] ?? '',
+            h['content-language'] ?? '',
+            h['content-length'] && h['content-length'] !== '0' ? h['content-length'] : '',
+            h['content-md5'] ?? '',
+            h['content-type'] ?? '',
+            '', // Date — x-ms-date is used instead
+            h['if-modified-since'] ?? '',
+            h['if-match'] ?? '',
+            h['if-none-match'] ?? '',
+            h['if-unmodified-since'] ?? '',
+            h['range'] ?? '',
+        ].join('\n') + '\n' + canonicalHeaders + canonicalResource;
+        const signature = crypto.createHmac('sha256', Buffer.from(this.accountKey, 'base64')).update(stringToSign, 'utf8').digest('base64');
+        return `SharedKey ${this.storageAccountName}:${signature}`;
+    }
+}
+
+function _encodePath(filePath) {
+    return filePath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+}
+
+function _trimSlash(url) {
+    return url ? String(url).replace(/\/+$/, '') : null;
+}
+
+// Azurite (path-style, local host) and *.blob.* endpoints have no DFS API
+function _isBlobOnlyEndpoint(url) {
+    return /\.blob\./i.test(url) || /^https?:\/\/(127\.0\.0\.1|localhost|\[::1\])[:/]/i.test(url);
+}
+
+function _xmlText(s) {
+    return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
 }
 
 /**
@@ -354,6 +483,7 @@ async function testADLSAccess() {
 // Export the client and test function
 module.exports = {
     ADLSRestClient,
+    parseConnectionString,
     testADLSAccess
 };
 
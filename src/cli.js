@@ -0,0 +1,396 @@
+'use strict';
+// cli.js — headless entry points behind bin/adf-local.js, for CI and the terminal.
+//
+//   adf-local validate [workspace] [--pipeline <name>]...
+//   adf-local run <pipeline> [--workspace <dir>] [--param k=v]... [--global k=v]... [--profile <name>]
+//                            [--mock [file]] [--trigger <json>]
+//   adf-local test [workspace] [--filter <text>]
+//
+// Common options: --format human|json|junit (default human), --output <file> (default stdout).
+// <pipeline> is a pipeline name (pipeline/<name>.json in the workspace) or a path to its JSON file.
+// --mock without a file uses the workspace's local-run-mocks.json.
+//
+// Exit codes: 0 success, 1 validation errors / failed run / failed tests, 2 bad usage.
+
+const path = require('path');
+const fs   = require('fs');
+const { validatePipeline } = require('./activityEngine/engine');
+const { LocalPipelineRunner } = require('./activityEngine/localRunner');
+const { MOCKS_FILE, loadMocks } = require('./activityEngine/mocks');
+const { loadGlobalParameters, globalParameterValues } = require('./activityEngine/globalParameters');
+const { TESTS_DIR, findTestFiles, loadTestSpec, runPipelineTest } = require('./activityEngine/pipelineTests');
+
+const USAGE = `Usage:
+  adf-local validate [workspace] [--pipeline <name>]...
+  adf-local run <pipeline> [--workspace <dir>] [--param k=v]... [--global k=v]... [--profile <name>]
+                           [--mock [file]] [--trigger <json>]
+  adf-local test [workspace] [--filter <text>]
+
+Options:
+  --format human|json|junit   output format (default: human)
+  --output <file>             write the report to a file instead of stdout
+`;
+
+// Options that take a value; --mock's value is optional
+const VALUE_OPTIONS = new Set(['workspace', 'pipeline', 'param', 'global', 'profile', 'mock', 'trigger', 'format', 'output', 'filter']);
+const REPEATED      = new Set(['pipeline', 'param', 'global']);
+const FORMATS       = new Set(['human', 'json', 'junit']);
+
+class UsageError extends Error {}
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv  arguments after the executable, e.g. ['run', 'PL_Load', '--param', 'x=1']
+ * @param {object} [io]    { stdout, stderr, cwd } — streams with write() and the base directory
+ * @returns {Promise<number>} exit code
+ */
+async function main(argv, io = {}) {
+    const stdout = io.stdout ?? process.stdout;
+    const stderr = io.stderr ?? process.stderr;
+    const cwd    = io.cwd ?? process.cwd();
+    try {
+        const { command, positional, options } = parseArgs(argv);
+        if (!command || options.help) {
+            stdout.write(USAGE);
+            return command || options.help ? 0 : 2;
+        }
+        const format = options.format ?? 'human';
+        if (!FORMATS.has(format)) throw new UsageError(`Unknown --format "${format}" (human, json or junit)`);
+
+        let report;
+        switch (command) {
+            case 'validate': report = validateCommand(positional, options, cwd); break;
+            case 'run':      report = await runCommand(positional, options, cwd, stderr, format); break;
+            case 'test':     report = await testCommand(positional, options, cwd, stderr, format); break;
+            default:         throw new UsageError(`Unknown command "${command}"`);
+        }
+
+        const text = FORMATTERS[command][format](report);
+        if (options.output) fs.writeFileSync(path.resolve(cwd, options.output), text, 'utf8');
+        else stdout.write(text);
+        return report.ok ? 0 : 1;
+    } catch (err) {
+        stderr.write(`adf-local: ${err.message}\n`);
+        if (err instanceof UsageError) stderr.write(`\n${USAGE}`);
+        return 2;
+    }
+}
+
+/**
+ * Split argv into the command, positional arguments and options. Repeatable options
+ * (--pipeline, --param, --global) collect into arrays.
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') { options.help = true; continue; }
+        if (!arg.startsWith('--')) { positional.push(arg); continue; }
+
+        let [name, value] = arg.slice(2).split(/=(.*)/s);
+        if (!VALUE_OPTIONS.has(name)) throw new UsageError(`Unknown option --${name}`);
+        if (value === undefined) {
+            const next = argv[i + 1];
+            // A bare --mock uses the workspace mock file; it only takes a following .json path
+            const takesNext = next !== undefined && !next.startsWith('--') && (name !== 'mock' || next.endsWith('.json'));
+            if (takesNext) { value = next; i++; }
+            else if (name === 'mock') value = true;
+            else throw new UsageError(`--${name} needs a value`);
+        }
+        if (REPEATED.has(name)) (options[name] ??= []).push(value);
+        else options[name] = value;
+    }
+    return { command: positional.shift(), positional, options };
+}
+
+// ─── validate ─────────────────────────────────────────────────────────────────
+
+function validateCommand(positional, options, cwd) {
+    const workspaceRoot = path.resolve(cwd, positional[0] ?? options.workspace ?? '.');
+    const pipelineDir   = path.join(workspaceRoot, 'pipeline');
+    if (!fs.existsSync(pipelineDir)) throw new UsageError(`${workspaceRoot} has no pipeline/ folder`);
+
+    const files = options.pipeline
+        ? options.pipeline.map(name => _pipelineFile(workspaceRoot, name, cwd))
+        : fs.readdirSync(pipelineDir).filter(f => f.endsWith('.json')).sort().map(f => path.join(pipelineDir, f));
+
+    const pipelines = files.map((file) => {
+        const name = path.basename(file, '.json');
+        let pipelineJson;
+        try {
+            pipelineJson = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            return { name, file, errors: [`Invalid JSON: ${err.message}`], warnings: [] };
+        }
+        const result = validatePipeline(pipelineJson, workspaceRoot);
+        const flatten = (byActivity) => Object.entries(byActivity ?? {})
+            .flatMap(([activity, messages]) => messages.map(m => `${activity}: ${m}`));
+        return {
+            name: pipelineJson?.name ?? name,
+            file,
+            errors:   [...(result.pipelineErrors ?? []), ...flatten(result.activityErrors)],
+            warnings: flatten(result.activityWarnings),
+        };
+    });
+    return { ok: pipelines.every(p => p.errors.length === 0), workspaceRoot, pipelines };
+}
+
+// ─── run ──────────────────────────────────────────────────────────────────────
+
+async function runCommand(positional, options, cwd, stderr, format) {
+    if (!positional[0]) throw new UsageError('run needs a pipeline name or file');
+    const workspaceRoot = path.resolve(cwd, options.workspace ?? '.');
+    const file = _pipelineFile(workspaceRoot, positional[0], cwd);
+    const pipelineJson = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const paramDefs = pipelineJson?.properties?.parameters ?? {};
+
+    const parameters = {};
+    for (const [name, def] of Object.entries(paramDefs)) {
+        if (def?.defaultValue !== undefined) parameters[name] = def.defaultValue;
+    }
+    for (const [name, raw] of (options.param ?? []).map(_keyValue)) {
+        if (!paramDefs[name]) throw new UsageError(`Pipeline "${pipelineJson.name}" has no parameter "${name}"`);
+        parameters[name] = coerceParameter(raw, paramDefs[name].type);
+    }
+
+    const loaded = loadGlobalParameters(workspaceRoot, options.profile);
+    const globalParameters = globalParameterValues(loaded.definitions);
+    for (const [name, raw] of (options.global ?? []).map(_keyValue)) {
+        globalParameters[name] = coerceParameter(raw, loaded.definitions[name]?.type);
+    }
+
+    const runner = new LocalPipelineRunner(pipelineJson, parameters, workspaceRoot);
+    runner.globalParameters = globalParameters;
+    if (options.trigger) {
+        try { runner.triggerInfo = JSON.parse(options.trigger); }
+        catch (err) { throw new UsageError(`--trigger must be JSON: ${err.message}`); }
+    }
+    if (options.mock) {
+        const mockFile = options.mock === true ? MOCKS_FILE : path.resolve(cwd, options.mock);
+        runner.mocks = loadMocks(workspaceRoot, mockFile);
+        if (!runner.mocks) throw new UsageError(`Mock file ${mockFile} not found`);
+    }
+
+    // Progress goes to stderr so machine-readable reports on stdout stay clean
+    if (format === 'human') {
+        runner.on('activityUpdate', (u) => {
+            if (u.status === 'Running' || u.seeded) return;
+            const where = u.parentActivity != null ? `${u.parentActivity} › ` : '';
+            stderr.write(`  ${_mark(u.status)} ${where}${u.name} — ${u.status}${u.mocked ? ' (mocked)' : ''}${u.error ? `: ${u.error}` : ''}\n`);
+        });
+    }
+    runner.on('runWarning', (w) => stderr.write(`  ⚠ ${w.message}\n`));
+
+    const end = await new Promise((resolve) => {
+        runner.on('pipelineEnd', resolve);
+        runner.run();
+    });
+    return {
+        ok: end.status === 'Succeeded',
+        pipelineName: runner.pipelineName,
+        runId: runner.runId,
+        status: end.status,
+        error: end.error ?? null,
+        durationMs: Date.now() - runner._startTime,
+        parameters: runner._mask(parameters, false),
+        variables: runner._mask(runner.variables, false),
+        pipelineReturnValue: end.pipelineReturnValue ?? {},
+        activityRuns: end.activityRuns,
+        warnings: runner.warnings,
+    };
+}
+
+/** Convert a --param / --global string to the parameter's declared type. */
+function coerceParameter(raw, type) {
+    switch ((type ?? 'String').toLowerCase()) {
+        case 'int': {
+            const n = parseInt(raw, 10);
+            if (isNaN(n)) throw new UsageError(`"${raw}" is not an Int`);
+            return n;
+        }
+        case 'float': {
+            const n = parseFloat(raw);
+            if (isNaN(n)) throw new UsageError(`"${raw}" is not a Float`);
+            return n;
+        }
+        case 'bool':
+            if (raw !== 'true' && raw !== 'false') throw new UsageError(`"${raw}" is not a Bool (true or false)`);
+            return raw === 'true';
+        case 'array':
+        case 'object':
+            try { return JSON.parse(raw); }
+            catch { throw new UsageError(`"${raw}" is not valid JSON for an ${type}`); }
+        default:
+            return raw;
+    }
+}
+
+// ─── test ─────────────────────────────────────────────────────────────────────
+
+async function testCommand(positional, options, cwd, stderr, format) {
+    const workspaceRoot = path.resolve(cwd, positional[0] ?? options.workspace ?? '.');
+    const files = findTestFiles(workspaceRoot);
+    if (files.length === 0) throw new UsageError(`No ${TESTS_DIR}/*.test.json files in ${workspaceRoot}`);
+
+    const suites = [];
+    for (const specFile of files) {
+        const suite = { file: path.relative(workspaceRoot, specFile), pipeline: null, error: null, tests: [] };
+        suites.push(suite);
+        let spec;
+        try {
+            spec = loadTestSpec(specFile);
+        } catch (err) {
+            suite.error = err.message;
+            continue;
+        }
+        suite.pipeline = spec.pipeline;
+        for (const test of spec.tests) {
+            if (options.filter && !test.name.includes(options.filter)) continue;
+            const result = await runPipelineTest(workspaceRoot, spec, test, { specFile });
+            suite.tests.push(result);
+            if (format === 'human') stderr.write(`  ${result.passed ? '✔' : '✖'} ${suite.file} › ${test.name}\n`);
+        }
+    }
+    const ok = suites.every(s => !s.error && s.tests.every(t => t.passed));
+    return { ok, workspaceRoot, suites };
+}
+
+// ─── Report formats ───────────────────────────────────────────────────────────
+
+const FORMATTERS = {
+    validate: {
+        human: (r) => {
+            const lines = [];
+            for (const p of r.pipelines) {
+                lines.push(`${p.errors.length ? '✖' : '✔'} ${p.name}${p.errors.length ? ` — ${_plural(p.errors.length, 'error')}` : ''}`);
+                for (const e of p.errors)   lines.push(`    error:   ${e}`);
+                for (const w of p.warnings) lines.push(`    warning: ${w}`);
+            }
+            const failed = r.pipelines.filter(p => p.errors.length).length;
+            lines.push('', `${_plural(r.pipelines.length, 'pipeline')} validated, ${failed} with errors.`);
+            return lines.join('\n') + '\n';
+        },
+        json: (r) => _json(r),
+        junit: (r) => _junit([{
+            name: 'adf-local validate',
+            cases: r.pipelines.map(p => ({
+                name: p.name, classname: 'validate',
+                failure: p.errors.length ? { message: _plural(p.errors.length, 'validation error'), body: p.errors.join('\n') } : null,
+            })),
+        }]),
+    },
+    run: {
+        human: (r) => {
+            const lines = [`${_mark(r.status)} ${r.pipelineName} — ${r.status} in ${_duration(r.durationMs)} (run ${r.runId})`];
+            if (r.error) lines.push(`    error: ${r.error}`);
+            if (Object.keys(r.pipelineReturnValue).length) lines.push(`    return value: ${JSON.stringify(r.pipelineReturnValue)}`);
+            return lines.join('\n') + '\n';
+        },
+        json: (r) => _json(r),
+        junit: (r) => _junit([{
+            name: r.pipelineName,
+            // One case per activity run; superseded retry attempts are left out
+            cases: r.activityRuns.filter(a => !a.willRetry).map(a => ({
+                name: a._parentActivity ? `${a._parentActivity} › ${a.activityName}` : a.activityName,
+                classname: r.pipelineName,
+                timeMs: a.durationInMs,
+                failure: a.status === 'Failed' ? { message: a.error?.message ?? 'Failed', body: a.error?.message ?? '' } : null,
+                skipped: a.status === 'Skipped' || a.status === 'Cancelled',
+            })),
+            failure: r.error,
+        }]),
+    },
+    test: {
+        human: (r) => {
+            const lines = [];
+            let passed = 0, failed = 0;
+            for (const s of r.suites) {
+                if (s.error) { lines.push(`✖ ${s.file}: ${s.error}`); failed++; continue; }
+                for (const t of s.tests) {
+                    if (t.passed) { passed++; continue; }
+                    failed++;
+                    lines.push(`✖ ${s.file} › ${t.name}`);
+                    for (const f of t.failures) lines.push(`    ${f.message}`);
+                    for (const [name, error] of Object.entries(t.errors ?? {})) lines.push(`    activity "${name}" failed: ${error}`);
+                }
+            }
+            lines.push(`${passed} passed, ${failed} failed.`);
+            return lines.join('\n') + '\n';
+        },
+        json: (r) => _json(r),
+        junit: (r) => _junit(r.suites.map(s => ({
+            name: s.file,
+            failure: s.error,
+            cases: s.tests.map(t => ({
+                name: t.name, classname: s.pipeline ?? s.file, timeMs: t.durationMs,
+                failure: t.passed ? null : {
+                    message: t.failures[0]?.message ?? 'Failed',
+                    body: [...t.failures.map(f => f.message), ...Object.entries(t.errors ?? {}).map(([n, e]) => `activity "${n}" failed: ${e}`)].join('\n'),
+                },
+            })),
+        }))),
+    },
+};
+
+/** JUnit XML: suites [{ name, cases: [{ name, classname, timeMs, failure: {message, body}|null, skipped }], failure? }] */
+function _junit(suites) {
+    const out = ['<?xml version="1.0" encoding="UTF-8"?>', '<testsuites>'];
+    for (const s of suites) {
+        const failures = s.cases.filter(c => c.failure).length + (s.failure ? 1 : 0);
+        const skipped  = s.cases.filter(c => c.skipped).length;
+        const time     = s.cases.reduce((t, c) => t + (c.timeMs ?? 0), 0) / 1000;
+        out.push(`  <testsuite name="${_xml(s.name)}" tests="${s.cases.length + (s.failure ? 1 : 0)}" failures="${failures}" skipped="${skipped}" time="${time}">`);
+        // A suite-level error (unreadable spec, pipeline error) becomes a case of its own
+        if (s.failure) out.push(`    <testcase name="${_xml(s.name)}" classname="${_xml(s.name)}"><failure message="${_xml(s.failure)}"/></testcase>`);
+        for (const c of s.cases) {
+            const attrs = `name="${_xml(c.name)}" classname="${_xml(c.classname)}" time="${(c.timeMs ?? 0) / 1000}"`;
+            if (c.failure) {
+                out.push(`    <testcase ${attrs}><failure message="${_xml(c.failure.message)}">${_xml(c.failure.body)}</failure></testcase>`);
+            } else if (c.skipped) {
+                out.push(`    <testcase ${attrs}><skipped/></testcase>`);
+            } else {
+                out.push(`    <testcase ${attrs}/>`);
+            }
+        }
+        out.push('  </testsuite>');
+    }
+    out.push('</testsuites>');
+    return out.join('\n') + '\n';
+}
+
+function _pipelineFile(workspaceRoot, nameOrPath, cwd) {
+    const asPath = path.resolve(cwd, nameOrPath);
+    if (nameOrPath.endsWith('.json') && fs.existsSync(asPath)) return asPath;
+    const byName = path.join(workspaceRoot, 'pipeline', `${nameOrPath}.json`);
+    if (fs.existsSync(byName)) return byName;
+    throw new UsageError(`Pipeline "${nameOrPath}" not found (looked for ${byName})`);
+}
+
+function _keyValue(arg) {
+    const eq = arg.indexOf('=');
+    if (eq <= 0) throw new UsageError(`Expected name=value, got "${arg}"`);
+    return [arg.slice(0, eq), arg.slice(eq + 1)];
+}
+
+function _mark(status) {
+    return { Succeeded: '✔', Failed: '✖', Skipped: '○', Cancelled: '■' }[status] ?? '•';
+}
+
+function _plural(n, word) {
+    return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+function _duration(ms) {
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function _json(value) {
+    return JSON.stringify(value, null, 2) + '\n';
+}
+
+function _xml(s) {
+    return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = { main, parseArgs, coerceParameter };
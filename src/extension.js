@@ -11,6 +11,10 @@ const { PipelineRequestTreeDataProvider } = require('./pipelineRequestProvider')
 const { PipelineRequestViewerProvider } = require('./pipelineRequestViewer');
 const { PipelineValidatorPanel } = require('./pipelineValidatorPanel');
 const { LocalRunPanel } = require('./localRunPanel');
+const { LocalRunBreakpoints } = require('./localRunBreakpoints');
+const { LocalRunHistoryProvider } = require('./localRunHistoryProvider');
+const { PipelineTestController } = require('./pipelineTestController');
+const { deleteRun } = require('./activityEngine/runHistory');
 const { buildDatasetJson } = require('./datasetUtils');
 const datasetConfig = require('./dataset-config.json');
 
@@ -20,8 +24,11 @@ function activate(context) {
 	// Sync JSON "name" field when a pipeline file is renamed via the file explorer
 	registerRenameHandler(context);
 
+	// Activity breakpoints for local debug runs — shared by the V2 canvas and the Local Run view
+	const localRunBreakpoints = new LocalRunBreakpoints(context);
+
 	// Register the pipeline editor provider (V2)
-	const editorV2Provider = new PipelineEditorV2Provider(context);
+	const editorV2Provider = new PipelineEditorV2Provider(context, localRunBreakpoints);
 	context.subscriptions.push(
 		vscode.commands.registerCommand('adf-pipeline-clone.openPipeline', () => {
 			editorV2Provider.createOrShow();
@@ -120,12 +127,73 @@ function activate(context) {
 	);
 
 	// ── Run Pipeline Locally ──────────────────────────────────────────────────
-	const localRunPanel = new LocalRunPanel(context);
+	const localRunPanel = new LocalRunPanel(context, localRunBreakpoints);
 	context.subscriptions.push(
 		vscode.commands.registerCommand('adf-pipeline-clone.localRunPipeline', (item) => {
 			localRunPanel.runPipeline(item);
 		})
 	);
+	context.subscriptions.push(
+		vscode.commands.registerCommand('adf-pipeline-clone.debugPipelineLocally', (item) => {
+			localRunPanel.runPipeline(item, { debug: true });
+		})
+	);
+	context.subscriptions.push(
+		vscode.commands.registerCommand('adf-pipeline-clone.localRunPipelineMocked', (item) => {
+			localRunPanel.runPipeline(item, { mocks: true });
+		})
+	);
+	// Partial runs, started from the V2 canvas context menu: (item, activityName)
+	context.subscriptions.push(
+		vscode.commands.registerCommand('adf-pipeline-clone.debugUntilActivity', (item, activityName) => {
+			localRunPanel.runPipeline(item, { debug: true, stopActivities: [activityName] });
+		})
+	);
+	context.subscriptions.push(
+		vscode.commands.registerCommand('adf-pipeline-clone.runFromActivity', (item, activityName) => {
+			localRunPanel.runPipeline(item, { startActivities: [activityName] });
+		})
+	);
+
+	// ── Local Run History (.adf-local-runs/) ──────────────────────────────────
+	const localRunHistoryProvider = new LocalRunHistoryProvider(context);
+	context.subscriptions.push(
+		vscode.window.createTreeView('adf-local-run-history', {
+			treeDataProvider: localRunHistoryProvider,
+			showCollapseAll: true
+		})
+	);
+	context.subscriptions.push(localRunPanel.onDidSaveRun(() => localRunHistoryProvider.refresh()));
+	context.subscriptions.push(
+		vscode.commands.registerCommand('adf-pipeline-clone.refreshLocalRunHistory', () => {
+			localRunHistoryProvider.refresh();
+		})
+	);
+	context.subscriptions.push(
+		vscode.commands.registerCommand('adf-pipeline-clone.openLocalRun', (item) => {
+			if (item?.runId) localRunPanel.openHistoryRun(item.runId);
+		})
+	);
+	context.subscriptions.push(
+		vscode.commands.registerCommand('adf-pipeline-clone.rerunLocalRun', (item) => {
+			if (item?.runId) localRunPanel.rerun(item.runId);
+		})
+	);
+	context.subscriptions.push(
+		vscode.commands.registerCommand('adf-pipeline-clone.deleteLocalRun', async (item) => {
+			const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri?.fsPath;
+			if (!item?.runId || !workspaceRoot) return;
+			const answer = await vscode.window.showWarningMessage(
+				`Delete the local run from ${item.label}?`, { modal: true }, 'Delete'
+			);
+			if (answer !== 'Delete') return;
+			deleteRun(workspaceRoot, item.runId);
+			localRunHistoryProvider.refresh();
+		})
+	);
+
+	// ── Pipeline tests (pipeline-tests/*.test.json) in the Test Explorer ─────
+	new PipelineTestController(context);
 
 	// Register the pipeline runs tree view
 	const pipelineRunsTreeProvider = new PipelineRunsTreeDataProvider(context);
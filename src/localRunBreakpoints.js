@@ -0,0 +1,51 @@
+'use strict';
+// localRunBreakpoints.js — activity breakpoints for local debug runs.
+//
+// Breakpoints are per pipeline and persisted in workspace state, so the V2 canvas and
+// the Local Run view share them and they survive a reload:
+//   workspaceState['localRun.breakpoints'] = { pipelineName: [activityName, ...] }
+
+const vscode = require('vscode');
+
+const STATE_KEY = 'localRun.breakpoints';
+
+class LocalRunBreakpoints {
+    constructor(context) {
+        this.context  = context;
+        this._changed = new vscode.EventEmitter();
+        /** Fires { pipelineName, names } whenever a pipeline's breakpoints change. */
+        this.onDidChange = this._changed.event;
+        context.subscriptions.push(this._changed);
+    }
+
+    /** Activity names with a breakpoint in `pipelineName`. */
+    get(pipelineName) {
+        return this.context.workspaceState.get(STATE_KEY, {})[pipelineName] ?? [];
+    }
+
+    /** Breakpoints of every pipeline: { pipelineName: [activityName, ...] } */
+    getAll() {
+        return { ...this.context.workspaceState.get(STATE_KEY, {}) };
+    }
+
+    async set(pipelineName, names) {
+        const all = this.getAll();
+        if (names.length > 0) all[pipelineName] = [...new Set(names)];
+        else delete all[pipelineName];
+        await this.context.workspaceState.update(STATE_KEY, all);
+        this._changed.fire({ pipelineName, names: all[pipelineName] ?? [] });
+    }
+
+    /**
+     * Add or remove a breakpoint. `enabled` forces the state; omitted, the breakpoint is toggled.
+     * @returns {Promise<boolean>} whether the activity now has a breakpoint
+     */
+    async toggle(pipelineName, activityName, enabled) {
+        const names = this.get(pipelineName);
+        const has   = enabled ?? !names.includes(activityName);
+        await this.set(pipelineName, has ? [...names, activityName] : names.filter(n => n !== activityName));
+        return has;
+    }
+}
+
+module.exports = { LocalRunBreakpoints };
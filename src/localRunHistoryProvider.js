@@ -0,0 +1,83 @@
+const vscode = require('vscode');
+const { listRuns } = require('./activityEngine/runHistory');
+
+const STATUS_ICONS = {
+    Succeeded: new vscode.ThemeIcon('pass', new vscode.ThemeColor('testing.iconPassed')),
+    Failed:    new vscode.ThemeIcon('error', new vscode.ThemeColor('testing.iconFailed')),
+    Cancelled: new vscode.ThemeIcon('circle-slash'),
+};
+
+/**
+ * Tree data provider for the "Local Run History" view: runs saved in .adf-local-runs/,
+ * grouped by pipeline, newest first.
+ */
+class LocalRunHistoryProvider {
+    constructor(context) {
+        this.context = context;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    getChildren(element) {
+        if (element instanceof PipelineGroupItem) {
+            return element.runs.map(run => new LocalRunItem(run));
+        }
+        const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri?.fsPath;
+        const runs = listRuns(workspaceRoot);
+        if (runs.length === 0) return [new vscode.TreeItem('No local runs yet')];
+
+        const byPipeline = new Map();
+        for (const run of runs) {
+            if (!byPipeline.has(run.pipelineName)) byPipeline.set(run.pipelineName, []);
+            byPipeline.get(run.pipelineName).push(run);
+        }
+        return [...byPipeline].map(([pipelineName, pipelineRuns]) => new PipelineGroupItem(pipelineName, pipelineRuns));
+    }
+}
+
+class PipelineGroupItem extends vscode.TreeItem {
+    constructor(pipelineName, runs) {
+        super(pipelineName, vscode.TreeItemCollapsibleState.Collapsed);
+        this.runs = runs;
+        this.description = `${runs.length} run${runs.length !== 1 ? 's' : ''}`;
+        this.contextValue = 'local-run-pipeline';
+        this.iconPath = new vscode.ThemeIcon('symbol-event');
+    }
+}
+
+class LocalRunItem extends vscode.TreeItem {
+    constructor(run) {
+        super(new Date(run.startTime).toLocaleString(), vscode.TreeItemCollapsibleState.None);
+        this.runId = run.runId;
+        this.description = `${run.status} · ${_formatDuration(run.durationMs)}`;
+        this.tooltip = [
+            `${run.pipelineName} — ${run.status}`,
+            `Run ID: ${run.runId}`,
+            run.parentRun ? `Started by: ${run.parentRun.pipelineName}` : null,
+        ].filter(Boolean).join('\n');
+        this.contextValue = 'local-run';
+        this.iconPath = STATUS_ICONS[run.status] ?? new vscode.ThemeIcon('circle-outline');
+        this.command = {
+            command: 'adf-pipeline-clone.openLocalRun',
+            title: 'Open Local Run',
+            arguments: [this],
+        };
+    }
+}
+
+function _formatDuration(ms) {
+    if (ms == null) return '-';
+    if (ms < 1000)  return `${Math.round(ms)} ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+    return `${Math.floor(ms / 60000)}m ${Math.floor((ms % 60000) / 1000)}s`;
+}
+
+module.exports = { LocalRunHistoryProvider };
@@ -1,28 +1,56 @@
 'use strict';
-// localRunPanel.js — VS Code command handler for "Run Pipeline Locally".
+// localRunPanel.js — VS Code command handler for "Run Pipeline Locally" and
+// "Debug Pipeline Locally" (breakpoints / stepping, see activityEngine/debugSession.js).
 // Prompts user for parameter values, starts LocalPipelineRunner, and opens
 // a live-updating run viewer WebView (beside the editor) that reuses the
 // same visual style as the existing PipelineRunViewer.
+// Finished runs are saved to .adf-local-runs/ (activityEngine/runHistory.js) and can be
+// reopened in the same viewer or re-run with the same parameters.
+// "Run Pipeline Locally with Mocks" replaces external activities with the canned results of
+// local-run-mocks.json (activityEngine/mocks.js).
 
 const vscode = require('vscode');
 const path   = require('path');
 const fs     = require('fs');
 const { LocalPipelineRunner }    = require('./activityEngine/localRunner');
+const { DebugSession }           = require('./activityEngine/debugSession');
 const { validatePipeline }       = require('./activityEngine/engine');
 const { NotebookSnapshotPanel }  = require('./notebookSnapshotPanel');
+const { parseTimestamp }         = require('./activityEngine/dateTime');
+const { loadGlobalParameters, globalParameterValues, findGlobalParameterRefs } = require('./activityEngine/globalParameters');
+const { pipelineHash, recordFromRunner, saveRun, loadRun, latestRun } = require('./activityEngine/runHistory');
+const { MOCKS_FILE, loadMocks }  = require('./activityEngine/mocks');
 
 class LocalRunPanel {
     static panels = new Map(); // Map<runId, vscode.WebviewPanel>
+    static lastRuns = new Map(); // Map<pipelineName, { activityOutputs, activityStatuses }> — seeds "Run From Here"
 
-    constructor(context) {
-        this.context = context;
+    /**
+     * @param {vscode.ExtensionContext} context
+     * @param {import('./localRunBreakpoints').LocalRunBreakpoints} breakpoints
+     */
+    constructor(context, breakpoints) {
+        this.context     = context;
+        this.breakpoints = breakpoints;
+        this._onDidSaveRun = new vscode.EventEmitter();
+        /** Fires the saved record each time a finished run is written to the run history. */
+        this.onDidSaveRun  = this._onDidSaveRun.event;
+        context.subscriptions.push(this._onDidSaveRun);
     }
 
     /**
      * Called from the command handler.
      * item may be a FileItem from the tree (has .filePath), or undefined (active editor).
+     * @param {object}   [options]
+     * @param {boolean}  [options.debug]            pause at breakpoints (or before the first activity when
+     *                                              the pipeline has none) — "Debug Pipeline Locally"
+     * @param {string[]} [options.stopActivities]   "Debug Until Here": run these and their upstream only,
+     *                                              pausing before them
+     * @param {string[]} [options.startActivities]  "Run From Here": run these and their downstream, seeded
+     *                                              with the outputs of the pipeline's last local run
+     * @param {boolean}  [options.mocks]            use local-run-mocks.json instead of live resources
      */
-    async runPipeline(item) {
+    async runPipeline(item, { debug = false, stopActivities = null, startActivities = null, mocks: useMocks = false } = {}) {
         let filePath = item?.filePath;
         if (!filePath) {
             filePath = vscode.window.activeTextEditor?.document?.uri?.fsPath;
@@ -44,6 +72,181 @@ class LocalRunPanel {
         const paramDefs    = pipelineJson?.properties?.parameters ?? {};
         const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri?.fsPath;
 
+        let mocks = null;
+        if (useMocks) {
+            mocks = this._loadMocks(workspaceRoot);
+            if (!mocks) return;
+        }
+        if (!await this._checkRunnable(pipelineJson, pipelineName, workspaceRoot, mocks)) return;
+
+        let previous = LocalRunPanel.lastRuns.get(pipelineName);
+        if (startActivities && !previous) {
+            // Not run in this session — start from the latest saved run of this same pipeline definition
+            const saved = workspaceRoot ? latestRun(workspaceRoot, pipelineName, pipelineHash(pipelineJson)) : null;
+            if (saved) {
+                previous = { activityOutputs: saved.activityOutputs, activityStatuses: saved.activityStatuses };
+                const masked = Object.values(saved.activityOutputs ?? {}).includes('********');
+                vscode.window.showInformationMessage(
+                    `Starting from the outputs of the saved run of "${pipelineName}" at ${new Date(saved.startTime).toLocaleString()}` +
+                    (masked ? ' (secure outputs were not saved and read as "********").' : '.')
+                );
+            }
+        }
+        if (startActivities && !previous) {
+            const choice = await vscode.window.showWarningMessage(
+                `"${pipelineName}" has not been run locally in this session and has no saved run of its current version, so activities upstream of ` +
+                `${startActivities.map(n => `"${n}"`).join(', ')} have no outputs to start from.`,
+                { modal: true },
+                'Run Anyway'
+            );
+            if (choice !== 'Run Anyway') return;
+        }
+
+        // Prompt user for parameters
+        const parameters = await promptParameters(pipelineName, paramDefs);
+        if (parameters === null) return; // user cancelled
+
+        let globalParameters;
+        try {
+            globalParameters = await promptGlobalParameters(pipelineName, pipelineJson, workspaceRoot);
+        } catch (err) {
+            vscode.window.showErrorMessage(`Failed to load global parameters: ${err.message}`);
+            return;
+        }
+        if (globalParameters === null) return; // user cancelled
+
+        // Only ask for trigger metadata when the pipeline actually reads it
+        let triggerInfo = null;
+        if (_usesTriggerMetadata(pipelineJson)) {
+            triggerInfo = await promptTriggerInfo(pipelineName);
+            if (triggerInfo === null) return; // user cancelled
+        }
+
+        const runner = new LocalPipelineRunner(pipelineJson, parameters, workspaceRoot, this.context.extensionUri.fsPath);
+        runner.triggerInfo = triggerInfo;
+        runner.globalParameters = globalParameters;
+        runner.stopActivities  = stopActivities;
+        runner.startActivities = startActivities;
+        runner.mocks = mocks;
+        if (startActivities && previous) runner.seed(previous);
+        if (debug) {
+            const breakpoints = this.breakpoints.getAll();
+            // Debug Until Here pauses before its targets without persisting a breakpoint on them
+            if (stopActivities) breakpoints[pipelineName] = [...(breakpoints[pipelineName] ?? []), ...stopActivities];
+            const stepping = !stopActivities && !breakpoints[pipelineName]?.length;
+            runner.debugSession = new DebugSession({ breakpoints, stepping });
+        }
+        this._trackLastRun(runner, pipelineName);
+
+        this._openPanel(runner, pipelineName, { filePath });
+        // runner.run() is called by the panel once the webview sends 'ready'
+    }
+
+    /**
+     * "Re-run with same parameters" for a saved run. Runs the pipeline as it is now;
+     * SecureString parameters were not saved and are prompted for again.
+     */
+    async rerun(runId) {
+        const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri?.fsPath;
+        const record = workspaceRoot && loadRun(workspaceRoot, runId);
+        if (!record) {
+            vscode.window.showErrorMessage(`Local run ${runId} was not found in the run history.`);
+            return;
+        }
+        const filePath = _findPipelineFile(workspaceRoot, record);
+        if (!filePath) {
+            vscode.window.showErrorMessage(`Pipeline "${record.pipelineName}" no longer exists in the workspace.`);
+            return;
+        }
+
+        let pipelineJson;
+        try {
+            pipelineJson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            vscode.window.showErrorMessage(`Failed to parse pipeline file: ${err.message}`);
+            return;
+        }
+        const pipelineName = pipelineJson?.name ?? record.pipelineName;
+        // A mocked run is re-run with the same mock file
+        let mocks = null;
+        if (record.mocksFile) {
+            mocks = this._loadMocks(workspaceRoot, record.mocksFile);
+            if (!mocks) return;
+        }
+        if (!await this._checkRunnable(pipelineJson, pipelineName, workspaceRoot, mocks)) return;
+        if (pipelineHash(pipelineJson) !== record.pipelineHash) {
+            vscode.window.showInformationMessage(`"${pipelineName}" has changed since this run — re-running the current version with the same parameters.`);
+        }
+
+        const paramDefs  = pipelineJson?.properties?.parameters ?? {};
+        const secureDefs = Object.fromEntries((record.secureParameters ?? [])
+            .filter(name => paramDefs[name])
+            .map(name => [name, paramDefs[name]]));
+        const secure = await promptParameters(pipelineName, secureDefs);
+        if (secure === null) return; // user cancelled
+
+        const runner = new LocalPipelineRunner(pipelineJson, { ...record.parameters, ...secure }, workspaceRoot, this.context.extensionUri.fsPath);
+        runner.triggerInfo      = record.triggerInfo;
+        runner.globalParameters = record.globalParameters;
+        runner.mocks            = mocks;
+        this._trackLastRun(runner, pipelineName);
+
+        this._openPanel(runner, pipelineName, { filePath });
+    }
+
+    /** Re-open a saved run, read-only, in the run viewer. */
+    openHistoryRun(runId) {
+        const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri?.fsPath;
+        const record = workspaceRoot && loadRun(workspaceRoot, runId);
+        if (!record) {
+            vscode.window.showErrorMessage(`Local run ${runId} was not found in the run history.`);
+            return;
+        }
+        const filePath = _findPipelineFile(workspaceRoot, record);
+        let pipelineChanged = null;
+        try {
+            pipelineChanged = filePath ? pipelineHash(JSON.parse(fs.readFileSync(filePath, 'utf8'))) !== record.pipelineHash : null;
+        } catch { /* unreadable pipeline — can't tell */ }
+
+        const panel = vscode.window.createWebviewPanel(
+            'localRunViewer',
+            `🕘 ${record.pipelineName} (${new Date(record.startTime).toLocaleString()})`,
+            vscode.ViewColumn.Beside,
+            {
+                enableScripts: true,
+                retainContextWhenHidden: true,
+                localResourceRoots: [
+                    vscode.Uri.joinPath(this.context.extensionUri, 'media')
+                ]
+            }
+        );
+        panel.webview.html = this._getHtml(panel.webview, record.pipelineName, record.runId, record.activities, {
+            history:  true,
+            runScope: _runScopeLabel(record),
+            mocks:    record.mocksFile ?? null,
+        });
+
+        const { snapshots, ...rest } = record;
+        panel.webview.onDidReceiveMessage(async (msg) => {
+            switch (msg.command) {
+                case 'ready':
+                    panel.webview.postMessage({ command: 'historyRun', ...rest, snapshotNames: Object.keys(snapshots), pipelineChanged });
+                    break;
+                case 'openSnapshot':
+                    if (snapshots[msg.activityName]) NotebookSnapshotPanel.show(this.context, snapshots[msg.activityName]);
+                    break;
+                case 'rerun':
+                    await this.rerun(record.runId);
+                    break;
+            }
+        }, undefined, this.context.subscriptions);
+    }
+
+    /**
+     * Validation gate and Copy format check shared by every way of starting a run.
+     * @returns {Promise<boolean>} false when the run should not start
+     */
+    async _checkRunnable(pipelineJson, pipelineName, workspaceRoot, mocks = null) {
         // ── Validation gate ────────────────────────────────────────────────────
         const valResult = validatePipeline(pipelineJson, workspaceRoot);
         const pipelineErrorCount  = valResult.pipelineErrors?.length ?? 0;
@@ -57,12 +260,14 @@ class LocalRunPanel {
                 ` Fix all errors first (click the ✓ icon on the pipeline to see details).`,
                 { modal: true }
             );
-            return;
+            return false;
         }
         // ── End validation gate ────────────────────────────────────────────────
 
         // ── Copy format pre-run check (warn on unsupported formats before starting) ──
-        const copyWarnings = _checkCopyFormatSupport(pipelineJson, workspaceRoot);
+        // Mocked Copy activities never reach the copy engine
+        const copyWarnings = _checkCopyFormatSupport(pipelineJson, workspaceRoot)
+            .filter(w => !mocks?.find(pipelineName, { name: w.activityName, type: 'Copy' }));
         if (copyWarnings.length > 0) {
             const detail = copyWarnings.map(w => `• ${w.activityName}: ${w.reason}`).join('\n');
             const choice = await vscode.window.showWarningMessage(
@@ -71,33 +276,66 @@ class LocalRunPanel {
                 { modal: true },
                 'Run Anyway', 'Cancel'
             );
-            if (choice !== 'Run Anyway') return;
+            if (choice !== 'Run Anyway') return false;
         }
         // ── End Copy format check ─────────────────────────────────────────────
+        return true;
+    }
 
-        // Prompt user for parameters
-        const parameters = await promptParameters(pipelineName, paramDefs);
-        if (parameters === null) return; // user cancelled
-
-        const runner = new LocalPipelineRunner(pipelineJson, parameters, workspaceRoot, this.context.extensionUri.fsPath);
+    /**
+     * Load the workspace mock file (or `filePath`), reporting a missing or invalid file.
+     * @returns {import('./activityEngine/mocks').ActivityMocks|null}
+     */
+    _loadMocks(workspaceRoot, filePath) {
+        try {
+            const mocks = loadMocks(workspaceRoot, filePath);
+            if (!mocks) {
+                vscode.window.showErrorMessage(`Mock file ${filePath ?? MOCKS_FILE} not found in the workspace — create it to run with mocks.`);
+            }
+            return mocks;
+        } catch (err) {
+            vscode.window.showErrorMessage(err.message);
+            return null;
+        }
+    }
 
-        // Extract a lightweight activity summary for the webview canvas layout
-        const pipelineActivities = (pipelineJson?.properties?.activities ?? []).map(a => ({
-            name:      a.name,
-            type:      a.type,
-            dependsOn: (a.dependsOn ?? []).map(d => ({ activity: d.activity })),
-        }));
+    /** Remember the outputs of the pipeline's latest run — "Run From Here" starts from them. */
+    _trackLastRun(runner, pipelineName) {
+        runner.on('pipelineEnd', () => {
+            LocalRunPanel.lastRuns.set(pipelineName, {
+                activityOutputs:  { ...runner.activityOutputs },
+                activityStatuses: { ...runner.activityStatuses },
+            });
+        });
+    }
 
-        this._openPanel(runner, pipelineName, pipelineActivities);
-        // runner.run() is called by the panel once the webview sends 'ready'
+    /** Persist a finished run to the workspace run history. */
+    _saveRun(runner, end, filePath, snapshots) {
+        if (!runner.workspaceRoot) return;
+        try {
+            const record = recordFromRunner(runner, end, {
+                pipelineFile: filePath ? path.relative(runner.workspaceRoot, filePath) : null,
+                activities:   _activitySummary(runner.pipelineJson),
+            });
+            saveRun(runner.workspaceRoot, record, snapshots);
+            this._onDidSaveRun.fire(record);
+        } catch (err) {
+            vscode.window.showWarningMessage(`Could not save the local run to the run history: ${err.message}`);
+        }
     }
 
     // ─── WebView panel ────────────────────────────────────────────────────────
 
-    _openPanel(runner, pipelineName, pipelineActivities) {
+    /**
+     * @param {object}  [options]
+     * @param {boolean} [options.started]     runner is already running (background ExecutePipeline child)
+     * @param {string}  [options.parentName]  pipeline that started it, shown in the tab title
+     * @param {string}  [options.filePath]    pipeline file, recorded in the run history
+     */
+    _openPanel(runner, pipelineName, { started = false, parentName = null, filePath = null } = {}) {
         const panel = vscode.window.createWebviewPanel(
             'localRunViewer',
-            `▶ ${pipelineName}`,
+            parentName ? `▶ ${pipelineName} (from ${parentName})` : `▶ ${pipelineName}`,
             vscode.ViewColumn.Beside,
             {
                 enableScripts: true,
@@ -108,21 +346,66 @@ class LocalRunPanel {
             }
         );
 
+        const debug = runner.debugSession;
+
         LocalRunPanel.panels.set(runner.runId, panel);
         panel.onDidDispose(() => {
             LocalRunPanel.panels.delete(runner.runId);
+            breakpointSub.dispose();
             runner.cancel();
         }, null, this.context.subscriptions);
 
         // Deliver initial (empty) HTML immediately so the panel is visible
-        panel.webview.html = this._getHtml(panel.webview, pipelineName, runner.runId, pipelineActivities);
+        panel.webview.html = this._getHtml(panel.webview, pipelineName, runner.runId, _activitySummary(runner.pipelineJson), {
+            debug:       !!debug,
+            breakpoints: this.breakpoints.get(pipelineName),
+            runScope:    _runScopeLabel(runner),
+            mocks:       runner.mocks?.source ? path.relative(runner.workspaceRoot, runner.mocks.source) : null,
+        });
+
+        // Messages are queued until the webview script is loaded — a background run
+        // emits events before its panel is ready
+        let ready = false;
+        const queued = [];
+        const post = (msg) => { if (ready) panel.webview.postMessage(msg); else queued.push(msg); };
+
+        // Breakpoint edits (here or on the canvas) apply to a debug run in progress
+        const breakpointSub = this.breakpoints.onDidChange(({ pipelineName: changed, names }) => {
+            debug?.setBreakpoints(changed, names);
+            if (changed === pipelineName) post({ command: 'breakpoints', names });
+        });
 
         // Forward runner events to the webview
         runner.on('activityUpdate', (update) => {
-            panel.webview.postMessage({ command: 'activityUpdate', ...update });
+            post({ command: 'activityUpdate', ...update });
         });
         runner.on('pipelineEnd', (event) => {
-            panel.webview.postMessage({ command: 'pipelineEnd', ...event });
+            post({ command: 'pipelineEnd', ...event });
+        });
+        runner.on('runWarning', (warning) => {
+            post({ command: 'runWarning', ...warning });
+        });
+
+        // Debugger: state shown while paused goes through the runner's secret redaction, and each
+        // activity output through its secureOutput policy (nested activities included)
+        const postPaused = (paused) => {
+            post({ command: 'debugPaused', ...paused, variables: runner._mask(paused.variables, false), activityOutputs: runner._maskedActivityOutputs(paused.activityOutputs) });
+        };
+        if (debug) {
+            debug.on('paused', (paused) => {
+                postPaused(paused);
+                panel.reveal(undefined, true);
+            });
+            debug.on('resumed', (resumed) => post({ command: 'debugResumed', ...resumed }));
+        }
+
+        // Fire-and-forget ExecutePipeline children get their own tab
+        runner.on('detachedRun', (d) => {
+            this._openPanel(d.runner, d.pipelineName, { started: true, parentName: pipelineName });
+            post({ command: 'detachedRun', activityName: d.parentActivity, runId: d.runId, pipelineName: d.pipelineName, status: 'Running' });
+        });
+        runner.on('detachedRunEnd', (d) => {
+            post({ command: 'detachedRun', activityName: d.parentActivity, runId: d.runId, pipelineName: d.pipelineName, status: d.status });
         });
 
         // Per-activity snapshot store so the user can re-open snapshots after they close
@@ -131,19 +414,66 @@ class LocalRunPanel {
         runner.on('notebookSnapshot', (snapshotData) => {
             snapshots.set(snapshotData.activityName, snapshotData);
             NotebookSnapshotPanel.show(this.context, snapshotData);
-            panel.webview.postMessage({ command: 'snapshotAvailable', activityName: snapshotData.activityName });
+            post({ command: 'snapshotAvailable', activityName: snapshotData.activityName });
+        });
+
+        // Saved when the run ends, and again when a fire-and-forget child ends afterwards so the
+        // record gets the child's status and activity records
+        let ended = null;
+        runner.on('pipelineEnd', (event) => {
+            ended = event;
+            this._saveRun(runner, event, filePath, snapshots);
+        });
+        runner.on('detachedRunEnd', () => {
+            if (ended) this._saveRun(runner, ended, filePath, snapshots);
         });
 
         // Handle messages from webview (cancel, show details, and ready signal)
         panel.webview.onDidReceiveMessage(async (msg) => {
             switch(msg.command) {
                 case 'ready':
-                    // Webview script is loaded — safe to start the runner now
-                    runner.run().catch(() => {});
+                    // Webview script is loaded — flush queued events and start the runner
+                    ready = true;
+                    for (const m of queued.splice(0)) panel.webview.postMessage(m);
+                    if (!started) runner.run().catch(() => {});
                     break;
-                case 'cancel':
+                case 'cancel': {
                     runner.cancel();
+                    const running = runner.detachedRuns.filter(d => d.status === 'Running');
+                    if (running.length > 0) {
+                        const choice = await vscode.window.showWarningMessage(
+                            `"${pipelineName}" started ${running.length} background pipeline run${running.length !== 1 ? 's' : ''} ` +
+                            `that ${running.length !== 1 ? 'are' : 'is'} still running. Cancel ${running.length !== 1 ? 'them' : 'it'} too?`,
+                            'Cancel Background Runs', 'Keep Running'
+                        );
+                        if (choice === 'Cancel Background Runs') runner.cancel({ includeDetached: true });
+                    }
                     break;
+                }
+                case 'openRun':
+                    LocalRunPanel.panels.get(msg.runId)?.reveal();
+                    break;
+                case 'toggleBreakpoint':
+                    await this.breakpoints.toggle(pipelineName, msg.activityName);
+                    break;
+                case 'debugContinue':
+                    debug?.continue();
+                    break;
+                case 'debugStep':
+                    debug?.step();
+                    break;
+                case 'debugSkip':
+                    if (debug?.paused && msg.output !== undefined) debug.setActivityOutput(debug.paused.activityName, msg.output);
+                    debug?.skip();
+                    break;
+                case 'debugSetVariable':
+                case 'debugSetOutput': {
+                    const applied = msg.command === 'debugSetVariable'
+                        ? debug?.setVariable(msg.name, msg.value)
+                        : debug?.setActivityOutput(msg.name, msg.value);
+                    if (applied) postPaused(debug.paused);
+                    break;
+                }
                 case 'openSnapshot': {
                     const snap = snapshots.get(msg.activityName);
                     if (snap) NotebookSnapshotPanel.show(this.context, snap);
@@ -153,7 +483,7 @@ class LocalRunPanel {
         }, undefined, this.context.subscriptions);
     }
 
-    _getHtml(webview, pipelineName, runId, pipelineActivities) {
+    _getHtml(webview, pipelineName, runId, pipelineActivities, { debug = false, breakpoints = [], runScope = null, history = false, mocks = null } = {}) {
         const mediaUri = (name) => webview.asWebviewUri(
             vscode.Uri.joinPath(this.context.extensionUri, 'media', name)
         );
@@ -207,6 +537,11 @@ class LocalRunPanel {
         var RUN_ID              = ${JSON.stringify(runId)};
         var PIPELINE_ACTIVITIES = ${JSON.stringify(pipelineActivities)};
         var ACTIVITY_ICONS      = ${JSON.stringify(activityIconsMap)};
+        var DEBUG_MODE          = ${JSON.stringify(debug)};
+        var BREAKPOINTS         = ${JSON.stringify(breakpoints)};
+        var RUN_SCOPE           = ${JSON.stringify(runScope)};
+        var HISTORY_MODE        = ${JSON.stringify(history)};
+        var MOCKS_FILE          = ${JSON.stringify(mocks)};
     </script>
     <div id="app"></div>
     <div id="popover-root"></div>
@@ -227,7 +562,8 @@ async function promptParameters(pipelineName, paramDefs) {
     for (const name of paramNames) {
         const def  = paramDefs[name];
         const type = (def.type || 'String').toLowerCase();
-        const defaultValue = def.defaultValue !== undefined ? String(def.defaultValue) : '';
+        const defaultValue = def.defaultValue === undefined ? ''
+            : (typeof def.defaultValue === 'object' ? JSON.stringify(def.defaultValue) : String(def.defaultValue));
 
         if (type === 'bool') {
             const picked = await vscode.window.showQuickPick(
@@ -270,8 +606,124 @@ async function promptParameters(pipelineName, paramDefs) {
     return parameters;
 }
 
+// ─── Global parameter prompt ──────────────────────────────────────────────────
+// Picks a profile (when global-parameters.json defines any), then lets the user
+// override the global parameters this pipeline references. Parameters the pipeline
+// does not reference keep their profile value without prompting.
+// Returns { name: value } or null if user cancelled.
+
+async function promptGlobalParameters(pipelineName, pipelineJson, workspaceRoot) {
+    const referenced = findGlobalParameterRefs(pipelineJson?.properties?.activities);
+    let loaded = loadGlobalParameters(workspaceRoot);
+    if (referenced.length === 0) return globalParameterValues(loaded.definitions);
+
+    if (loaded.profiles.length > 0) {
+        const picked = await vscode.window.showQuickPick(
+            loaded.profiles.map(name => ({ label: name, description: name === loaded.profile ? 'default' : '' })),
+            { placeHolder: `${pipelineName} › Global parameter profile` }
+        );
+        if (picked === undefined) return null;
+        loaded = loadGlobalParameters(workspaceRoot, picked.label);
+    }
+
+    // Match references to definitions case-insensitively, as the evaluator does
+    const byLower = new Map(Object.keys(loaded.definitions).map(n => [n.toLowerCase(), n]));
+    const defs = {};
+    for (const ref of referenced) {
+        const name = byLower.get(ref.toLowerCase());
+        if (name) defs[name] = { type: loaded.definitions[name].type, defaultValue: loaded.definitions[name].value };
+    }
+    const overrides = await promptParameters(`${pipelineName} › globalParameters`, defs);
+    if (overrides === null) return null;
+    return { ...globalParameterValues(loaded.definitions), ...overrides };
+}
+
+// ─── Trigger metadata prompt ──────────────────────────────────────────────────
+// Lets the user simulate the trigger that would start the pipeline in the service,
+// so @trigger() and @pipeline().Trigger* resolve to realistic values.
+// Returns the runner's triggerInfo object, or null if user cancelled.
+
+const TRIGGER_KINDS = [
+    { label: 'Manual',          type: 'Manual',                description: 'Debug run — no trigger outputs', fields: [] },
+    { label: 'Schedule',        type: 'ScheduleTrigger',       description: 'trigger().scheduledTime',
+      fields: [{ key: 'scheduledTime', label: 'Scheduled time (UTC)', isTime: true }] },
+    { label: 'Tumbling window', type: 'TumblingWindowTrigger', description: 'trigger().outputs.windowStartTime / windowEndTime',
+      fields: [
+          { key: 'windowStartTime', label: 'Window start (UTC)', isTime: true },
+          { key: 'windowEndTime',   label: 'Window end (UTC)',   isTime: true },
+      ] },
+    { label: 'Storage event',   type: 'BlobEventsTrigger',     description: 'trigger().outputs.body.folderPath / fileName',
+      fields: [
+          { key: 'folderPath', label: 'Folder path (container/folder)' },
+          { key: 'fileName',   label: 'File name' },
+      ] },
+];
+
+async function promptTriggerInfo(pipelineName) {
+    const kind = await vscode.window.showQuickPick(TRIGGER_KINDS, {
+        placeHolder: `${pipelineName} › Simulate trigger`,
+    });
+    if (kind === undefined) return null;
+
+    // Default to the most recent full hour (the last window an hourly trigger would have fired for)
+    const hourEnd = new Date();
+    hourEnd.setUTCMinutes(0, 0, 0);
+    const defaults = {
+        scheduledTime:   hourEnd.toISOString(),
+        windowStartTime: new Date(hourEnd.getTime() - 3600 * 1000).toISOString(),
+        windowEndTime:   hourEnd.toISOString(),
+    };
+
+    const info = { type: kind.type };
+    for (const field of kind.fields) {
+        const value = await vscode.window.showInputBox({
+            prompt: `${pipelineName} › trigger › ${field.label}`,
+            value:  defaults[field.key] ?? '',
+            validateInput: (val) => {
+                if (!field.isTime || !val.trim()) return null;
+                try { parseTimestamp(val); } catch { return 'Must be a timestamp, e.g. 2024-01-01T00:00:00Z'; }
+                return null;
+            }
+        });
+        if (value === undefined) return null; // user pressed Escape
+        if (value.trim()) info[field.key] = value.trim();
+    }
+    return info;
+}
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+function _usesTriggerMetadata(pipelineJson) {
+    return /trigger\(\)|pipeline\(\)\??\.Trigger(?:Type|Time|Name|Id)\b/i.test(JSON.stringify(pipelineJson?.properties?.activities ?? []));
+}
+
+/** Lightweight activity summary for the webview canvas layout. */
+function _activitySummary(pipelineJson) {
+    return (pipelineJson?.properties?.activities ?? []).map(a => ({
+        name:      a.name,
+        type:      a.type,
+        dependsOn: (a.dependsOn ?? []).map(d => ({ activity: d.activity })),
+    }));
+}
+
+/** Pipeline file of a saved run: the recorded path, else pipeline/<name>.json as ExecutePipeline resolves it. */
+function _findPipelineFile(workspaceRoot, record) {
+    const candidates = [
+        record.pipelineFile ? path.join(workspaceRoot, record.pipelineFile) : null,
+        path.join(workspaceRoot, 'pipeline', `${record.pipelineName}.json`),
+    ];
+    return candidates.find(f => f && fs.existsSync(f)) ?? null;
+}
+
+/** Viewer label for a partial run (a runner or a saved run record), or null for a full run. */
+function _runScopeLabel(runner) {
+    const names = (list) => list.map(n => `"${n}"`).join(', ');
+    const parts = [];
+    if (runner.startActivities?.length) parts.push(`from ${names(runner.startActivities)}`);
+    if (runner.stopActivities?.length)  parts.push(`until ${names(runner.stopActivities)}`);
+    return parts.length > 0 ? parts.join(' ') : null;
+}
+
 function _escHtml(s) {
     return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
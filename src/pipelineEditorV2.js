@@ -14,8 +14,18 @@ class PipelineEditorV2Provider {
 	static initializedPanels = new Set(); // Set<filePath> — panels that sent 'ready'
 	static pendingLoads = new Map();     // Map<filePath, postMessage payload>
 
-	constructor(context) {
+	constructor(context, breakpoints) {
 		this.context = context;
+		this.breakpoints = breakpoints;
+
+		// Keep breakpoint markers in sync with toggles made elsewhere (Local Run view, other panels)
+		context.subscriptions.push(breakpoints.onDidChange(({ pipelineName, names }) => {
+			for (const [filePath, panel] of PipelineEditorV2Provider.panels) {
+				if (path.basename(filePath, '.json') === pipelineName) {
+					panel.webview.postMessage({ type: 'breakpoints', names });
+				}
+			}
+		}));
 	}
 
 	markPanelAsDirty(filePath, isDirty) {
@@ -170,6 +180,25 @@ class PipelineEditorV2Provider {
 					case 'log':
 						console.log('[V2 Webview]', message.text);
 						break;
+					case 'toggleBreakpoint':
+						if (!filePath) {
+							vscode.window.showInformationMessage('Save the pipeline before setting breakpoints.');
+							break;
+						}
+						await this.breakpoints.toggle(path.basename(filePath, '.json'), message.activityName);
+						break;
+					case 'partialRun': {
+						// Local runs read the pipeline from disk
+						if (!filePath || PipelineEditorV2Provider.dirtyStates.get(filePath)) {
+							vscode.window.showWarningMessage('Save the pipeline before running it locally.');
+							break;
+						}
+						const command = message.mode === 'until'
+							? 'adf-pipeline-clone.debugUntilActivity'
+							: 'adf-pipeline-clone.runFromActivity';
+						await vscode.commands.executeCommand(command, { filePath }, message.activityName);
+						break;
+					}
 					case 'openAsset': {
 						const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri?.fsPath;
 						if (!workspaceRoot || !message.assetName) break;
@@ -273,7 +302,8 @@ class PipelineEditorV2Provider {
 					: raw
 			);
 
-			const msg = { type: 'loadPipeline', data: pipelineJson, flatActivities, filePath };
+			const breakpoints = this.breakpoints.get(path.basename(filePath, '.json'));
+			const msg = { type: 'loadPipeline', data: pipelineJson, flatActivities, filePath, breakpoints };
 
 			const panel = this.createOrShow(filePath);
 
@@ -1,7 +1,7 @@
 const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs');
-const { ADLSRestClient } = require('./adlsRestClient');
+const { adlsClientForAccount } = require('./activityEngine/storageBackends');
 
 const REQUEST_FOLDER = 'pipeline-run-requests';
 const PENDING_FOLDER = `${REQUEST_FOLDER}/pending`;
@@ -65,6 +65,11 @@ class PipelineRequestTreeDataProvider {
         this.viewerProvider = provider;
     }
 
+    // Storage client for the request account (endpoint / key overrides in synapse-local-run.json)
+    _client() {
+        return adlsClientForAccount(this.storageAccountName, vscode.workspace.workspaceFolders?.[0]?.uri.fsPath, this.context.extensionPath);
+    }
+
     refresh() {
         this._onDidChangeTreeData.fire();
     }
@@ -95,7 +100,7 @@ class PipelineRequestTreeDataProvider {
     }
 
     async _loadRequests() {
-        const client = new ADLSRestClient(this.storageAccountName);
+        const client = this._client();
 
         const loaded = [];
         for (const folder of [PENDING_FOLDER, PROCESSED_FOLDER]) {
@@ -341,7 +346,7 @@ class PipelineRequestTreeDataProvider {
                     errorMessage: null
                 };
 
-                const client = new ADLSRestClient(this.storageAccountName);
+                const client = this._client();
                 await client.writeFile(this.selectedContainer, blobPath, JSON.stringify(requestPayload, null, 2));
 
                 // Update status cache so we don't fire a spurious "changed" notification on next refresh
@@ -481,7 +486,7 @@ class PipelineRequestTreeDataProvider {
                 const updated = { ...req, status: 'cancelled', statusUpdatedAt: now.toISOString() };
                 delete updated._blobPath;
                 delete updated._blobFolder;
-                const client = new ADLSRestClient(this.storageAccountName);
+                const client = this._client();
                 // Write to processed/ then delete from pending/
                 const fileName = req._blobPath.split('/').pop();
                 const processedPath = `${PROCESSED_FOLDER}/${fileName}`;
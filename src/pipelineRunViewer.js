@@ -1,5 +1,5 @@
 const vscode = require('vscode');
-const { ADLSRestClient } = require('./adlsRestClient');
+const { adlsClientForAccount } = require('./activityEngine/storageBackends');
 
 class PipelineRunViewerProvider {
     static panels = new Map(); // Map<runFolder, panel>
@@ -8,6 +8,11 @@ class PipelineRunViewerProvider {
         this.context = context;
     }
 
+    // Storage client for the run-log account (endpoint / key overrides in synapse-local-run.json)
+    _client(storageAccountName) {
+        return adlsClientForAccount(storageAccountName, vscode.workspace.workspaceFolders?.[0]?.uri.fsPath, this.context.extensionPath);
+    }
+
     async openPipelineRun(storageAccountName, containerName, runFolder, runInfo) {
         const column = vscode.window.activeTextEditor
             ? vscode.window.activeTextEditor.viewColumn
@@ -40,7 +45,7 @@ class PipelineRunViewerProvider {
 
         // Load activity runs from ADLS
         try {
-            const client = new ADLSRestClient(storageAccountName);
+            const client = this._client(storageAccountName);
             const activityRunsPath = `pipeline-runs/${runFolder}/activity_runs.json`;
             const content = await client.readFile(containerName, activityRunsPath);
             const activityRuns = JSON.parse(content);
@@ -99,7 +104,7 @@ class PipelineRunViewerProvider {
 
     async openNotebookSnapshot(storageAccountName, containerName, runFolder, activity) {
         try {
-            const client = new ADLSRestClient(storageAccountName);
+            const client = this._client(storageAccountName);
             
             // Show progress
             await vscode.window.withProgress({
@@ -1,5 +1,5 @@
 const vscode = require('vscode');
-const { ADLSRestClient } = require('./adlsRestClient');
+const { adlsClientForAccount } = require('./activityEngine/storageBackends');
 const { exec } = require('child_process');
 const util = require('util');
 
@@ -42,6 +42,11 @@ class PipelineRunsTreeDataProvider {
         }
     }
 
+    // Storage client for the run-log account (endpoint / key overrides in synapse-local-run.json)
+    _client() {
+        return adlsClientForAccount(this.storageAccountName, vscode.workspace.workspaceFolders?.[0]?.uri.fsPath, this.context.extensionPath);
+    }
+
     /**
      * Set the viewer provider
      */
@@ -67,8 +72,8 @@ class PipelineRunsTreeDataProvider {
      * Get children for tree hierarchy
      */
     async getChildren(element) {
-        // Check if user is logged in
-        const isLoggedIn = await this.checkAzLogin();
+        // Check if user is logged in (not needed with a shared key or SAS override)
+        const isLoggedIn = this._client().authMode !== 'token' || await this.checkAzLogin();
         
         if (!isLoggedIn) {
             return [new MessageItem('Please login using "az login"', 'not-logged-in')];
@@ -109,7 +114,7 @@ class PipelineRunsTreeDataProvider {
      */
     async loadPipelineRuns() {
         try {
-            const client = new ADLSRestClient(this.storageAccountName);
+            const client = this._client();
             
             // List all directories in pipeline-runs folder
             const paths = await client.listPaths(
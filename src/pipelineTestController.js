@@ -0,0 +1,139 @@
+'use strict';
+// pipelineTestController.js — shows pipeline-tests/*.test.json in VS Code's Test Explorer and
+// runs them with the local runner (activityEngine/pipelineTests.js).
+//
+// Test tree: one item per spec file, one child per entry of its "tests" array. A spec file that
+// cannot be parsed shows as a single item carrying the error.
+
+const vscode = require('vscode');
+const path   = require('path');
+const fs     = require('fs');
+const { TESTS_DIR, TEST_FILE_SUFFIX, findTestFiles, loadTestSpec, runPipelineTest } = require('./activityEngine/pipelineTests');
+
+class PipelineTestController {
+    constructor(context) {
+        this.context    = context;
+        this.controller = vscode.tests.createTestController('adfPipelineTests', 'ADF Pipeline Tests');
+        context.subscriptions.push(this.controller);
+
+        this.controller.resolveHandler = async () => this.discover();
+        this.controller.refreshHandler = async () => this.discover();
+        this.controller.createRunProfile('Run', vscode.TestRunProfileKind.Run, (request, token) => this.run(request, token), true);
+
+        const folder = vscode.workspace.workspaceFolders?.[0];
+        if (folder) {
+            const watcher = vscode.workspace.createFileSystemWatcher(
+                new vscode.RelativePattern(folder, `${TESTS_DIR}/**/*${TEST_FILE_SUFFIX}`)
+            );
+            watcher.onDidCreate(uri => this._loadFile(uri.fsPath));
+            watcher.onDidChange(uri => this._loadFile(uri.fsPath));
+            watcher.onDidDelete(uri => this.controller.items.delete(uri.toString()));
+            context.subscriptions.push(watcher);
+        }
+    }
+
+    get workspaceRoot() {
+        return vscode.workspace.workspaceFolders?.[0]?.uri?.fsPath;
+    }
+
+    /** (Re)build the whole test tree from disk. */
+    discover() {
+        const files = findTestFiles(this.workspaceRoot);
+        const keep  = new Set(files.map(f => vscode.Uri.file(f).toString()));
+        this.controller.items.forEach(item => { if (!keep.has(item.id)) this.controller.items.delete(item.id); });
+        for (const file of files) this._loadFile(file);
+    }
+
+    _loadFile(filePath) {
+        const uri  = vscode.Uri.file(filePath);
+        const item = this.controller.items.get(uri.toString())
+            ?? this.controller.createTestItem(uri.toString(), path.relative(path.join(this.workspaceRoot, TESTS_DIR), filePath), uri);
+        this.controller.items.add(item);
+        item.children.replace([]);
+        item.error = undefined;
+
+        let spec, text;
+        try {
+            text = fs.readFileSync(filePath, 'utf8');
+            spec = loadTestSpec(filePath);
+        } catch (err) {
+            item.error = err.message;
+            return;
+        }
+        item.description = spec.pipeline;
+        const lines = text.split(/\r?\n/);
+        for (const test of spec.tests) {
+            const child = this.controller.createTestItem(`${uri.toString()}#${test.name}`, test.name, uri);
+            // Point "Go to Test" at the test's "name" line
+            const line = lines.findIndex(l => l.includes(JSON.stringify(test.name)) && /"name"\s*:/.test(l));
+            if (line >= 0) child.range = new vscode.Range(line, 0, line, lines[line].length);
+            item.children.add(child);
+        }
+    }
+
+    async run(request, token) {
+        const run = this.controller.createTestRun(request);
+        const queue = [];
+        const collect = (item) => {
+            if (request.exclude?.includes(item)) return;
+            if (item.children.size > 0) item.children.forEach(collect);
+            else if (item.parent) queue.push(item);
+        };
+        if (request.include) request.include.forEach(collect);
+        else {
+            this.discover();
+            this.controller.items.forEach(collect);
+        }
+        queue.forEach(item => run.enqueued(item));
+
+        const specs = new Map(); // spec file → parsed spec, loaded once per run
+        for (const item of queue) {
+            if (token.isCancellationRequested) { run.skipped(item); continue; }
+            const specFile = item.uri.fsPath;
+            try {
+                if (!specs.has(specFile)) specs.set(specFile, loadTestSpec(specFile));
+            } catch (err) {
+                run.errored(item, new vscode.TestMessage(err.message));
+                continue;
+            }
+            const spec = specs.get(specFile);
+            const test = spec.tests.find(t => t.name === item.label);
+            if (!test) { run.skipped(item); continue; }
+
+            run.started(item);
+            const result = await runPipelineTest(this.workspaceRoot, spec, test, {
+                specFile,
+                onRunner: (runner) => {
+                    const sub = token.onCancellationRequested(() => runner.cancel());
+                    runner.on('pipelineEnd', () => sub.dispose());
+                    runner.on('activityUpdate', (u) => {
+                        if (u.status === 'Succeeded' || u.status === 'Failed') {
+                            const where = u.parentActivity != null ? `${u.parentActivity} › ` : '';
+                            run.appendOutput(`${where}${u.name}: ${u.status}${u.error ? ` — ${u.error}` : ''}\r\n`, undefined, item);
+                        }
+                    });
+                },
+            });
+
+            if (result.passed) {
+                run.passed(item, result.durationMs);
+            } else {
+                const messages = result.failures.map(f => {
+                    const message = f.expected !== undefined
+                        ? vscode.TestMessage.diff(f.message, JSON.stringify(f.expected, null, 2), JSON.stringify(f.actual ?? null, null, 2))
+                        : new vscode.TestMessage(f.message);
+                    message.location = item.range ? new vscode.Location(item.uri, item.range) : undefined;
+                    return message;
+                });
+                if (result.error) messages.push(new vscode.TestMessage(`Pipeline error: ${result.error}`));
+                for (const [name, error] of Object.entries(result.errors)) {
+                    messages.push(new vscode.TestMessage(`Activity "${name}" failed: ${error}`));
+                }
+                run.failed(item, messages, result.durationMs);
+            }
+        }
+        run.end();
+    }
+}
+
+module.exports = { PipelineTestController };
@@ -45,8 +45,12 @@ class PipelineValidatorPanel {
 
         this._openOrUpdatePanel(pipelineName, filePath, result, totalErrors);
 
+        const totalWarnings = Object.values(result.activityWarnings ?? {}).reduce((s, w) => s + w.length, 0);
         if (totalErrors === 0) {
-            vscode.window.showInformationMessage(`Pipeline "${pipelineName}" is valid — no errors found.`);
+            vscode.window.showInformationMessage(
+                `Pipeline "${pipelineName}" is valid — no errors found` +
+                (totalWarnings ? ` (${totalWarnings} warning${totalWarnings === 1 ? '' : 's'}).` : '.')
+            );
         } else {
             vscode.window.showWarningMessage(
                 `Pipeline "${pipelineName}" has ${totalErrors} validation error${totalErrors === 1 ? '' : 's'}.`
@@ -86,6 +90,8 @@ class PipelineValidatorPanel {
                 const newErrors = newResult.pipelineErrors.length +
                     Object.values(newResult.activityErrors).reduce((s, e) => s + e.length, 0);
                 panel.webview.postMessage({ command: 'updateResults', result: newResult, totalErrors: newErrors, timestamp: new Date().toISOString() });
+            } else if (msg.command === 'revealActivity') {
+                await _revealActivity(filePath, msg.activityName);
             }
         }, undefined, this.context.subscriptions);
     }
@@ -118,6 +124,19 @@ class PipelineValidatorPanel {
     }
 }
 
+/** Open the pipeline JSON and select the activity's "name" property. */
+async function _revealActivity(filePath, activityName) {
+    const doc    = await vscode.workspace.openTextDocument(filePath);
+    const quoted = JSON.stringify(String(activityName)).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const m      = new RegExp(`"name"\\s*:\\s*${quoted}`).exec(doc.getText());
+    const editor = await vscode.window.showTextDocument(doc, vscode.ViewColumn.One);
+    if (m) {
+        const range = new vscode.Range(doc.positionAt(m.index), doc.positionAt(m.index + m[0].length));
+        editor.selection = new vscode.Selection(range.start, range.end);
+        editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
+    }
+}
+
 function _escHtml(s) {
     return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
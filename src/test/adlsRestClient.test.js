@@ -0,0 +1,191 @@
+'use strict';
+// adlsRestClient.test.js — Unit tests for src/adlsRestClient.js and the storage endpoint / credential
+// resolution in src/activityEngine/storageBackends.js
+//
+// Run with:  npx jest src/test/adlsRestClient.test.js
+//
+// Coverage: connection strings, shared key and SAS auth against an in-process Blob service
+// (path-style URLs like Azurite), custom and sovereign-cloud endpoints, synapse-local-run.json
+// overrides.
+
+const fs   = require('fs');
+const os   = require('os');
+const http = require('http');
+const path = require('path');
+const { URL } = require('url');
+const { LocalPipelineRunner } = require('../activityEngine/localRunner');
+const { storageBackendFor, createStorageClient, adlsClientForAccount } = require('../activityEngine/storageBackends');
+const { resolveDatasetToAdls } = require('../activityEngine/datasetResolver');
+const { ADLSRestClient, parseConnectionString } = require('../adlsRestClient');
+
+/** Build the minimal pipeline JSON structure needed by LocalPipelineRunner. */
+function makePipeline(activities, parameters = {}, variables = {}) {
+    return {
+        name: 'TestPipeline',
+        properties: {
+            activities,
+            parameters: Object.fromEntries(
+                Object.entries(parameters).map(([k, v]) => [k, { type: 'String', defaultValue: v }])
+            ),
+            variables: Object.fromEntries(
+                Object.entries(variables).map(([k, v]) => [k, { type: typeof v === 'boolean' ? 'Boolean' : Array.isArray(v) ? 'Array' : 'String', defaultValue: v }])
+            ),
+        },
+    };
+}
+
+describe('ADLSRestClient — custom endpoints and key / SAS auth', () => {
+    const DEV_KEY = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+    let server, endpoint, blobs, requests, workspaceRoot;
+
+    // Minimal Blob service: path-style URLs like Azurite, List Blobs with prefix / delimiter
+    function fakeBlobService(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, url: req.url, headers: req.headers });
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+            if (url.searchParams.get('comp') === 'list') {
+                const prefix = url.searchParams.get('prefix') ?? '';
+                const delimiter = url.searchParams.get('delimiter');
+                const names = [...blobs.keys()].filter(k => k.startsWith(`${url.pathname}/${prefix}`)).map(k => k.slice(url.pathname.length + 1));
+                const folders = new Set(delimiter ? names.filter(n => n.slice(prefix.length).includes('/')).map(n => prefix + n.slice(prefix.length).split('/')[0] + '/') : []);
+                const files = names.filter(n => !delimiter || !n.slice(prefix.length).includes('/'));
+                res.end('<?xml version="1.0"?><EnumerationResults><Blobs>'
+                    + [...folders].map(f => `<BlobPrefix><Name>${f}</Name></BlobPrefix>`).join('')
+                    + files.map(f => `<Blob><Name>${f}</Name><Properties><Content-Length>${blobs.get(`${url.pathname}/${f}`).length}</Content-Length></Properties></Blob>`).join('')
+                    + '</Blobs><NextMarker /></EnumerationResults>');
+            } else if (req.method === 'PUT') {
+                blobs.set(decodeURIComponent(url.pathname), Buffer.concat(chunks));
+                res.statusCode = 201;
+                res.end();
+            } else if (req.method === 'DELETE') {
+                res.statusCode = blobs.delete(decodeURIComponent(url.pathname)) ? 202 : 404;
+                res.end();
+            } else {
+                const blob = blobs.get(decodeURIComponent(url.pathname));
+                if (!blob) { res.statusCode = 404; res.end(); return; }
+                res.setHeader('Content-Length', blob.length);
+                res.end(req.method === 'HEAD' ? undefined : blob);
+            }
+        });
+    }
+
+    const write = (rel, json) => {
+        const file = path.join(workspaceRoot, rel);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(json));
+    };
+
+    beforeEach(async () => {
+        blobs = new Map();
+        requests = [];
+        server = http.createServer(fakeBlobService);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}/devstoreaccount1`;
+        workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-azurite-'));
+    });
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    test('parseConnectionString reads emulator and account connection strings', () => {
+        expect(parseConnectionString('UseDevelopmentStorage=true')).toEqual({
+            accountName: 'devstoreaccount1', accountKey: DEV_KEY, sasToken: null, endpoint: null,
+            blobEndpoint: 'http://127.0.0.1:10000/devstoreaccount1',
+        });
+        const conn = parseConnectionString('DefaultEndpointsProtocol=https;AccountName=lake;AccountKey=a2V5;EndpointSuffix=core.usgovcloudapi.net');
+        expect(conn.endpoint).toBe('https://lake.dfs.core.usgovcloudapi.net');
+        expect(conn.blobEndpoint).toBe('https://lake.blob.core.usgovcloudapi.net');
+        expect(new ADLSRestClient('ignored', { connectionString: 'UseDevelopmentStorage=true' })).toMatchObject({
+            storageAccountName: 'devstoreaccount1', api: 'blob', authMode: 'sharedKey', blobUrl: 'http://127.0.0.1:10000/devstoreaccount1',
+        });
+        expect(new ADLSRestClient('lake', { endpoint: 'https://lake.privatelink.dfs.core.windows.net/' }).api).toBe('dfs');
+    });
+
+    test('Lookup and Copy run against an emulator with shared key auth from the linked service', async () => {
+        blobs.set('/devstoreaccount1/raw/in/orders.csv', Buffer.from('id,total\n1,10\n2,20\n'));
+        write('linkedService/LS_Emulator.json', { name: 'LS_Emulator', properties: { type: 'AzureBlobStorage', typeProperties: {
+            connectionString: `DefaultEndpointsProtocol=http;AccountName=devstoreaccount1;AccountKey=${DEV_KEY};BlobEndpoint=${endpoint};`,
+        } } });
+        for (const [name, folderPath] of [['Orders', 'in'], ['OrdersOut', 'out']]) {
+            write(`dataset/${name}.json`, { name, properties: {
+                type: 'DelimitedText', linkedServiceName: { referenceName: 'LS_Emulator', type: 'LinkedServiceReference' },
+                typeProperties: { location: { type: 'AzureBlobStorageLocation', container: 'raw', folderPath, fileName: 'orders.csv' }, firstRowAsHeader: true, columnDelimiter: ',' },
+            } });
+        }
+        const ref = (name) => ({ referenceName: name, type: 'DatasetReference' });
+        const runner = new LocalPipelineRunner(makePipeline([
+            { name: 'Look', type: 'Lookup', dependsOn: [], typeProperties: { dataset: ref('Orders'), firstRowOnly: false } },
+            { name: 'CopyOut', type: 'Copy', dependsOn: [], inputs: [ref('Orders')], outputs: [ref('OrdersOut')],
+              typeProperties: { source: { type: 'DelimitedTextSource' }, sink: { type: 'DelimitedTextSink' } } },
+        ]), {}, workspaceRoot, workspaceRoot);
+        const updates = [];
+        runner.on('activityUpdate', u => updates.push({ ...u }));
+        await runner.run();
+
+        const done = (name) => updates.find(u => u.name === name && ['Succeeded', 'Failed'].includes(u.status));
+        expect(done('Look').status).toBe('Succeeded');
+        expect(done('Look').output.count).toBe(2);
+        expect(done('CopyOut').status).toBe('Succeeded');
+        expect(blobs.get('/devstoreaccount1/raw/out/orders.csv').toString()).toContain('2,20');
+        expect(requests.length).toBeGreaterThan(0);
+        for (const r of requests) {
+            expect(r.headers.authorization).toMatch(/^SharedKey devstoreaccount1:[A-Za-z0-9+/]+=*$/);
+            expect(r.headers['x-ms-date']).toBeTruthy();
+        }
+    });
+
+    test('SAS tokens go on the query string and recursive blob listings include virtual folders', async () => {
+        blobs.set('/devstoreaccount1/logs/pipeline-runs/r1/activity_runs.json', Buffer.from('[]'));
+        blobs.set('/devstoreaccount1/logs/pipeline-runs/r2/notebooks/nb_1.json', Buffer.from('{}'));
+        const client = new ADLSRestClient('devstoreaccount1', { endpoint, sasToken: '?sv=2022-11-02&sig=abc%3D' });
+        const top = await client.listPaths('logs', 'pipeline-runs', false);
+        expect(top).toEqual([
+            { name: 'pipeline-runs/r1', isDirectory: true, contentLength: 0, lastModified: null },
+            { name: 'pipeline-runs/r2', isDirectory: true, contentLength: 0, lastModified: null },
+        ]);
+        const all = (await client.listPaths('logs', 'pipeline-runs', true)).map(p => `${p.isDirectory ? 'd' : 'f'} ${p.name}`).sort();
+        expect(all).toEqual([
+            'd pipeline-runs/r1', 'd pipeline-runs/r2', 'd pipeline-runs/r2/notebooks',
+            'f pipeline-runs/r1/activity_runs.json', 'f pipeline-runs/r2/notebooks/nb_1.json',
+        ]);
+        await client.writeFile('logs', 'pipeline-runs/r1/note.txt', 'hello');
+        expect(await client.readFile('logs', 'pipeline-runs/r1/note.txt')).toBe('hello');
+        expect((await client.getFileProperties('logs', 'pipeline-runs/r1/note.txt')).contentLength).toBe('5');
+        await client.deleteFile('logs', 'pipeline-runs/r1/note.txt');
+        await expect(client.getFileProperties('logs', 'pipeline-runs/r1/note.txt')).rejects.toThrow(/404/);
+        for (const r of requests) {
+            expect(r.url).toContain('sig=abc%3D');
+            expect(r.headers.authorization).toBeUndefined();
+        }
+    });
+
+    test('linked service endpoints and credentials resolve, and synapse-local-run.json overrides them', () => {
+        write('linkedService/LS_Sovereign.json', { name: 'LS_Sovereign', properties: { type: 'AzureBlobFS', typeProperties: {
+            url: 'https://lake.dfs.core.chinacloudapi.cn/', accountKey: { type: 'SecureString', value: 'a2V5' },
+        } } });
+        write('linkedService/LS_Azurite.json', { name: 'LS_Azurite', properties: { type: 'AzureBlobFS', typeProperties: {
+            url: 'http://127.0.0.1:10000/devstoreaccount1', accountKey: { type: 'AzureKeyVaultSecret', secretName: 'key' },
+        } } });
+        for (const ls of ['LS_Sovereign', 'LS_Azurite']) {
+            write(`dataset/${ls}_Files.json`, { name: `${ls}_Files`, properties: {
+                type: 'Json', linkedServiceName: { referenceName: ls, type: 'LinkedServiceReference' },
+                typeProperties: { location: { type: 'AzureBlobFSLocation', fileSystem: 'raw', fileName: 'a.json' } },
+            } });
+        }
+        const sovereign = resolveDatasetToAdls('LS_Sovereign_Files', workspaceRoot);
+        expect(sovereign).toMatchObject({ storageAccount: 'lake', endpoint: 'https://lake.dfs.core.chinacloudapi.cn', auth: { accountKey: 'a2V5' } });
+        const azurite = resolveDatasetToAdls('LS_Azurite_Files', workspaceRoot);
+        expect(azurite).toMatchObject({ storageAccount: 'devstoreaccount1', endpoint: 'http://127.0.0.1:10000/devstoreaccount1', auth: null });
+
+        expect(createStorageClient(sovereign, {}, workspaceRoot)).toMatchObject({ baseUrl: 'https://lake.dfs.core.chinacloudapi.cn', authMode: 'sharedKey', api: 'dfs' });
+        const overridden = createStorageClient(azurite, { linkedServices: { LS_Azurite: { connectionString: 'UseDevelopmentStorage=true' } } }, workspaceRoot);
+        expect(overridden).toMatchObject({ api: 'blob', authMode: 'sharedKey', blobUrl: 'http://127.0.0.1:10000/devstoreaccount1' });
+        expect(storageBackendFor('LS_Other', { accounts: { lake: { sasToken: 'sig=x' } } }, 'lake').connection).toEqual({ sasToken: 'sig=x' });
+
+        write('synapse-local-run.json', { storage: { accounts: { runlogs: { endpoint, sasToken: 'sig=x' } } } });
+        expect(adlsClientForAccount('runlogs', workspaceRoot)).toMatchObject({ api: 'blob', authMode: 'sas', blobUrl: endpoint });
+    });
+});
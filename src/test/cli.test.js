@@ -0,0 +1,103 @@
+'use strict';
+// cli.test.js — Unit tests for src/cli.js (the adf-local command)
+//
+// Run with:  npx jest src/test/cli.test.js
+//
+// Coverage: argument parsing, the validate / run / test commands against a temporary workspace,
+// JSON and JUnit reports and exit codes.
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const cli  = require('../cli');
+
+describe('cli — adf-local', () => {
+    let workspaceRoot;
+    const write = (rel, json) => {
+        const file = path.join(workspaceRoot, rel);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(json));
+    };
+    async function adfLocal(...argv) {
+        const out = [], err = [];
+        const code = await cli.main(argv, { stdout: { write: s => out.push(s) }, stderr: { write: s => err.push(s) }, cwd: workspaceRoot });
+        return { code, stdout: out.join(''), stderr: err.join('') };
+    }
+
+    beforeEach(() => {
+        workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-cli-'));
+        write('pipeline/PL_Greet.json', {
+            name: 'PL_Greet',
+            properties: {
+                parameters: { who: { type: 'String', defaultValue: 'world' }, times: { type: 'Int' } },
+                variables:  { greeting: { type: 'String' } },
+                activities: [
+                    { name: 'GetName', type: 'Lookup', dependsOn: [], userProperties: [],
+                      typeProperties: { dataset: { referenceName: 'Names', type: 'DatasetReference' } } },
+                    { name: 'Greet', type: 'SetVariable', userProperties: [],
+                      dependsOn: [{ activity: 'GetName', dependencyConditions: ['Succeeded'] }],
+                      typeProperties: { variableName: 'greeting', value: { value: "@concat('hi ', pipeline().parameters.who, ' x', string(pipeline().parameters.times))", type: 'Expression' } } },
+                ],
+            },
+        });
+        write('dataset/Names.json', { name: 'Names', properties: { type: 'Json', typeProperties: {} } });
+        write('local-run-mocks.json', { activities: { GetName: { rows: [{ name: 'n' }] } } });
+    });
+    afterEach(() => fs.rmSync(workspaceRoot, { recursive: true, force: true }));
+
+    test('parseArgs collects repeated options and a bare --mock', () => {
+        expect(cli.parseArgs(['run', 'PL', '--param', 'a=1', '--param=b=2', '--mock', '--format', 'json'])).toEqual({
+            command: 'run', positional: ['PL'],
+            options: { param: ['a=1', 'b=2'], mock: true, format: 'json' },
+        });
+        expect(cli.coerceParameter('3', 'Int')).toBe(3);
+        expect(cli.coerceParameter('[1]', 'Array')).toEqual([1]);
+        expect(() => cli.coerceParameter('yes', 'Bool')).toThrow(/not a Bool/);
+    });
+
+    test('run with mocks reports JSON and exits 0 on success', async () => {
+        const { code, stdout } = await adfLocal('run', 'PL_Greet', '--param', 'times=2', '--mock', '--format', 'json');
+        expect(code).toBe(0);
+        const report = JSON.parse(stdout);
+        expect(report.status).toBe('Succeeded');
+        expect(report.variables.greeting).toBe('hi world x2');
+        expect(report.activityRuns.find(r => r.activityName === 'GetName').mocked).toBe(true);
+    });
+
+    test('run exits 1 with a JUnit failure when an activity fails', async () => {
+        write('failing-mocks.json', { activities: { GetName: { fail: 'no names' } } });
+        const { code, stdout } = await adfLocal('run', 'PL_Greet', '--mock', 'failing-mocks.json', '--format', 'junit');
+        expect(code).toBe(1);
+        expect(stdout).toContain('<testcase name="GetName" classname="PL_Greet"');
+        expect(stdout).toContain('<failure message="no names">');
+        expect(stdout).toContain('<testcase name="Greet" classname="PL_Greet" time="0"><skipped/></testcase>');
+    });
+
+    test('usage errors exit 2', async () => {
+        expect((await adfLocal('run', 'PL_Greet', '--param', 'nope=1')).stderr).toMatch(/has no parameter "nope"/);
+        expect((await adfLocal('run', 'Missing')).code).toBe(2);
+        expect((await adfLocal('frobnicate')).code).toBe(2);
+    });
+
+    test('validate reports invalid pipelines and exits 1', async () => {
+        write('pipeline/PL_Bad.json', { name: 'PL_Bad', properties: { variables: { v: { type: 'Nope' } }, activities: [] } });
+        const { code, stdout } = await adfLocal('validate', '--format', 'json');
+        expect(code).toBe(1);
+        const report = JSON.parse(stdout);
+        expect(report.pipelines.map(p => [p.name, p.errors.length > 0])).toEqual([['PL_Bad', true], ['PL_Greet', false]]);
+    });
+
+    test('test runs pipeline-tests specs', async () => {
+        write('pipeline-tests/greet.test.json', {
+            pipeline: 'PL_Greet', mocks: { activities: { GetName: { rows: [] } } }, parameters: { times: 1 },
+            tests: [
+                { name: 'default greeting', expect: { variables: { greeting: 'hi world x1' } } },
+                { name: 'wrong', parameters: { who: 'you' }, expect: { variables: { greeting: 'hi world x1' } } },
+            ],
+        });
+        const { code, stdout } = await adfLocal('test');
+        expect(code).toBe(1);
+        expect(stdout).toContain('✖ pipeline-tests/greet.test.json › wrong');
+        expect(stdout).toContain('1 passed, 1 failed.');
+    });
+});
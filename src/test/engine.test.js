@@ -10,7 +10,12 @@
 //   - validateActivity:    required-field checking
 //   - setVariableReturnValues transformer: all value types incl. Array, Boolean
 //   - Nested container activities are recursively deserialized/serialized
+//   - validatePipeline: global parameter references against factory/ and global-parameters.json
+//   - validatePipeline: warnings for variable writes inside parallel ForEach
 
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
 const engine = require('../activityEngine/engine');
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -3196,3 +3201,112 @@ describe('serializePipeline — nested variable auto-population', () => {
     });
 });
 
+// ─── validatePipeline — global parameter references ───────────────────────────
+
+describe('validatePipeline — global parameter references', () => {
+    let workspaceRoot;
+
+    beforeEach(() => {
+        workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-globals-'));
+        fs.mkdirSync(path.join(workspaceRoot, 'factory'));
+        fs.writeFileSync(path.join(workspaceRoot, 'factory', 'myFactory.json'), JSON.stringify({
+            name: 'myFactory',
+            properties: { globalParameters: { env: { type: 'String', value: 'dev' } } },
+        }));
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    function pipelineWith(activities) {
+        return { name: 'P1', properties: { activities } };
+    }
+
+    function setVar(name, expr) {
+        return { name, type: 'SetVariable', dependsOn: [], userProperties: [],
+                 typeProperties: { variableName: 'v', value: { value: expr, type: 'Expression' } } };
+    }
+
+    test('defined global parameters pass (case-insensitive)', () => {
+        const { activityErrors } = engine.validatePipeline(
+            pipelineWith([setVar('S1', '@pipeline().globalParameters.ENV')]), workspaceRoot);
+        expect(activityErrors.S1).toBeUndefined();
+    });
+
+    test('undefined global parameters are flagged on the referencing activity', () => {
+        const { activityErrors } = engine.validatePipeline(
+            pipelineWith([setVar('S1', "@concat(pipeline().globalParameters.region, pipeline()?.globalParameters?['tier'])")]),
+            workspaceRoot);
+        expect(activityErrors.S1).toEqual(expect.arrayContaining([
+            expect.stringContaining('global parameter "region"'),
+            expect.stringContaining('global parameter "tier"'),
+        ]));
+    });
+
+    test('references inside containers are reported on the nested activity only', () => {
+        const { activityErrors } = engine.validatePipeline(pipelineWith([{
+            name: 'IF1', type: 'IfCondition', dependsOn: [], userProperties: [],
+            typeProperties: {
+                expression: { value: '@true', type: 'Expression' },
+                ifTrueActivities: [setVar('Inner', '@pipeline().globalParameters.missing')],
+            },
+        }]), workspaceRoot);
+        expect(activityErrors.Inner).toEqual([expect.stringContaining('global parameter "missing"')]);
+        expect(activityErrors.IF1).toBeUndefined();
+    });
+
+    test('parameters defined in global-parameters.json are accepted', () => {
+        fs.writeFileSync(path.join(workspaceRoot, 'global-parameters.json'), JSON.stringify({
+            globalParameters: { region: { type: 'String', value: 'sea' } },
+        }));
+        const { activityErrors } = engine.validatePipeline(
+            pipelineWith([setVar('S1', '@pipeline().globalParameters.region')]), workspaceRoot);
+        expect(activityErrors.S1).toBeUndefined();
+    });
+
+    test('an unknown defaultProfile is a pipeline error', () => {
+        fs.writeFileSync(path.join(workspaceRoot, 'global-parameters.json'), JSON.stringify({ defaultProfile: 'qa' }));
+        const { pipelineErrors } = engine.validatePipeline(pipelineWith([]), workspaceRoot);
+        expect(pipelineErrors).toEqual([expect.stringContaining('Unknown global parameter profile "qa"')]);
+    });
+});
+
+// ─── validatePipeline — parallel ForEach variable writes ──────────────────────
+
+describe('validatePipeline — parallel ForEach variable writes', () => {
+    function forEach(isSequential, activities) {
+        return { name: 'FE1', type: 'ForEach', dependsOn: [], userProperties: [],
+                 typeProperties: { isSequential, items: { value: '@createArray(1, 2)', type: 'Expression' }, activities } };
+    }
+    const setVar = { name: 'S1', type: 'SetVariable', dependsOn: [], userProperties: [], typeProperties: { variableName: 'v', value: 'x' } };
+    const append = { name: 'A1', type: 'AppendVariable', dependsOn: [], userProperties: [], typeProperties: { variableName: 'arr', value: 'x' } };
+
+    test('warns for SetVariable and AppendVariable inside a parallel ForEach, including nested containers', () => {
+        const ifInside = { name: 'If1', type: 'IfCondition', dependsOn: [], userProperties: [],
+                           typeProperties: { expression: { value: '@true', type: 'Expression' }, ifTrueActivities: [append] } };
+        const { activityWarnings, activityErrors } = engine.validatePipeline({ name: 'P1', properties: {
+            activities: [forEach(false, [setVar, ifInside])],
+            variables: { v: { type: 'String' }, arr: { type: 'Array' } },
+        } });
+        expect(activityWarnings.S1[0]).toMatch(/Sets variable "v" inside ForEach "FE1"/);
+        expect(activityWarnings.A1[0]).toMatch(/Appends to variable "arr" inside ForEach "FE1"/);
+        expect(activityErrors.S1).toBeUndefined();
+    });
+
+    test('a ForEach without isSequential is parallel, as in the service', () => {
+        const { activityWarnings } = engine.validatePipeline({ name: 'P1', properties: {
+            activities: [forEach(undefined, [setVar])],
+            variables: { v: { type: 'String' } },
+        } });
+        expect(activityWarnings.S1).toHaveLength(1);
+    });
+
+    test('no warning for a sequential ForEach', () => {
+        const { activityWarnings } = engine.validatePipeline({ name: 'P1', properties: {
+            activities: [forEach(true, [setVar])],
+            variables: { v: { type: 'String' } },
+        } });
+        expect(activityWarnings).toEqual({});
+    });
+});
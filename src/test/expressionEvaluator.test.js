@@ -0,0 +1,275 @@
+'use strict';
+// expressionEvaluator.test.js — Unit tests for src/activityEngine/expressionEvaluator.js
+//
+// Run with:  npm run test:expressions
+//
+// Coverage:
+//   - parse:     tokenizer + recursive-descent parser AST shapes, syntax errors
+//   - evaluate:  literals, context accessors, member/indexer chains, safe navigation,
+//                interpolation, the [EVAL ERROR: ...] contract
+//   - date/time: .NET standard and custom format strings, add*/subtractFromTime arithmetic,
+//                startOf*/dayOf*, Windows time zone conversions
+
+const { evaluate, isExpression, parse } = require('../activityEngine/expressionEvaluator');
+
+/** Minimal run context shaped like LocalPipelineRunner._context(). */
+function makeContext(extra = {}) {
+    return {
+        parameters: { env: 'dev', count: 3, 'key with spaces': 'spaced' },
+        variables:  { json: '{"items":[{"name":"a"},{"name":"b"}]}', list: [10, 20, 30], flag: true },
+        activityOutputs: {
+            Lookup1: { firstRow: { TableName: 'Orders' }, value: [{ name: 'first' }, { name: 'second' }] },
+        },
+        activityStatuses: { Lookup1: 'Succeeded' },
+        globalParameters: {},
+        ...extra,
+    };
+}
+
+// ─── parse ────────────────────────────────────────────────────────────────────
+
+describe('parse', () => {
+    test('builds a Call node with nested arguments', () => {
+        expect(parse("concat('a', string(1))")).toEqual({
+            type: 'Call', name: 'concat', args: [
+                { type: 'Literal', value: 'a' },
+                { type: 'Call', name: 'string', args: [{ type: 'Literal', value: 1 }] },
+            ],
+        });
+    });
+
+    test('builds Member and Index nodes for accessor chains', () => {
+        const ast = parse("activity('A').output.value[0]");
+        expect(ast.type).toBe('Index');
+        expect(ast.index).toEqual({ type: 'Literal', value: 0 });
+        expect(ast.object).toMatchObject({ type: 'Member', property: 'value', safe: false });
+    });
+
+    test('marks ?. and ?[ accessors as safe', () => {
+        expect(parse('variables(\'x\')?.a')).toMatchObject({ type: 'Member', safe: true });
+        expect(parse('variables(\'x\')?[0]')).toMatchObject({ type: 'Index', safe: true });
+    });
+
+    test('unescapes doubled single quotes in string literals', () => {
+        expect(parse("'It''s'")).toEqual({ type: 'Literal', value: "It's" });
+    });
+
+    test('parses negative and decimal numbers', () => {
+        expect(parse('-1.5')).toEqual({ type: 'Literal', value: -1.5 });
+    });
+
+    test('throws on unbalanced parentheses', () => {
+        expect(() => parse("concat('a'")).toThrow(/Expected "\)"/);
+    });
+
+    test('throws on unterminated string', () => {
+        expect(() => parse("'abc")).toThrow(/Unterminated string/);
+    });
+});
+
+// ─── evaluate — literals and accessors ────────────────────────────────────────
+
+describe('evaluate — basics', () => {
+    test('returns non-expressions unchanged', () => {
+        expect(evaluate('plain text', makeContext())).toBe('plain text');
+        expect(evaluate(42, makeContext())).toBe(42);
+        expect(isExpression('plain')).toBe(false);
+    });
+
+    test('@@ escapes a leading @', () => {
+        expect(evaluate('@@literal', makeContext())).toBe('@literal');
+    });
+
+    test('pipeline().parameters dot and bracket notation', () => {
+        const ctx = makeContext();
+        expect(evaluate('@pipeline().parameters.env', ctx)).toBe('dev');
+        expect(evaluate("@pipeline().parameters['key with spaces']", ctx)).toBe('spaced');
+    });
+
+    test('missing parameter evaluates to null', () => {
+        expect(evaluate('@pipeline().parameters.nope', makeContext())).toBeNull();
+    });
+
+    test('activity output nested accessors and indexers', () => {
+        const ctx = makeContext();
+        expect(evaluate("@activity('Lookup1').output.value[1].name", ctx)).toBe('second');
+        expect(evaluate("@activity('Lookup1').output.firstRow.TableName", ctx)).toBe('Orders');
+        expect(evaluate("@activity('Lookup1').status", ctx)).toBe('Succeeded');
+    });
+
+    test('property names are matched case-insensitively', () => {
+        expect(evaluate("@activity('Lookup1').output.firstRow.tablename", makeContext())).toBe('Orders');
+    });
+
+    test('chained calls with member access on the result', () => {
+        expect(evaluate("@json(variables('json')).items[0].name", makeContext())).toBe('a');
+    });
+
+    test('indexer on a function result', () => {
+        expect(evaluate("@split('a,b,c', ',')[2]", makeContext())).toBe('c');
+        expect(evaluate("@variables('list')[1]", makeContext())).toBe(20);
+    });
+
+    test('bare identifier shorthand resolves variables then parameters', () => {
+        const ctx = makeContext();
+        expect(evaluate('@flag', ctx)).toBe(true);
+        expect(evaluate('@env', ctx)).toBe('dev');
+    });
+
+    test('item() reads the current ForEach item', () => {
+        const ctx = makeContext({ currentItem: { id: 7 } });
+        expect(evaluate('@item().id', ctx)).toBe(7);
+    });
+
+    test('range() builds an integer sequence', () => {
+        expect(evaluate('@range(2, 3)', makeContext())).toEqual([2, 3, 4]);
+    });
+});
+
+// ─── evaluate — safe navigation and errors ────────────────────────────────────
+
+describe('evaluate — safe navigation and errors', () => {
+    test('?. returns null when the base is null', () => {
+        expect(evaluate("@activity('Missing').output?.firstRow", makeContext())).toBeNull();
+    });
+
+    test('plain . on null reports an EVAL ERROR', () => {
+        expect(evaluate("@activity('Missing').output.firstRow", makeContext())).toMatch(/^\[EVAL ERROR: .*null/);
+    });
+
+    test('?[ on an out-of-range index returns null', () => {
+        expect(evaluate("@variables('list')?[9]", makeContext())).toBeNull();
+    });
+
+    test('unknown functions report an EVAL ERROR', () => {
+        expect(evaluate('@noSuchFunction(1)', makeContext())).toMatch(/^\[EVAL ERROR: Unsupported function/);
+    });
+
+    test('syntax errors report an EVAL ERROR instead of throwing', () => {
+        expect(evaluate("@concat('a',", makeContext())).toMatch(/^\[EVAL ERROR: /);
+    });
+});
+
+// ─── evaluate — interpolation ─────────────────────────────────────────────────
+
+describe('evaluate — interpolation', () => {
+    test('substitutes multiple @{} segments', () => {
+        expect(evaluate('env=@{pipeline().parameters.env}, n=@{pipeline().parameters.count}', makeContext()))
+            .toBe('env=dev, n=3');
+    });
+
+    test('braces inside string literals do not end the segment', () => {
+        expect(evaluate("x @{concat('{', '}')} y", makeContext())).toBe('x {} y');
+    });
+
+    test('objects are serialized as JSON', () => {
+        expect(evaluate("@{activity('Lookup1').output.firstRow}", makeContext())).toBe('{"TableName":"Orders"}');
+    });
+
+    test('a failing segment is replaced inline with an EVAL ERROR', () => {
+        expect(evaluate('a @{nope()} b', makeContext())).toMatch(/^a \[EVAL ERROR: .*\] b$/);
+    });
+});
+
+// ─── evaluate — date/time formats ─────────────────────────────────────────────
+
+describe('evaluate — date/time formats', () => {
+    const TS = "'2018-03-15T13:27:36.1234567Z'";
+
+    test('formatDateTime defaults to the round-trip "o" format', () => {
+        expect(evaluate(`@formatDateTime(${TS})`, makeContext())).toBe('2018-03-15T13:27:36.1234567Z');
+    });
+
+    test.each([
+        ['yyyy/MM/dd',            '2018/03/15'],
+        ['dd-MMM-yy HH:mm',       '15-Mar-18 13:27'],
+        ['hh:mm:ss tt',           '01:27:36 PM'],
+        ['dddd, MMMM d',          'Thursday, March 15'],
+        ['HH:mm:ss.fff',          '13:27:36.123'],
+        ["'Year' yyyy",           'Year 2018'],
+        ['HH\\h',                 '13h'],
+        ['D',                     'Thursday, 15 March 2018'],
+        ['s',                     '2018-03-15T13:27:36'],
+        ['u',                     '2018-03-15 13:27:36Z'],
+        ['r',                     'Thu, 15 Mar 2018 13:27:36 GMT'],
+    ])('formatDateTime(ts, %j)', (fmt, expected) => {
+        expect(evaluate(`@formatDateTime(${TS}, '${fmt.replace(/'/g, "''")}')`, makeContext())).toBe(expected);
+    });
+
+    test('F drops trailing zeros and the preceding dot', () => {
+        expect(evaluate("@formatDateTime('2018-03-15T13:27:36.5Z', 'ss.FFF')", makeContext())).toBe('36.5');
+        expect(evaluate("@formatDateTime('2018-03-15T13:27:36Z', 'ss.FFF')", makeContext())).toBe('36');
+    });
+
+    test('offsets are normalized to UTC', () => {
+        expect(evaluate("@formatDateTime('2018-03-15T13:00:00+05:00')", makeContext())).toBe('2018-03-15T08:00:00.0000000Z');
+    });
+
+    test('addDays returns an "o" timestamp and honours an optional format', () => {
+        expect(evaluate("@addDays('2018-03-15T00:00:00Z', 10)", makeContext())).toBe('2018-03-25T00:00:00.0000000Z');
+        expect(evaluate("@addHours('2018-03-15T00:00:00Z', -1, 'yyyy-MM-dd HH')", makeContext())).toBe('2018-03-14 23');
+    });
+
+    test('subtractFromTime clamps to the end of shorter months', () => {
+        expect(evaluate("@subtractFromTime('2018-03-31T00:00:00Z', 1, 'Month', 'yyyy-MM-dd')", makeContext())).toBe('2018-02-28');
+    });
+
+    test('utcNow accepts a format string', () => {
+        expect(evaluate("@utcNow('yyyy')", makeContext())).toBe(String(new Date().getUTCFullYear()));
+    });
+
+    test('invalid format and timestamp strings report an EVAL ERROR', () => {
+        expect(evaluate(`@formatDateTime(${TS}, 'q')`, makeContext())).toMatch(/^\[EVAL ERROR: Invalid standard/);
+        expect(evaluate("@formatDateTime('not a date')", makeContext())).toMatch(/^\[EVAL ERROR: Invalid timestamp/);
+    });
+});
+
+// ─── evaluate — calendar and time zone functions ─────────────────────────────
+
+describe('evaluate — calendar and time zone functions', () => {
+    test('startOfDay / startOfHour / startOfMonth truncate the timestamp', () => {
+        expect(evaluate("@startOfDay('2018-03-15T13:30:30Z')", makeContext())).toBe('2018-03-15T00:00:00.0000000Z');
+        expect(evaluate("@startOfHour('2018-03-15T13:30:30Z')", makeContext())).toBe('2018-03-15T13:00:00.0000000Z');
+        expect(evaluate("@startOfMonth('2018-03-15T13:30:30Z', 'yyyy-MM-dd')", makeContext())).toBe('2018-03-01');
+    });
+
+    test('dayOfWeek / dayOfMonth / dayOfYear return integers', () => {
+        expect(evaluate("@dayOfWeek('2018-03-15T13:27:36Z')", makeContext())).toBe(4);
+        expect(evaluate("@dayOfMonth('2018-03-15T13:27:36Z')", makeContext())).toBe(15);
+        expect(evaluate("@dayOfYear('2018-03-15T13:27:36Z')", makeContext())).toBe(74);
+    });
+
+    test('addToTime and dateAdd take (timestamp, interval, unit, format?)', () => {
+        expect(evaluate("@addToTime('2018-01-01T00:00:00Z', 1, 'Day', 'D')", makeContext())).toBe('Tuesday, 02 January 2018');
+        expect(evaluate("@dateAdd('2018-01-31T00:00:00Z', 1, 'Month')", makeContext())).toBe('2018-02-28T00:00:00.0000000Z');
+    });
+
+    test('convertFromUtc returns local time without a zone suffix', () => {
+        expect(evaluate("@convertFromUtc('2018-01-01T08:00:00.0000000Z', 'Pacific Standard Time')", makeContext()))
+            .toBe('2018-01-01T00:00:00.0000000');
+    });
+
+    test('convertToUtc maps Windows zone names such as the createTrigger default', () => {
+        expect(evaluate("@convertToUtc('2018-07-01T00:00:00', 'Singapore Standard Time')", makeContext()))
+            .toBe('2018-06-30T16:00:00.0000000Z');
+    });
+
+    test('convertToUtc honours daylight saving time', () => {
+        expect(evaluate("@convertToUtc('2018-07-01T00:00:00', 'Pacific Standard Time')", makeContext()))
+            .toBe('2018-07-01T07:00:00.0000000Z');
+    });
+
+    test('convertTimeZone converts between two zones and accepts IANA names', () => {
+        expect(evaluate("@convertTimeZone('2018-01-01T08:00:00Z', 'UTC', 'Tokyo Standard Time', 'HH:mm')", makeContext())).toBe('17:00');
+        expect(evaluate("@convertTimeZone('2018-01-01T09:00:00', 'Asia/Tokyo', 'Asia/Singapore', 'HH:mm')", makeContext())).toBe('08:00');
+    });
+
+    test('unknown time zones report an EVAL ERROR', () => {
+        expect(evaluate("@convertFromUtc('2018-01-01T08:00:00Z', 'Nowhere Standard Time')", makeContext()))
+            .toMatch(/^\[EVAL ERROR: The time zone "Nowhere Standard Time"/);
+    });
+
+    test('base64ToBinary renders the decoded bytes as a bit string', () => {
+        expect(evaluate("@base64ToBinary('aGVsbG8=')", makeContext())).toBe('0110100001100101011011000110110001101111');
+    });
+});
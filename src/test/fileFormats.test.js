@@ -0,0 +1,56 @@
+'use strict';
+// fileFormats.test.js — Unit tests for src/activityEngine/fileFormats.js
+//
+// Run with:  npx jest src/test/fileFormats.test.js
+//
+// Coverage: Avro type mapping on write (Decimal, Guid) and the warning for types the writers
+// cannot keep. Parquet goes through hyparquet's ES modules, which Jest does not load here.
+
+const { readFormat, writeFormat } = require('../activityEngine/fileFormats');
+
+describe('fileFormats — writer type mapping', () => {
+    const roundTrip = async (rows, schema, options = {}) =>
+        readFormat('Avro', await writeFormat('Avro', rows, schema.map(f => f.name), { schema, ...options }));
+
+    test('writes Decimal as an Avro decimal of the schema precision and scale', async () => {
+        const { rows, schema } = await roundTrip(
+            [{ price: '12.345' }, { price: -0.5 }, { price: '' }],
+            [{ name: 'price', type: 'Decimal', precision: 6, scale: 2 }]
+        );
+        expect(schema).toEqual([{ name: 'price', type: 'Decimal' }]);
+        expect(rows).toEqual([{ price: 12.35 }, { price: -0.5 }, { price: null }]);
+    });
+
+    test('writes Decimal without precision and scale as decimal(38,18)', async () => {
+        const { rows } = await roundTrip([{ amount: '1234567890.000000000000000001' }], [{ name: 'amount', type: 'Decimal' }]);
+        expect(rows[0].amount).toBeCloseTo(1234567890, 6);
+    });
+
+    test('fails a Decimal that does not fit its precision', async () => {
+        await expect(writeFormat('Avro', [{ price: '1000' }], ['price'], { schema: [{ name: 'price', type: 'Decimal', precision: 5, scale: 2 }] }))
+            .rejects.toThrow('"1000" does not fit decimal(5,2)');
+    });
+
+    test('writes Guid as an Avro uuid string', async () => {
+        const id = '123e4567-e89b-12d3-a456-426614174000';
+        const { rows, schema } = await roundTrip([{ id }], [{ name: 'id', type: 'Guid' }]);
+        expect(schema).toEqual([{ name: 'id', type: 'Guid' }]);
+        expect(rows).toEqual([{ id }]);
+    });
+
+    test('warns about DateTimeOffset and TimeSpan columns', async () => {
+        const warnings = [];
+        const { rows } = await roundTrip(
+            [{ at: '2024-01-01T10:00:00+02:00', took: '01:02:03', n: 1 }],
+            [{ name: 'at', type: 'DateTimeOffset' }, { name: 'took', type: 'TimeSpan' }, { name: 'n', type: 'Int32' }],
+            { warn: w => warnings.push(w) }
+        );
+        expect(rows).toEqual([{ at: '2024-01-01T08:00:00.000Z', took: '01:02:03', n: 1 }]);
+        expect(warnings).toEqual([expect.objectContaining({
+            code: 'FileFormatTypeDowngraded',
+            format: 'Avro',
+            columns: [{ name: 'at', type: 'DateTimeOffset' }, { name: 'took', type: 'TimeSpan' }],
+        })]);
+        expect(warnings[0].message).toMatch(/"at" \(DateTimeOffset\) is written as a UTC timestamp/);
+    });
+});
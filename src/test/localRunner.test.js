@@ -10,9 +10,37 @@
 //   - _serializeCsv: round-trip CSV serialization
 //   - parseAdfTimespan: D.HH:MM:SS, HH:MM:SS, PT…, plain int, defaults
 //   - LocalPipelineRunner: Wait, SetVariable, Fail, Filter activities (no external I/O)
-
+//   - System variables: pipeline(), trigger(), activity().ActivityRunId / .error
+//   - Global parameters: workspace loading, profiles
+//   - Activity policy: retry attempts and timeout
+//   - Secure input/output masking and secret redaction
+//   - Pipeline return values and ExecutePipeline propagation
+//   - Fire-and-forget ExecutePipeline background runs
+//   - ForEach: parallel default, batchCount, failure aggregation, item limit warning
+//   - Parallel ForEach variable race warnings
+//   - Debugger: breakpoints, stepping, skip, editing state while paused
+//   - Partial runs: stop/start activity sets and seeded upstream state
+//   - Handler plugins: workspace .adf-local/handlers modules for new or overridden activity types
+//   - Parameterized datasets / linked services: dataset() and linkedService() substitution
+//   - Lookup / GetMetadata against SQL table datasets (SqlClient stubbed)
+//   - SQL connection pools shared by a run and its ExecutePipeline children
+//   - Lookup on files: wildcards, the 5000-row cap and the 4 MB output limit
+//   - Cross-format Copy and the in-process Avro / XML / Excel readers and writers
+//   - Storage: local-folder backend
+
+const fs   = require('fs');
+const os   = require('os');
+const http = require('http');
 const path = require('path');
 const { LocalPipelineRunner, _parseCsv, _splitDelimitedLine, _serializeCsv, parseAdfTimespan } = require('../activityEngine/localRunner');
+const { loadGlobalParameters, globalParameterValues } = require('../activityEngine/globalParameters');
+const { DebugSession } = require('../activityEngine/debugSession');
+const { ActivityMocks, loadMocks } = require('../activityEngine/mocks');
+const { loadHandlerPlugins } = require('../activityEngine/handlerPlugins');
+const { LocalFolderStorage, storageBackendFor, createStorageClient } = require('../activityEngine/storageBackends');
+const { resolveDatasetToAdls } = require('../activityEngine/datasetResolver');
+const { resolveSqlDataset, resolveSqlLinkedService } = require('../activityEngine/sqlResolver');
+const { SqlClient, SqlPools } = require('../activityEngine/sqlClient');
 
 // ─── _parseCsv ────────────────────────────────────────────────────────────────
 
@@ -179,7 +207,7 @@ describe('LocalPipelineRunner — Wait', () => {
         const succeeded = updates.find(u => u.name === 'W1' && u.status === 'Succeeded');
         expect(succeeded.output).toMatchObject({ waitTimeInSeconds: 0 });
     });
-}, 10000);
+});
 
 // ─── Fail ─────────────────────────────────────────────────────────────────────
 
@@ -321,7 +349,7 @@ describe('LocalPipelineRunner — IfCondition', () => {
         expect(falseStatus).toBe('Failed');
         expect(end.status).toBe('Failed');
     });
-}, 10000);
+});
 
 // ─── Dependency / skip logic ──────────────────────────────────────────────────
 
@@ -366,6 +394,1518 @@ describe('LocalPipelineRunner — dependency skip logic', () => {
     });
 });
 
+// ─── Retry / timeout policy ───────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — retry and timeout policy', () => {
+    // Lookup on a dataset that does not exist fails immediately without any I/O
+    function failingLookup(policy) {
+        return { name: 'L1', type: 'Lookup', dependsOn: [], userProperties: [], policy,
+                 typeProperties: { dataset: { referenceName: 'DoesNotExist', type: 'DatasetReference' } } };
+    }
+
+    test('retries a failing activity policy.retry times, one run record per attempt', async () => {
+        const { updates, end } = await runAndCollect(makePipeline([failingLookup({ retry: 2, retryIntervalInSeconds: 0 })]));
+        const running = updates.filter(u => u.name === 'L1' && u.status === 'Running');
+        expect(running.map(u => u.attempt)).toEqual([1, 2, 3]);
+        const records = end.activityRuns.filter(r => r.activityName === 'L1');
+        expect(records.map(r => [r.attempt, r.status, r.willRetry])).toEqual([
+            [1, 'Failed', true],
+            [2, 'Failed', true],
+            [3, 'Failed', false],
+        ]);
+        expect(end.status).toBe('Failed');
+    });
+
+    test('runs once when no retry policy is set', async () => {
+        const { end } = await runAndCollect(makePipeline([failingLookup(undefined)]));
+        expect(end.activityRuns.filter(r => r.activityName === 'L1')).toHaveLength(1);
+    });
+
+    test('Fail activities are never retried', async () => {
+        const { end } = await runAndCollect(makePipeline([{
+            name: 'F1', type: 'Fail', dependsOn: [], userProperties: [], policy: { retry: 3, retryIntervalInSeconds: 0 },
+            typeProperties: { message: 'boom', errorCode: '1' },
+        }]));
+        expect(end.activityRuns.filter(r => r.activityName === 'F1')).toHaveLength(1);
+    });
+
+    test('policy.timeout fails an activity that runs too long and stops its Wait', async () => {
+        const timers = () => process.getActiveResourcesInfo().filter(r => r === 'Timeout').length;
+        const before = timers();
+        const { updates, end } = await runAndCollect(makePipeline([{
+            name: 'W1', type: 'Wait', dependsOn: [], userProperties: [], policy: { timeout: '0.00:00:01' },
+            typeProperties: { waitTimeInSeconds: 3 },
+        }]));
+        const last = updates.filter(u => u.name === 'W1').at(-1);
+        expect(last.status).toBe('Failed');
+        expect(last.error).toMatch(/timed out after 0\.00:00:01/);
+        expect(end.status).toBe('Failed');
+        // the abandoned Wait notices the aborted attempt at its next 100 ms poll
+        await new Promise(r => setTimeout(r, 150));
+        expect(timers()).toBe(before);
+    }, 10000);
+
+    test('policy.timeout on a container cancels its child run', async () => {
+        const timers = () => process.getActiveResourcesInfo().filter(r => r === 'Timeout').length;
+        const before = timers();
+        const { updates, end } = await runAndCollect(makePipeline([{
+            name: 'FE', type: 'ForEach', dependsOn: [], userProperties: [], policy: { timeout: '0.00:00:01' },
+            typeProperties: { items: { value: '@createArray(1, 2)', type: 'Expression' }, isSequential: true, activities: [
+                { name: 'W', type: 'Wait', dependsOn: [], userProperties: [], typeProperties: { waitTimeInSeconds: 3 } },
+            ] },
+        }]));
+        expect(end.status).toBe('Failed');
+        await new Promise(r => setTimeout(r, 250));
+        expect(updates.filter(u => u.name === 'W').map(u => [u.iteration, u.status])).toEqual([[0, 'Running'], [0, 'Cancelled']]);
+        expect(timers()).toBe(before);
+    }, 10000);
+
+    test('policy.timeout aborts a WebActivity request', async () => {
+        const http = require('http');
+        let closed;
+        const requestClosed = new Promise(resolve => { closed = resolve; });
+        const server = http.createServer((req) => req.on('close', closed));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        try {
+            const { end } = await runAndCollect(makePipeline([{
+                name: 'Call', type: 'WebActivity', dependsOn: [], userProperties: [], policy: { timeout: '0.00:00:01' },
+                typeProperties: { url: `http://127.0.0.1:${server.address().port}/slow`, method: 'GET' },
+            }]));
+            expect(end.status).toBe('Failed');
+            await requestClosed;
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    }, 10000);
+});
+
+// ─── Secure input / output ────────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — secureInput / secureOutput', () => {
+    function setVar(policy, value = 'hello') {
+        return { name: 'Set1', type: 'SetVariable', dependsOn: [], userProperties: [], policy,
+                 typeProperties: { variableName: 'v', value } };
+    }
+
+    test('secureOutput masks the output in events and activityRuns but not for downstream activities', async () => {
+        const { updates, end } = await runAndCollect(makePipeline([
+            setVar({ secureOutput: true }),
+            { name: 'Copy1', type: 'SetVariable', dependsOn: [{ activity: 'Set1', dependencyConditions: ['Succeeded'] }], userProperties: [],
+              typeProperties: { variableName: 'w', value: { value: "@concat(variables('v'), '!')", type: 'Expression' } } },
+        ], {}, { v: '', w: '' }));
+        const done = updates.find(u => u.name === 'Set1' && u.status === 'Succeeded');
+        expect(done.output).toBe('********');
+        expect(done.input).not.toBe('********');
+        expect(end.activityRuns.find(r => r.activityName === 'Set1').output).toBe('********');
+        expect(updates.find(u => u.name === 'Copy1' && u.status === 'Succeeded').output).not.toBe('********');
+    });
+
+    test('_maskedActivityOutputs masks outputs per secureOutput, nested activities included', async () => {
+        const runner = new LocalPipelineRunner(makePipeline([{
+            name: 'Check', type: 'IfCondition', dependsOn: [], userProperties: [],
+            typeProperties: { expression: { value: '@bool(true)', type: 'Expression' }, ifTrueActivities: [setVar({ secureOutput: true })] },
+        }], {}, { v: '' }), {}, path.join(__dirname, '../../'));
+        await runner.run();
+        const masked = runner._maskedActivityOutputs({ ...runner.activityOutputs, Other: 'visible' });
+        expect(masked.Set1).toBe('********');
+        expect(masked.Check).toEqual(runner.activityOutputs.Check);
+        expect(masked.Other).toBe('visible');
+    });
+
+    test('secureInput masks the input in events', async () => {
+        const { updates } = await runAndCollect(makePipeline([setVar({ secureInput: true })], {}, { v: '' }));
+        expect(updates.filter(u => u.name === 'Set1').every(u => u.input === '********')).toBe(true);
+    });
+
+    test('resolved secret values are redacted from every reported payload', async () => {
+        const runner = new LocalPipelineRunner(makePipeline([setVar(undefined, 'token=s3cr3t')], {}, { v: '' }), {}, path.join(__dirname, '../../'));
+        runner.secretValues = new Set(['s3cr3t']);
+        const updates = [];
+        runner.on('activityUpdate', u => updates.push(u));
+        await runner.run();
+        expect(JSON.stringify(updates)).not.toContain('s3cr3t');
+        expect(JSON.stringify(runner.activityRuns)).not.toContain('s3cr3t');
+        expect(runner.variables.v).toBe('token=s3cr3t');
+    });
+
+    test('WebActivity Basic auth sends the SecureString password and redacts it from the output', async () => {
+        const server = http.createServer((req, res) => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ authorization: req.headers.authorization }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        try {
+            const { updates } = await runAndCollect(makePipeline([{
+                name: 'Web1', type: 'WebActivity', dependsOn: [], userProperties: [],
+                typeProperties: {
+                    url: `http://127.0.0.1:${server.address().port}/`, method: 'GET',
+                    authentication: { type: 'Basic', username: 'user', password: { type: 'SecureString', value: 'p@ss' } },
+                },
+            }]));
+            const done = updates.find(u => u.name === 'Web1' && u.status === 'Succeeded');
+            expect(done.output.authorization).toBe('Basic ********');
+        } finally {
+            server.close();
+        }
+    });
+});
+
+// ─── Pipeline return values ───────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — pipeline return values', () => {
+    function returnValue(entries) {
+        return { name: 'Return', type: 'SetVariable', dependsOn: [], userProperties: [],
+                 typeProperties: { variableName: 'pipelineReturnValue', setSystemVariable: true, value: entries } };
+    }
+
+    test('pipelineEnd carries typed return values', async () => {
+        const { end } = await runAndCollect(makePipeline([returnValue([
+            { key: 'str',   value: { type: 'String', content: 'abc' } },
+            { key: 'num',   value: { type: 'Int', content: 42 } },
+            { key: 'flag',  value: { type: 'Boolean', content: true } },
+            { key: 'none',  value: { type: 'Null' } },
+            { key: 'expr',  value: { type: 'Expression', content: "@concat(pipeline().parameters.p, '!')" } },
+            { key: 'arr',   value: { type: 'Array', content: [{ type: 'Int', content: 1 }, { type: 'String', content: 'b' }] } },
+            { key: 'obj',   value: { type: 'Object', content: '{"a":1}' } },
+        ])], { p: 'hi' }), { p: 'hi' });
+        expect(end.status).toBe('Succeeded');
+        expect(end.pipelineReturnValue).toEqual({
+            str: 'abc', num: 42, flag: true, none: null, expr: 'hi!', arr: [1, 'b'], obj: { a: 1 },
+        });
+    });
+
+    test('pipelineEnd redacts secrets from the return values', async () => {
+        const runner = new LocalPipelineRunner(makePipeline([returnValue([
+            { key: 'token', value: { type: 'String', content: 'token=s3cr3t' } },
+        ])]), {}, path.join(__dirname, '../../'));
+        runner.secretValues = new Set(['s3cr3t']);
+        let end;
+        runner.on('pipelineEnd', e => { end = e; });
+        await runner.run();
+        expect(JSON.stringify(end.pipelineReturnValue)).not.toContain('s3cr3t');
+        expect(runner._runContext.returnValues.token).toBe('token=s3cr3t');
+    });
+
+    test('ExecutePipeline exposes the child\'s return values as output.pipelineReturnValue', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-return-'));
+        try {
+            fs.mkdirSync(path.join(root, 'pipeline'));
+            fs.writeFileSync(path.join(root, 'pipeline', 'Child.json'), JSON.stringify({
+                name: 'Child',
+                properties: { activities: [returnValue([
+                    { key: 'rows',  value: { type: 'Int', content: 7 } },
+                    { key: 'token', value: { type: 'String', content: 's3cr3t' } },
+                ])] },
+            }));
+            const parent = makePipeline([
+                { name: 'Exec', type: 'ExecutePipeline', dependsOn: [], userProperties: [],
+                  typeProperties: { pipeline: { referenceName: 'Child', type: 'PipelineReference' }, waitOnCompletion: true } },
+                { name: 'Use', type: 'SetVariable', dependsOn: [{ activity: 'Exec', dependencyConditions: ['Succeeded'] }], userProperties: [],
+                  typeProperties: { variableName: 'rows', value: { value: "@string(activity('Exec').output.pipelineReturnValue.rows)", type: 'Expression' } } },
+            ], {}, { rows: '' });
+            const runner = new LocalPipelineRunner(parent, {}, root);
+            runner.secretValues = new Set(['s3cr3t']);
+            await runner.run();
+            expect(runner.variables.rows).toBe('7');
+            // Redacted in reports, but the parent's expressions see the real value
+            expect(runner.activityOutputs.Exec.pipelineReturnValue.token).toBe('s3cr3t');
+            expect(runner.activityOutputs.Exec.pipelineRunId).toEqual(expect.any(String));
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});
+
+// ─── Fire-and-forget ExecutePipeline ──────────────────────────────────────────
+
+describe('LocalPipelineRunner — fire-and-forget ExecutePipeline', () => {
+    let root, runners;
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-detached-'));
+        fs.mkdirSync(path.join(root, 'pipeline'));
+        runners = [];
+    });
+    // Background children must not outlive the test (their Wait timers keep Jest alive)
+    afterEach(async () => {
+        const running = runners.flatMap(r => r.detachedRuns.filter(d => d.status === 'Running'));
+        const ended = running.map(d => new Promise(resolve => d.runner.once('pipelineEnd', resolve)));
+        for (const r of runners) r.cancel({ includeDetached: true });
+        await Promise.all(ended);
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    const newRunner = (activities) => {
+        const runner = new LocalPipelineRunner(makePipeline(activities), {}, root);
+        runners.push(runner);
+        return runner;
+    };
+
+    function writeChild(waitSeconds) {
+        fs.writeFileSync(path.join(root, 'pipeline', 'Child.json'), JSON.stringify({
+            name: 'Child',
+            properties: { activities: [{ name: 'ChildWait', type: 'Wait', dependsOn: [], userProperties: [], typeProperties: { waitTimeInSeconds: waitSeconds } }] },
+        }));
+    }
+    const execDetached = {
+        name: 'Exec', type: 'ExecutePipeline', dependsOn: [], userProperties: [],
+        typeProperties: { pipeline: { referenceName: 'Child', type: 'PipelineReference' }, waitOnCompletion: false },
+    };
+
+    test('runs the child in the background and links its records into the parent run', async () => {
+        writeChild(0);
+        const runner = newRunner([execDetached]);
+        const started = [];
+        runner.on('detachedRun', d => started.push(d));
+        const childEnded = new Promise(resolve => runner.on('detachedRunEnd', resolve));
+        await runner.run();
+
+        expect(runner.activityStatuses.Exec).toBe('Succeeded');
+        expect(started).toHaveLength(1);
+        expect(runner.activityOutputs.Exec.pipelineRunId).toBe(started[0].runId);
+
+        const end = await childEnded;
+        expect(end.status).toBe('Succeeded');
+        const linked = runner.activityRuns.filter(r => r._detachedRunId === started[0].runId);
+        expect(linked.map(r => [r.activityName, r._parentActivity, r._subPipeline])).toEqual([['ChildWait', 'Exec', 'Child']]);
+    });
+
+    test('cancel({ includeDetached: true }) also cancels background children', async () => {
+        writeChild(5);
+        const runner = newRunner([execDetached]);
+        const childEnded = new Promise(resolve => runner.on('detachedRunEnd', resolve));
+        await runner.run();
+        runner.cancel({ includeDetached: true });
+        expect((await childEnded).status).toBe('Cancelled');
+    }, 10000);
+
+    describe('started inside a waited-on ExecutePipeline child', () => {
+        beforeEach(() => {
+            fs.writeFileSync(path.join(root, 'pipeline', 'Middle.json'), JSON.stringify({ name: 'Middle', properties: { activities: [execDetached] } }));
+        });
+        const execMiddle = {
+            name: 'RunMiddle', type: 'ExecutePipeline', dependsOn: [], userProperties: [],
+            typeProperties: { pipeline: { referenceName: 'Middle', type: 'PipelineReference' }, waitOnCompletion: true },
+        };
+
+        test('are tracked by the top-level run and linked into its records', async () => {
+            writeChild(0);
+            const runner = newRunner([execMiddle]);
+            const started = [];
+            runner.on('detachedRun', d => started.push(d));
+            const childEnded = new Promise(resolve => runner.on('detachedRunEnd', resolve));
+            await runner.run();
+
+            expect(runner.activityStatuses.RunMiddle).toBe('Succeeded');
+            expect(started.map(d => [d.pipelineName, d.parentActivity])).toEqual([['Child', 'Exec']]);
+            expect(runner.detachedRuns.map(d => d.runId)).toEqual([started[0].runId]);
+            expect((await childEnded).status).toBe('Succeeded');
+            expect(runner.activityRuns.filter(r => r._detachedRunId === started[0].runId).map(r => r.activityName)).toEqual(['ChildWait']);
+        });
+
+        test('are cancelled by cancel({ includeDetached: true }) on the top-level run', async () => {
+            writeChild(5);
+            const runner = newRunner([execMiddle]);
+            const childEnded = new Promise(resolve => runner.on('detachedRunEnd', resolve));
+            await runner.run();
+            runner.cancel({ includeDetached: true });
+            expect((await childEnded).status).toBe('Cancelled');
+        }, 10000);
+    });
+});
+
+// ─── ForEach semantics ────────────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — ForEach semantics', () => {
+    function forEach(typeProperties) {
+        return { name: 'FE1', type: 'ForEach', dependsOn: [], userProperties: [], typeProperties };
+    }
+    const failOnTwo = {
+        name: 'IfTwo', type: 'IfCondition', dependsOn: [], userProperties: [],
+        typeProperties: {
+            expression: { value: '@equals(item(), 2)', type: 'Expression' },
+            ifTrueActivities: [{ name: 'Boom', type: 'Fail', dependsOn: [], userProperties: [], typeProperties: { message: 'two', errorCode: '2' } }],
+        },
+    };
+
+    test('runs every iteration, then fails with per-iteration status in the output', async () => {
+        const { updates, end } = await runAndCollect(makePipeline([forEach({
+            items: { value: '@createArray(1, 2, 3)', type: 'Expression' },
+            activities: [failOnTwo],
+        })]));
+        const done = updates.filter(u => u.name === 'FE1').at(-1);
+        expect(done.status).toBe('Failed');
+        expect(done.error).toMatch(/1 of 3 iterations failed \(1\)/);
+        expect(done.output).toMatchObject({ count: 3, succeededCount: 2, failedCount: 1 });
+        expect(done.output.iterations.map(r => r.status)).toEqual(['Succeeded', 'Failed', 'Succeeded']);
+        expect(end.status).toBe('Failed');
+    });
+
+    test('emits a warning when items are truncated to runLimits.maxForEachItems', async () => {
+        const runner = new LocalPipelineRunner(makePipeline([forEach({
+            items: { value: '@range(0, 101)', type: 'Expression' }, activities: [],
+        })]), {}, path.join(__dirname, '../../'));
+        const warnings = [];
+        runner.on('runWarning', w => warnings.push(w));
+        await runner.run();
+        expect(warnings).toEqual([expect.objectContaining({ code: 'ForEachItemsTruncated', itemCount: 101, limit: 100 })]);
+        expect(runner.activityOutputs.FE1.count).toBe(100);
+    });
+
+    test('runs in parallel by default, one at a time with batchCount 1', async () => {
+        const setItem = { name: 'Set1', type: 'SetVariable', dependsOn: [], userProperties: [],
+                          typeProperties: { variableName: 'v', value: { value: '@string(item())', type: 'Expression' } } };
+        const racesWith = async (extra) => {
+            const runner = new LocalPipelineRunner(makePipeline([forEach({
+                items: { value: '@createArray(1, 2, 3)', type: 'Expression' }, activities: [setItem], ...extra,
+            })], {}, { v: '' }), {}, path.join(__dirname, '../../'));
+            await runner.run();
+            return runner.warnings.some(w => w.code === 'ParallelVariableWrite');
+        };
+        expect(await racesWith({})).toBe(true);
+        expect(await racesWith({ batchCount: 1 })).toBe(false);
+    });
+
+    test('is Cancelled, not Succeeded, when the run is cancelled mid-loop', async () => {
+        const setItem = { name: 'Set1', type: 'SetVariable', dependsOn: [], userProperties: [],
+                          typeProperties: { variableName: 'v', value: { value: '@string(item())', type: 'Expression' } } };
+        const runner = new LocalPipelineRunner(makePipeline([forEach({
+            items: { value: '@createArray(1, 2, 3)', type: 'Expression' }, isSequential: true, activities: [setItem],
+        })], {}, { v: '' }), {}, path.join(__dirname, '../../'));
+        const updates = [];
+        let end;
+        runner.on('activityUpdate', u => {
+            updates.push(u);
+            if (u.name === 'Set1' && u.status === 'Succeeded') runner.cancel();
+        });
+        runner.on('pipelineEnd', e => { end = e; });
+        await runner.run();
+        const done = updates.filter(u => u.name === 'FE1').at(-1);
+        expect(done.status).toBe('Cancelled');
+        expect(done.output).toMatchObject({ count: 3, succeededCount: 1 });
+        expect(runner.activityStatuses.FE1).toBe('Cancelled');
+        expect(end.status).toBe('Cancelled');
+    });
+});
+
+// ─── Parallel ForEach variable races ──────────────────────────────────────────
+
+describe('LocalPipelineRunner — parallel ForEach variable races', () => {
+    function forEachSetting(isSequential) {
+        return makePipeline([{
+            name: 'FE1', type: 'ForEach', dependsOn: [], userProperties: [],
+            typeProperties: {
+                isSequential,
+                items: { value: '@createArray(1, 2, 3)', type: 'Expression' },
+                activities: [{ name: 'Set1', type: 'SetVariable', dependsOn: [], userProperties: [],
+                               typeProperties: { variableName: 'v', value: { value: '@string(item())', type: 'Expression' } } }],
+            },
+        }], {}, { v: '' });
+    }
+
+    async function warningsOf(pipeline) {
+        const runner = new LocalPipelineRunner(pipeline, {}, path.join(__dirname, '../../'));
+        const warnings = [];
+        runner.on('runWarning', w => warnings.push(w));
+        await runner.run();
+        return warnings;
+    }
+
+    test('warns once when parallel iterations write the same variable', async () => {
+        const warnings = await warningsOf(forEachSetting(false));
+        expect(warnings).toHaveLength(1);
+        expect(warnings[0]).toMatchObject({ code: 'ParallelVariableWrite', activityName: 'FE1', variableName: 'v' });
+        expect(warnings[0].iterations).toHaveLength(2);
+    });
+
+    test('no warning for a sequential ForEach', async () => {
+        expect(await warningsOf(forEachSetting(true))).toEqual([]);
+    });
+});
+
+// ─── Debugger ─────────────────────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — debugger', () => {
+    const setVar = (name, variableName, expr, dependsOn = []) => ({
+        name, type: 'SetVariable', userProperties: [],
+        dependsOn: dependsOn.map(a => ({ activity: a, dependencyConditions: ['Succeeded'] })),
+        typeProperties: { variableName, value: { value: expr, type: 'Expression' } },
+    });
+
+    /** Run `pipeline` under `session`; `onPause(paused, session, runner)` decides how to resume. */
+    async function debugRun(pipeline, session, onPause) {
+        const runner = new LocalPipelineRunner(pipeline, {}, path.join(__dirname, '../../'));
+        runner.debugSession = session;
+        const pauses = [];
+        session.on('paused', (p) => {
+            pauses.push(p.activityName);
+            // Resume asynchronously, as the UI would
+            setImmediate(() => onPause(p, session, runner));
+        });
+        const ends = [];
+        runner.on('pipelineEnd', e => ends.push(e));
+        await runner.run();
+        return { runner, pauses, end: ends[0] };
+    }
+
+    test('pauses at a breakpoint and sees variable edits made while paused', async () => {
+        const pipeline = makePipeline([
+            setVar('A', 'a', '@string(1)'),
+            setVar('B', 'b', "@concat(variables('a'), '!')", ['A']),
+        ], {}, { a: '', b: '' });
+        const seen = [];
+        const { runner, pauses, end } = await debugRun(pipeline, new DebugSession({ breakpoints: { TestPipeline: ['B'] } }), (p, s) => {
+            seen.push(p.variables.a);
+            s.setVariable('a', 'edited');
+            s.continue();
+        });
+        expect(pauses).toEqual(['B']);
+        expect(seen).toEqual(['1']);
+        expect(end.status).toBe('Succeeded');
+        expect(runner.variables.b).toBe('edited!');
+    });
+
+    test('stepping pauses before every activity', async () => {
+        const pipeline = makePipeline([
+            setVar('A', 'a', '@string(1)'),
+            setVar('B', 'a', '@string(2)', ['A']),
+            setVar('C', 'a', '@string(3)', ['B']),
+        ], {}, { a: '' });
+        const { pauses } = await debugRun(pipeline, new DebugSession({ stepping: true }), (p, s) => s.step());
+        expect(pauses).toEqual(['A', 'B', 'C']);
+    });
+
+    test('skip succeeds the activity with an output set while paused', async () => {
+        const pipeline = makePipeline([
+            { name: 'Fail1', type: 'Fail', dependsOn: [], userProperties: [], typeProperties: { message: 'boom', errorCode: '500' } },
+            setVar('Use', 'v', "@activity('Fail1').output.mocked", ['Fail1']),
+        ], {}, { v: '' });
+        const { runner, end } = await debugRun(pipeline, new DebugSession({ breakpoints: { TestPipeline: ['Fail1'] } }), (p, s) => {
+            s.setActivityOutput('Fail1', { mocked: 'yes' });
+            s.skip();
+        });
+        expect(end.status).toBe('Succeeded');
+        expect(runner.activityStatuses.Fail1).toBe('Succeeded');
+        expect(runner.variables.v).toBe('yes');
+    });
+
+    test('skip masks an output set while paused when the activity has secureOutput', async () => {
+        const pipeline = makePipeline([
+            { name: 'Fail1', type: 'Fail', dependsOn: [], userProperties: [], policy: { secureOutput: true }, typeProperties: { message: 'boom', errorCode: '500' } },
+            setVar('Use', 'v', "@activity('Fail1').output.token", ['Fail1']),
+        ], {}, { v: '' });
+        const updates = [];
+        const { runner, end } = await debugRun(pipeline, new DebugSession({ breakpoints: { TestPipeline: ['Fail1'] } }), (p, s, r) => {
+            r.on('activityUpdate', u => updates.push(u));
+            s.setActivityOutput('Fail1', { token: 'TOPSECRET' });
+            s.skip();
+        });
+        expect(end.status).toBe('Succeeded');
+        expect(runner.variables.v).toBe('TOPSECRET');
+        expect(end.activityRuns.find(r => r.activityName === 'Fail1').output).toBe('********');
+        expect(updates.find(u => u.name === 'Fail1').output).toBe('********');
+    });
+
+    test('breakpoints inside a ForEach pause in the iteration scope', async () => {
+        const pipeline = makePipeline([{
+            name: 'FE1', type: 'ForEach', dependsOn: [], userProperties: [],
+            typeProperties: {
+                items: { value: '@createArray(1, 2)', type: 'Expression' },
+                activities: [setVar('Inner', 'v', '@string(item())')],
+            },
+        }], {}, { v: '' });
+        const scopes = [];
+        const { pauses } = await debugRun(pipeline, new DebugSession({ breakpoints: { TestPipeline: ['Inner'] } }), (p, s) => {
+            scopes.push(p.scope);
+            s.continue();
+        });
+        expect(pauses).toEqual(['Inner', 'Inner']);
+        expect(scopes.sort()).toEqual(['FE1[0]', 'FE1[1]']);
+    });
+
+    test('cancelling while paused stops the run', async () => {
+        const pipeline = makePipeline([
+            setVar('A', 'a', '@string(1)'),
+            setVar('B', 'a', '@string(2)', ['A']),
+        ], {}, { a: '' });
+        const { runner, end } = await debugRun(pipeline, new DebugSession({ breakpoints: { TestPipeline: ['A'] } }), (p, s, r) => r.cancel());
+        expect(end.status).toBe('Cancelled');
+        expect(runner.activityStatuses.A).toBe('Skipped');
+        expect(runner.variables.a).toBe('');
+    });
+});
+
+// ─── Partial runs ─────────────────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — partial runs', () => {
+    const setVar = (name, variableName, expr, dependsOn = []) => ({
+        name, type: 'SetVariable', userProperties: [],
+        dependsOn: dependsOn.map(a => ({ activity: a, dependencyConditions: ['Succeeded'] })),
+        typeProperties: { variableName, value: { value: expr, type: 'Expression' } },
+    });
+
+    async function partialRun(pipeline, configure) {
+        const runner = new LocalPipelineRunner(pipeline, {}, path.join(__dirname, '../../'));
+        configure(runner);
+        const updates = [];
+        const ends = [];
+        runner.on('activityUpdate', u => updates.push(u));
+        runner.on('pipelineEnd', e => ends.push(e));
+        await runner.run();
+        return { runner, updates, end: ends[0] };
+    }
+
+    test('stopActivities runs only the target and its upstream', async () => {
+        const pipeline = makePipeline([
+            setVar('A', 'a', '@string(1)'),
+            setVar('B', 'b', '@string(2)', ['A']),
+            setVar('C', 'c', '@string(3)', ['B']),
+            setVar('D', 'd', '@string(4)'),
+        ], {}, { a: '', b: '', c: '', d: '' });
+        const { runner, end } = await partialRun(pipeline, r => { r.stopActivities = ['B']; });
+        expect(end.status).toBe('Succeeded');
+        expect(Object.keys(runner.activityStatuses).sort()).toEqual(['A', 'B']);
+        expect(runner.variables).toMatchObject({ a: '1', b: '2', c: '', d: '' });
+    });
+
+    test('startActivities runs downstream using seeded upstream outputs', async () => {
+        const pipeline = makePipeline([
+            { name: 'Lookup1', type: 'Lookup', dependsOn: [], userProperties: [], typeProperties: {} },
+            setVar('Use', 'v', "@activity('Lookup1').output.firstRow.id", ['Lookup1']),
+            setVar('After', 'w', "@concat(variables('v'), '!')", ['Use']),
+        ], {}, { v: '', w: '' });
+        const { runner, updates, end } = await partialRun(pipeline, r => {
+            r.startActivities = ['Use'];
+            r.seed({ activityOutputs: { Lookup1: { firstRow: { id: 'seeded' } } }, activityStatuses: { Lookup1: 'Succeeded' } });
+        });
+        expect(end.status).toBe('Succeeded');
+        expect(runner.variables).toMatchObject({ v: 'seeded', w: 'seeded!' });
+        expect(updates.find(u => u.name === 'Lookup1')).toMatchObject({ status: 'Succeeded', seeded: true });
+        expect(runner.activityRuns.map(r => r.activityName)).not.toContain('Lookup1');
+    });
+
+    test('a seeded failure left out of the run does not fail it', async () => {
+        const pipeline = makePipeline([
+            setVar('A', 'a', '@string(1)'),
+            { ...setVar('B', 'b', '@string(2)', ['A']), dependsOn: [{ activity: 'A', dependencyConditions: ['Failed'] }] },
+        ], {}, { a: '', b: '' });
+        const { end } = await partialRun(pipeline, r => {
+            r.startActivities = ['B'];
+            r.seed({ activityStatuses: { A: 'Failed' } });
+        });
+        expect(end.status).toBe('Succeeded');
+    });
+
+    test('fails for an activity that is not at the top level', async () => {
+        const { end } = await partialRun(makePipeline([setVar('A', 'a', '@string(1)')], {}, { a: '' }),
+            r => { r.stopActivities = ['Nope']; });
+        expect(end.status).toBe('Failed');
+        expect(end.error).toMatch(/"Nope" is not a top-level activity/);
+    });
+});
+
+// ─── Mock mode ────────────────────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — mocks', () => {
+    const lookup = (name, typeProperties = {}, extra = {}) => ({
+        name, type: 'Lookup', dependsOn: [], userProperties: [],
+        typeProperties: { dataset: { referenceName: 'DoesNotExist', type: 'DatasetReference' }, ...typeProperties },
+        ...extra,
+    });
+    const setVar = (name, variableName, expr, dependsOn) => ({
+        name, type: 'SetVariable', userProperties: [],
+        dependsOn: [{ activity: dependsOn, dependencyConditions: ['Succeeded'] }],
+        typeProperties: { variableName, value: { value: expr, type: 'Expression' } },
+    });
+
+    async function mockedRun(pipeline, config, options) {
+        const runner = new LocalPipelineRunner(pipeline, { env: 'ci' }, path.join(__dirname, '../../'));
+        runner.mocks = new ActivityMocks(config, options);
+        const updates = [];
+        const ends = [];
+        runner.on('activityUpdate', u => updates.push(u));
+        runner.on('pipelineEnd', e => ends.push(e));
+        await runner.run();
+        return { runner, updates, end: ends[0] };
+    }
+
+    test('a mocked output replaces the handler and feeds downstream expressions', async () => {
+        const pipeline = makePipeline([
+            lookup('GetConfig'),
+            setVar('Use', 'v', "@activity('GetConfig').output.firstRow.target", 'GetConfig'),
+        ], {}, { v: '' });
+        const { runner, updates, end } = await mockedRun(pipeline, {
+            activities: { GetConfig: { output: { firstRow: { target: "@concat('db-', pipeline().parameters.env)" } } } },
+        });
+        expect(end.status).toBe('Succeeded');
+        expect(runner.variables.v).toBe('db-ci');
+        expect(updates.find(u => u.name === 'GetConfig' && u.status === 'Succeeded')).toMatchObject({ mocked: true });
+        expect(end.activityRuns.find(r => r.activityName === 'GetConfig').mocked).toBe(true);
+        expect(updates.find(u => u.name === 'Use' && u.status === 'Succeeded').mocked).toBeUndefined();
+    });
+
+    test('rows are shaped per firstRowOnly, and pipeline-scoped entries win over workspace ones', async () => {
+        const pipeline = makePipeline([lookup('All', { firstRowOnly: false }), lookup('First')]);
+        const { runner } = await mockedRun(pipeline, {
+            types: { Lookup: { rows: [{ id: 1 }, { id: 2 }] } },
+            pipelines: { [pipeline.name]: { activities: { First: { rows: [{ id: 9 }] } } } },
+        });
+        expect(runner.activityOutputs.All).toEqual({ count: 2, value: [{ id: 1 }, { id: 2 }] });
+        expect(runner.activityOutputs.First).toEqual({ firstRow: { id: 9 } });
+    });
+
+    test('fail entries inject failures; a sequence drives retries', async () => {
+        const pipeline = makePipeline([
+            lookup('Flaky', {}, { policy: { retry: 2, retryIntervalInSeconds: 0 } }),
+            lookup('Broken'),
+        ]);
+        const { runner, end } = await mockedRun(pipeline, { activities: {
+            Flaky:  { sequence: [{ fail: 'Throttled' }, { output: { ok: true } }] },
+            Broken: { fail: { message: 'Source unavailable', errorCode: '2200' } },
+        } });
+        expect(end.activityRuns.filter(r => r.activityName === 'Flaky').map(r => r.status)).toEqual(['Failed', 'Succeeded']);
+        expect(runner.activityOutputs.Flaky).toEqual({ ok: true });
+        expect(runner.activityErrors.Broken.message).toBe('Source unavailable (errorCode: 2200)');
+        expect(end.status).toBe('Failed');
+    });
+
+    test('strict mode fails unmocked external activities without retrying; control flow still runs', async () => {
+        const pipeline = makePipeline([
+            lookup('Unmocked', {}, { policy: { retry: 3, retryIntervalInSeconds: 0 } }),
+            setVar('After', 'v', "@string('ran')", 'Unmocked'),
+            { name: 'Set', type: 'SetVariable', dependsOn: [], userProperties: [], typeProperties: { variableName: 'w', value: 'x' } },
+        ], {}, { v: '', w: '' });
+        const { runner, end } = await mockedRun(pipeline, { strict: true });
+        expect(end.activityRuns.filter(r => r.activityName === 'Unmocked')).toHaveLength(1);
+        expect(runner.activityErrors.Unmocked.message).toMatch(/No mock defined for Lookup activity "Unmocked"/);
+        expect(runner.variables.w).toBe('x');
+    });
+
+    test('mocks apply inside ForEach bodies, and fixtures load relative to the mock file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-mocks-'));
+        try {
+            fs.mkdirSync(path.join(dir, 'fixtures'));
+            fs.writeFileSync(path.join(dir, 'fixtures', 'files.json'), JSON.stringify({ childItems: [{ name: 'a.csv' }] }));
+            fs.writeFileSync(path.join(dir, 'mocks.json'), JSON.stringify({
+                types: { GetMetadata: { fixture: 'fixtures/files.json' } },
+            }));
+            const mocks = loadMocks(dir, 'mocks.json');
+            expect(loadMocks(dir)).toBeNull();
+
+            const pipeline = makePipeline([{
+                name: 'Each', type: 'ForEach', dependsOn: [], userProperties: [],
+                typeProperties: {
+                    items: { value: '@createArray(1, 2)', type: 'Expression' },
+                    activities: [{ name: 'Meta', type: 'GetMetadata', dependsOn: [], userProperties: [], typeProperties: {} }],
+                },
+            }]);
+            const runner = new LocalPipelineRunner(pipeline, {}, dir);
+            runner.mocks = mocks;
+            const ends = [];
+            runner.on('pipelineEnd', e => ends.push(e));
+            await runner.run();
+            const metaRuns = ends[0].activityRuns.filter(r => r.activityName === 'Meta');
+            expect(metaRuns.map(r => [r.status, r.output])).toEqual([
+                ['Succeeded', { childItems: [{ name: 'a.csv' }] }],
+                ['Succeeded', { childItems: [{ name: 'a.csv' }] }],
+            ]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+// ─── Handler plugins ──────────────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — handler plugins', () => {
+    let workspaceRoot;
+    const plugin = (name, source) => {
+        const file = path.join(workspaceRoot, '.adf-local', 'handlers', name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, source);
+    };
+    async function run(activities, setup = () => {}) {
+        const runner = new LocalPipelineRunner(makePipeline(activities, { region: 'eu' }, { result: '' }), { region: 'eu' }, workspaceRoot);
+        setup(runner);
+        const updates = [], ends = [];
+        runner.on('activityUpdate', u => updates.push({ ...u }));
+        runner.on('pipelineEnd', e => ends.push(e));
+        await runner.run();
+        const done = Object.fromEntries(updates.filter(u => ['Succeeded', 'Failed'].includes(u.status)).map(u => [u.name, u]));
+        return { runner, done, end: ends[0] };
+    }
+
+    beforeEach(() => { workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-plugins-')); });
+    afterEach(() => fs.rmSync(workspaceRoot, { recursive: true, force: true }));
+
+    test('a plugin runs a new activity type with the runner bound to this, in nested scopes too', async () => {
+        plugin('azureFunction.js', `
+            const path = require('path');
+            module.exports = {
+                activityType: 'AzureFunctionActivity',
+                async handler(activity) {
+                    const fn = this._eval(activity.typeProperties.functionName, {});
+                    return { response: fn + '@' + this._eval('@pipeline().parameters.region', {}), workspace: path.basename(this.workspaceRoot) };
+                },
+            };`);
+        const { done } = await run([{
+            name: 'Gate', type: 'IfCondition', dependsOn: [], userProperties: [],
+            typeProperties: { expression: { value: '@true', type: 'Expression' }, ifFalseActivities: [], ifTrueActivities: [
+                { name: 'CallFn', type: 'AzureFunctionActivity', dependsOn: [], userProperties: [],
+                  typeProperties: { functionName: { value: "@concat('score-', 'orders')", type: 'Expression' }, method: 'POST' } },
+                { name: 'Keep', type: 'SetVariable', dependsOn: [{ activity: 'CallFn', dependencyConditions: ['Succeeded'] }], userProperties: [],
+                  typeProperties: { variableName: 'result', value: { value: "@activity('CallFn').output.response", type: 'Expression' } } },
+            ] },
+        }]);
+        expect(done.CallFn.status).toBe('Succeeded');
+        expect(done.CallFn.output).toEqual({ response: 'score-orders@eu', workspace: path.basename(workspaceRoot) });
+        expect(done.Keep.status).toBe('Succeeded');
+    });
+
+    test('plugins override built-in types, and external plugins are blocked by strict mocks', async () => {
+        plugin('wait.js', `module.exports = [
+            { activityType: 'Wait', handler: async () => ({ waited: 'instantly' }) },
+            { activityType: ['AzureFunctionActivity', 'AzureMLExecutePipeline'], external: true, handler: async () => ({ live: true }) },
+        ];`);
+        const activities = [
+            { name: 'Pause', type: 'Wait', dependsOn: [], userProperties: [], typeProperties: { waitTimeInSeconds: 30 } },
+            { name: 'CallFn', type: 'AzureFunctionActivity', dependsOn: [], userProperties: [], typeProperties: {} },
+        ];
+        const live = await run(activities);
+        expect(live.done.Pause.output).toEqual({ waited: 'instantly' });
+        expect(live.done.CallFn.output).toEqual({ live: true });
+
+        const strict = await run(activities, (runner) => { runner.mocks = new ActivityMocks({ strict: true }); });
+        expect(strict.done.Pause.status).toBe('Succeeded');
+        expect(strict.done.CallFn.status).toBe('Failed');
+        expect(strict.done.CallFn.error).toMatch(/No mock defined for AzureFunctionActivity/);
+    });
+
+    test('malformed plugins fail the run; unknown types point at the plugin folder', async () => {
+        const activities = [{ name: 'CallFn', type: 'AzureFunctionActivity', dependsOn: [], userProperties: [], typeProperties: {} }];
+        const unknown = await run(activities);
+        expect(unknown.done.CallFn.error).toContain(path.join('.adf-local', 'handlers'));
+
+        plugin('a.js', `module.exports = { activityType: 'AzureFunctionActivity', handler: async () => ({}) };`);
+        plugin('b.js', `module.exports = { activityType: 'AzureFunctionActivity', handler: async () => ({}) };`);
+        const duplicate = await run(activities);
+        expect(duplicate.end.status).toBe('Failed');
+        expect(duplicate.end.error).toMatch(/b\.js registers "AzureFunctionActivity", already registered by a\.js/);
+
+        fs.rmSync(path.join(workspaceRoot, '.adf-local', 'handlers'), { recursive: true });
+        plugin('c.js', `module.exports = { activityType: 'AzureFunctionActivity', handler: 'notAFunction' };`);
+        expect(() => loadHandlerPlugins(workspaceRoot)).toThrow(/Invalid handler plugin c\.js: "handler"/);
+    });
+});
+
+
+// ─── Local storage backend ────────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — local storage backend', () => {
+    let workspaceRoot;
+    const write = (rel, content) => {
+        const file = path.join(workspaceRoot, rel);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    };
+    const dataset = (name, location, type = 'DelimitedText') => write(`dataset/${name}.json`, {
+        name, properties: {
+            type, linkedServiceName: { referenceName: 'LS_Lake', type: 'LinkedServiceReference' },
+            typeProperties: { location: { type: 'AzureBlobFSLocation', fileSystem: 'raw', ...location }, firstRowAsHeader: true, columnDelimiter: ',' },
+        },
+    });
+    const stored = (rel) => path.join(workspaceRoot, '.adf-local-storage', 'lakeacct', 'raw', rel);
+
+    async function run(activities) {
+        const runner  = new LocalPipelineRunner(makePipeline(activities), {}, workspaceRoot, workspaceRoot);
+        const updates = [];
+        runner.on('activityUpdate', u => updates.push({ ...u }));
+        await runner.run();
+        return Object.fromEntries(updates.filter(u => ['Succeeded', 'Failed'].includes(u.status)).map(u => [u.name, u]));
+    }
+
+    beforeEach(() => {
+        workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-storage-'));
+        write('linkedService/LS_Lake.json', { name: 'LS_Lake', properties: { type: 'AzureBlobFS', typeProperties: { url: 'https://lakeacct.dfs.core.windows.net' } } });
+        write('synapse-local-run.json', { storage: { linkedServices: { LS_Lake: 'local' } } });
+        write('.adf-local-storage/lakeacct/raw/in/orders.csv', 'id,total\n1,10\n2,20\n');
+        dataset('Orders', { folderPath: 'in', fileName: 'orders.csv' });
+        dataset('InFolder', { folderPath: 'in' });
+        dataset('OrdersCopy', { folderPath: 'out', fileName: 'orders.csv' });
+    });
+    afterEach(() => fs.rmSync(workspaceRoot, { recursive: true, force: true }));
+
+    test('Lookup and GetMetadata read from the local folder', async () => {
+        const ref = (name) => ({ referenceName: name, type: 'DatasetReference' });
+        const res = await run([
+            { name: 'Look', type: 'Lookup', dependsOn: [], typeProperties: { dataset: ref('Orders'), firstRowOnly: false } },
+            { name: 'Meta', type: 'GetMetadata', dependsOn: [], typeProperties: { dataset: ref('InFolder'), fieldList: ['childItems', 'exists'] } },
+            { name: 'Size', type: 'GetMetadata', dependsOn: [], typeProperties: { dataset: ref('Orders'), fieldList: ['size', 'contentMD5'] } },
+        ]);
+        expect(res.Look.status).toBe('Succeeded');
+        expect(res.Look.output.count).toBe(2);
+        expect(res.Look.output.value[1]).toEqual({ id: '2', total: '20' });
+        expect(res.Meta.output).toEqual({ childItems: [{ name: 'orders.csv', type: 'File' }], exists: true });
+        expect(res.Size.output.size).toBe(fs.statSync(stored('in/orders.csv')).size);
+        expect(res.Size.output.contentMD5).toMatch(/==$/);
+    });
+
+    test('Copy, Validation and Delete write and remove local files', async () => {
+        const ref = (name) => ({ referenceName: name, type: 'DatasetReference' });
+        const after = (name) => [{ activity: name, dependencyConditions: ['Succeeded'] }];
+        const res = await run([
+            { name: 'CopyOrders', type: 'Copy', dependsOn: [], inputs: [ref('Orders')], outputs: [ref('OrdersCopy')],
+              typeProperties: { source: { type: 'DelimitedTextSource' }, sink: { type: 'DelimitedTextSink' } } },
+            { name: 'WaitForCopy', type: 'Validation', dependsOn: after('CopyOrders'), typeProperties: { dataset: ref('OrdersCopy'), timeout: '0.00:00:05', sleep: 1 } },
+            { name: 'DropSource', type: 'Delete', dependsOn: after('WaitForCopy'), typeProperties: { dataset: ref('Orders') } },
+        ]);
+        expect(res.CopyOrders.status).toBe('Succeeded');
+        expect(res.WaitForCopy.status).toBe('Succeeded');
+        expect(res.DropSource.status).toBe('Succeeded');
+        expect(fs.readFileSync(stored('out/orders.csv'), 'utf8')).toContain('2,20');
+        expect(fs.existsSync(stored('in/orders.csv'))).toBe(false);
+    });
+
+    test('linked services not configured as local keep the live backend', () => {
+        const config = { localRoot: 'samples', linkedServices: { LS_Lake: 'local', LS_Other: { backend: 'local', localRoot: 'other' } } };
+        expect(storageBackendFor('LS_Lake', config)).toEqual({ backend: 'local', localRoot: 'samples' });
+        expect(storageBackendFor('LS_Other', config)).toEqual({ backend: 'local', localRoot: 'other' });
+        expect(storageBackendFor('LS_Live', config).backend).toBe('adls');
+        expect(storageBackendFor('LS_Live', { backend: 'local' }).backend).toBe('local');
+        expect(() => storageBackendFor('LS_Lake', { backend: 'ftp' })).toThrow(/Unknown storage backend "ftp"/);
+        const client = createStorageClient({ linkedServiceName: 'LS_Lake', storageAccount: 'lakeacct' }, config, workspaceRoot);
+        expect(client).toBeInstanceOf(LocalFolderStorage);
+        expect(client.root).toBe(path.join(workspaceRoot, 'samples', 'lakeacct'));
+    });
+
+    test('local paths cannot escape the storage account folder', async () => {
+        const storage = new LocalFolderStorage('lakeacct', path.join(workspaceRoot, '.adf-local-storage'));
+        await expect(storage.readFile('raw', '../../../synapse-local-run.json')).rejects.toThrow(/outside/);
+        await expect(storage.getFileProperties('raw', 'in/missing.csv')).rejects.toThrow(/not found/);
+        expect((await storage.listPaths('raw', '', true)).map(p => p.name)).toEqual(['in', 'in/orders.csv']);
+    });
+});
+
+// ─── Parameterized datasets and linked services ───────────────────────────────
+
+describe('LocalPipelineRunner — parameterized datasets and linked services', () => {
+    let workspaceRoot;
+    const write = (rel, content) => {
+        const file = path.join(workspaceRoot, rel);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    };
+
+    beforeEach(() => {
+        workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-dsparams-'));
+        write('linkedService/LS_Lake.json', { name: 'LS_Lake', properties: {
+            type: 'AzureBlobFS',
+            parameters: { account: { type: 'String', defaultValue: 'devlake' } },
+            typeProperties: { url: { value: '@{concat(\'https://\', linkedService().account)}.dfs.core.windows.net', type: 'Expression' } },
+        } });
+        write('dataset/RegionFile.json', { name: 'RegionFile', properties: {
+            type: 'Json',
+            parameters: { region: { type: 'String' }, fileName: { type: 'String', defaultValue: 'totals.json' }, env: { type: 'String', defaultValue: 'test' } },
+            linkedServiceName: { referenceName: 'LS_Lake', type: 'LinkedServiceReference', parameters: { account: '@{dataset().env}lake' } },
+            typeProperties: { location: {
+                type: 'AzureBlobFSLocation', fileSystem: 'raw',
+                folderPath: { value: "@concat('regions/', dataset().region)", type: 'Expression' },
+                fileName: '@dataset().fileName',
+            } },
+        } });
+        write('synapse-local-run.json', { storage: { backend: 'local' } });
+        write('.adf-local-storage/testlake/raw/regions/eu/totals.json', [{ total: 10 }]);
+        write('.adf-local-storage/testlake/raw/regions/us/totals.json', [{ total: 20 }]);
+    });
+    afterEach(() => fs.rmSync(workspaceRoot, { recursive: true, force: true }));
+
+    test('reference parameters are evaluated per activity and substituted into dataset() and linkedService()', async () => {
+        const runner = new LocalPipelineRunner(makePipeline([{
+            name: 'EachRegion', type: 'ForEach', dependsOn: [], userProperties: [],
+            typeProperties: { isSequential: true, items: { value: "@createArray('eu', 'us')", type: 'Expression' }, activities: [{
+                name: 'ReadTotals', type: 'Lookup', dependsOn: [], userProperties: [],
+                typeProperties: { firstRowOnly: true, dataset: { referenceName: 'RegionFile', type: 'DatasetReference', parameters: {
+                    region: { value: '@item()', type: 'Expression' },
+                } } },
+            }, {
+                name: 'Collect', type: 'AppendVariable', dependsOn: [{ activity: 'ReadTotals', dependencyConditions: ['Succeeded'] }], userProperties: [],
+                typeProperties: { variableName: 'totals', value: { value: "@activity('ReadTotals').output.firstRow.total", type: 'Expression' } },
+            }] },
+        }], {}, { totals: [] }), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+        expect(runner.activityStatuses.EachRegion).toBe('Succeeded');
+        expect(runner.variables.totals).toEqual([10, 20]);
+
+        const loc = resolveDatasetToAdls('RegionFile', workspaceRoot, undefined, { region: 'eu', env: 'prod' });
+        expect(loc).toMatchObject({ storageAccount: 'prodlake', folderPath: 'regions/eu', fileName: 'totals.json' });
+    });
+
+    test('SQL datasets and linked services resolve parameters, and missing values are reported', () => {
+        write('linkedService/LS_Sql.json', { name: 'LS_Sql', properties: {
+            type: 'AzureSqlDatabase',
+            parameters: { dbName: { type: 'String', defaultValue: 'sales_dev' } },
+            typeProperties: { connectionString: 'Server=tcp:sql.example.net,1433;Database=@{linkedService().dbName};' },
+        } });
+        write('dataset/SqlTable.json', { name: 'SqlTable', properties: {
+            type: 'AzureSqlTable',
+            parameters: { table: { type: 'String' }, schema: { type: 'String', defaultValue: 'staging' } },
+            linkedServiceName: { referenceName: 'LS_Sql', type: 'LinkedServiceReference', parameters: { dbName: "@concat('sales_', dataset().table)" } },
+            typeProperties: { schema: { value: '@dataset().schema', type: 'Expression' }, table: { value: '@dataset().table', type: 'Expression' } },
+        } });
+        const ds = resolveSqlDataset('SqlTable', workspaceRoot, undefined, { table: 'orders' });
+        expect(ds).toEqual({ linkedServiceName: 'LS_Sql', linkedServiceParameters: { dbName: 'sales_orders' }, schema: 'staging', table: 'orders' });
+        expect(resolveSqlLinkedService('LS_Sql', workspaceRoot, undefined, ds.linkedServiceParameters)).toEqual({ server: 'tcp:sql.example.net,1433', database: 'sales_orders' });
+        expect(resolveSqlLinkedService('LS_Sql', workspaceRoot)).toEqual({ server: 'tcp:sql.example.net,1433', database: 'sales_dev' });
+        expect(() => resolveSqlDataset('SqlTable', workspaceRoot)).toThrow('Dataset "SqlTable" parameter "table" has no value');
+    });
+});
+
+describe('LocalPipelineRunner — Lookup and GetMetadata on SQL datasets', () => {
+    let workspaceRoot, queries;
+    const write = (rel, content) => {
+        const file = path.join(workspaceRoot, rel);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(content));
+    };
+    const activity = (name, type, typeProperties) => ({ name, type, dependsOn: [], userProperties: [], typeProperties });
+    const dataset = (referenceName, parameters) => ({ referenceName, type: 'DatasetReference', ...(parameters ? { parameters } : {}) });
+
+    // streamQuery / streamTable stand-in: hands rows to onRow until it returns false
+    const streamRows = async (rows, onRow) => {
+        let rowCount = 0;
+        for (const row of rows) {
+            rowCount++;
+            if (await onRow(row) === false) break;
+        }
+        return { columns: Object.keys(rows[0] ?? {}), types: [], rowCount };
+    };
+
+    beforeEach(() => {
+        workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-sqllookup-'));
+        write('linkedService/LS_Sql.json', { name: 'LS_Sql', properties: {
+            type: 'AzureSqlDatabase', typeProperties: { connectionString: 'Server=tcp:sql.example.net,1433;Database=sales;' },
+        } });
+        write('dataset/Orders.json', { name: 'Orders', properties: {
+            type: 'AzureSqlTable', linkedServiceName: { referenceName: 'LS_Sql', type: 'LinkedServiceReference' },
+            typeProperties: { schema: 'dbo', table: 'Orders' },
+        } });
+        write('dataset/Warehouse.json', { name: 'Warehouse', properties: {
+            type: 'AzureSqlDWTable', parameters: { table: { type: 'String' } },
+            linkedServiceName: { referenceName: 'LS_Sql', type: 'LinkedServiceReference' },
+            typeProperties: { schema: 'dw', table: { value: '@dataset().table', type: 'Expression' } },
+        } });
+        queries = [];
+        jest.spyOn(SqlClient.prototype, 'executeQuery').mockImplementation(async function (query) {
+            queries.push({ database: this.database, query });
+            if (query.includes('INFORMATION_SCHEMA')) {
+                return query.includes("N'Orders'")
+                    ? { rows: [{ COLUMN_NAME: 'id', DATA_TYPE: 'int' }, { COLUMN_NAME: 'amount', DATA_TYPE: 'decimal' }, { COLUMN_NAME: 'placed', DATA_TYPE: 'datetime2' }, { COLUMN_NAME: 'note', DATA_TYPE: 'nvarchar' }], columns: ['COLUMN_NAME', 'DATA_TYPE'] }
+                    : { rows: [], columns: ['COLUMN_NAME', 'DATA_TYPE'] };
+            }
+            return { rows: [], columns: [] };
+        });
+        jest.spyOn(SqlClient.prototype, 'streamQuery').mockImplementation(async function (query, onRow) {
+            queries.push({ database: this.database, query });
+            return streamRows([{ id: '1', amount: '9.50' }, { id: '2', amount: '12.00' }], onRow);
+        });
+        jest.spyOn(SqlClient.prototype, 'executeStoredProcedure').mockImplementation(async (procName, params) => {
+            queries.push({ procName, params });
+            return { rowsAffected: [1], recordset: [{ watermark: '2024-01-01' }] };
+        });
+        jest.spyOn(SqlClient.prototype, 'streamTable').mockImplementation(async (schema, table, onRow) => {
+            queries.push({ schema, table });
+            return streamRows([{ id: '7' }], onRow);
+        });
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    test('Lookup honors sqlReaderQuery, sqlReaderStoredProcedureName, the table and firstRowOnly', async () => {
+        const runner = new LocalPipelineRunner(makePipeline([
+            activity('ByQuery', 'Lookup', { firstRowOnly: false, source: {
+                type: 'AzureSqlSource', sqlReaderQuery: { value: "@concat('SELECT id, amount FROM dbo.Orders WHERE region = ''', pipeline().parameters.region, '''')", type: 'Expression' },
+            }, dataset: dataset('Orders') }),
+            activity('ByProc', 'Lookup', { source: {
+                type: 'AzureSqlSource', sqlReaderStoredProcedureName: '[dbo].[GetWatermark]',
+                storedProcedureParameters: { Source: { type: 'String', value: '@pipeline().parameters.region' } },
+            }, dataset: dataset('Orders') }),
+            activity('ByTable', 'Lookup', { source: { type: 'SqlDWSource' }, dataset: dataset('Warehouse', { table: 'FactSales' }) }),
+        ], { region: 'eu' }), { region: 'eu' }, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityStatuses).toMatchObject({ ByQuery: 'Succeeded', ByProc: 'Succeeded', ByTable: 'Succeeded' });
+        expect(runner.activityOutputs.ByQuery).toMatchObject({ count: 2, value: [{ id: '1', amount: '9.50' }, { id: '2', amount: '12.00' }] });
+        expect(runner.activityOutputs.ByProc).toMatchObject({ firstRow: { watermark: '2024-01-01' } });
+        expect(runner.activityOutputs.ByTable).toMatchObject({ firstRow: { id: '7' } });
+        expect(queries).toEqual(expect.arrayContaining([
+            { database: 'sales', query: "SELECT id, amount FROM dbo.Orders WHERE region = 'eu'" },
+            { procName: '[dbo].[GetWatermark]', params: { Source: { type: 'String', value: 'eu' } } },
+            { schema: 'dw', table: 'FactSales' },
+        ]));
+    });
+
+    test('Lookup stops reading a SQL result one row past lookupMaxRows; firstRowOnly keeps one row and counts', async () => {
+        const delivered = [];
+        SqlClient.prototype.streamQuery.mockImplementation(async (query, onRow) => {
+            const rows = Array.from({ length: 12000 }, (_, i) => ({ id: String(i) }));
+            const summary = await streamRows(rows, onRow);
+            delivered.push(summary.rowCount);
+            return summary;
+        });
+        const runner = new LocalPipelineRunner(makePipeline([
+            activity('All', 'Lookup', { firstRowOnly: false, source: { type: 'AzureSqlSource', sqlReaderQuery: 'SELECT id FROM dbo.Big' }, dataset: dataset('Orders') }),
+            activity('First', 'Lookup', { source: { type: 'AzureSqlSource', sqlReaderQuery: 'SELECT id FROM dbo.Big' }, dataset: dataset('Orders') }),
+        ]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(delivered.sort((a, b) => a - b)).toEqual([5001, 12000]);
+        expect(runner.activityOutputs.All.count).toBe(5000);
+        expect(runner.activityOutputs.All.value).toHaveLength(5000);
+        expect(runner.activityOutputs.First).toEqual({ firstRow: { id: '0' }, count: 12000 });
+        expect(runner.warnings).toEqual([expect.objectContaining({ code: 'LookupRowsTruncated', activityName: 'All', limit: 5000 })]);
+        expect(runner.warnings[0].message).toMatch(/returned more than 5000 rows/);
+    });
+
+    test('Copy from SQL to SQL streams mapped rows into the sink insert', async () => {
+        const inserted = [];
+        const insert = jest.spyOn(SqlClient.prototype, 'bulkInsertStream').mockImplementation(async (schema, table, columns, produce) => {
+            await produce(async (row) => { inserted.push({ table: `${schema}.${table}`, row }); });
+            return { rowsAffected: inserted.length };
+        });
+        const runner = new LocalPipelineRunner(makePipeline([
+            { ...activity('CopyOrders', 'Copy', {
+                source: { type: 'AzureSqlSource', sqlReaderQuery: 'SELECT id, amount FROM dbo.Orders' },
+                sink: { type: 'SqlDWSink' },
+                translator: { type: 'TabularTranslator', mappings: [{ source: { name: 'amount' }, sink: { name: 'Total' } }, { source: { name: 'id' }, sink: { name: 'OrderId' } }] },
+            }), inputs: [dataset('Orders')], outputs: [dataset('Warehouse', { table: 'FactOrders' })] },
+        ]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityStatuses.CopyOrders).toBe('Succeeded');
+        expect(runner.activityOutputs.CopyOrders.rowsCopied).toBe(2);
+        expect(insert).toHaveBeenCalledTimes(1);
+        expect(inserted).toEqual([
+            { table: 'dw.FactOrders', row: { Total: '9.50', OrderId: '1' } },
+            { table: 'dw.FactOrders', row: { Total: '12.00', OrderId: '2' } },
+        ]);
+        expect(SqlClient.prototype.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test('GetMetadata returns structure, columnCount and exists for SQL tables', async () => {
+        const runner = new LocalPipelineRunner(makePipeline([
+            activity('OrdersMeta', 'GetMetadata', { dataset: dataset('Orders'), fieldList: ['structure', 'columnCount', 'exists'] }),
+            activity('MissingExists', 'GetMetadata', { dataset: dataset('Warehouse', { table: 'Nope' }), fieldList: ['exists', 'columnCount'] }),
+            activity('MissingStructure', 'GetMetadata', { dataset: dataset('Warehouse', { table: 'Nope' }), fieldList: ['structure'] }),
+        ]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityOutputs.OrdersMeta).toMatchObject({
+            structure: [{ name: 'id', type: 'Int32' }, { name: 'amount', type: 'Decimal' }, { name: 'placed', type: 'DateTime' }, { name: 'note', type: 'String' }],
+            columnCount: 4,
+            exists: true,
+        });
+        expect(runner.activityOutputs.MissingExists).toMatchObject({ exists: false });
+        expect(runner.activityOutputs.MissingExists.columnCount).toBeUndefined();
+        expect(runner.activityStatuses.MissingStructure).toBe('Failed');
+        expect(queries.find(q => q.query?.includes("N'Nope'")).query).toContain("TABLE_SCHEMA = N'dw'");
+    });
+
+    test('a run shares its SQL pools with waited-on ExecutePipeline children and closes them when it ends', async () => {
+        const poolsUsed = [];
+        SqlClient.prototype.streamQuery.mockImplementation(async function (query, onRow) {
+            poolsUsed.push(this._pools);
+            return streamRows([{ id: '1' }], onRow);
+        });
+        const closeAll = jest.spyOn(SqlPools.prototype, 'closeAll').mockResolvedValue();
+        write('pipeline/Child.json', { name: 'Child', properties: { activities: [
+            activity('ChildLookup', 'Lookup', { source: { type: 'AzureSqlSource', sqlReaderQuery: 'SELECT 1 AS id' }, dataset: dataset('Orders') }),
+        ] } });
+        const runner = new LocalPipelineRunner(makePipeline([
+            activity('ParentLookup', 'Lookup', { source: { type: 'AzureSqlSource', sqlReaderQuery: 'SELECT 1 AS id' }, dataset: dataset('Orders') }),
+            { ...activity('Exec', 'ExecutePipeline', { pipeline: { referenceName: 'Child', type: 'PipelineReference' }, waitOnCompletion: true }),
+              dependsOn: [{ activity: 'ParentLookup', dependencyConditions: ['Succeeded'] }] },
+        ]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityStatuses.Exec).toBe('Succeeded');
+        expect(poolsUsed).toHaveLength(2);
+        expect(poolsUsed[0]).toBeInstanceOf(SqlPools);
+        expect(poolsUsed[1]).toBe(poolsUsed[0]);
+        expect(closeAll).toHaveBeenCalledTimes(1);
+    });
+});
+
+
+describe('LocalPipelineRunner — Lookup on files and its limits', () => {
+    let workspaceRoot;
+    const write = (rel, content) => {
+        const file = path.join(workspaceRoot, rel);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    };
+    const lookup = (name, referenceName, extra = {}) => ({
+        name, type: 'Lookup', dependsOn: [], userProperties: [],
+        typeProperties: { firstRowOnly: false, dataset: { referenceName, type: 'DatasetReference' }, ...extra },
+    });
+    const fileDataset = (name, type, fileName, extra = {}) => write(`dataset/${name}.json`, { name, properties: {
+        type, linkedServiceName: { referenceName: 'LS_Lake', type: 'LinkedServiceReference' },
+        typeProperties: { location: { type: 'AzureBlobFSLocation', fileSystem: 'raw', folderPath: 'in', fileName }, ...extra },
+    } });
+
+    beforeEach(() => {
+        workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-lookupfiles-'));
+        write('linkedService/LS_Lake.json', { name: 'LS_Lake', properties: { type: 'AzureBlobFS', typeProperties: { url: 'https://lake.dfs.core.windows.net' } } });
+        write('synapse-local-run.json', { storage: { backend: 'local' } });
+    });
+    afterEach(() => fs.rmSync(workspaceRoot, { recursive: true, force: true }));
+
+    test('wildcard file names read every matching file, from the dataset or storeSettings', async () => {
+        fileDataset('Parts', 'DelimitedText', 'part-*.csv', { columnDelimiter: ';', firstRowAsHeader: true });
+        fileDataset('AnyJson', 'Json', 'unused.json');
+        write('.adf-local-storage/lake/raw/in/part-1.csv', 'id;name\n1;a\n');
+        write('.adf-local-storage/lake/raw/in/part-2.csv', 'id;name\n2;b\n3;c\n');
+        write('.adf-local-storage/lake/raw/in/other.csv', 'id;name\n9;z\n');
+        write('.adf-local-storage/lake/raw/in/json/a.json', [{ k: 1 }]);
+        write('.adf-local-storage/lake/raw/in/json/b.json', { k: 2 });
+
+        const runner = new LocalPipelineRunner(makePipeline([
+            lookup('Csv', 'Parts'),
+            lookup('Json', 'AnyJson', { source: { type: 'JsonSource', storeSettings: { type: 'AzureBlobFSReadSettings', wildcardFolderPath: 'in/json', wildcardFileName: '*.json' } } }),
+            lookup('NoMatch', 'AnyJson', { source: { type: 'JsonSource', storeSettings: { wildcardFileName: '*.parquet' } } }),
+        ]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityOutputs.Csv).toMatchObject({ count: 3, value: [{ id: '1', name: 'a' }, { id: '2', name: 'b' }, { id: '3', name: 'c' }] });
+        expect(runner.activityOutputs.Json).toMatchObject({ count: 2, value: [{ k: 1 }, { k: 2 }] });
+        expect(runner.activityStatuses.NoMatch).toBe('Failed');
+        expect(runner.activityErrors.NoMatch.message).toContain('Lookup: no files matched wildcard pattern "*.parquet"');
+    });
+
+    test('returns at most 5000 rows with a warning and fails above 4 MB with the service message', async () => {
+        fileDataset('Many', 'Json', 'many.json');
+        fileDataset('Big', 'Json', 'big.json');
+        write('.adf-local-storage/lake/raw/in/many.json', Array.from({ length: 5200 }, (_, i) => ({ i })));
+        write('.adf-local-storage/lake/raw/in/big.json', Array.from({ length: 50 }, () => ({ blob: 'x'.repeat(100 * 1024) })));
+
+        const runner = new LocalPipelineRunner(makePipeline([
+            lookup('ManyRows', 'Many'),
+            lookup('FirstOfMany', 'Many', { firstRowOnly: true }),
+            lookup('TooBig', 'Big'),
+        ]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityOutputs.ManyRows.count).toBe(5000);
+        expect(runner.activityOutputs.ManyRows.value[4999]).toEqual({ i: 4999 });
+        expect(runner.activityOutputs.FirstOfMany).toMatchObject({ firstRow: { i: 0 }, count: 5200 });
+        expect(runner.warnings).toEqual([expect.objectContaining({ code: 'LookupRowsTruncated', activityName: 'ManyRows', rowCount: 5200, limit: 5000 })]);
+        expect(runner.activityStatuses.TooBig).toBe('Failed');
+        expect(runner.activityErrors.TooBig.message).toBe('The size of lookup activity result exceeds the limitation 4194304.');
+    });
+});
+
+describe('LocalPipelineRunner — cross-format Copy and in-process file formats', () => {
+    let workspaceRoot;
+    const ref = (referenceName) => ({ referenceName, type: 'DatasetReference' });
+    const stored = (rel) => path.join(workspaceRoot, '.adf-local-storage/lake/raw', rel);
+    const write = (rel, content) => {
+        const file = path.join(workspaceRoot, rel);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, typeof content === 'string' || Buffer.isBuffer(content) ? content : JSON.stringify(content));
+    };
+    const fileDataset = (name, type, folderPath, fileName, extra = {}) => write(`dataset/${name}.json`, { name, properties: {
+        type, linkedServiceName: { referenceName: 'LS_Lake', type: 'LinkedServiceReference' },
+        typeProperties: { location: { type: 'AzureBlobFSLocation', fileSystem: 'raw', folderPath, fileName }, ...extra },
+    } });
+    const copy = (name, from, to, dependsOn = [], source = {}) => ({
+        name, type: 'Copy', dependsOn: dependsOn.map(activity => ({ activity, dependencyConditions: ['Succeeded'] })),
+        inputs: [ref(from)], outputs: [ref(to)], typeProperties: { source, sink: {} },
+    });
+    const lookup = (name, dataset, source = {}) => ({
+        name, type: 'Lookup', dependsOn: [], userProperties: [],
+        typeProperties: { firstRowOnly: false, dataset: ref(dataset), source },
+    });
+
+    beforeEach(() => {
+        workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-formats-'));
+        write('linkedService/LS_Lake.json', { name: 'LS_Lake', properties: { type: 'AzureBlobFS', typeProperties: { url: 'https://lake.dfs.core.windows.net' } } });
+        write('synapse-local-run.json', { storage: { backend: 'local' } });
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    test('Json → Avro → DelimitedText keeps values and types without temp files', async () => {
+        fileDataset('OrdersJson', 'Json', 'in', 'orders.json');
+        fileDataset('OrdersAvro', 'Avro', 'avro', 'orders.avro', { avroCompressionCodec: 'snappy' });
+        fileDataset('OrdersCsv', 'DelimitedText', 'out', 'orders.csv', { columnDelimiter: ',', firstRowAsHeader: true });
+        write('.adf-local-storage/lake/raw/in/orders.json', [
+            { id: 1, amount: 9.5, paid: true, note: 'a, b', tags: ['x'] },
+            { id: 2, amount: 3, paid: false, note: null, tags: [] },
+        ]);
+
+        const runner = new LocalPipelineRunner(makePipeline([
+            copy('ToAvro', 'OrdersJson', 'OrdersAvro'),
+            copy('ToCsv', 'OrdersAvro', 'OrdersCsv', ['ToAvro']),
+            { ...lookup('ReadAvro', 'OrdersAvro'), dependsOn: [{ activity: 'ToAvro', dependencyConditions: ['Succeeded'] }] },
+        ]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityOutputs.ToAvro).toMatchObject({ rowsCopied: 2, format: 'Json→Avro' });
+        expect(fs.readFileSync(stored('avro/orders.avro')).subarray(0, 4).toString('latin1')).toBe('Obj\x01');
+        expect(runner.activityOutputs.ReadAvro.value).toEqual([
+            { id: 1, amount: 9.5, paid: true, note: 'a, b', tags: '["x"]' },
+            { id: 2, amount: 3, paid: false, note: null, tags: '[]' },
+        ]);
+        expect(runner.activityOutputs.ToCsv).toMatchObject({ rowsCopied: 2, format: 'Avro→DelimitedText' });
+        expect(fs.readFileSync(stored('out/orders.csv'), 'utf8')).toBe('id,amount,paid,note,tags\n1,9.5,true,"a, b","[""x""]"\n2,3,false,,[]');
+    });
+
+    test('a wildcard source fileName merges every matching file into the converted sink file', async () => {
+        fileDataset('Parts', 'Json', 'in', 'part-*.json');
+        fileDataset('PartsCsv', 'DelimitedText', 'out', 'parts.csv', { columnDelimiter: ',', firstRowAsHeader: true });
+        write('.adf-local-storage/lake/raw/in/part-1.json', [{ id: 1 }, { id: 2 }]);
+        write('.adf-local-storage/lake/raw/in/part-2.json', [{ id: 3 }]);
+        write('.adf-local-storage/lake/raw/in/other.json', [{ id: 4 }]);
+
+        const runner = new LocalPipelineRunner(makePipeline([copy('Merge', 'Parts', 'PartsCsv')]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityOutputs.Merge).toMatchObject({ rowsCopied: 3, format: 'Json→DelimitedText' });
+        expect(runner.activityOutputs.Merge.source).toMatch(/\(2 files\)$/);
+        expect(fs.readFileSync(stored('out/parts.csv'), 'utf8')).toBe('id\n1\n2\n3');
+    });
+
+    test('Xml sources honour rowTag, attributes, namespaces and namespacePrefixes', async () => {
+        fileDataset('OrdersXml', 'Xml', 'in', 'orders.xml', { rowTag: 'order' });
+        fileDataset('OrdersOut', 'Json', 'out', 'orders.json');
+        write('.adf-local-storage/lake/raw/in/orders.xml',
+            '<?xml version="1.0"?><o:orders xmlns:o="urn:orders">' +
+            '<o:order id="1"><o:code>007</o:code><o:qty>3</o:qty><o:ship><city>Oslo</city></o:ship></o:order>' +
+            '<o:order id="2"><o:code/><o:qty>4</o:qty></o:order></o:orders>');
+
+        const runner = new LocalPipelineRunner(makePipeline([
+            lookup('Prefixed', 'OrdersXml', { formatSettings: { type: 'XmlReadSettings', namespacePrefixes: { 'urn:orders': 'ns' } } }),
+            lookup('NoNamespaces', 'OrdersXml', { formatSettings: { type: 'XmlReadSettings', namespaces: false, detectDataType: false } }),
+            copy('ToJson', 'OrdersXml', 'OrdersOut'),
+        ]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityOutputs.Prefixed.value).toEqual([
+            { '@id': 1, 'ns:code': '007', 'ns:qty': 3, 'ns:ship': { city: 'Oslo' } },
+            { '@id': 2, 'ns:code': null, 'ns:qty': 4, 'ns:ship': null },
+        ]);
+        expect(runner.activityOutputs.NoNamespaces.value[0]).toEqual({ '@id': '1', code: '007', qty: '3', ship: { city: 'Oslo' } });
+        expect(runner.activityOutputs.ToJson).toMatchObject({ rowsCopied: 2, format: 'Xml→Json' });
+        expect(JSON.parse(fs.readFileSync(stored('out/orders.json'), 'utf8'))[1]).toEqual({ '@id': 2, 'o:code': null, 'o:qty': 4, 'o:ship': null });
+    });
+
+    test('Excel sources read the named sheet and range', async () => {
+        const ExcelJS = require('exceljs');
+        const workbook = new ExcelJS.Workbook();
+        workbook.addWorksheet('Cover').addRow(['ignored']);
+        const sheet = workbook.addWorksheet('Data');
+        sheet.addRow(['Report']);
+        sheet.addRow(['id', 'when', 'total', 'extra']);
+        sheet.addRow([1, new Date(Date.UTC(2024, 0, 2)), { formula: 'A3*10', result: 10 }, 'x']);
+        sheet.addRow([2, null, { richText: [{ text: 'n/' }, { text: 'a' }] }, 'y']);
+        write('.adf-local-storage/lake/raw/in/report.xlsx', Buffer.from(await workbook.xlsx.writeBuffer()));
+        fileDataset('Report', 'Excel', 'in', 'report.xlsx', { sheetName: 'Data', range: 'A2:C4', firstRowAsHeader: true, nullValue: 'n/a' });
+
+        const runner = new LocalPipelineRunner(makePipeline([lookup('ReadSheet', 'Report')]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityOutputs.ReadSheet.value).toEqual([
+            { id: 1, when: '2024-01-02T00:00:00.000Z', total: 10 },
+            { id: 2, when: null, total: null },
+        ]);
+    });
+
+    test('SQL → Avro keeps the result set column types through translator mappings', async () => {
+        write('linkedService/LS_Sql.json', { name: 'LS_Sql', properties: {
+            type: 'AzureSqlDatabase', typeProperties: { connectionString: 'Server=tcp:sql.example.net,1433;Database=sales;' },
+        } });
+        write('dataset/Orders.json', { name: 'Orders', properties: {
+            type: 'AzureSqlTable', linkedServiceName: { referenceName: 'LS_Sql', type: 'LinkedServiceReference' },
+            typeProperties: { schema: 'dbo', table: 'Orders' },
+        } });
+        fileDataset('OrdersAvro', 'Avro', 'out', 'orders.avro');
+        jest.spyOn(SqlClient.prototype, 'readTable').mockResolvedValue({
+            rows: [{ id: '9007199254740993', placed: '2024-03-01T10:00:00.000Z', paid: 'true' }, { id: '2', placed: null, paid: 'false' }],
+            columns: ['id', 'placed', 'paid'],
+            types: ['bigint', 'datetime2', 'bit'],
+        });
+
+        const runner = new LocalPipelineRunner(makePipeline([
+            { ...copy('Export', 'Orders', 'OrdersAvro'), typeProperties: { source: {}, sink: {}, translator: { type: 'TabularTranslator', mappings: [
+                { source: { name: 'id' }, sink: { name: 'OrderId' } },
+                { source: { name: 'placed' }, sink: { name: 'PlacedAt' } },
+                { source: { name: 'paid' }, sink: { name: 'Paid' } },
+            ] } } },
+            { ...lookup('ReadBack', 'OrdersAvro'), dependsOn: [{ activity: 'Export', dependencyConditions: ['Succeeded'] }] },
+        ]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityOutputs.Export).toMatchObject({ rowsCopied: 2, format: 'Avro' });
+        expect(runner.activityOutputs.ReadBack.value).toEqual([
+            { OrderId: '9007199254740993', PlacedAt: '2024-03-01T10:00:00.000Z', Paid: true },
+            { OrderId: 2, PlacedAt: null, Paid: false },
+        ]);
+    });
+
+    test('formats without a local reader or writer fail the Copy with a clear message', async () => {
+        fileDataset('Src', 'Json', 'in', 'rows.json');
+        fileDataset('AsXml', 'Xml', 'out', 'rows.xml');
+        fileDataset('AsOrc', 'Orc', 'out', 'rows.orc');
+        fileDataset('OrcIn', 'Orc', 'in', 'rows.orc');
+        write('.adf-local-storage/lake/raw/in/rows.json', [{ a: 1 }]);
+        write('.adf-local-storage/lake/raw/in/rows.orc', 'ORC');
+
+        const runner = new LocalPipelineRunner(makePipeline([
+            copy('ToXml', 'Src', 'AsXml'), copy('ToOrc', 'Src', 'AsOrc'), copy('FromOrc', 'OrcIn', 'Src'),
+        ]), {}, workspaceRoot, workspaceRoot);
+        await runner.run();
+
+        expect(runner.activityStatuses.ToXml).toBe('Failed');
+        expect(runner.activityErrors.ToXml.message).toContain('format conversion from "Json" to "Xml" is not supported');
+        expect(runner.activityErrors.ToXml.message).toContain('Supported sink formats: DelimitedText, Json, Parquet, Avro.');
+        expect(runner.activityStatuses.ToOrc).toBe('Failed');
+        expect(runner.activityErrors.ToOrc.message).toContain('format conversion from "Json" to "Orc" is not supported');
+        expect(runner.activityStatuses.FromOrc).toBe('Failed');
+        expect(runner.activityErrors.FromOrc.message).toContain('format conversion from "Orc" to "Json" is not supported');
+    });
+});
+
+
+// ─── System variables ─────────────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — system variables', () => {
+    /** SetVariable activity capturing an expression into variable `name`. */
+    function capture(name, expr, extra = {}) {
+        return { name: `Set_${name}`, type: 'SetVariable', dependsOn: [], userProperties: [],
+                 typeProperties: { variableName: name, value: { value: expr, type: 'Expression' } }, ...extra };
+    }
+
+    async function runWith(pipeline, triggerInfo) {
+        const runner = new LocalPipelineRunner(pipeline, {}, path.join(__dirname, '../../'));
+        if (triggerInfo) runner.triggerInfo = triggerInfo;
+        await runner.run();
+        return runner;
+    }
+
+    test('pipeline() exposes RunId, Pipeline, GroupId and a manual trigger', async () => {
+        const runner = await runWith(makePipeline([
+            capture('runId',    '@pipeline().RunId'),
+            capture('name',     '@pipeline().Pipeline'),
+            capture('groupId',  '@pipeline().GroupId'),
+            capture('type',     '@pipeline().TriggerType'),
+            capture('time',     '@pipeline().TriggerTime'),
+            capture('parent',   "@coalesce(pipeline()?.TriggeredByPipelineName, 'none')"),
+        ], {}, { runId: '', name: '', groupId: '', type: '', time: '', parent: '' }));
+        expect(runner.variables.runId).toBe(runner.runId);
+        expect(runner.variables.name).toBe('TestPipeline');
+        expect(runner.variables.groupId).toBe(runner.runId);
+        expect(runner.variables.type).toBe('Manual');
+        expect(runner.variables.time).toBe(runner._startTime.toISOString());
+        expect(runner.variables.parent).toBe('none');
+    });
+
+    test('trigger() reflects simulated tumbling window and blob event metadata', async () => {
+        const runner = await runWith(makePipeline([
+            capture('start',  '@trigger().outputs.windowStartTime'),
+            capture('end',    '@trigger().outputs.windowEndTime'),
+            capture('file',   '@trigger().outputs.body.fileName'),
+            capture('sched',  '@trigger().scheduledTime'),
+            capture('type',   '@pipeline().TriggerType'),
+        ], {}, { start: '', end: '', file: '', sched: '', type: '' }), {
+            type: 'TumblingWindowTrigger',
+            scheduledTime:   '2024-01-01T01:00:00Z',
+            windowStartTime: '2024-01-01T00:00:00Z',
+            windowEndTime:   '2024-01-01T01:00:00Z',
+            fileName: 'data.csv',
+        });
+        expect(runner.variables).toMatchObject({
+            start: '2024-01-01T00:00:00Z',
+            end:   '2024-01-01T01:00:00Z',
+            file:  'data.csv',
+            sched: '2024-01-01T01:00:00Z',
+            type:  'TumblingWindowTrigger',
+        });
+    });
+
+    test('activity() exposes ActivityRunId and the error of a failed activity', async () => {
+        const runner = await runWith(makePipeline([
+            { name: 'Boom', type: 'Fail', dependsOn: [], userProperties: [],
+              typeProperties: { message: 'boom', errorCode: '42' } },
+            capture('err',   "@activity('Boom').Error.message",
+                    { dependsOn: [{ activity: 'Boom', dependencyConditions: ['Failed'] }] }),
+            capture('runId', "@activity('Boom').ActivityRunId",
+                    { dependsOn: [{ activity: 'Boom', dependencyConditions: ['Failed'] }] }),
+        ], {}, { err: '', runId: '' }));
+        const boomRun = runner.activityRuns.find(r => r.activityName === 'Boom');
+        expect(runner.variables.err).toBe('boom (errorCode: 42)');
+        expect(runner.variables.runId).toBe(boomRun.activityRunId);
+    });
+
+    test('nested scopes see the run id of the enclosing pipeline', async () => {
+        const runner = await runWith(makePipeline([{
+            name: 'IF1', type: 'IfCondition', dependsOn: [], userProperties: [],
+            typeProperties: {
+                expression: { value: '@true', type: 'Expression' },
+                ifTrueActivities: [capture('inner', '@pipeline().RunId')],
+            },
+        }], {}, { inner: '' }));
+        expect(runner.variables.inner).toBe(runner.runId);
+    });
+});
+
+// ─── Global parameters ────────────────────────────────────────────────────────
+
+describe('LocalPipelineRunner — global parameters', () => {
+    let workspaceRoot;
+
+    beforeEach(() => {
+        workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-globals-'));
+        fs.writeFileSync(path.join(workspaceRoot, 'global-parameters.json'), JSON.stringify({
+            globalParameters: { env: { type: 'String', value: 'dev' }, retries: { type: 'Int', value: 1 } },
+            profiles: { prod: { env: 'prod', retries: 5 } },
+        }));
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    const pipeline = makePipeline([{
+        name: 'S1', type: 'SetVariable', dependsOn: [], userProperties: [],
+        typeProperties: { variableName: 'env', value: { value: '@pipeline().globalParameters.env', type: 'Expression' } },
+    }], {}, { env: '' });
+
+    test('loads global parameters from the workspace by default', async () => {
+        const runner = new LocalPipelineRunner(pipeline, {}, workspaceRoot);
+        await runner.run();
+        expect(runner.variables.env).toBe('dev');
+    });
+
+    test('explicit globalParameters (e.g. a chosen profile) take precedence', async () => {
+        const runner = new LocalPipelineRunner(pipeline, {}, workspaceRoot);
+        runner.globalParameters = globalParameterValues(loadGlobalParameters(workspaceRoot, 'prod').definitions);
+        await runner.run();
+        expect(runner.variables.env).toBe('prod');
+    });
+
+    test('profiles cannot introduce parameters that are not defined', () => {
+        fs.writeFileSync(path.join(workspaceRoot, 'global-parameters.json'), JSON.stringify({
+            globalParameters: { env: { type: 'String', value: 'dev' } },
+            profiles: { test: { env: 'test', extra: 1 } },
+            defaultProfile: 'test',
+        }));
+        const { definitions, profile } = loadGlobalParameters(workspaceRoot);
+        expect(profile).toBe('test');
+        expect(definitions).toEqual({ env: { type: 'String', value: 'test' } });
+    });
+});
+
 // ─── _parseCsv — custom delimiter options ─────────────────────────────────────
 
 describe('_parseCsv — custom delimiter opts', () => {
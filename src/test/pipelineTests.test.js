@@ -0,0 +1,114 @@
+'use strict';
+// pipelineTests.test.js — Unit tests for src/activityEngine/pipelineTests.js
+//
+// Run with:  npx jest src/test/pipelineTests.test.js
+//
+// Coverage: finding and loading pipeline-tests/*.test.json specs, running them against
+// mocked activities and checking their expectations.
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { findTestFiles, loadTestSpec, runPipelineTest } = require('../activityEngine/pipelineTests');
+
+describe('pipelineTests — declarative pipeline tests', () => {
+    let workspaceRoot;
+    const write = (rel, json) => {
+        const file = path.join(workspaceRoot, rel);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(json));
+        return file;
+    };
+    const activity = (name, type, typeProperties, dependsOn) => ({
+        name, type, userProperties: [], typeProperties,
+        dependsOn: dependsOn ? [{ activity: dependsOn, dependencyConditions: ['Succeeded'] }] : [],
+    });
+
+    beforeEach(() => {
+        workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-ptests-'));
+        write('pipeline/PL_Orders.json', {
+            name: 'PL_Orders',
+            properties: {
+                parameters: { threshold: { type: 'Int', defaultValue: 100 }, region: { type: 'String', defaultValue: 'eu' } },
+                variables:  { route: { type: 'String' } },
+                activities: [
+                    activity('GetOrder', 'Lookup', { dataset: { referenceName: 'Orders', type: 'DatasetReference' } }),
+                    activity('IfLarge', 'IfCondition', {
+                        expression: { value: "@greater(activity('GetOrder').output.firstRow.total, pipeline().parameters.threshold)", type: 'Expression' },
+                        ifTrueActivities:  [activity('SetReview', 'SetVariable', { variableName: 'route', value: 'review' })],
+                        ifFalseActivities: [activity('SetAuto', 'SetVariable', { variableName: 'route', value: 'auto' })],
+                    }, 'GetOrder'),
+                    activity('ByRegion', 'Switch', {
+                        on: { value: '@pipeline().parameters.region', type: 'Expression' },
+                        cases: [{ value: 'us', activities: [activity('NotifyUs', 'WebActivity', { url: 'https://example.invalid', method: 'GET' })] }],
+                        defaultActivities: [],
+                    }),
+                ],
+            },
+        });
+        write('pipeline-tests/mocks/orders.json', { activities: { GetOrder: { fixture: '../fixtures/large.json' } } });
+        write('pipeline-tests/fixtures/large.json', { firstRow: { total: 250 } });
+    });
+    afterEach(() => fs.rmSync(workspaceRoot, { recursive: true, force: true }));
+
+    async function runSpec(spec) {
+        const specFile = write('pipeline-tests/orders.test.json', spec);
+        const loaded   = loadTestSpec(specFile);
+        return Promise.all(loaded.tests.map(t => runPipelineTest(workspaceRoot, loaded, t, { specFile })));
+    }
+
+    test('passes when variables, statuses, branches and outputs match', async () => {
+        const [result] = await runSpec({
+            pipeline: 'PL_Orders',
+            mocks: 'mocks/orders.json',
+            tests: [{ name: 'large order', expect: {
+                variables:  { route: 'review' },
+                activities: { GetOrder: 'Succeeded', SetReview: 'Succeeded', SetAuto: 'NotRun', NotifyUs: 'NotRun' },
+                branches:   { IfLarge: true, ByRegion: 'default' },
+                outputs:    { GetOrder: { firstRow: { total: 250 } } },
+            } }],
+        });
+        expect(result.failures).toEqual([]);
+        expect(result.passed).toBe(true);
+        expect(findTestFiles(workspaceRoot)).toEqual([path.join(workspaceRoot, 'pipeline-tests', 'orders.test.json')]);
+    });
+
+    test('test-level parameters and mocks override the file, and mismatches are reported', async () => {
+        const [small, wrong] = await runSpec({
+            pipeline: 'PL_Orders',
+            mocks: 'mocks/orders.json',
+            tests: [
+                { name: 'small order', parameters: { threshold: 1000 },
+                  expect: { variables: { route: 'auto' }, branches: { IfLarge: 'false' } } },
+                { name: 'wrong expectation', mocks: { activities: { GetOrder: { rows: [{ total: 5 }] } } },
+                  expect: { variables: { route: 'review' }, branches: { IfLarge: 'True' } } },
+            ],
+        });
+        expect(small.passed).toBe(true);
+        expect(wrong.passed).toBe(false);
+        expect(wrong.failures.map(f => f.message)).toEqual([
+            'Variable "route": expected "review", got "auto"',
+            'Branch of "IfLarge": expected "True", got "False"',
+        ]);
+    });
+
+    test('mocks are strict by default: an unmocked external activity fails the test', async () => {
+        const [result] = await runSpec({
+            pipeline: 'PL_Orders',
+            parameters: { region: 'us' },
+            mocks: { activities: { GetOrder: { rows: [{ total: 1 }] } } },
+            tests: [{ name: 'us region', expect: { branches: { ByRegion: 'us' } } }],
+        });
+        expect(result.passed).toBe(false);
+        expect(result.status).toBe('Failed');
+        expect(result.failures[0].message).toBe('Pipeline status: expected "Succeeded", got "Failed"');
+        expect(result.errors.NotifyUs).toMatch(/No mock defined for WebActivity activity "NotifyUs"/);
+    });
+
+    test('rejects spec files without a pipeline or with duplicate test names', () => {
+        const noPipeline = write('pipeline-tests/a.test.json', { tests: [{ name: 'x' }] });
+        const duplicate  = write('pipeline-tests/b.test.json', { pipeline: 'PL_Orders', tests: [{ name: 'x' }, { name: 'x' }] });
+        expect(() => loadTestSpec(noPipeline)).toThrow(/"pipeline" must name a pipeline/);
+        expect(() => loadTestSpec(duplicate)).toThrow(/duplicate test name "x"/);
+    });
+});
@@ -0,0 +1,146 @@
+'use strict';
+// runHistory.test.js — Unit tests for src/activityEngine/runHistory.js
+//
+// Run with:  npx jest src/test/runHistory.test.js
+//
+// Coverage: saving, listing, loading and deleting local runs; what a run record stores
+// (masked outputs, no SecureString parameters).
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { LocalPipelineRunner } = require('../activityEngine/localRunner');
+const { HISTORY_DIR, pipelineHash, recordFromRunner, saveRun, listRuns, loadRun, latestRun, deleteRun } = require('../activityEngine/runHistory');
+
+/** Build the minimal pipeline JSON structure needed by LocalPipelineRunner. */
+function makePipeline(activities, parameters = {}, variables = {}) {
+    return {
+        name: 'TestPipeline',
+        properties: {
+            activities,
+            parameters: Object.fromEntries(
+                Object.entries(parameters).map(([k, v]) => [k, { type: 'String', defaultValue: v }])
+            ),
+            variables: Object.fromEntries(
+                Object.entries(variables).map(([k, v]) => [k, { type: typeof v === 'boolean' ? 'Boolean' : Array.isArray(v) ? 'Array' : 'String', defaultValue: v }])
+            ),
+        },
+    };
+}
+
+describe('runHistory — saved local runs', () => {
+    let workspaceRoot;
+    beforeEach(() => { workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adf-history-')); });
+    afterEach(() => fs.rmSync(workspaceRoot, { recursive: true, force: true }));
+
+    async function finishedRun() {
+        const pipeline = makePipeline([{
+            name: 'SetSecret', type: 'SetVariable', dependsOn: [], userProperties: [],
+            policy: { secureOutput: true },
+            typeProperties: { variableName: 'v', value: { value: "@pipeline().parameters.token", type: 'Expression' } },
+        }], {}, { v: '' });
+        pipeline.properties.parameters = {
+            token:  { type: 'SecureString', defaultValue: '' },
+            region: { type: 'String', defaultValue: 'west' },
+        };
+        const runner = new LocalPipelineRunner(pipeline, { token: 's3cret', region: 'east' }, workspaceRoot);
+        let end;
+        runner.on('pipelineEnd', e => { end = e; });
+        await runner.run();
+        return { runner, end };
+    }
+
+    test('round-trips a run with its snapshots', async () => {
+        const { runner, end } = await finishedRun();
+        const record = recordFromRunner(runner, end, { pipelineFile: 'pipeline/TestPipeline.json' });
+        saveRun(workspaceRoot, record, new Map([['Notebook 1', { notebookName: 'nb', cells: [] }]]));
+
+        expect(fs.readFileSync(path.join(workspaceRoot, HISTORY_DIR, '.gitignore'), 'utf8')).toBe('*\n');
+        expect(listRuns(workspaceRoot)).toEqual([expect.objectContaining({ runId: runner.runId, pipelineName: 'TestPipeline', status: 'Succeeded' })]);
+
+        const loaded = loadRun(workspaceRoot, runner.runId);
+        expect(loaded.pipelineHash).toBe(pipelineHash(runner.pipelineJson));
+        expect(loaded.activityRuns).toHaveLength(1);
+        expect(loaded.snapshots).toEqual({ 'Notebook 1': { notebookName: 'nb', cells: [] } });
+    });
+
+    test('does not store SecureString parameters or secure outputs', async () => {
+        const { runner, end } = await finishedRun();
+        const record = recordFromRunner(runner, end);
+        expect(record.parameters).toEqual({ token: null, region: 'east' });
+        expect(record.secureParameters).toEqual(['token']);
+        expect(record.activityOutputs.SetSecret).toBe('********');
+    });
+
+    test('masks secure outputs of activities nested in containers', async () => {
+        const runner = new LocalPipelineRunner(makePipeline([{
+            name: 'Check', type: 'IfCondition', dependsOn: [], userProperties: [],
+            typeProperties: {
+                expression: { value: '@bool(true)', type: 'Expression' },
+                ifTrueActivities: [{
+                    name: 'SetNested', type: 'SetVariable', dependsOn: [], userProperties: [],
+                    policy: { secureOutput: true },
+                    typeProperties: { variableName: 'v', value: 'TOPSECRET' },
+                }],
+            },
+        }], {}, { v: '' }), {}, workspaceRoot);
+        let end;
+        runner.on('pipelineEnd', e => { end = e; });
+        await runner.run();
+        expect(runner.activityOutputs.SetNested).toBeDefined();
+
+        saveRun(workspaceRoot, recordFromRunner(runner, end));
+        const saved = fs.readFileSync(path.join(workspaceRoot, HISTORY_DIR, runner.runId, 'run.json'), 'utf8');
+        expect(JSON.parse(saved).activityOutputs.SetNested).toBe('********');
+        expect(saved).not.toContain('TOPSECRET');
+    });
+
+    test('latestRun finds the newest saved run of the same pipeline definition', async () => {
+        const first = await finishedRun();
+        const older = recordFromRunner(first.runner, first.end);
+        saveRun(workspaceRoot, older);
+        const second = await finishedRun();
+        const newer = { ...recordFromRunner(second.runner, second.end), startTime: new Date(Date.parse(older.startTime) + 1000).toISOString() };
+        saveRun(workspaceRoot, newer);
+
+        const hash = pipelineHash(first.runner.pipelineJson);
+        expect(latestRun(workspaceRoot, 'TestPipeline', hash)).toMatchObject({ runId: newer.runId, activityOutputs: { SetSecret: '********' } });
+        expect(latestRun(workspaceRoot, 'TestPipeline')).toMatchObject({ runId: newer.runId });
+        expect(latestRun(workspaceRoot, 'TestPipeline', 'changed')).toBeNull();
+        expect(latestRun(workspaceRoot, 'Other', hash)).toBeNull();
+    });
+
+    test('deleteRun removes a saved run', async () => {
+        const { runner, end } = await finishedRun();
+        saveRun(workspaceRoot, recordFromRunner(runner, end));
+        deleteRun(workspaceRoot, runner.runId);
+        expect(listRuns(workspaceRoot)).toEqual([]);
+        expect(loadRun(workspaceRoot, runner.runId)).toBeNull();
+    });
+
+    test('links fire-and-forget children and picks up their records once they end', async () => {
+        fs.mkdirSync(path.join(workspaceRoot, 'pipeline'));
+        fs.writeFileSync(path.join(workspaceRoot, 'pipeline', 'Child.json'), JSON.stringify({
+            name: 'Child',
+            properties: { activities: [{ name: 'ChildWait', type: 'Wait', dependsOn: [], userProperties: [], typeProperties: { waitTimeInSeconds: 0 } }] },
+        }));
+        const runner = new LocalPipelineRunner(makePipeline([{
+            name: 'Exec', type: 'ExecutePipeline', dependsOn: [], userProperties: [],
+            typeProperties: { pipeline: { referenceName: 'Child', type: 'PipelineReference' }, waitOnCompletion: false },
+        }]), {}, workspaceRoot);
+        const childEnded = new Promise(resolve => runner.once('detachedRunEnd', resolve));
+        let end;
+        runner.on('pipelineEnd', e => { end = e; });
+        await runner.run();
+
+        const atEnd = recordFromRunner(runner, end);
+        const childRunId = runner.detachedRuns[0].runId;
+        expect(atEnd.detachedRuns).toEqual([{ runId: childRunId, pipelineName: 'Child', parentActivity: 'Exec', status: 'Running' }]);
+
+        await childEnded;
+        const resaved = recordFromRunner(runner, end);
+        expect(resaved.endTime).toBe(atEnd.endTime);
+        expect(resaved.detachedRuns[0].status).toBe('Succeeded');
+        expect(resaved.activityRuns).toContainEqual(expect.objectContaining({ activityName: 'ChildWait', _detachedRunId: childRunId }));
+    });
+});
@@ -0,0 +1,120 @@
+'use strict';
+// sqlClient.test.js — Unit tests for src/activityEngine/sqlClient.js
+//
+// Run with:  npx jest src/test/sqlClient.test.js
+//
+// Coverage: server name parsing, streaming the first result set with back-pressure and early stop,
+// and transactional batched bulk insert with rollback (mssql requests and transactions stubbed).
+
+const sql = require('mssql');
+const { SqlClient, SqlPools, parseServer } = require('../activityEngine/sqlClient');
+
+describe('SqlClient — TDS client', () => {
+    let statements;
+    const fakePool = { request: () => new sql.Request() };
+
+    beforeEach(() => {
+        statements = [];
+        jest.spyOn(SqlPools.prototype, 'get').mockResolvedValue(fakePool);
+        jest.spyOn(sql.Transaction.prototype, 'begin').mockImplementation(async function () { statements.push('BEGIN'); return this; });
+        jest.spyOn(sql.Transaction.prototype, 'commit').mockImplementation(async () => { statements.push('COMMIT'); });
+        jest.spyOn(sql.Transaction.prototype, 'rollback').mockImplementation(async () => { statements.push('ROLLBACK'); });
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    test('parses tcp:host,port server names', () => {
+        expect(parseServer('tcp:sql.example.net,14330')).toEqual({ host: 'sql.example.net', port: 14330 });
+        expect(parseServer('sql.example.net')).toEqual({ host: 'sql.example.net', port: 1433 });
+    });
+
+    test('streams the first result set through an async onRow and returns values as strings with the SQL types', async () => {
+        const placed = new Date('2024-03-01T10:00:00Z');
+        jest.spyOn(sql.Request.prototype, 'query').mockImplementation(function (query) {
+            statements.push(query);
+            setImmediate(() => {
+                this.emit('recordset', { id: { type: sql.Int }, placed: { type: sql.DateTime2 }, note: {} });
+                for (let i = 1; i <= 3; i++) this.emit('row', { id: i, placed, note: i === 2 ? null : 'ok' });
+                this.emit('recordset', { other: {} });
+                this.emit('row', { other: 'ignored' });
+                this.emit('done', {});
+            });
+        });
+        const client = new SqlClient('tcp:sql.example.net,1433', 'sales');
+
+        const seen = [];
+        const summary = await client.streamQuery('SELECT id, placed, note FROM dbo.Orders', async (row) => {
+            await new Promise(r => setImmediate(r));
+            seen.push(row);
+        });
+        expect(summary).toEqual({ columns: ['id', 'placed', 'note'], types: ['int', 'datetime2', null], rowCount: 3 });
+        expect(seen).toEqual([
+            { id: '1', placed: '2024-03-01T10:00:00.000Z', note: 'ok' },
+            { id: '2', placed: '2024-03-01T10:00:00.000Z', note: null },
+            { id: '3', placed: '2024-03-01T10:00:00.000Z', note: 'ok' },
+        ]);
+        expect((await client.readTable('dbo', 'Or]ders')).rows).toHaveLength(3);
+        expect(statements).toContain('SELECT * FROM [dbo].[Or]]ders]');
+    });
+
+    test('streamQuery cancels the query when onRow returns false and resolves with the rows read', async () => {
+        const cancel = jest.spyOn(sql.Request.prototype, 'cancel').mockImplementation(function () {
+            this.emit('error', new Error('Canceled.'));
+            this.emit('done', {});
+        });
+        jest.spyOn(sql.Request.prototype, 'query').mockImplementation(function () {
+            setImmediate(() => {
+                this.emit('recordset', { id: {} });
+                for (let i = 1; i <= 5; i++) this.emit('row', { id: i });
+            });
+        });
+        const client = new SqlClient('sql.example.net', 'sales');
+
+        const seen = [];
+        const summary = await client.streamTable('dbo', 'Orders', (row) => { seen.push(row.id); return seen.length < 2; });
+        expect(summary.rowCount).toBe(2);
+        expect(seen).toEqual(['1', '2']);
+        expect(cancel).toHaveBeenCalledTimes(1);
+    });
+
+    test('bulkInsertStream inserts produced rows batch by batch in one transaction', async () => {
+        const batches = [];
+        jest.spyOn(sql.Request.prototype, 'query').mockImplementation(async function (query) {
+            batches.push(query.split('), (').length);
+            return { rowsAffected: [query.split('), (').length] };
+        });
+        const client = new SqlClient('sql.example.net', 'sales');
+
+        let afterFirstBatch = [];
+        const result = await client.bulkInsertStream('dbo', 'Orders', null, async (write) => {
+            for (let i = 0; i < 2100; i++) {
+                await write({ id: String(i), name: `n${i}` });
+                if (i === 999) afterFirstBatch = [...batches];
+            }
+        });
+        expect(result).toEqual({ rowsAffected: 2100 });
+        expect(afterFirstBatch).toEqual([1000]);
+        expect(batches).toEqual([1000, 1000, 100]);
+        expect(statements).toEqual(['BEGIN', 'COMMIT']);
+    });
+
+    test('bulkInsert batches parameterized INSERTs in one transaction and rolls back on failure', async () => {
+        const batches = [];
+        jest.spyOn(sql.Request.prototype, 'query').mockImplementation(async function (query) {
+            batches.push({ query, params: Object.keys(this.parameters).length });
+            if (Object.values(this.parameters).some(p => p.value === 'fail')) throw new Error('conversion failed');
+            return { rowsAffected: [query.split('), (').length] };
+        });
+        const client = new SqlClient('sql.example.net', 'sales');
+        const rows = Array.from({ length: 2500 }, (_, i) => ({ id: String(i), name: `n${i}` }));
+
+        expect(await client.bulkInsert('dbo', 'Orders', rows, ['id', 'name'])).toEqual({ rowsAffected: 2500 });
+        expect(batches.map(b => b.params)).toEqual([2000, 2000, 1000]);
+        expect(batches[0].query).toMatch(/^INSERT INTO \[dbo\]\.\[Orders\] \(\[id\], \[name\]\) VALUES \(@p0_0, @p0_1\), /);
+        expect(statements).toEqual(['BEGIN', 'COMMIT']);
+
+        statements = [];
+        rows[2100].name = 'fail';
+        await expect(client.bulkInsert('dbo', 'Orders', rows, ['id', 'name'])).rejects.toThrow('conversion failed');
+        expect(statements).toEqual(['BEGIN', 'ROLLBACK']);
+    });
+});